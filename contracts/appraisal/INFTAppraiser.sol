@@ -37,4 +37,12 @@ interface INFTAppraiser {
      * this function should not fail.
      */
     function totalAppraisalOf(address _token, uint256[] calldata _tokenIds) external view returns (uint256 appraisal);
+
+    /**
+     * @dev Provides a value appraisal for the indicated amounts of each token and
+     * returns the total (e.g. for stacks of semi-fungible ERC1155 tokens, each
+     * unit appraised as one token). Behavior for unsupported tokens is unspecified;
+     * however, if `appraises(token)` is true, this function should not fail.
+     */
+    function totalAppraisalOfAmounts(address _token, uint256[] calldata _tokenIds, uint256[] calldata _amounts) external view returns (uint256 appraisal);
 }
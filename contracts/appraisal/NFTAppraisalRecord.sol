@@ -85,6 +85,19 @@ contract NFTAppraisalRecord is Context, ERC165, AccessControlEnumerable, INFTApp
         return total;
     }
 
+    function totalAppraisalOfAmounts(address _token, uint256[] calldata _tokenIds, uint256[] calldata _amounts) public view override virtual returns (uint256) {
+        require(_tokenIds.length == _amounts.length, "NFTAppraisalRecord: array lengths must match");
+        uint256 total = 0;
+        ContractInfo storage cinfo = contractInfo[_token];
+        require(cinfo.appraises, "NFTAppraisalRecord: invalid token address");
+
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            TokenInfo storage info = tokenInfo[_token][_tokenIds[i]];
+            total += (info.recorded ? info.appraisal : cinfo.defaultAppraisal) * _amounts[i];
+        }
+        return total;
+    }
+
     function setAppraises(address _token, bool _appraises, uint256 _defaultAppraisal) external {
         require(hasRole(RECORDER_ROLE, _msgSender()), "NFTAppraisalRecord: must have recorder role to set appraises");
         ContractInfo storage cinfo =  contractInfo[_token];
@@ -4,6 +4,7 @@
 pragma solidity 0.8.10;
 
 import "../IERC20Faucet.sol";
+import "./ERC20FaucetOperators.sol";
 
 /**
  * @title BaseERC20Faucet
@@ -12,8 +13,12 @@ import "../IERC20Faucet.sol";
  * minting of new ones, etc.). Subcontracts must also implement {_allocated},
  * indicating the total lifetime amount allocated to a given account (subtracting
  * {released} from this gives {releasable}).
+ *
+ * Accounts may approve release operators (see {ERC20FaucetOperators}); subcontracts
+ * that wish to honor those approvals should check {_isReleaseOperatorFor} in
+ * {_canRelease}.
  */
-abstract contract BaseERC20Faucet is IERC20Faucet {
+abstract contract BaseERC20Faucet is IERC20Faucet, ERC20FaucetOperators {
 
     uint256 private _totalReleased;
     mapping(address => uint256) private _released;
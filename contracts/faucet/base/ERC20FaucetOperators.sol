@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @title ERC20FaucetOperators
+ * @dev ERC721-style operator approvals for IERC20Faucet releases. An account
+ * may approve operators (e.g. vaults, auto-compounders) to release its funds
+ * on its behalf, optionally restricting each operator to a single destination.
+ *
+ * This contract only records approvals; faucets decide whether to honor them,
+ * typically by checking {_isReleaseOperatorFor} from {_canRelease}.
+ */
+abstract contract ERC20FaucetOperators is Context {
+
+    /**
+     * @dev Emitted when `from` approves or revokes `operator` for releasing its funds.
+     */
+    event ReleaseOperatorChanged(address indexed from, address indexed operator, bool approved);
+
+    /**
+     * @dev Emitted when `from` restricts the destination for releases made by
+     * `operator`. A zero `destination` means any destination is permitted.
+     */
+    event ReleaseOperatorDestinationChanged(address indexed from, address indexed operator, address destination);
+
+    mapping(address => mapping(address => bool)) private _releaseOperators;
+    mapping(address => mapping(address => address)) private _releaseOperatorDestinations;
+
+    /**
+     * @dev Approve or revoke `operator` to release the caller's funds.
+     */
+    function setReleaseOperator(address operator, bool approved) external {
+        require(operator != _msgSender(), "ERC20FaucetOperators: approve to caller");
+        _releaseOperators[_msgSender()][operator] = approved;
+        emit ReleaseOperatorChanged(_msgSender(), operator, approved);
+    }
+
+    /**
+     * @dev Restrict releases of the caller's funds made by `operator` to the
+     * indicated `destination`, or remove the restriction (zero address).
+     */
+    function setReleaseOperatorDestination(address operator, address destination) external {
+        _releaseOperatorDestinations[_msgSender()][operator] = destination;
+        emit ReleaseOperatorDestinationChanged(_msgSender(), operator, destination);
+    }
+
+    /**
+     * @dev Whether `operator` is approved to release funds of account `from`.
+     */
+    function isReleaseOperator(address from, address operator) public view returns (bool) {
+        return _releaseOperators[from][operator];
+    }
+
+    /**
+     * @dev The only destination to which `operator` may release funds of account
+     * `from`, or the zero address if unrestricted.
+     */
+    function releaseOperatorDestination(address from, address operator) public view returns (address) {
+        return _releaseOperatorDestinations[from][operator];
+    }
+
+    /**
+     * @dev Whether `operator` may release funds of account `from`, sending them
+     * to `to`.
+     */
+    function _isReleaseOperatorFor(address operator, address from, address to) internal view returns (bool) {
+        address destination = _releaseOperatorDestinations[from][operator];
+        return _releaseOperators[from][operator] && (destination == address(0) || destination == to);
+    }
+}
@@ -142,9 +142,10 @@ contract DripShareERC20Faucet is BaseDripShareERC20Faucet, Ownable {
     /**
      * @dev To aid recipient bookkeeping, recipients can pull their own funds
      * (to anywhere). Owners can also push, but only to the intended recipient,
-     * not others.
+     * not others. Approved release operators can pull a recipient's funds to
+     * any destination permitted by that recipient.
      */
     function _canRelease(address user, address from, address to, uint256) internal view override returns (bool) {
-        return (user == from) || (user == owner() && from == to);
+        return (user == from) || (user == owner() && from == to) || _isReleaseOperatorFor(user, from, to);
     }
 }
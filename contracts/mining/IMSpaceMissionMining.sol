@@ -1,133 +1,101 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.10;
 
-import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
 import "@openzeppelin/contracts/utils/math/SafeCast.sol";
-import "./IMissionChecker.sol";
+import "./base/BaseIMSpaceMissionMining.sol";
 import "../faucet/IERC20Faucet.sol";
 import "../appraisal/INFTAppraiser.sol";
 
-interface IERC721Token {
-    function transferFrom(address from, address to, uint256 tokenId) external;
-}
-
-interface IERC20Token {
-    function transfer(address to, uint256 amount) external returns (bool);
-    function balanceOf(address owner) external view returns (uint256);
-}
-
 /**
  * @title IMSpaceMissionMining
  * @dev A mining contract allowing users to stake IMSpace mission tokens in sets,
- * which are evaluated for mining power based on mission composition. Valid
- * missions are: 1 Lander, 0 or 1 Landing Sites, and 0..N Payloads.
+ * which are evaluated for mining power based on mission composition. Missions
+ * are composed according to a manager-defined schema of component slots, each
+ * holding a bounded number of tokens of one NFT, ERC721 or ERC1155 (see
+ * `componentSlots`). By
+ * default, valid missions are: 1 Lander, 0 or 1 Landing Sites, and 0..N Payloads.
  *
- * Mining rate is controlled externally, via an IERC20Faucet; any funds received
+ * Mining rate is controlled externally, via an IERC20Faucet (which managers may
+ * replace; see `setFaucet`); any funds received
  * are proportionally divided among all staked users according to the total
- * mining power of their staked missions. For consistency, this contract implements
+ * mining power of their staked missions (mapped to an effective mining power by
+ * the `miningPowerCurve`, if set). For consistency, this contract implements
  * the IERC20Faucet interface for querying or retrieving rewards.
+ *
+ * Each user's rewards are also attributed among their missions, in proportion
+ * to mining power, and may be released a mission at a time (see
+ * `missionReleasable` and `releaseMission`).
+ *
+ * Additional reward tokens may be mined alongside `token`, in proportion to the
+ * same mining power, through reward streams each fed by their own faucet (see
+ * `addRewardStream` and `releaseStream`).
+ *
+ * Managers may run mining seasons, each with a bonus pool of `token` shared
+ * among users in proportion to the power-seconds (effective mining power times
+ * seconds staked) they accrue during it (see `openSeason` and
+ * `claimSeasonReward`).
+ *
+ * Missions may be launched with `launchMission` (after approving this contract
+ * to transfer the component tokens) or by sending a Lander directly to this
+ * contract with `safeTransferFrom`, encoding the rest of the mission as call data.
+ *
+ * If a `missionReceipt` contract is set, each staked mission is represented by
+ * a transferable receipt token held by its controller (see IMissionReceipt).
+ *
+ * Users without gas may sign meta-transactions (e.g. `launchMission`,
+ * `recallMission` or `release`) for a relayer to submit through the
+ * `trustedForwarder`, if one is set (see ERC2771).
+ *
+ * Maintenance functions are implemented by an IMSpaceMissionMiningExtension,
+ * manager controls by the IMSpaceMissionMiningManagement it extends in turn, and
+ * read-only views by the IMSpaceMissionMiningViews which that extends; all share
+ * this contract's storage (see BaseIMSpaceMissionMining). Calls to any function
+ * not implemented here are delegated to the extension. Interact with this
+ * contract through IMissionMining, which describes all four: functions move
+ * between them as needed to keep each within the contract size limit (e.g.
+ * `pause`, `unpause`, `missionStatus`, the mission counts and
+ * `transferMission`, once here) without changing it.
  */
-contract IMSpaceMissionMining is Context, AccessControlEnumerable, Pausable, IERC20Faucet {
+contract IMSpaceMissionMining is BaseIMSpaceMissionMining, IERC20Faucet, IERC721Receiver {
     using SafeCast for uint256;
     using SafeCast for int256;
 
-    uint256 private constant PRECISION = 1e20;
-
-    // Role capable of withdrawing excess funds and set token addresses
-    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
-    uint256 public constant MAX_PAYLOADS = 8;
-
-    /// @notice Info of each user who is or has previously staked a mission
-    struct UserInfo {
-        uint256 miningPower;
-        uint256 released;
-        int256 rewardDebt;
-    }
-
-    /// @notice Info of mission that is or has been staked
-    struct MissionInfo {
-        // mission details
-        address user;
-        uint256 miningPower;
-        uint256[] landers;
-        uint256[] landingSites;
-        uint256[] payloads;
-        uint256 userMissionsIndex;
-        uint256 stakedMissionsIndex;
-        // staking status
-        bool staked;
-        uint256 stakedBlock;
-        uint256 stakedTime;
-        uint256 unstakedBlock;
-        uint256 unstakedTime;
-    }
-
     /// @notice Address of Crisium token contract.
     address public immutable token;
-    uint256 private _totalMined;   // totalMined() includes to-be-received from faucet
-    /// @notice Total amount of Crisium released to miners
-    uint256 public override totalReleased;
-
-    /// @notice Accumulated reward per unit of Mining Power
-    uint256 public accRewardPerMP;
-    /// @notice Total Mining Power currently staked
-    uint256 public totalMiningPower;
-
-    /// @notice Address of the Lander NFT
-    address public landerToken;
-    /// @notice Address of the Landing Site NFT
-    address public landingSiteToken;
-    /// @notice Address of the Payload NFT
-    address public payloadToken;
-
-    /// @notice Address of originating faucet
-    IERC20Faucet public immutable faucet;
-    /// @notice Address of mission appraiser and mission tokens
-    INFTAppraiser public appraiser;
-    /// @notice Address of mission completeness checker (if zero, default check used)
-    IMissionChecker public completeMissionChecker;
-    uint256 private completeMissionMultiplierPrec = PRECISION;
-
-    /// @notice Info of each current and former mission staker
-    mapping (address => UserInfo) public userInfo;
-    /// @notice Mission IDs currently staked by each user
-    mapping (address => uint256[]) public userMissions;
-
-    /// @notice Info of each mission
-    MissionInfo[] public missionInfo;
-    /// @notice Info of each currently staked mission
-    uint256[] public stakedMissions;
-
-    event MissionLaunched(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
-    event MissionRecalled(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
-    event MissionAppraised(uint256 indexed missionId, address indexed to, uint256 previousMiningPower, uint256 miningPower);
-    event MissionAppraiserChanged(address indexed previousAppraiser, address indexed appraiser);
-    event MissionCompleteCheckerChanged(address indexed previousChecker, address checker);
-    event MissionCompleteMultiplierUpdated(uint256 numerator, uint256 denominator);
+    /// @notice Address of the extension implementing maintenance functions (and, in turn, manager controls and views)
+    address public immutable extension;
 
     /// @param _token The reward token address
     /// @param _faucet The faucet address
     /// @param _appraiser The mission token appraiser address
-    constructor(address _token, IERC20Faucet _faucet, INFTAppraiser _appraiser) {
+    /// @param _extension The IMSpaceMissionMiningExtension address
+    constructor(address _token, IERC20Faucet _faucet, INFTAppraiser _appraiser, address _extension) {
         token = _token;
         faucet = _faucet;
         appraiser = _appraiser;
+        extension = _extension;
 
         // require a contract for _token, as low-level "call" is used
         require(_token.code.length > 0, "IMSMM: _token not a contract");
+        require(_extension.code.length > 0, "IMSMM: _extension not a contract");
 
         // set up roles
         _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());   // admin; can add/remove managers
         _setupRole(MANAGER_ROLE, _msgSender());         // manager; can withdraw excess funds
 
         emit MissionAppraiserChanged(address(0), address(_appraiser));
+        emit FaucetChanged(address(0), address(_faucet));
     }
 
     // *******************************
     // IERC20 Faucet Implementation
 
+    /// @notice Total amount of Crisium released to miners
+    function totalReleased() external view override returns (uint256 amount) {
+        amount = _totalReleased;
+    }
+
     /**
      * @notice The total quantity of tokens mined from this contract, so far.
      * Includes tokens not yet released, and those available from the source faucet.
@@ -148,532 +116,417 @@ contract IMSpaceMissionMining is Context, AccessControlEnumerable, Pausable, IER
 
     /**
      * @notice Query the amount of tokens releasable from the indicated account.
+     * Rewards attributed to the account's locked missions are not included:
+     * they are withheld until each mission's unlock time.
      */
     function releasable(address _user) external view override returns (uint256 amount) {
-        UserInfo storage user = userInfo[_user];
-        uint256 rewardPerMP = accRewardPerMP;
-
-        uint256 additionalReward = paused() ? 0 : faucet.releasable(address(this));
-        if (additionalReward > 0 && totalMiningPower > 0) {
-            rewardPerMP += (additionalReward * PRECISION) / totalMiningPower;
-        }
-
-        amount = (
-            ((user.miningPower * rewardPerMP) / PRECISION).toInt256() - user.rewardDebt
-        ).toUint256();
+        amount = _unlockedReleasable(_user);
     }
 
     /**
      * @notice Release mining rewards from the indicated user, sending them `to`
-     * the specified address.
+     * the specified address. Rewards are released from each of the user's
+     * missions in proportion (see `missionReleasable`), except their locked
+     * missions, whose rewards are withheld until unlocked.
      *
-     * Condition: the caller must be `from`. This function signature is derived
-     * from the IERC20Faucet interface.
+     * Condition: the caller must be `from`, or a release operator approved by
+     * `from` for destination `to`. This function signature is derived from the
+     * IERC20Faucet interface.
      */
     function release(address from, address to) external override returns (uint256 amount) {
-        require(_msgSender() == from, "IMSMM: !auth");
+        require(_canRelease(from, to), "IMSMM: !auth");
         update();
 
-        // calculate reward pending
-        UserInfo storage user = userInfo[from];
-        amount = _releaseAmount(user);
-
-        _release(user, from, to, amount);
+        amount = _reduceMissionRewards(from, type(uint256).max);
+        _release(userInfo[from], from, to, amount);
     }
 
     /**
      * @notice Release mining rewards from the indicated user, sending them `to`
-     * the specified address.
+     * the specified address. Rewards are released from each of the user's
+     * missions in proportion (see `missionReleasable`), except their locked
+     * missions, whose rewards are withheld until unlocked.
      *
-     * Condition: the caller must be `from`. This function signature is derived
-     * from the IERC20Faucet interface.
+     * Condition: the caller must be `from`, or a release operator approved by
+     * `from` for destination `to`. This function signature is derived from the
+     * IERC20Faucet interface.
      */
     function release(address from, address to, uint256 amount) external override {
-        require(_msgSender() == from, "IMSMM: !auth");
+        require(_canRelease(from, to), "IMSMM: !auth");
         update();
 
-        // calculate reward pending
-        UserInfo storage user = userInfo[from];
-        uint256 pendingReward = _releaseAmount(user);
-
-        require(amount <= pendingReward, "IMSMM: amount > releasable");
-        _release(user, from, to, amount);
+        _reduceMissionRewards(from, amount);
+        _release(userInfo[from], from, to, amount);
     }
 
     /**
-     * Calculate and return the reward amount that could be released for this
-     * user at the present moment (without fetching more tokens from the faucet).
+     * @notice Release the mining rewards attributed to the indicated mission (see
+     * `missionReleasable`), sending them `to` the specified address; e.g. once
+     * it is recalled. Rewards attributed to the user's other missions are
+     * unaffected. Reverts if the mission is locked.
+     *
+     * Condition: the caller must be the mission's user, or a release operator
+     * approved by them for destination `to` (as for `release`).
      */
-    function _releaseAmount(UserInfo storage user) internal view returns (uint256) {
-        return (
-            ((user.miningPower * accRewardPerMP)  / PRECISION).toInt256() - user.rewardDebt
-        ).toUint256();
+    function releaseMission(uint256 missionId, address to) external returns (uint256 amount) {
+        MissionInfo storage mission = missionInfo[missionId];
+        address from = mission.user;
+        require(_canRelease(from, to), "IMSMM: !auth");
+        require(!_isMissionLocked(mission), "IMSMM: mission locked");
+        update();
+
+        _checkpointMissionRewards(mission, missionId);
+        amount = _takeMissionRewards(missionId, from, PRECISION);
+        _release(userInfo[from], from, to, amount);
+        emit MissionReleased(from, missionId, to, amount);
     }
 
+
     /**
      * Release the indicated token quantity from the indicated user, transferring
      * it to `to`.
      *
      * Precondition: `amount` is no more than `releaseAmount(user)`, the reward
-     * available to that user at this time.
+     * available to that user at this time, and has been taken from the rewards
+     * attributed to their missions.
      */
     function _release(UserInfo storage user, address from, address to, uint256 amount) internal {
         // update internal records
         user.rewardDebt += amount.toInt256();
         user.released += amount;
-        totalReleased += amount;
+        _totalReleased += amount;
 
         if (amount > 0) {
-            _safeTransfer(to, amount);
+            _safeTransfer(token, to, amount);
         }
 
         emit Released(from, to, amount);
     }
 
     // *******************************
-    // Manager Controls
+    // Missions
 
     /**
-     * @notice Transfer any "excess" funds to the specified address. Any tokens
-     * received by this contract from sources other than the faucet, or released
-     * from the faucet while no users were mining, are considered "excess".
+     * @notice Launch a new mining mission! The provided tokenIds will be transferred
+     * from the user's wallet into this contract. The mission will be credited
+     * to user `to` (typically the message sender) who will have the ability
+     * to harvest rewards and recall the mission.
      *
-     * Only the managers may make this call.
+     * After this call the mining power of the launched misssion will be added
+     * to `to`'s record and immediately applied to future mining rewards.
+     *
+     * Examine the return value and/or emitted MissionLaunched event to find the
+     * new mission's missionId.
      */
-    function transferExcess(address to) external onlyManager {
+    function launchMission(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads, address to) external whenNotPaused returns (uint256 missionId) {
         update();
-
-        // excess funds should be zero, but it's possible for tokens to be
-        // transferred into this contract accidentally, or for the faucet to
-        // allocate funds before any's mission tokens are staked
-        uint256 balance = IERC20Token(token).balanceOf(address(this));
-        uint256 amount = (balance + totalReleased) - _totalMined;
-        _safeTransfer(to, amount);
+        missionId = _launchMissionFrom(_msgSender(), _defaultComponents(landers, landingSites, payloads), _emptyAmounts(), 0, to);
+        _setUserMiningPower(to, userInfo[to].miningPower + missionInfo[missionId].miningPower);
     }
 
     /**
-     * @notice Set the Lander token address. May only be called once, and only
-     * by a manager.
-     */
-    function setMissionLanderToken(address _token) external onlyManager onlyUnset(landerToken) {
-        landerToken = _token;
-    }
-
-    /**
-     * @notice Set the Landing Site token address. May only be called once, and only
-     * by a manager.
-     */
-    function setMissionLandingSiteToken(address _token) external onlyManager onlyUnset(landingSiteToken) {
-        landingSiteToken = _token;
-    }
-
-    /**
-     * @notice Set the Payload token address. May only be called once, and only
-     * by a manager.
-     */
-    function setMissionPayloadToken(address _token) external onlyManager onlyUnset(payloadToken) {
-        payloadToken = _token;
-    }
-
-    /**
-     * @notice Updates the INFTAppraiser address, used to assess the value of staked
-     * mission components. Only callable by a manager. Does not automatically update
-     * the mining power of currently-staked missions.
-     */
-    function setAppraiser(INFTAppraiser _appraiser) external onlyManager {
-        address previousAppraiser = address(appraiser);
-        appraiser = _appraiser;
-        emit MissionAppraiserChanged(previousAppraiser, address(appraiser));
-    }
-
-    /**
-     * @notice Updates the IMissionChecker address used to check for mission completeness.
-     * Complete missions receive a mining bonus, applied as a multiplier against
+     * @notice Launch a new mining mission, as `launchMission`, committing to keep
+     * it staked for `lockPeriod` seconds in exchange for a mining power multiplier.
+     * Only lock periods configured by a manager (see `lockMultiplierPrec`) are
+     * permitted.
      *
+     * Locked missions cannot be recalled until their unlock time unless early
+     * recall is permitted. The rewards a mission mines while locked are
+     * withheld from `release` until then; early recall forfeits a share of
+     * them (see `earlyRecallPenaltyPrec`) and releases the rest.
      */
-    function setMissionCompleteChecker(IMissionChecker _checker) external onlyManager {
-        address previousChecker = address(completeMissionChecker);
-        completeMissionChecker = address(_checker) == address(this) ? IMissionChecker(address(0)) : _checker;
-        emit MissionCompleteCheckerChanged(previousChecker, address(completeMissionChecker));
+    function launchLockedMission(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads, uint256 lockPeriod, address to) external whenNotPaused returns (uint256 missionId) {
+        require(lockPeriod > 0, "IMSMM: lock period zero");
+        update();
+        missionId = _launchMissionFrom(_msgSender(), _defaultComponents(landers, landingSites, payloads), _emptyAmounts(), lockPeriod, to);
+        _setUserMiningPower(to, userInfo[to].miningPower + missionInfo[missionId].miningPower);
+        emit MissionLocked(missionId, to, lockPeriod, missionInfo[missionId].unlockTime);
     }
 
     /**
-     * @notice Updates the mining power multiplier applied to "complete" missions,
-     * those which have at least one of each component type. Only callable by a manager.
-     * Does not automatically update the mining power of currently-staked missions.
+     * @notice Launch a new mining mission, as `launchMission`, of any composition
+     * permitted by the mission schema: `components[i]` are the tokenIds staked in
+     * component slot `i` (see `componentSlots`), and every slot must be provided.
+     * For ERC1155 slots `amounts[i]` gives the amount of each tokenId staked;
+     * for other slots it must be empty. If `lockPeriod` is nonzero the mission is
+     * locked, as `launchLockedMission`.
      */
-    function setMissionCompleteMultiplier(uint256 numerator, uint256 denominator) external onlyManager {
-        require(numerator >= denominator, "IMSMM: ratio not >= 1");
-        completeMissionMultiplierPrec = (numerator * PRECISION) / denominator;
-        emit MissionCompleteMultiplierUpdated(numerator, denominator);
+    function launchMissionComponents(
+        uint256[][] calldata components,
+        uint256[][] calldata amounts,
+        uint256 lockPeriod,
+        address to
+    ) external whenNotPaused returns (uint256 missionId) {
+        update();
+        missionId = _launchMissionFrom(_msgSender(), components, amounts, lockPeriod, to);
+        _setUserMiningPower(to, userInfo[to].miningPower + missionInfo[missionId].miningPower);
+        if (lockPeriod > 0) {
+            emit MissionLocked(missionId, to, lockPeriod, missionInfo[missionId].unlockTime);
+        }
     }
 
     /**
-     * @notice Pauses mining.
-     *
-     * Effects: no additional reward tokens will be accumulated by this contract
-     * while paused, although any rewards accumulated up to this point will remain
-     * retrievable. While paused, new missions cannot be staked; however, any
-     * already staked mission may be recalled or reappraised.
+     * @notice Launch several new mining missions at once, as `launchMission`.
+     * Mission `i` is composed of `landers[i]`, `landingSites[i]` and `payloads[i]`;
+     * all missions are credited to user `to`. Either every mission is launched
+     * or (if any is invalid) none are.
      *
-     * Intended use: when adjusting mining power (by changes to the INFTAppraiser
-     * or complete mission multiplier) pause mining, make the necessary changes
-     * and `reappraiseMission` for all staked missions, then unpause.
-     *
-     * Only callable by a manager.
+     * A `MissionLaunched` event is emitted for each mission. Examine the return
+     * value or those events to find the new missionIds.
      */
-    function pause() external onlyManager {
+    function launchMissions(uint256[][] calldata landers, uint256[][] calldata landingSites, uint256[][] calldata payloads, address to) external whenNotPaused returns (uint256[] memory missionIds) {
+        require(landers.length == landingSites.length && landers.length == payloads.length, "IMSMM: array lengths differ");
         update();
-        _pause();
+
+        // launch every mission, then apply their total mining power in a single
+        // bookkeeping pass (no rewards accrue in between)
+        uint256 miningPower;
+        missionIds = new uint256[](landers.length);
+        for (uint256 i = 0; i < landers.length; i++) {
+            missionIds[i] = _launchMissionFrom(_msgSender(), _defaultComponents(landers[i], landingSites[i], payloads[i]), _emptyAmounts(), 0, to);
+            miningPower += missionInfo[missionIds[i]].miningPower;
+        }
+        _setUserMiningPower(to, userInfo[to].miningPower + miningPower);
     }
 
     /**
-     * @notice Unpauses mining.
+     * @notice Launch a new mining mission by sending a Lander token to this contract
+     * with `safeTransferFrom`. `data` must be the ABI encoding of
+     * `(uint256[] landingSites, uint256[] payloads, address to)`; those Landing Sites
+     * and Payloads will be transferred from the Lander's previous owner to complete
+     * the mission (this contract must be approved to transfer them, but no approval
+     * is necessary for the Lander itself). If `to` is the zero address, the mission
+     * is credited to the Lander's previous owner.
      *
-     * Effects: any mining reward accumulating during the paused state will become
-     * retrievable (as if mining had continued during pause), divided proportionally
-     * based on current mining power (not mining power at time of pause). New missions
-     * again become launchable.
+     * The Lander must be sent by its owner, not an approved operator, since the
+     * other mission components are pulled from the owner's wallet.
      *
-     * Only callable by a manager.
+     * Any other token received this way -- a non-Lander, or a Lander sent without
+     * mission data -- is rejected, so tokens cannot become stuck in this contract.
      */
-    function unpause() external onlyManager {
-        _unpause();
-        update();
-    }
-
-    modifier onlyManager() {
-        require(hasRole(MANAGER_ROLE, _msgSender()), "IMSMM: !auth");
-        _;
-    }
-
-    modifier onlyUnset(address addr) {
-        require(addr == address(0), "IMSMM: already set");
-        _;
-    }
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external override whenNotPaused returns (bytes4) {
+        require(_msgSender() == componentSlots[LANDER_SLOT].token, "IMSMM: not a lander");
+        require(operator == from, "IMSMM: not sent by owner");
+        require(data.length > 0, "IMSMM: no mission data");
+
+        (uint256[] memory landingSites, uint256[] memory payloads, address to) = abi.decode(data, (uint256[], uint256[], address));
+        if (to == address(0)) {
+            to = from;
+        }
 
-    // *******************************
-    // Missions
+        uint256[] memory landers = new uint256[](1);
+        landers[0] = tokenId;
 
-    /// @notice Returns the number of missions launched (length of  `missionInfo`).
-    function missionCount() external view returns (uint256 missions) {
-        missions = missionInfo.length;
-    }
-
-    /// @notice Returns the number of missions currently staked (length of `stakedMissions`).
-    function stakedMissionCount() external view returns (uint256 missions) {
-        missions = stakedMissions.length;
-    }
+        update();
+        uint256 missionId = _launchMission(_defaultComponents(landers, landingSites, payloads), _emptyAmounts(), 0, to);
+        MissionInfo storage mission = missionInfo[missionId];
+        _setUserMiningPower(to, userInfo[to].miningPower + mission.miningPower);
 
-    /// @notice Returns the number of missions staked by the indicated user (length of `userMissions`).
-    function userMissionCount(address user) external view returns (uint256 missions) {
-        missions = userMissions[user].length;
-    }
+        // Transfer remaining mission tokens (the Lander has already arrived)
+        _transferNFTs(componentSlots[LANDING_SITE_SLOT].token, landingSites, from, address(this));
+        _transferNFTs(componentSlots[PAYLOAD_SLOT].token, payloads, from, address(this));
 
-    /// @notice Returns the status of the mission: owner, mining power, staking status
-    /// and staking period.
-    /// @param user The user who staked this mission
-    /// @param miningPower The mining power of this mission, as of its last audit
-    /// @param staked Is the mission currently staked? Missions cannot be re-staked;
-    ///   once unstaked, the same tokens restaked will be designated as a new mission.
-    /// @param stakeDuration The number of seconds which this mission has been staked.
-    ///   If `staked`, this number continuously increases; otherwise it becomes fixed.
-    function missionStatus(uint256 missionId) external view returns (address user, uint256 miningPower, bool staked, uint256 stakeDuration) {
-        MissionInfo storage mission = missionInfo[missionId];
+        // Emit event
+        emit MissionLaunched(from, missionId, to, mission.miningPower);
 
-        user = mission.user;
-        miningPower = mission.miningPower;
-        staked = mission.staked;
-        stakeDuration = (mission.staked ? block.timestamp : mission.unstakedTime) - mission.stakedTime;
+        return IERC721Receiver.onERC721Received.selector;
     }
 
-    /// @notice Returns the tokenIds comprising the indicated mission
-    /// @param landers tokenIds for lander tokens staked in the mission
-    /// @param landingSites tokenIds for landing site tokens staked in the mission
-    /// @param payloads tokenIds for payload tokens stsaked in the mission
-    function missionTokens(uint256 missionId) external view returns (uint256[] memory landers, uint256[] memory landingSites, uint256[] memory payloads) {
+    /**
+     * Launch a new mission from the indicated tokens, transferring them from
+     * `from` and emitting `MissionLaunched`. Callers are responsible for calling
+     * `update()` beforehand, and for then adding its mining power to that of `to`.
+     */
+    function _launchMissionFrom(
+        address from,
+        uint256[][] memory components,
+        uint256[][] memory amounts,
+        uint256 lockPeriod,
+        address to
+    ) internal returns (uint256 missionId) {
+        missionId = _launchMission(components, amounts, lockPeriod, to);
         MissionInfo storage mission = missionInfo[missionId];
 
-        landers = new uint256[](mission.landers.length);
-        landingSites = new uint256[](mission.landingSites.length);
-        payloads = new uint256[](mission.payloads.length);
-
-        for (uint256 i = 0; i < mission.landers.length; i++) {
-            landers[i] = mission.landers[i];
-        }
-        for (uint256 i = 0; i < mission.landingSites.length; i++) {
-            landingSites[i] = mission.landingSites[i];
-        }
-        for (uint256 i = 0; i < mission.payloads.length; i++) {
-            payloads[i] = mission.payloads[i];
-        }
-    }
+        // Transfer mission tokens
+        _transferMissionNFTs(mission, from, address(this));
 
-    function _transferMissionNFTs(MissionInfo storage mission, address from, address to) internal {
-        _transferNFTs(landerToken,  mission.landers, from, to);
-        _transferNFTs(landingSiteToken, mission.landingSites, from, to);
-        _transferNFTs(payloadToken, mission.payloads, from, to);
+        // Emit event
+        emit MissionLaunched(from, missionId, to, mission.miningPower);
     }
 
-    function _transferNFTs(address nftToken, uint256[] storage tokenIds, address from, address to) internal {
-        for (uint256 i = 0; i < tokenIds.length; i++) {
-            IERC721Token(nftToken).transferFrom(from, to, tokenIds[i]);
-        }
-    }
+    /**
+     * Create a new mission record for the indicated tokens, credited to `to`
+     * and locked for `lockPeriod` (if nonzero), and appraise its mining power.
+     * Does not transfer any tokens, emit events or update the Mining Power of
+     * `to` (see `_setUserMiningPower`); callers are responsible for all three,
+     * and for calling `update()` beforehand.
+     */
+    function _launchMission(
+        uint256[][] memory components,
+        uint256[][] memory amounts,
+        uint256 lockPeriod,
+        address to
+    ) internal returns (uint256 missionId) {
+        require(!emergencyMode, "IMSMM: emergency mode");
+        (bool valid, uint256 miningPower) = _evaluateMission(components, amounts);
+        require(valid, "IMSMM: invalid mission");
 
-    /// @notice Update internal state, pulling tokens from the faucet if appropriate.
-    function update() public {
-        if (!paused() && faucet.releasable(address(this)) > 0) {
-            uint256 mined = faucet.release(address(this), address(this));
+        uint256 lockMultiplier = lockPeriod == 0 ? PRECISION : lockMultiplierPrec[lockPeriod];
+        require(lockMultiplier > 0, "IMSMM: invalid lock period");
 
-            if (totalMiningPower > 0) {
-                accRewardPerMP += (mined * PRECISION) / totalMiningPower;
-                _totalMined += mined;
-            }
+        // Make a mission (field by field, as its nested component arrays cannot
+        // be copied to storage as a whole)
+        missionId = missionInfo.length;
+        MissionInfo storage mission = missionInfo.push();
+        // mission details
+        mission.user = to;
+        mission.userMissionsIndex = userMissions[to].length;
+        mission.stakedMissionsIndex = stakedMissions.length;
+        for (uint256 i = 0; i < components.length; i++) {
+            mission.components.push(components[i]);
+            mission.amounts.push(amounts[i]);
+            _holdComponents(i, components[i], missionId);
         }
-    }
+        // staking status
+        mission.staked = true;
+        mission.stakedBlock = block.number;
+        mission.stakedTime = block.timestamp;
+        mission.unlockTime = block.timestamp + lockPeriod;
+        mission.lockMultiplierPrec = lockMultiplier;
+        stakedMissions.push(missionId);
+        userMissions[to].push(missionId);
 
-    /**
-     * @notice Evaluate a candidate mission for staking. Returns a tuple giving
-     * whether the speciied set of tokens represents a valid mission, and its
-     * mining power if staked.
-     */
-    function evaluateMissionCandidate(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads) public view returns (bool valid, uint256 miningPower) {
-        // valid missions: must have exactly one lander, 0-1 landing sites, 0-n payloads.
-        // any provided components must have a non-zero-address nft token.
-        valid = true;
-        if (landers.length != 1 || landerToken == address(0)) {
-            valid = false;
-        } else if (landingSites.length > 1) {
-            valid = false;
-        } else if (landingSites.length == 1 && landingSiteToken == address(0)) {
-            valid = false;
-        } else if (payloads.length > MAX_PAYLOADS) {
-            valid = false;
-        } else if (payloads.length > 0 && payloadToken == address(0)) {
-            valid = false;
+        if (address(missionReceipt) != address(0)) {
+            missionReceipt.mint(to, missionId);
         }
 
-        if (valid) {
-            // mining power is the sum of all component tokens, scaled by a multiplier
-            // if complete.
-            miningPower = _getMissionAppraisal(landers, landingSites, payloads);
-        }
+        // Appraise the mission (its user's Mining Power is updated by the caller)
+        _checkpointMissionRewards(mission, missionId);
+        mission.miningPower = _applyMissionMultipliers(mission, miningPower, 0);
     }
 
     /**
-     * @notice Updates the appraised mining power of the indicated (staked) mission.
-     * Has no effect if component appraisals and complete mission multiplier are
-     * unchanged.
+     * Recall the indicated mission, unstaking it for mining. The mission tokens
+     * will be transferred to `to`, usually the message sender. After this call
+     * the mission will no longer accumulate mining rewards, but already-mined
+     * rewards remain retrievable (alone, with `releaseMission`).
      *
-     * Examine the return value or the emitted `MissionAppraised` event to determine
-     * the newly appraised mission mining power.
+     * If an `unbondingPeriod` is set, the mission tokens are instead held until
+     * it has passed, then transferred to `to` by `completeRecall`.
      */
-    function reappraiseMission(uint256 missionId) external returns (uint256 appraisal) {
-        MissionInfo storage mission = missionInfo[missionId];
-        UserInfo storage user = userInfo[mission.user];
-
-        require(mission.staked, "IMSMM: mission not staked");
-
+    function recallMission(uint256 missionId, address to) external {
         update();
-
-        uint256 previousAppraisal = mission.miningPower;
-        appraisal = _getMissionAppraisal(mission.landers, mission.landingSites, mission.payloads);
-        _applyAppraisal(mission, user, appraisal);
-        emit MissionAppraised(missionId, mission.user, previousAppraisal, appraisal);
+        _recallMissions(_asArray(missionId), to, false);
     }
 
-    function _getMissionAppraisal(
-        uint256[] memory landers,
-        uint256[] memory landingSites,
-        uint256[] memory payloads
-    ) internal view returns (uint256 miningPower) {
-        // mining power is the sum of all component tokens, scaled by a multiplier
-        // if complete.
-        miningPower = (
-            _getTokenAppraisal(landerToken, landers) +
-            _getTokenAppraisal(landingSiteToken, landingSites) +
-            _getTokenAppraisal(payloadToken, payloads)
-        );
-
-        if (_isMissionComplete(landers, landingSites, payloads)) {
-            miningPower = (miningPower * completeMissionMultiplierPrec) / PRECISION;
-        }
-    }
-
-    function _applyAppraisal(MissionInfo storage mission, UserInfo storage user, uint256 appraisal) internal {
-        uint256 previousAppraisal = mission.miningPower;
-        int256 appraisalChange = appraisal.toInt256() - previousAppraisal.toInt256();
-
-        mission.miningPower = appraisal;
-
-        if (mission.staked) {
-            user.miningPower = (user.miningPower + appraisal) - previousAppraisal;
-            user.rewardDebt += (appraisalChange * accRewardPerMP.toInt256()) / PRECISION.toInt256();
-            totalMiningPower = (totalMiningPower.toInt256() + appraisalChange).toUint256();
-        }
-    }
-
-    function _getTokenAppraisal(address _token, uint256[] memory _tokenIds) internal view returns (uint256 miningPower) {
-        miningPower = _tokenIds.length > 0
-            ? appraiser.totalAppraisalOf(_token, _tokenIds)
-            : 0;
-    }
-
-    function _isMissionComplete(
-        uint256[] memory landers,
-        uint256[] memory landingSites,
-        uint256[] memory payloads
-    ) internal view returns (bool complete) {
-        // if a completeness checker is set, defer to it. Otherwise simply
-        // verify that at least one of each token type is provided.
-        if (address(completeMissionChecker) != address(0)) {
-            return completeMissionChecker.checkMission(
-                landerToken,
-                landers,
-                landingSiteToken,
-                landingSites,
-                payloadToken,
-                payloads
-            );
-        } else {
-            return landers.length > 0 && landingSites.length > 0 && payloads.length > 0;
-        }
+    /**
+     * @notice Recall the indicated mission without settling rewards from the
+     * faucet, for use if the faucet is unable to release. Rewards mined by the
+     * faucet since the last `update()` are forfeited by the mission; already
+     * settled rewards remain retrievable. As for `recallMission`, the mission
+     * tokens are held for any `unbondingPeriod`, unless in emergency mode.
+     *
+     * Emits `MissionEmergencyRecalled` instead of `MissionRecalled`.
+     */
+    function emergencyRecall(uint256 missionId, address to) external {
+        _recallMissions(_asArray(missionId), to, true);
     }
 
     /**
-     * @notice Launch a new mining mission! The provided tokenIds will be transferred
-     * from the user's wallet into this contract. The mission will be credited
-     * to user `to` (typically the message sender) who will have the ability
-     * to harvest rewards and recall the mission.
-     *
-     * After this call the mining power of the launched misssion will be added
-     * to `to`'s record and immediately applied to future mining rewards.
+     * @notice Recall several missions at once, as `recallMission`. All mission
+     * tokens will be transferred to `to`. Either every mission is recalled or
+     * (if any cannot be) none are.
      *
-     * Examine the return value and/or emitted MissionLaunched event to find the
-     * new mission's missionId.
+     * A `MissionRecalled` event is emitted for each mission.
      */
-    function launchMission(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads, address to) external whenNotPaused returns (uint256 missionId) {
+    function recallMissions(uint256[] calldata missionIds, address to) external {
         update();
-
-        (bool valid, uint256 miningPower) = evaluateMissionCandidate(landers, landingSites, payloads);
-        require(valid, "IMSMM: invalid mission");
-
-        // Make a mission
-        missionId = missionInfo.length;
-        missionInfo.push(MissionInfo({
-            // mission details
-            user: to,
-            miningPower: 0,
-            userMissionsIndex: userMissions[to].length,
-            stakedMissionsIndex: stakedMissions.length,
-            landers: landers,
-            landingSites: landingSites,
-            payloads: payloads,
-            // staking status
-            staked: true,
-            stakedBlock: block.number,
-            stakedTime: block.timestamp,
-            unstakedBlock: 0,
-            unstakedTime: 0
-        }));
-        stakedMissions.push(missionId);
-        userMissions[to].push(missionId);
-
-        MissionInfo storage mission = missionInfo[missionId];
-        UserInfo storage user = userInfo[to];
-
-        // Update mining power totals
-        _applyAppraisal(mission, user, miningPower);
-
-        // Transfer mission tokens
-        _transferMissionNFTs(mission, _msgSender(), address(this));
-
-        // Emit event
-        emit MissionLaunched(_msgSender(), missionId, to, miningPower);
+        _recallMissions(missionIds, to, false);
     }
 
     /**
-     * Recall the indicated mission, unstaking it for mining. The mission tokens
-     * will be transferred to `to`, usually the message sender. After this call
-     * the mission will no longer accumulate mining rewards, but already-mined
-     * rewards remain retrievable.
+     * Recall the indicated missions of the message sender, transferring their
+     * tokens to `to` and emitting `MissionRecalled` (or `MissionEmergencyRecalled`
+     * if `emergency`) for each. The sender's Mining Power is updated once all are
+     * unstaked, and any early recall penalties then shared among the Mining Power
+     * remaining. Callers are responsible for calling `update()` beforehand, if
+     * appropriate.
      */
-    function recallMission(uint256 missionId, address to) external {
-        MissionInfo storage mission = missionInfo[missionId];
-        UserInfo storage user = userInfo[mission.user];
+    function _recallMissions(uint256[] memory missionIds, address to, bool emergency) internal {
+        UserInfo storage user = userInfo[_msgSender()];
+        uint256 miningPower;
+        uint256 forfeited;
+
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            uint256 missionId = missionIds[i];
+            MissionInfo storage mission = missionInfo[missionId];
+
+            require(mission.staked, "IMSMM: mission not staked");
+            require(_msgSender() == mission.user, "IMSMM: not mission controller");
+
+            // forfeit a share of the rewards withheld for an early recalled
+            // locked mission
+            if (_isMissionLocked(mission)) {
+                require(earlyRecallAllowed, "IMSMM: mission locked");
+                _checkpointMissionRewards(mission, missionId);
+                uint256 penalty = _takeMissionRewards(missionId, mission.user, earlyRecallPenaltyPrec);
+                user.rewardDebt += penalty.toInt256();
+                forfeited += penalty;
+                emit MissionRecallPenalty(missionId, mission.user, penalty);
+            }
 
-        require(mission.staked, "IMSMM: mission not staked");
-        require(_msgSender() == mission.user, "IMSMM: not mission controller");
+            miningPower += mission.miningPower;
+            _unstakeMission(mission, missionId);
 
-        update();
+            // transfer mission tokens, or hold them until the unbonding period ends
+            // (waived in emergency mode)
+            if (_unbondingPeriod == 0 || emergencyMode) {
+                _transferMissionNFTs(mission, address(this), to);
+            } else {
+                uint256 returnTime = block.timestamp + _unbondingPeriod;
+                uint256[] storage returningMissions = _userReturningMissions[mission.user];
+                _missionReturns[missionId] = MissionReturn(to, returnTime, returningMissions.length);
+                returningMissions.push(missionId);
+                emit MissionUnbonding(mission.user, missionId, to, returnTime);
+            }
 
-        // unstake mission; update mining power
-        uint256 missionPower = mission.miningPower;
-        user.rewardDebt = user.rewardDebt - ((missionPower * accRewardPerMP) / PRECISION).toInt256();
-        user.miningPower -= missionPower;
-        totalMiningPower -= missionPower;
-        mission.staked = false;
-        mission.unstakedBlock = block.number;
-        mission.unstakedTime = block.timestamp;
-
-        // cleanup user mission list and mission record
-        {
-            uint256 replacementMissionId = userMissions[mission.user][userMissions[mission.user].length - 1];
-            MissionInfo storage replacementMission = missionInfo[replacementMissionId];
-            userMissions[mission.user][mission.userMissionsIndex] = replacementMissionId;
-            userMissions[mission.user].pop();
-            replacementMission.userMissionsIndex = mission.userMissionsIndex;
+            if (emergency) {
+                emit MissionEmergencyRecalled(_msgSender(), missionId, to, mission.miningPower);
+            } else {
+                emit MissionRecalled(_msgSender(), missionId, to, mission.miningPower);
+            }
         }
 
-        // cleanup staked mission list
-        {
-            uint256 replacementMissionId = stakedMissions[stakedMissions.length - 1];
-            MissionInfo storage replacementMission = missionInfo[replacementMissionId];
-            stakedMissions[mission.stakedMissionsIndex] = replacementMissionId;
-            stakedMissions.pop();
-            replacementMission.stakedMissionsIndex = mission.stakedMissionsIndex;
-        }
+        _setUserMiningPower(_msgSender(), user.miningPower - miningPower);
 
-        // transsfer mission tokens
-        _transferMissionNFTs(mission, address(this), to);
+        // return forfeited rewards to the pool (or to excess, if no miners remain)
+        if (forfeited > 0) {
+            if (totalMiningPower > 0) {
+                accRewardPerMP += (forfeited * PRECISION) / totalMiningPower;
+            } else {
+                _totalMined -= forfeited;
+            }
+        }
+    }
 
-        emit MissionRecalled(_msgSender(), missionId, to, missionPower);
+    /// Returns a single-element array holding `value`.
+    function _asArray(uint256 value) internal pure returns (uint256[] memory array) {
+        array = new uint256[](1);
+        array[0] = value;
     }
 
+    // *******************************
+    // Extension
+
     /**
-     * @dev Wrapper around ERC20 `transfer` that throw on failure (when the token
-     * contract returns false). Tokens that return no value (and instead revert or
-     * throw on failure) are also supported, non-reverting calls are assumed to be
-     * successful.
-     *
-     * Modified from OpenZeppelin (Copyright (c) 2016-2022 zOS Global Limited and contributors
-     * under MIT license)'s Address and SafeERC20 implementations; optimized for
-     * size as only one such operation is needed.
+     * @dev Delegates calls to any function not implemented here to `extension`,
+     * returning its result.
      */
-    function _safeTransfer(address to, uint256 amount) internal {
-        // encode transfer function
-        bytes memory data = abi.encodeWithSelector(IERC20Token(token).transfer.selector, to, amount);
-
-        // low-level invocation
-        (bool success, bytes memory returndata) = token.call{value: 0}(data);
-
-        // if unsuccessful, unpack error message
-        if (!success) {
-            if (returndata.length > 0) {
-                /// @solidity memory-safe-assembly
-                assembly {
-                    let returndata_size := mload(returndata)
-                    revert(add(32, returndata), returndata_size)
-                }
-            } else {
-                revert("SafeERC20: low-level call failed");
-            }
-        }
+    fallback() external {
+        _delegate(extension);
+    }
 
-        if (returndata.length > 0) {
-            // Return data is optional
-            require(abi.decode(returndata, (bool)), "SafeERC20: ERC20 operation did not succeed");
-        }
+    function _rewardToken() internal view override returns (address) {
+        return token;
     }
 }
@@ -0,0 +1,498 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "./base/BaseIMSpaceMissionMining.sol";
+import "./IMissionMining.sol";
+
+/**
+ * @title IMSpaceMissionMiningExtension
+ * @dev Maintenance functions of IMSpaceMissionMining (mission amendment,
+ * transfer, reappraisal and migration, and completion of recalls), which
+ * delegates to this contract any call it does not implement itself. Operates
+ * on the storage of the delegating IMSpaceMissionMining (see
+ * BaseIMSpaceMissionMining); this contract's own state is never used. Calls to any function not implemented here are delegated
+ * in turn to `management`.
+ */
+contract IMSpaceMissionMiningExtension is BaseIMSpaceMissionMining {
+    using SafeCast for uint256;
+
+    /// @dev Tokens added to and removed from each component slot of a mission
+    /// (with amounts, for ERC1155 slots)
+    struct ComponentChanges {
+        uint256[][] add;
+        uint256[][] addAmounts;
+        uint256[][] remove;
+        uint256[][] removeAmounts;
+    }
+
+    /// @notice Address of the IMSpaceMissionMiningManagement implementing manager controls
+    address public immutable management;
+
+    /// @param _management The IMSpaceMissionMiningManagement address
+    constructor(address _management) {
+        require(_management.code.length > 0, "IMSMM: _management not a contract");
+        management = _management;
+    }
+
+    // *******************************
+    // Missions
+
+    /**
+     * @notice Complete the recall of the indicated mission once its unbonding
+     * period has passed (or at once, in emergency mode), transferring its tokens
+     * to the address given when it was recalled. Callable by anyone.
+     */
+    function completeRecall(uint256 missionId) external {
+        MissionReturn storage missionReturn = _missionReturns[missionId];
+        require(missionReturn.returnTime != 0, "IMSMM: mission not returning");
+        require(block.timestamp >= missionReturn.returnTime || emergencyMode, "IMSMM: mission unbonding");
+
+        MissionInfo storage mission = missionInfo[missionId];
+        address to = missionReturn.to;
+
+        // cleanup user's returning mission list
+        uint256[] storage returningMissions = _userReturningMissions[mission.user];
+        uint256 replacementMissionId = returningMissions[returningMissions.length - 1];
+        returningMissions[missionReturn.userReturningMissionsIndex] = replacementMissionId;
+        _missionReturns[replacementMissionId].userReturningMissionsIndex = missionReturn.userReturningMissionsIndex;
+        returningMissions.pop();
+        delete _missionReturns[missionId];
+
+        _transferMissionNFTs(mission, address(this), to);
+        emit MissionReturned(mission.user, missionId, to);
+    }
+
+    /**
+     * @notice Transfer control of the indicated (staked) mission to `newUser`, who
+     * will have the ability to harvest its future rewards and recall it. Rewards
+     * mined by the mission up to this point remain with the current controller,
+     * unless it is locked: rewards withheld until its unlock time move with it.
+     * The mission keeps its missionId, tokens, staking time and unlock time.
+     *
+     * Only the mission controller may transfer a mission. If receipts are issued,
+     * the mission receipt is moved to `newUser` as well, who must then implement
+     * `IERC721Receiver` if a contract.
+     */
+    function transferMission(uint256 missionId, address newUser) external {
+        MissionInfo storage mission = missionInfo[missionId];
+
+        require(mission.staked, "IMSMM: mission not staked");
+        require(_msgSender() == mission.user, "IMSMM: not mission controller");
+
+        update();
+        _transferMission(mission, missionId, newUser);
+
+        if (address(missionReceipt) != address(0)) {
+            missionReceipt.move(_msgSender(), newUser, missionId);
+        }
+    }
+
+    /**
+     * @notice Notification of a holder-initiated transfer of a mission receipt,
+     * transferring control of the mission to the new holder (as `transferMission`).
+     * Receipts remain transferable should the faucet fail: rewards are settled
+     * if possible, otherwise those it has yet to release are shared by mining
+     * power as of their eventual release (as for `emergencyRecall`).
+     *
+     * Only callable by the `missionReceipt` contract.
+     */
+    function onMissionReceiptTransfer(address from, address to, uint256 missionId) external {
+        require(_msgSender() == address(missionReceipt), "IMSMM: !auth");
+        MissionInfo storage mission = missionInfo[missionId];
+
+        require(mission.user == from, "IMSMM: not mission controller");
+        try this.update() {} catch {}
+        _transferMission(mission, missionId, to);
+    }
+
+    /**
+     * Transfer control of the indicated mission to `newUser`, emitting
+     * `MissionTransferred`. Callers are responsible for calling `update()`
+     * beforehand, if appropriate.
+     */
+    function _transferMission(MissionInfo storage mission, uint256 missionId, address newUser) internal {
+        require(newUser != address(0), "IMSMM: transfer to the zero address");
+
+        // move mining power between users, settling rewards mined so far; those
+        // attributed to the mission remain with its current controller, unless
+        // withheld while it is locked
+        uint256 missionPower = mission.miningPower;
+        uint256 withheld;
+        _checkpointMissionRewards(mission, missionId);
+        if (_isMissionLocked(mission)) {
+            withheld = _takeMissionRewards(missionId, mission.user, PRECISION);
+            userInfo[mission.user].rewardDebt += withheld.toInt256();
+        }
+        _setUserMiningPower(mission.user, userInfo[mission.user].miningPower - missionPower);
+        _setUserMiningPower(newUser, userInfo[newUser].miningPower + missionPower);
+        _moveMissionRewards(missionId, mission.user, newUser);
+        if (withheld > 0) {
+            UserMissionRewards storage rewards = _userMissionRewards[newUser];
+            userInfo[newUser].rewardDebt -= withheld.toInt256();
+            rewards.releasable += withheld;
+            _missionRewards[missionId].shares = (withheld * PRECISION) / _shareScale(rewards.scale);
+        }
+
+        // move mission between user mission lists
+        address previousUser = mission.user;
+        _removeUserMission(mission);
+        mission.user = newUser;
+        mission.userMissionsIndex = userMissions[newUser].length;
+        userMissions[newUser].push(missionId);
+
+        emit MissionTransferred(previousUser, missionId, newUser, missionPower);
+    }
+
+    /**
+     * @notice Amend the indicated (staked) mission, adding and/or removing Landing
+     * Sites and Payloads without recalling it. The mission keeps its missionId
+     * and staking time; its mining power is reappraised for the new composition,
+     * which must itself be a valid mission (see `evaluateMissionCandidate`).
+     *
+     * Added tokens are transferred from the message sender; removed tokens are
+     * transferred to `to`, usually the message sender. Only the mission controller
+     * may amend a mission, and only while mining is not paused. Tokens cannot be
+     * removed from a locked mission before its unlock time.
+     *
+     * Examine the return value or the emitted `MissionAmended` event to determine
+     * the newly appraised mission mining power.
+     */
+    function amendMission(
+        uint256 missionId,
+        uint256[] memory addLandingSites,
+        uint256[] memory addPayloads,
+        uint256[] memory removeLandingSites,
+        uint256[] memory removePayloads,
+        address to
+    ) external whenNotPaused returns (uint256 appraisal) {
+        uint256[] memory none = new uint256[](0);
+        appraisal = _amendMission(missionId, ComponentChanges({
+            add: _defaultComponents(none, addLandingSites, addPayloads),
+            addAmounts: _emptyAmounts(),
+            remove: _defaultComponents(none, removeLandingSites, removePayloads),
+            removeAmounts: _emptyAmounts()
+        }), to);
+    }
+
+    /**
+     * @notice Amend the indicated (staked) mission, as `amendMission`, adding
+     * tokens `add[i]` to and removing tokens `remove[i]` from each component
+     * slot `i` (see `launchMissionComponents`). Every slot must be provided.
+     * For ERC1155 slots, `addAmounts[i]` and `removeAmounts[i]` give the amount
+     * of each tokenId added or removed; for other slots they must be empty.
+     */
+    function amendMissionComponents(
+        uint256 missionId,
+        uint256[][] memory add,
+        uint256[][] memory addAmounts,
+        uint256[][] memory remove,
+        uint256[][] memory removeAmounts,
+        address to
+    ) external whenNotPaused returns (uint256 appraisal) {
+        appraisal = _amendMission(missionId, ComponentChanges(add, addAmounts, remove, removeAmounts), to);
+    }
+
+    function _amendMission(uint256 missionId, ComponentChanges memory changes, address to) internal returns (uint256 appraisal) {
+        MissionInfo storage mission = missionInfo[missionId];
+        (uint256[][] memory components, uint256[][] memory amounts) = _missionComponents(mission);
+
+        require(mission.staked, "IMSMM: mission not staked");
+        require(_msgSender() == mission.user, "IMSMM: not mission controller");
+        require(
+            changes.add.length == components.length && changes.addAmounts.length == components.length &&
+            changes.remove.length == components.length && changes.removeAmounts.length == components.length,
+            "IMSMM: invalid mission"
+        );
+        for (uint256 i = 0; i < components.length; i++) {
+            require(block.timestamp >= mission.unlockTime || changes.remove[i].length == 0, "IMSMM: mission locked");
+        }
+
+        update();
+
+        uint256 previousAppraisal = mission.miningPower;
+        for (uint256 i = 0; i < components.length; i++) {
+            if (componentSlots[i].erc1155) {
+                (components[i], amounts[i]) = _amendTokenAmounts(
+                    components[i],
+                    amounts[i],
+                    changes.add[i],
+                    changes.addAmounts[i],
+                    changes.remove[i],
+                    changes.removeAmounts[i]
+                );
+            } else {
+                require(changes.addAmounts[i].length == 0 && changes.removeAmounts[i].length == 0, "IMSMM: invalid mission");
+                components[i] = _amendTokenIds(components[i], changes.add[i], changes.remove[i]);
+            }
+
+            if (i < mission.components.length) {
+                mission.components[i] = components[i];
+                mission.amounts[i] = amounts[i];
+            } else {
+                mission.components.push(components[i]);
+                mission.amounts.push(amounts[i]);
+            }
+        }
+
+        bool valid;
+        (valid, appraisal) = _evaluateMission(components, amounts);
+        require(valid, "IMSMM: invalid mission");
+        appraisal = _applyMissionMultipliers(mission, appraisal, mission.boostTier);
+        _applyAppraisal(mission, missionId, appraisal);
+
+        // transfer only the changed tokens
+        for (uint256 i = 0; i < components.length; i++) {
+            _transferComponents(i, changes.remove[i], changes.removeAmounts[i], address(this), to);
+        }
+        for (uint256 i = 0; i < components.length; i++) {
+            _transferComponents(i, changes.add[i], changes.addAmounts[i], _msgSender(), address(this));
+            _holdComponents(i, changes.add[i], missionId);
+        }
+
+        emit MissionAmended(_msgSender(), missionId, to, previousAppraisal, appraisal);
+    }
+
+    /**
+     * Returns the tokenIds `tokenIds` with `remove` removed and `add` appended.
+     * Reverts if any of `remove` is not present. Modifies `tokenIds`.
+     */
+    function _amendTokenIds(uint256[] memory tokenIds, uint256[] memory add, uint256[] memory remove) internal pure returns (uint256[] memory amended) {
+        require(remove.length <= tokenIds.length, "IMSMM: token not in mission");
+
+        amended = new uint256[](tokenIds.length + add.length - remove.length);
+        uint256 length = tokenIds.length;
+        for (uint256 i = 0; i < remove.length; i++) {
+            uint256 j = 0;
+            while (j < length && tokenIds[j] != remove[i]) {
+                j++;
+            }
+            require(j < length, "IMSMM: token not in mission");
+            tokenIds[j] = tokenIds[--length];
+        }
+
+        for (uint256 i = 0; i < length; i++) {
+            amended[i] = tokenIds[i];
+        }
+        for (uint256 i = 0; i < add.length; i++) {
+            amended[length + i] = add[i];
+        }
+    }
+
+    /**
+     * Returns the ERC1155 tokenIds `tokenIds`, staked in amounts `amounts`, with
+     * `removeAmounts` of `remove` removed and `addAmounts` of `add` added. Reverts
+     * if any of `remove` is not present in at least the amount removed. Modifies
+     * `tokenIds` and `amounts`.
+     */
+    function _amendTokenAmounts(
+        uint256[] memory tokenIds,
+        uint256[] memory amounts,
+        uint256[] memory add,
+        uint256[] memory addAmounts,
+        uint256[] memory remove,
+        uint256[] memory removeAmounts
+    ) internal pure returns (uint256[] memory amendedIds, uint256[] memory amendedAmounts) {
+        require(add.length == addAmounts.length && remove.length == removeAmounts.length, "IMSMM: array lengths differ");
+
+        uint256 length = tokenIds.length;
+        for (uint256 i = 0; i < remove.length; i++) {
+            uint256 j = _indexOf(tokenIds, length, remove[i]);
+            require(j < length && amounts[j] >= removeAmounts[i], "IMSMM: token not in mission");
+            amounts[j] -= removeAmounts[i];
+            if (amounts[j] == 0) {
+                length--;
+                tokenIds[j] = tokenIds[length];
+                amounts[j] = amounts[length];
+            }
+        }
+
+        amendedIds = new uint256[](length + add.length);
+        amendedAmounts = new uint256[](length + add.length);
+        for (uint256 i = 0; i < length; i++) {
+            amendedIds[i] = tokenIds[i];
+            amendedAmounts[i] = amounts[i];
+        }
+        for (uint256 i = 0; i < add.length; i++) {
+            uint256 j = _indexOf(amendedIds, length, add[i]);
+            if (j == length) {
+                amendedIds[length++] = add[i];
+            }
+            amendedAmounts[j] += addAmounts[i];
+        }
+
+        // truncate to the distinct tokenIds found
+        /// @solidity memory-safe-assembly
+        assembly {
+            mstore(amendedIds, length)
+            mstore(amendedAmounts, length)
+        }
+    }
+
+    /**
+     * Returns the index of `tokenId` in `tokenIds[:length]`, or `length` if not present.
+     */
+    function _indexOf(uint256[] memory tokenIds, uint256 length, uint256 tokenId) internal pure returns (uint256 index) {
+        while (index < length && tokenIds[index] != tokenId) {
+            index++;
+        }
+    }
+
+    /**
+     * @notice Updates the appraised mining power of the indicated (staked) mission,
+     * including its stake boost tier. Has no effect if component appraisals,
+     * complete mission multiplier and stake boost are unchanged.
+     *
+     * Examine the return value or the emitted `MissionAppraised` event to determine
+     * the newly appraised mission mining power.
+     */
+    function reappraiseMission(uint256 missionId) external returns (uint256 appraisal) {
+        update();
+        appraisal = _reappraiseMission(missionId);
+    }
+
+    /**
+     * @notice Reappraise several (staked) missions at once, as `reappraiseMission`.
+     * Callable by anyone; use `staleMissions` to find those in need of it.
+     *
+     * A `MissionAppraised` event is emitted for each mission.
+     */
+    function reappraiseMissions(uint256[] calldata missionIds) external returns (uint256[] memory appraisals) {
+        update();
+
+        appraisals = new uint256[](missionIds.length);
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            appraisals[i] = _reappraiseMission(missionIds[i]);
+        }
+    }
+
+    /**
+     * @notice Reappraise every mission currently staked by `user`, as
+     * `reappraiseMission`, and recompute their effective Mining Power on the
+     * current `miningPowerCurve`. Callable by anyone.
+     *
+     * A `MissionAppraised` event is emitted for each mission. Returns the user's
+     * total mining power after reappraisal.
+     */
+    function reappraiseUser(address user) external returns (uint256 miningPower) {
+        update();
+
+        uint256[] storage missions = userMissions[user];
+        for (uint256 i = 0; i < missions.length; i++) {
+            _reappraiseMission(missions[i]);
+        }
+        miningPower = userInfo[user].miningPower;
+        _setUserMiningPower(user, miningPower);
+    }
+
+    /**
+     * @notice Applies the highest stake boost tier reached by the indicated (staked)
+     * mission, reappraising its mining power. Reverts if no tier beyond the
+     * mission's current tier has been reached (see `nextBoostTier`). Callable
+     * by anyone.
+     */
+    function promoteMission(uint256 missionId) external returns (uint256 appraisal) {
+        MissionInfo storage mission = missionInfo[missionId];
+
+        require(mission.staked, "IMSMM: mission not staked");
+        uint256 tier = _stakeBoostTier(block.timestamp - mission.stakedTime);
+        require(tier > mission.boostTier, "IMSMM: no new boost tier");
+
+        update();
+
+        uint256 previousAppraisal = mission.miningPower;
+        mission.boostTier = tier;
+        appraisal = _getStakedMissionAppraisal(mission, tier);
+        _applyAppraisal(mission, missionId, appraisal);
+        emit MissionPromoted(missionId, mission.user, tier, previousAppraisal, appraisal);
+    }
+
+    /**
+     * @notice Migrate the indicated (staked) mission to the `migrationTarget`,
+     * transferring its tokens there and unstaking it here. The target stakes
+     * the mission for the same user and returns its new missionId, recorded in
+     * `missionMigrations`. Rewards mined before migration remain releasable from
+     * this contract.
+     *
+     * Callable by the mission controller once a target is set, or by a manager
+     * after the notice period (see `setMigrationTarget`). Locked missions may be
+     * migrated; their unlock time is passed to the target.
+     */
+    function migrateMission(uint256 missionId) external returns (uint256 targetMissionId) {
+        update();
+        targetMissionId = _migrateMission(missionId);
+    }
+
+    /**
+     * @notice Migrate several missions at once, as `migrateMission`. Either every
+     * mission is migrated or (if any cannot be) none are.
+     *
+     * A `MissionMigrated` event is emitted for each mission.
+     */
+    function migrateMissions(uint256[] calldata missionIds) external returns (uint256[] memory targetMissionIds) {
+        update();
+
+        targetMissionIds = new uint256[](missionIds.length);
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            targetMissionIds[i] = _migrateMission(missionIds[i]);
+        }
+    }
+
+    /**
+     * Migrate the indicated mission to the `migrationTarget`, emitting
+     * `MissionMigrated`. Callers are responsible for calling `update()` beforehand.
+     */
+    function _migrateMission(uint256 missionId) internal returns (uint256 targetMissionId) {
+        MissionInfo storage mission = missionInfo[missionId];
+        IMissionMigrationReceiver target = migrationTarget;
+
+        require(address(target) != address(0), "IMSMM: migration disabled");
+        require(mission.staked, "IMSMM: mission not staked");
+        require(
+            _msgSender() == mission.user || (hasRole(MANAGER_ROLE, _msgSender()) && block.timestamp >= migrationTime),
+            "IMSMM: !auth"
+        );
+
+        uint256 missionPower = mission.miningPower;
+        _unstakeMission(mission, missionId);
+        _setUserMiningPower(mission.user, userInfo[mission.user].miningPower - missionPower);
+        _transferMissionNFTs(mission, address(this), address(target));
+
+        (uint256[][] memory components, uint256[][] memory amounts) = _missionComponents(mission);
+        targetMissionId = target.receiveMission(mission.user, missionId, _componentTokens(), components, amounts, mission.unlockTime);
+        missionMigrations[missionId] = MissionMigration(address(target), targetMissionId);
+
+        emit MissionMigrated(mission.user, missionId, address(target), targetMissionId, missionPower);
+    }
+
+    /**
+     * Reappraise the indicated (staked) mission, applying its stake boost tier
+     * and emitting `MissionAppraised`. Callers are responsible for calling
+     * `update()` beforehand.
+     */
+    function _reappraiseMission(uint256 missionId) internal returns (uint256 appraisal) {
+        MissionInfo storage mission = missionInfo[missionId];
+        require(mission.staked, "IMSMM: mission not staked");
+
+        uint256 previousAppraisal = mission.miningPower;
+        uint256 tier = _stakeBoostTier(block.timestamp - mission.stakedTime);
+        mission.boostTier = tier;
+        appraisal = _getStakedMissionAppraisal(mission, tier);
+        _applyAppraisal(mission, missionId, appraisal);
+        emit MissionAppraised(missionId, mission.user, previousAppraisal, appraisal);
+    }
+
+    // *******************************
+    // Management
+
+    /**
+     * @dev Delegates calls to any function not implemented here to `management`,
+     * returning its result.
+     */
+    fallback() external {
+        _delegate(management);
+    }
+
+    function _rewardToken() internal view override returns (address) {
+        return IMissionMining(address(this)).token();
+    }
+}
@@ -0,0 +1,925 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "./base/BaseIMSpaceMissionMining.sol";
+import "./IMissionMining.sol";
+
+/**
+ * @title IMSpaceMissionMiningManagement
+ * @dev Manager controls of IMSpaceMissionMining, with the reward stream and
+ * season claims of the streams and seasons they set up. Its
+ * IMSpaceMissionMiningExtension delegates to this contract any call it does
+ * not implement itself. Operates on the storage of the delegating
+ * IMSpaceMissionMining (see BaseIMSpaceMissionMining); this contract's own
+ * state is never used. Calls to any function not implemented here are
+ * delegated in turn to `views`.
+ */
+contract IMSpaceMissionMiningManagement is BaseIMSpaceMissionMining {
+    using SafeCast for uint256;
+
+    /// @notice Address of the IMSpaceMissionMiningViews implementing read-only views
+    address public immutable views;
+
+    /// @param _views The IMSpaceMissionMiningViews address
+    constructor(address _views) {
+        require(_views.code.length > 0, "IMSMM: _views not a contract");
+        views = _views;
+    }
+
+    // *******************************
+    // Reward Streams
+
+    /**
+     * @notice Release reward stream tokens mined by the indicated user, sending
+     * them `to` the specified address.
+     *
+     * Condition: the caller must be `from`, or a release operator approved by
+     * `from` for destination `to` (as for `release`).
+     */
+    function releaseStream(uint256 streamId, address from, address to) external returns (uint256 amount) {
+        require(_canRelease(from, to), "IMSMM: !auth");
+        update();
+
+        amount = _streamReleaseAmount(streamId, from, rewardStreams[streamId].accRewardPerMP);
+        _releaseStream(streamId, from, to, amount);
+    }
+
+    /**
+     * @notice Release the indicated quantity of reward stream tokens mined by the
+     * indicated user, sending them `to` the specified address.
+     *
+     * Condition: the caller must be `from`, or a release operator approved by
+     * `from` for destination `to` (as for `release`).
+     */
+    function releaseStream(uint256 streamId, address from, address to, uint256 amount) external {
+        require(_canRelease(from, to), "IMSMM: !auth");
+        update();
+
+        uint256 pendingReward = _streamReleaseAmount(streamId, from, rewardStreams[streamId].accRewardPerMP);
+        require(amount <= pendingReward, "IMSMM: amount > releasable");
+        _releaseStream(streamId, from, to, amount);
+    }
+
+    function _releaseStream(uint256 streamId, address from, address to, uint256 amount) internal {
+        RewardStream storage stream = rewardStreams[streamId];
+        StreamUserInfo storage user = streamUserInfo[streamId][from];
+
+        user.rewardDebt += amount.toInt256();
+        user.released += amount;
+        stream.totalReleased += amount;
+
+        if (amount > 0) {
+            _safeTransfer(stream.token, to, amount);
+        }
+
+        emit StreamReleased(streamId, from, to, amount);
+    }
+
+    // *******************************
+    // Seasons
+
+    /**
+     * @notice Claim the share of an ended season's bonus pool earned by the
+     * indicated user, in proportion to the power-seconds they accrued during
+     * it, sending it `to` the specified address. Each user may claim once per
+     * season, within its claim period (after which managers may reclaim the
+     * unclaimed pool; see `reclaimSeasonPool`).
+     *
+     * Condition: the caller must be `from`, or a release operator approved by
+     * `from` for destination `to` (as for `release`).
+     */
+    function claimSeasonReward(uint256 seasonId, address from, address to) external returns (uint256 amount) {
+        require(_canRelease(from, to), "IMSMM: !auth");
+        Season storage season = _seasons[seasonId];
+        require(block.timestamp >= season.endTime, "IMSMM: season not ended");
+        SeasonUserInfo storage user = _seasonUserInfo[seasonId][from];
+        require(!user.claimed, "IMSMM: season reward claimed");
+
+        amount = _seasonReward(seasonId, from);
+        user.claimed = true;
+        season.claimed += amount;
+        _seasonPoolsReserved -= amount;
+
+        if (amount > 0) {
+            _safeTransfer(_rewardToken(), to, amount);
+        }
+
+        emit SeasonRewardClaimed(seasonId, from, to, amount);
+    }
+
+    // *******************************
+    // Manager Controls
+
+    /**
+     * @notice Pauses mining.
+     *
+     * Effects: no additional reward tokens will be accumulated by this contract
+     * while paused, although any rewards accumulated up to this point will remain
+     * retrievable. While paused, new missions cannot be staked; however, any
+     * already staked mission may be recalled or reappraised.
+     *
+     * Intended use: when adjusting mining power (by changes to the INFTAppraiser
+     * or complete mission multiplier) pause mining, make the necessary changes
+     * and `reappraiseMissions` for all staked missions (see `staleMissions`),
+     * then unpause.
+     *
+     * Only callable by a manager.
+     */
+    function pause() external onlyManager {
+        update();
+        _pause();
+    }
+
+    /**
+     * @notice Unpauses mining.
+     *
+     * Effects: any mining reward accumulating during the paused state will become
+     * retrievable (as if mining had continued during pause), divided proportionally
+     * based on current mining power (not mining power at time of pause). New missions
+     * again become launchable.
+     *
+     * Only callable by a manager.
+     */
+    function unpause() external onlyManager {
+        _unpause();
+        update();
+    }
+
+    /**
+     * @notice Set the Lander token address. May only be called once, and only
+     * by a manager.
+     */
+    function setMissionLanderToken(address _token) external onlyManager {
+        _setComponentSlotToken(LANDER_SLOT, _token);
+    }
+
+    /**
+     * @notice Set the Landing Site token address. May only be called once, and only
+     * by a manager.
+     */
+    function setMissionLandingSiteToken(address _token) external onlyManager {
+        _setComponentSlotToken(LANDING_SITE_SLOT, _token);
+    }
+
+    /**
+     * @notice Set the Payload token address. May only be called once, and only
+     * by a manager.
+     */
+    function setMissionPayloadToken(address _token) external onlyManager {
+        _setComponentSlotToken(PAYLOAD_SLOT, _token);
+    }
+
+    /**
+     * @notice Set the token address of the indicated component slot. May only be
+     * called once per slot, and only by a manager.
+     */
+    function setComponentSlotToken(uint256 slot, address _token) external onlyManager {
+        _setComponentSlotToken(slot, _token);
+    }
+
+    /**
+     * @notice Adds a component slot to the mission schema, holding between
+     * `minCount` and `maxCount` tokens of NFT `_token` (which may be left unset,
+     * and set later with `setComponentSlotToken`). If `erc1155`, `_token` is an
+     * ERC1155 contract whose tokens are staked with amounts, each unit counting
+     * as one token; otherwise it is an ERC721 contract. Only callable by a manager.
+     *
+     * Missions launched before the slot was added hold no tokens in it. If
+     * `minCount` is nonzero, such missions can only be amended by adding the
+     * missing tokens; by default, a mission with any empty slot is not complete.
+     */
+    function addComponentSlot(address _token, bool erc1155, uint256 minCount, uint256 maxCount) external onlyManager returns (uint256 slot) {
+        require(componentSlots.length < MAX_COMPONENT_SLOTS, "IMSMM: too many component slots");
+        require(minCount <= maxCount, "IMSMM: min > max");
+
+        slot = componentSlots.length;
+        componentSlots.push(ComponentSlot(_token, erc1155, minCount, maxCount));
+        emit ComponentSlotUpdated(slot, _token, erc1155, minCount, maxCount);
+    }
+
+    /**
+     * @notice Updates the minimum and maximum number of tokens a valid mission
+     * holds in the indicated component slot. Staked missions are unaffected,
+     * but must satisfy the new counts to be amended. Only callable by a manager.
+     */
+    function setComponentSlotCounts(uint256 slot, uint256 minCount, uint256 maxCount) external onlyManager {
+        require(minCount <= maxCount, "IMSMM: min > max");
+        ComponentSlot storage componentSlot = componentSlots[slot];
+        componentSlot.minCount = minCount;
+        componentSlot.maxCount = maxCount;
+        emit ComponentSlotUpdated(slot, componentSlot.token, componentSlot.erc1155, minCount, maxCount);
+    }
+
+    /**
+     * @notice Set the mission receipt token address. May only be called once,
+     * before any missions are launched, and only by a manager.
+     */
+    function setMissionReceipt(IMissionReceipt _receipt) external onlyManager onlyUnset(address(missionReceipt)) {
+        require(missionInfo.length == 0, "IMSMM: missions already launched");
+        missionReceipt = _receipt;
+    }
+
+    /**
+     * @notice Sets the delay between proposing a change of a timelocked parameter
+     * and executing it; if zero, changes take effect immediately. Timelocked are
+     * the parameters deciding missions' mining power (the `appraiser`,
+     * `completeMissionChecker`, mission complete multiplier, `missionScorer`,
+     * maximum mission score, `miningPowerCurve`, stake boosts and lock
+     * multipliers) and the `trustedForwarder`. The `faucet` is not: it only
+     * supplies rewards, with no access to staked tokens or rewards already mined,
+     * and must be replaceable at once should it fail. Does not affect changes
+     * already pending. Only callable by an admin.
+     */
+    function setParameterChangeDelay(uint256 delay) external {
+        require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "IMSMM: !auth");
+        require(delay <= MAX_PARAMETER_CHANGE_DELAY, "IMSMM: delay too long");
+        uint256 previousDelay = _parameterChangeDelay;
+        _parameterChangeDelay = delay;
+        emit ParameterChangeDelayUpdated(previousDelay, delay);
+    }
+
+    /**
+     * @notice Proposes a new INFTAppraiser address, used to assess the value of
+     * staked mission components, replacing any pending proposal. Takes effect
+     * when executed with `executeAppraiserChange` once `parameterChangeDelay`
+     * has passed, or immediately if there is no delay. Only callable by a manager.
+     * Does not automatically update the mining power of currently-staked missions.
+     */
+    function setAppraiser(INFTAppraiser _appraiser) external onlyManager {
+        if (_parameterChangeDelay == 0) {
+            _setAppraiser(address(_appraiser));
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingAppraiser = PendingAddressChange(address(_appraiser), executableTime);
+            emit MissionAppraiserChangeProposed(address(_appraiser), executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending `appraiser` change, once its delay has passed.
+     * Only callable by a manager.
+     */
+    function executeAppraiserChange() external onlyManager {
+        _requireExecutable(_pendingAppraiser.executableTime);
+        _setAppraiser(_pendingAppraiser.value);
+    }
+
+    /**
+     * @notice Cancels the pending `appraiser` change. Only callable by a manager.
+     */
+    function cancelAppraiserChange() external onlyManager {
+        require(_pendingAppraiser.executableTime != 0, "IMSMM: no pending change");
+        emit MissionAppraiserChangeCancelled(_pendingAppraiser.value);
+        delete _pendingAppraiser;
+    }
+
+    /**
+     * @notice Proposes a new IMissionChecker address used to check for mission
+     * completeness, replacing any pending proposal. Complete missions receive a
+     * mining bonus, applied as a multiplier against their appraisal. Takes effect
+     * when executed with `executeMissionCompleteCheckerChange` once
+     * `parameterChangeDelay` has passed, or immediately if there is no delay.
+     * Only callable by a manager.
+     */
+    function setMissionCompleteChecker(IMissionChecker _checker) external onlyManager {
+        if (_parameterChangeDelay == 0) {
+            _setMissionCompleteChecker(address(_checker));
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingMissionCompleteChecker = PendingAddressChange(address(_checker), executableTime);
+            emit MissionCompleteCheckerChangeProposed(address(_checker), executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending `completeMissionChecker` change, once its
+     * delay has passed. Only callable by a manager.
+     */
+    function executeMissionCompleteCheckerChange() external onlyManager {
+        _requireExecutable(_pendingMissionCompleteChecker.executableTime);
+        _setMissionCompleteChecker(_pendingMissionCompleteChecker.value);
+    }
+
+    /**
+     * @notice Cancels the pending `completeMissionChecker` change. Only callable
+     * by a manager.
+     */
+    function cancelMissionCompleteCheckerChange() external onlyManager {
+        require(_pendingMissionCompleteChecker.executableTime != 0, "IMSMM: no pending change");
+        emit MissionCompleteCheckerChangeCancelled(_pendingMissionCompleteChecker.value);
+        delete _pendingMissionCompleteChecker;
+    }
+
+    /**
+     * @notice Proposes a new mining power multiplier applied to "complete"
+     * missions, those which have at least one of each component type, replacing
+     * any pending proposal. Takes effect when executed with
+     * `executeMissionCompleteMultiplierUpdate` once `parameterChangeDelay` has
+     * passed, or immediately if there is no delay. Only callable by a manager.
+     * Does not automatically update the mining power of currently-staked missions.
+     */
+    function setMissionCompleteMultiplier(uint256 numerator, uint256 denominator) external onlyManager {
+        require(numerator >= denominator, "IMSMM: ratio not >= 1");
+        if (_parameterChangeDelay == 0) {
+            _setMissionCompleteMultiplier(numerator, denominator);
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingMissionCompleteMultiplier = PendingRatioChange(numerator, denominator, executableTime);
+            emit MissionCompleteMultiplierUpdateProposed(numerator, denominator, executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending mission complete multiplier update, once its
+     * delay has passed. Only callable by a manager.
+     */
+    function executeMissionCompleteMultiplierUpdate() external onlyManager {
+        PendingRatioChange storage change = _pendingMissionCompleteMultiplier;
+        _requireExecutable(change.executableTime);
+        _setMissionCompleteMultiplier(change.numerator, change.denominator);
+    }
+
+    /**
+     * @notice Cancels the pending mission complete multiplier update. Only
+     * callable by a manager.
+     */
+    function cancelMissionCompleteMultiplierUpdate() external onlyManager {
+        PendingRatioChange storage change = _pendingMissionCompleteMultiplier;
+        require(change.executableTime != 0, "IMSMM: no pending change");
+        emit MissionCompleteMultiplierUpdateCancelled(change.numerator, change.denominator);
+        delete _pendingMissionCompleteMultiplier;
+    }
+
+    /**
+     * @notice Proposes a new IMissionScorer address, replacing any pending
+     * proposal. If set, each mission's mining power is multiplied by its score
+     * (at most the maximum set by `setMaxMissionScore`) in place of the mission
+     * complete multiplier; if unset, the completeness checker is used. Takes
+     * effect when executed with `executeMissionScorerChange` once
+     * `parameterChangeDelay` has passed, or immediately if there is no delay.
+     * Only callable by a manager. Does not automatically update the mining power
+     * of currently-staked missions.
+     */
+    function setMissionScorer(IMissionScorer _scorer) external onlyManager {
+        if (_parameterChangeDelay == 0) {
+            _setMissionScorer(address(_scorer));
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingMissionScorer = PendingAddressChange(address(_scorer), executableTime);
+            emit MissionScorerChangeProposed(address(_scorer), executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending `missionScorer` change, once its delay has
+     * passed. Only callable by a manager.
+     */
+    function executeMissionScorerChange() external onlyManager {
+        _requireExecutable(_pendingMissionScorer.executableTime);
+        _setMissionScorer(_pendingMissionScorer.value);
+    }
+
+    /**
+     * @notice Cancels the pending `missionScorer` change. Only callable by a
+     * manager.
+     */
+    function cancelMissionScorerChange() external onlyManager {
+        require(_pendingMissionScorer.executableTime != 0, "IMSMM: no pending change");
+        emit MissionScorerChangeCancelled(_pendingMissionScorer.value);
+        delete _pendingMissionScorer;
+    }
+
+    /**
+     * @notice Proposes a new maximum multiplier applied to mission scores, above
+     * which they are capped, replacing any pending proposal. Takes effect when
+     * executed with `executeMaxMissionScoreUpdate` once `parameterChangeDelay`
+     * has passed, or immediately if there is no delay. Only callable by a manager.
+     * Does not automatically update the mining power of currently-staked missions.
+     */
+    function setMaxMissionScore(uint256 numerator, uint256 denominator) external onlyManager {
+        require(numerator >= denominator, "IMSMM: ratio not >= 1");
+        if (_parameterChangeDelay == 0) {
+            _setMaxMissionScore(numerator, denominator);
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingMaxMissionScore = PendingRatioChange(numerator, denominator, executableTime);
+            emit MaxMissionScoreUpdateProposed(numerator, denominator, executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending maximum mission score update, once its delay
+     * has passed. Only callable by a manager.
+     */
+    function executeMaxMissionScoreUpdate() external onlyManager {
+        PendingRatioChange storage change = _pendingMaxMissionScore;
+        _requireExecutable(change.executableTime);
+        _setMaxMissionScore(change.numerator, change.denominator);
+    }
+
+    /**
+     * @notice Cancels the pending maximum mission score update. Only callable by
+     * a manager.
+     */
+    function cancelMaxMissionScoreUpdate() external onlyManager {
+        PendingRatioChange storage change = _pendingMaxMissionScore;
+        require(change.executableTime != 0, "IMSMM: no pending change");
+        emit MaxMissionScoreUpdateCancelled(change.numerator, change.denominator);
+        delete _pendingMaxMissionScore;
+    }
+
+    /**
+     * @notice Proposes a new IMiningPowerCurve address, mapping each user's Mining
+     * Power (the sum of their staked missions' mining power) to the effective
+     * Mining Power that accrues rewards, replacing any pending proposal. If unset,
+     * all Mining Power is effective. Takes effect when executed with
+     * `executeMiningPowerCurveChange` once `parameterChangeDelay` has passed, or
+     * immediately if there is no delay. Only callable by a manager. Does not
+     * automatically update the effective Mining Power of current users; see
+     * `reappraiseUser`.
+     */
+    function setMiningPowerCurve(IMiningPowerCurve _curve) external onlyManager {
+        if (_parameterChangeDelay == 0) {
+            _setMiningPowerCurve(address(_curve));
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingMiningPowerCurve = PendingAddressChange(address(_curve), executableTime);
+            emit MiningPowerCurveChangeProposed(address(_curve), executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending `miningPowerCurve` change, once its delay has
+     * passed. Only callable by a manager.
+     */
+    function executeMiningPowerCurveChange() external onlyManager {
+        _requireExecutable(_pendingMiningPowerCurve.executableTime);
+        _setMiningPowerCurve(_pendingMiningPowerCurve.value);
+    }
+
+    /**
+     * @notice Cancels the pending `miningPowerCurve` change. Only callable by a
+     * manager.
+     */
+    function cancelMiningPowerCurveChange() external onlyManager {
+        require(_pendingMiningPowerCurve.executableTime != 0, "IMSMM: no pending change");
+        emit MiningPowerCurveChangeCancelled(_pendingMiningPowerCurve.value);
+        delete _pendingMiningPowerCurve;
+    }
+
+    /**
+     * @notice Proposes a new stake duration boost schedule, replacing any pending
+     * proposal: missions staked at least `durations[i]` seconds have their mining
+     * power multiplied by `numerators[i] / denominator` (the highest tier reached
+     * applies). Durations must be nonzero and strictly ascending. Takes effect
+     * when executed with `executeStakeBoostsUpdate` once `parameterChangeDelay`
+     * has passed, or immediately if there is no delay. Only callable by a manager.
+     *
+     * Does not automatically update the mining power of currently-staked missions;
+     * boosts are applied as missions are promoted or reappraised.
+     */
+    function setStakeBoosts(uint256[] calldata durations, uint256[] calldata numerators, uint256 denominator) external onlyManager {
+        require(durations.length == numerators.length, "IMSMM: array lengths differ");
+        for (uint256 i = 0; i < durations.length; i++) {
+            require(durations[i] > (i == 0 ? 0 : durations[i - 1]), "IMSMM: durations not ascending");
+            require(numerators[i] >= denominator, "IMSMM: ratio not >= 1");
+        }
+
+        if (_parameterChangeDelay == 0) {
+            _setStakeBoosts(durations, numerators, denominator);
+        } else {
+            PendingStakeBoosts storage change = _pendingStakeBoosts;
+            change.durations = durations;
+            change.numerators = numerators;
+            change.denominator = denominator;
+            change.executableTime = block.timestamp + _parameterChangeDelay;
+            emit StakeBoostsUpdateProposed(durations, numerators, denominator, change.executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending stake boost schedule update, once its delay
+     * has passed. Only callable by a manager.
+     */
+    function executeStakeBoostsUpdate() external onlyManager {
+        PendingStakeBoosts storage change = _pendingStakeBoosts;
+        _requireExecutable(change.executableTime);
+        _setStakeBoosts(change.durations, change.numerators, change.denominator);
+    }
+
+    /**
+     * @notice Cancels the pending stake boost schedule update. Only callable by
+     * a manager.
+     */
+    function cancelStakeBoostsUpdate() external onlyManager {
+        PendingStakeBoosts storage change = _pendingStakeBoosts;
+        require(change.executableTime != 0, "IMSMM: no pending change");
+        emit StakeBoostsUpdateCancelled(change.durations, change.numerators, change.denominator);
+        delete _pendingStakeBoosts;
+    }
+
+    /**
+     * @notice Proposes to permit missions to be launched with the indicated lock
+     * period (in seconds), with mining power multiplied by `numerator / denominator`,
+     * replacing any pending proposal for that lock period. A zero `numerator`
+     * withdraws the lock period. Takes effect when executed with
+     * `executeLockMultiplierUpdate` once `parameterChangeDelay` has passed, or
+     * immediately if there is no delay. Only callable by a manager. Does not
+     * affect already-locked missions.
+     */
+    function setLockMultiplier(uint256 lockPeriod, uint256 numerator, uint256 denominator) external onlyManager {
+        require(lockPeriod > 0, "IMSMM: lock period zero");
+        require(numerator == 0 || numerator >= denominator, "IMSMM: ratio not >= 1");
+        if (_parameterChangeDelay == 0) {
+            _setLockMultiplier(lockPeriod, numerator, denominator);
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingLockMultipliers[lockPeriod] = PendingRatioChange(numerator, denominator, executableTime);
+            emit LockMultiplierUpdateProposed(lockPeriod, numerator, denominator, executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending update of the indicated lock period's
+     * multiplier, once its delay has passed. Only callable by a manager.
+     */
+    function executeLockMultiplierUpdate(uint256 lockPeriod) external onlyManager {
+        PendingRatioChange storage change = _pendingLockMultipliers[lockPeriod];
+        _requireExecutable(change.executableTime);
+        _setLockMultiplier(lockPeriod, change.numerator, change.denominator);
+    }
+
+    /**
+     * @notice Cancels the pending update of the indicated lock period's
+     * multiplier. Only callable by a manager.
+     */
+    function cancelLockMultiplierUpdate(uint256 lockPeriod) external onlyManager {
+        PendingRatioChange storage change = _pendingLockMultipliers[lockPeriod];
+        require(change.executableTime != 0, "IMSMM: no pending change");
+        emit LockMultiplierUpdateCancelled(lockPeriod, change.numerator, change.denominator);
+        delete _pendingLockMultipliers[lockPeriod];
+    }
+
+    /**
+     * @notice Sets whether locked missions may be recalled before their unlock
+     * time, and if so the share of the mission's withheld rewards (those it
+     * mined while locked) forfeited, and redistributed to all miners, by doing so. Only callable by a manager.
+     */
+    function setEarlyRecall(bool allowed, uint256 penaltyNumerator, uint256 penaltyDenominator) external onlyManager {
+        require(penaltyNumerator <= penaltyDenominator, "IMSMM: ratio not <= 1");
+        earlyRecallAllowed = allowed;
+        earlyRecallPenaltyPrec = (penaltyNumerator * PRECISION) / penaltyDenominator;
+        emit EarlyRecallUpdated(allowed, penaltyNumerator, penaltyDenominator);
+    }
+
+    /**
+     * @notice Enables or disables emergency mode. While enabled, no missions
+     * may be launched, locked missions may be recalled without penalty, and
+     * recalled missions are returned without an unbonding period. Only callable
+     * by a manager.
+     */
+    function setEmergencyMode(bool enabled) external onlyManager {
+        emergencyMode = enabled;
+        emit EmergencyModeChanged(enabled);
+    }
+
+    /**
+     * @notice Sets the unbonding period: the time for which the tokens of a
+     * recalled mission are held (no longer mining) before `completeRecall` may
+     * return them; if zero, they are returned at once. Does not affect missions
+     * already recalled. Only callable by a manager.
+     */
+    function setUnbondingPeriod(uint256 period) external onlyManager {
+        require(period <= MAX_UNBONDING_PERIOD, "IMSMM: unbonding period too long");
+        _unbondingPeriod = period;
+        emit UnbondingPeriodUpdated(period);
+    }
+
+    /**
+     * @notice Sets the successor contract to which staked missions may be
+     * migrated (see `migrateMission`), or disables migration if zero. Users may
+     * migrate their own missions at once; managers may migrate any mission once
+     * `MIGRATION_NOTICE_PERIOD` has passed since the target was set. Only callable
+     * by a manager.
+     */
+    function setMigrationTarget(IMissionMigrationReceiver _target) external onlyManager {
+        require(address(_target) == address(0) || address(_target).code.length > 0, "IMSMM: target not a contract");
+        address previousTarget = address(migrationTarget);
+        migrationTarget = _target;
+        migrationTime = block.timestamp + MIGRATION_NOTICE_PERIOD;
+        emit MigrationTargetChanged(previousTarget, address(_target), migrationTime);
+    }
+
+    /**
+     * @notice Proposes a new ERC2771 forwarder trusted to relay meta-transactions,
+     * such as `launchMission`, `recallMission`, `reappraiseMission` and `release`,
+     * on behalf of their signers (or none, if zero), replacing any pending
+     * proposal. As the forwarder may act for any user, it is set by an admin,
+     * not a manager. Takes effect when executed with `executeTrustedForwarderChange`
+     * once `parameterChangeDelay` has passed, or immediately if there is no delay.
+     * Only callable by an admin.
+     */
+    function setTrustedForwarder(address forwarder) external {
+        require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "IMSMM: !auth");
+        require(forwarder == address(0) || forwarder.code.length > 0, "IMSMM: forwarder not a contract");
+        if (_parameterChangeDelay == 0) {
+            _setTrustedForwarder(forwarder);
+        } else {
+            uint256 executableTime = block.timestamp + _parameterChangeDelay;
+            _pendingTrustedForwarder = PendingAddressChange(forwarder, executableTime);
+            emit TrustedForwarderChangeProposed(forwarder, executableTime);
+        }
+    }
+
+    /**
+     * @notice Executes the pending `trustedForwarder` change, once its delay has
+     * passed. Only callable by an admin.
+     */
+    function executeTrustedForwarderChange() external {
+        require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "IMSMM: !auth");
+        _requireExecutable(_pendingTrustedForwarder.executableTime);
+        _setTrustedForwarder(_pendingTrustedForwarder.value);
+    }
+
+    /**
+     * @notice Cancels the pending `trustedForwarder` change. Only callable by an
+     * admin.
+     */
+    function cancelTrustedForwarderChange() external {
+        require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "IMSMM: !auth");
+        require(_pendingTrustedForwarder.executableTime != 0, "IMSMM: no pending change");
+        emit TrustedForwarderChangeCancelled(_pendingTrustedForwarder.value);
+        delete _pendingTrustedForwarder;
+    }
+
+    /**
+     * @notice Replaces the faucet from which the reward `token` is mined; the new
+     * faucet must release the same token. Rewards mined by the previous faucet
+     * are settled (see `update`) before the change, so pending rewards carry
+     * over and mining continues from the new faucet without interruption.
+     * Reverts if settling fails (e.g. the previous faucet reverts or is
+     * drained); see `forceSetFaucet`. May not be called while paused. Only
+     * callable by a manager.
+     */
+    function setFaucet(IERC20Faucet _faucet) external onlyManager whenNotPaused {
+        update();
+        _setFaucet(_faucet);
+    }
+
+    /**
+     * @notice Replaces the faucet as `setFaucet`, even if settling the previous
+     * faucet fails, for use when it reverts or is drained. Rewards it could not
+     * settle are left behind, emitting `FaucetAbandoned` with their amount (if
+     * the faucet can report it). May not be called while paused. Only callable
+     * by a manager.
+     */
+    function forceSetFaucet(IERC20Faucet _faucet) external onlyManager whenNotPaused {
+        try this.update() {} catch {
+            uint256 unsettled;
+            try faucet.releasable(address(this)) returns (uint256 amount) {
+                unsettled = amount;
+            } catch {}
+            emit FaucetAbandoned(address(faucet), unsettled);
+        }
+        _setFaucet(_faucet);
+    }
+
+    /// Replaces the `faucet`, emitting `FaucetChanged`.
+    function _setFaucet(IERC20Faucet _faucet) internal {
+        require(_faucet.token() == _rewardToken(), "IMSMM: faucet token mismatch");
+        address previousFaucet = address(faucet);
+        faucet = _faucet;
+        emit FaucetChanged(previousFaucet, address(_faucet));
+    }
+
+    /**
+     * @notice Adds a reward stream, mining the token released by `_faucet` in
+     * proportion to mining power alongside the primary `token`. Rewards are
+     * mined from the time the stream is added. Streams cannot be removed; a
+     * stream ends when its faucet stops releasing. Only callable by a manager.
+     */
+    function addRewardStream(IERC20Faucet _faucet) external onlyManager returns (uint256 streamId) {
+        address streamToken = _faucet.token();
+        require(streamToken != _rewardToken(), "IMSMM: primary token");
+        require(rewardStreams.length < MAX_REWARD_STREAMS, "IMSMM: too many reward streams");
+
+        // settle streams before a new one is mined
+        update();
+
+        streamId = rewardStreams.length;
+        rewardStreams.push(RewardStream({
+            token: streamToken,
+            faucet: _faucet,
+            accRewardPerMP: 0,
+            totalMined: 0,
+            totalReleased: 0
+        }));
+
+        emit RewardStreamAdded(streamId, streamToken, address(_faucet));
+    }
+
+    /**
+     * @notice Opens a mining season from `startTime` to `endTime`, during which
+     * users accrue power-seconds (effective Mining Power times seconds staked);
+     * once it ends, each may claim a share of `bonusPool` in proportion to them
+     * (see `claimSeasonReward`). The pool is reserved from excess reward tokens
+     * (see `transferExcess`), which must be transferred to this contract
+     * beforehand. Seasons may not overlap, nor start in the past. Only callable
+     * by a manager.
+     */
+    function openSeason(uint256 startTime, uint256 endTime, uint256 bonusPool) external onlyManager returns (uint256 seasonId) {
+        require(startTime >= block.timestamp, "IMSMM: season starts in past");
+        require(endTime > startTime, "IMSMM: season ends before start");
+        require(_seasons.length == 0 || _seasons[_seasons.length - 1].endTime <= startTime, "IMSMM: seasons overlap");
+
+        update();
+        require(bonusPool <= _excess(), "IMSMM: bonus pool > excess");
+        _seasonPoolsReserved += bonusPool;
+
+        seasonId = _seasons.length;
+        _seasons.push(Season({
+            startTime: startTime,
+            endTime: endTime,
+            bonusPool: bonusPool,
+            powerSeconds: 0,
+            claimed: 0
+        }));
+
+        emit SeasonOpened(seasonId, startTime, endTime, bonusPool);
+    }
+
+    /**
+     * @notice Returns the unclaimed part of an ended season's bonus pool to the
+     * excess reward tokens: all of it if no Mining Power was staked during the
+     * season, otherwise the shares left unclaimed (and rounding remainder) once
+     * its claim period (`SEASON_CLAIM_PERIOD` after it ends) has passed. Claims
+     * made after this receive nothing. Only callable by a manager.
+     */
+    function reclaimSeasonPool(uint256 seasonId) external onlyManager {
+        Season storage season = _seasons[seasonId];
+        require(block.timestamp >= season.endTime, "IMSMM: season not ended");
+        require(
+            block.timestamp >= season.endTime + SEASON_CLAIM_PERIOD || _seasonTotalPowerSeconds(seasonId) == 0,
+            "IMSMM: season pool claimable"
+        );
+        require(season.bonusPool > season.claimed, "IMSMM: season pool claimed");
+
+        uint256 unclaimed = season.bonusPool - season.claimed;
+        season.bonusPool = 0;
+        _seasonPoolsReserved -= unclaimed;
+        emit SeasonPoolReclaimed(seasonId, unclaimed);
+    }
+
+    /**
+     * @notice Transfer any "excess" funds to the specified address. Any tokens
+     * received by this contract from sources other than the faucet, or released
+     * from the faucet while no users were mining, are considered "excess"
+     * (unless reserved for a season bonus pool; see `openSeason`).
+     *
+     * Only the managers may make this call.
+     */
+    function transferExcess(address to) external onlyManager {
+        update();
+
+        // excess funds should be zero, but it's possible for tokens to be
+        // transferred into this contract accidentally, or for the faucet to
+        // allocate funds before any's mission tokens are staked. season bonus
+        // pools are reserved until claimed.
+        _safeTransfer(_rewardToken(), to, _excess());
+    }
+
+    /**
+     * @notice Transfer `amount` of any ERC20 token held by this contract to the
+     * specified address, e.g. tokens sent here by mistake. Refuses to transfer
+     * rewards owed to miners or reserved for season bonus pools: at most the
+     * excess of the reward `token` (see `transferExcess`), or of a reward
+     * stream token, the balance not yet released to miners (reverting if the
+     * balance falls short of it). Only callable by a manager.
+     */
+    function rescueERC20(address _token, address to, uint256 amount) external onlyManager {
+        update();
+
+        uint256 available;
+        if (_token == _rewardToken()) {
+            available = _excess();
+        } else {
+            available = IERC20Token(_token).balanceOf(address(this));
+            for (uint256 i = 0; i < rewardStreams.length; i++) {
+                RewardStream storage stream = rewardStreams[i];
+                if (stream.token == _token) {
+                    uint256 owed = stream.totalMined - stream.totalReleased;
+                    require(available >= owed, "IMSMM: stream balance < owed");
+                    available -= owed;
+                }
+            }
+        }
+        require(amount <= available, "IMSMM: amount > rescuable");
+
+        _safeTransfer(_token, to, amount);
+        emit ERC20Rescued(_token, to, amount);
+    }
+
+    /**
+     * @notice Transfer an ERC721 token held by this contract to the specified
+     * address, e.g. one sent here by mistake with `transferFrom`. Refuses to
+     * transfer the component of a mission that is staked or awaiting return
+     * (see `componentMission`). Only callable by a manager.
+     */
+    function rescueERC721(address _token, uint256 tokenId, address to) external onlyManager {
+        require(_componentMissions[_token][tokenId] == 0, "IMSMM: token in mission");
+        IERC721Token(_token).transferFrom(address(this), to, tokenId);
+        emit ERC721Rescued(_token, tokenId, to);
+    }
+
+    function _requireExecutable(uint256 executableTime) internal view {
+        require(executableTime != 0, "IMSMM: no pending change");
+        require(block.timestamp >= executableTime, "IMSMM: change timelocked");
+    }
+
+    function _setAppraiser(address _appraiser) internal {
+        address previousAppraiser = address(appraiser);
+        appraiser = INFTAppraiser(_appraiser);
+        delete _pendingAppraiser;
+        emit MissionAppraiserChanged(previousAppraiser, _appraiser);
+    }
+
+    function _setMissionCompleteChecker(address _checker) internal {
+        address previousChecker = address(completeMissionChecker);
+        completeMissionChecker = _checker == address(this) ? IMissionChecker(address(0)) : IMissionChecker(_checker);
+        delete _pendingMissionCompleteChecker;
+        emit MissionCompleteCheckerChanged(previousChecker, address(completeMissionChecker));
+    }
+
+    function _setMissionCompleteMultiplier(uint256 numerator, uint256 denominator) internal {
+        completeMissionMultiplierPrec = (numerator * PRECISION) / denominator;
+        delete _pendingMissionCompleteMultiplier;
+        emit MissionCompleteMultiplierUpdated(numerator, denominator);
+    }
+
+    function _setMissionScorer(address _scorer) internal {
+        address previousScorer = address(missionScorer);
+        missionScorer = IMissionScorer(_scorer);
+        delete _pendingMissionScorer;
+        emit MissionScorerChanged(previousScorer, _scorer);
+    }
+
+    function _setMaxMissionScore(uint256 numerator, uint256 denominator) internal {
+        maxMissionScorePrec = (numerator * PRECISION) / denominator;
+        delete _pendingMaxMissionScore;
+        emit MaxMissionScoreUpdated(numerator, denominator);
+    }
+
+    function _setMiningPowerCurve(address _curve) internal {
+        address previousCurve = address(miningPowerCurve);
+        miningPowerCurve = IMiningPowerCurve(_curve);
+        delete _pendingMiningPowerCurve;
+        emit MiningPowerCurveChanged(previousCurve, _curve);
+    }
+
+    function _setStakeBoosts(uint256[] memory durations, uint256[] memory numerators, uint256 denominator) internal {
+        delete stakeBoosts;
+        for (uint256 i = 0; i < durations.length; i++) {
+            stakeBoosts.push(StakeBoost({
+                duration: durations[i],
+                multiplierPrec: (numerators[i] * PRECISION) / denominator
+            }));
+        }
+        delete _pendingStakeBoosts;
+        emit StakeBoostsUpdated(durations, numerators, denominator);
+    }
+
+    function _setLockMultiplier(uint256 lockPeriod, uint256 numerator, uint256 denominator) internal {
+        lockMultiplierPrec[lockPeriod] = (numerator * PRECISION) / denominator;
+        delete _pendingLockMultipliers[lockPeriod];
+        emit LockMultiplierUpdated(lockPeriod, numerator, denominator);
+    }
+
+    function _setTrustedForwarder(address forwarder) internal {
+        address previousForwarder = trustedForwarder;
+        trustedForwarder = forwarder;
+        delete _pendingTrustedForwarder;
+        emit TrustedForwarderChanged(previousForwarder, forwarder);
+    }
+
+    function _setComponentSlotToken(uint256 slot, address _token) internal {
+        ComponentSlot storage componentSlot = componentSlots[slot];
+        require(componentSlot.token == address(0), "IMSMM: already set");
+        componentSlot.token = _token;
+        emit ComponentSlotUpdated(slot, _token, componentSlot.erc1155, componentSlot.minCount, componentSlot.maxCount);
+    }
+
+    // *******************************
+    // Views
+
+    /**
+     * @dev Delegates calls to any function not implemented here to `views`,
+     * returning its result.
+     */
+    fallback() external {
+        _delegate(views);
+    }
+
+    function _rewardToken() internal view override returns (address) {
+        return IMissionMining(address(this)).token();
+    }
+}
@@ -0,0 +1,557 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "./base/BaseIMSpaceMissionMining.sol";
+import "./IMissionMining.sol";
+
+/**
+ * @title IMSpaceMissionMiningViews
+ * @dev Read-only views (and ERC1155 receiver callbacks) of IMSpaceMissionMining,
+ * to which its IMSpaceMissionMiningManagement delegates any call it does not
+ * implement itself. Operates on the storage of the delegating IMSpaceMissionMining (see
+ * BaseIMSpaceMissionMining); this contract's own state is never used.
+ */
+contract IMSpaceMissionMiningViews is BaseIMSpaceMissionMining {
+    using Checkpoints for Checkpoints.History;
+
+    // *******************************
+    // Configuration
+
+    /// @notice Address of the Lander NFT (component slot 0)
+    function landerToken() external view returns (address) {
+        return componentSlots[LANDER_SLOT].token;
+    }
+
+    /// @notice Address of the Landing Site NFT (component slot 1)
+    function landingSiteToken() external view returns (address) {
+        return componentSlots[LANDING_SITE_SLOT].token;
+    }
+
+    /// @notice Address of the Payload NFT (component slot 2)
+    function payloadToken() external view returns (address) {
+        return componentSlots[PAYLOAD_SLOT].token;
+    }
+
+    /// @notice Returns the number of component slots in the mission schema (length of `componentSlots`).
+    function componentSlotCount() external view returns (uint256 slots) {
+        slots = componentSlots.length;
+    }
+
+    /// @notice Returns the number of stake boost tiers (length of `stakeBoosts`).
+    function stakeBoostCount() external view returns (uint256 tiers) {
+        tiers = stakeBoosts.length;
+    }
+
+    // *******************************
+    // Timelocked Parameters
+
+    /// @notice Delay between proposing and executing a change of a timelocked
+    /// parameter (zero if immediate; see `setParameterChangeDelay`).
+    function parameterChangeDelay() external view returns (uint256) {
+        return _parameterChangeDelay;
+    }
+
+    /// @notice The pending `appraiser` change, if any (`executableTime` is zero if none).
+    function pendingAppraiser() external view returns (INFTAppraiser _appraiser, uint256 executableTime) {
+        _appraiser = INFTAppraiser(_pendingAppraiser.value);
+        executableTime = _pendingAppraiser.executableTime;
+    }
+
+    /// @notice The pending `completeMissionChecker` change, if any (`executableTime` is zero if none).
+    function pendingMissionCompleteChecker() external view returns (IMissionChecker checker, uint256 executableTime) {
+        checker = IMissionChecker(_pendingMissionCompleteChecker.value);
+        executableTime = _pendingMissionCompleteChecker.executableTime;
+    }
+
+    /// @notice The pending mission complete multiplier update, if any (`executableTime` is zero if none).
+    function pendingMissionCompleteMultiplier() external view returns (uint256 numerator, uint256 denominator, uint256 executableTime) {
+        PendingRatioChange storage change = _pendingMissionCompleteMultiplier;
+        (numerator, denominator, executableTime) = (change.numerator, change.denominator, change.executableTime);
+    }
+
+    /// @notice The pending `trustedForwarder` change, if any (`executableTime` is zero if none).
+    function pendingTrustedForwarder() external view returns (address forwarder, uint256 executableTime) {
+        forwarder = _pendingTrustedForwarder.value;
+        executableTime = _pendingTrustedForwarder.executableTime;
+    }
+
+    /// @notice The pending `missionScorer` change, if any (`executableTime` is zero if none).
+    function pendingMissionScorer() external view returns (IMissionScorer scorer, uint256 executableTime) {
+        scorer = IMissionScorer(_pendingMissionScorer.value);
+        executableTime = _pendingMissionScorer.executableTime;
+    }
+
+    /// @notice The pending maximum mission score update, if any (`executableTime` is zero if none).
+    function pendingMaxMissionScore() external view returns (uint256 numerator, uint256 denominator, uint256 executableTime) {
+        PendingRatioChange storage change = _pendingMaxMissionScore;
+        (numerator, denominator, executableTime) = (change.numerator, change.denominator, change.executableTime);
+    }
+
+    /// @notice The pending `miningPowerCurve` change, if any (`executableTime` is zero if none).
+    function pendingMiningPowerCurve() external view returns (IMiningPowerCurve curve, uint256 executableTime) {
+        curve = IMiningPowerCurve(_pendingMiningPowerCurve.value);
+        executableTime = _pendingMiningPowerCurve.executableTime;
+    }
+
+    /// @notice The pending stake boost schedule, if any (`executableTime` is zero if none).
+    function pendingStakeBoosts() external view returns (
+        uint256[] memory durations,
+        uint256[] memory numerators,
+        uint256 denominator,
+        uint256 executableTime
+    ) {
+        PendingStakeBoosts storage change = _pendingStakeBoosts;
+        durations = change.durations;
+        numerators = change.numerators;
+        denominator = change.denominator;
+        executableTime = change.executableTime;
+    }
+
+    /// @notice The pending update of the indicated lock period's multiplier, if any
+    /// (`executableTime` is zero if none).
+    function pendingLockMultiplier(uint256 lockPeriod) external view returns (uint256 numerator, uint256 denominator, uint256 executableTime) {
+        PendingRatioChange storage change = _pendingLockMultipliers[lockPeriod];
+        (numerator, denominator, executableTime) = (change.numerator, change.denominator, change.executableTime);
+    }
+
+    // *******************************
+    // Reward Streams
+
+    /// @notice Returns the number of reward streams (length of `rewardStreams`).
+    function rewardStreamCount() external view returns (uint256 streams) {
+        streams = rewardStreams.length;
+    }
+
+    /**
+     * @notice The quantity of reward stream tokens released for the indicated mining user.
+     */
+    function streamReleased(uint256 streamId, address user) external view returns (uint256 amount) {
+        amount = streamUserInfo[streamId][user].released;
+    }
+
+    /**
+     * @notice Query the amount of reward stream tokens releasable by the indicated
+     * user, including those not yet fetched from the stream's faucet.
+     */
+    function streamReleasable(uint256 streamId, address user) external view returns (uint256 amount) {
+        RewardStream storage stream = rewardStreams[streamId];
+        uint256 rewardPerMP = stream.accRewardPerMP;
+
+        uint256 additionalReward = paused() ? 0 : stream.faucet.releasable(address(this));
+        if (additionalReward > 0 && totalMiningPower > 0) {
+            rewardPerMP += (additionalReward * PRECISION) / totalMiningPower;
+        }
+
+        amount = _streamReleaseAmount(streamId, user, rewardPerMP);
+    }
+
+    // *******************************
+    // Mission Rewards
+
+    /**
+     * @notice Query the amount of reward tokens releasable from the indicated
+     * mission by its user (see `releaseMission`), including those not yet
+     * fetched from the faucet. Each user's rewards accrue to their staked
+     * missions in proportion to mining power, and are released from each in
+     * proportion by `release`; so, up to rounding, a user's `releasable` is the
+     * sum of that of each of their missions and their `unattributedReleasable`.
+     * The exception is locked missions, whose rewards are withheld (from both
+     * `release` and `releaseMission`) until their unlock time.
+     */
+    function missionReleasable(uint256 missionId) external view returns (uint256 amount) {
+        (uint256 shares, ) = _pendingMissionRewardShares(missionId);
+        amount = (shares * _shareScale(_userMissionRewards[missionInfo[missionId].user].scale)) / PRECISION;
+    }
+
+    /**
+     * @notice The total reward tokens mined by the indicated mission while
+     * staked, whether released, releasable or forfeited by early recall; those
+     * mined before a `transferMission` included. Includes those not yet fetched
+     * from the faucet.
+     */
+    function missionEarned(uint256 missionId) external view returns (uint256 amount) {
+        (, amount) = _pendingMissionRewardShares(missionId);
+    }
+
+    /**
+     * @notice Query the amount of reward tokens releasable by the indicated user
+     * but not from any of their missions: those mined by missions they have since
+     * transferred (or, rarely, left over after successive partial releases).
+     * Released only by `release`.
+     */
+    function unattributedReleasable(address user) external view returns (uint256 amount) {
+        (, , uint256 shares) = _pendingMissionRewards(user);
+        UserMissionRewards storage rewards = _userMissionRewards[user];
+        amount = ((rewards.unattributedShares + shares) * _shareScale(rewards.scale)) / PRECISION;
+    }
+
+    /**
+     * Returns the shares and the total rewards attributed to the indicated
+     * mission, including rewards not yet fetched from the faucet.
+     */
+    function _pendingMissionRewardShares(uint256 missionId) internal view returns (uint256 shares, uint256 earned) {
+        MissionInfo storage mission = missionInfo[missionId];
+        (uint256 sharesPerMP, uint256 earnedPerMP, ) = _pendingMissionRewards(mission.user);
+        (shares, earned) = _missionRewardShares(
+            mission,
+            _missionRewards[missionId],
+            _userMissionRewards[mission.user],
+            sharesPerMP,
+            earnedPerMP
+        );
+    }
+
+    // *******************************
+    // Seasons
+
+    /// @notice Returns the number of mining seasons opened (see `openSeason`).
+    function seasonCount() external view returns (uint256 count) {
+        count = _seasons.length;
+    }
+
+    /**
+     * @notice Returns the indicated season's schedule and bonus pool, the total
+     * power-seconds accrued by all users during it so far, and the amount of
+     * its pool claimed.
+     */
+    function seasons(uint256 seasonId) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 bonusPool,
+        uint256 totalPowerSeconds,
+        uint256 claimed
+    ) {
+        Season storage season = _seasons[seasonId];
+        (startTime, endTime, bonusPool, claimed) = (season.startTime, season.endTime, season.bonusPool, season.claimed);
+        totalPowerSeconds = _seasonTotalPowerSeconds(seasonId);
+    }
+
+    /**
+     * @notice Returns the power-seconds accrued by the indicated user during the
+     * indicated season so far, their share of its bonus pool at present (final
+     * once the season ends), and whether they have claimed it.
+     */
+    function seasonUserInfo(uint256 seasonId, address user) external view returns (uint256 powerSeconds, uint256 reward, bool claimed) {
+        powerSeconds = _seasonPowerSeconds(seasonId, user);
+        reward = _seasonReward(seasonId, user);
+        claimed = _seasonUserInfo[seasonId][user].claimed;
+    }
+
+    /// @notice Returns the number of users who have ever mined (and so may
+    /// appear in season standings).
+    function minerCount() external view returns (uint256 count) {
+        count = _miners.length;
+    }
+
+    /**
+     * @notice Returns the standings of users `[offset:offset+limit]` (of all
+     * users who have ever mined, in order of first launch) in the indicated
+     * season: their power-seconds so far and share of the bonus pool.
+     * Unsorted; users who did not mine during the season have zero
+     * power-seconds.
+     */
+    function getSeasonStandings(uint256 seasonId, uint256 offset, uint256 limit) external view returns (IMissionMining.SeasonStanding[] memory standings) {
+        standings = new IMissionMining.SeasonStanding[](_pageLength(_miners.length, offset, limit));
+        for (uint256 i = 0; i < standings.length; i++) {
+            address user = _miners[offset + i];
+            standings[i] = IMissionMining.SeasonStanding({
+                user: user,
+                powerSeconds: _seasonPowerSeconds(seasonId, user),
+                reward: _seasonReward(seasonId, user),
+                claimed: _seasonUserInfo[seasonId][user].claimed
+            });
+        }
+    }
+
+    // *******************************
+    // Mining Power History
+
+    /**
+     * @notice Returns the effective Mining Power of the indicated user at the end
+     * of block `blockNumber`, which must have been mined (in the style of
+     * `ERC20Votes.getPastVotes`).
+     */
+    function getPastMiningPower(address user, uint256 blockNumber) external view returns (uint256 miningPower) {
+        miningPower = _miningPowerCheckpoints[user].getAtBlock(blockNumber);
+    }
+
+    /**
+     * @notice Returns `totalMiningPower`, the sum of all users' effective Mining
+     * Power, at the end of block `blockNumber`, which must have been mined (in
+     * the style of `ERC20Votes.getPastTotalSupply`).
+     */
+    function getPastTotalMiningPower(uint256 blockNumber) external view returns (uint256 miningPower) {
+        miningPower = _totalMiningPowerCheckpoints.getAtBlock(blockNumber);
+    }
+
+    // *******************************
+    // Missions
+
+    /// @notice Returns the number of missions launched (length of  `missionInfo`).
+    function missionCount() external view returns (uint256 missions) {
+        missions = missionInfo.length;
+    }
+
+    /// @notice Returns the number of missions currently staked (length of `stakedMissions`).
+    function stakedMissionCount() external view returns (uint256 missions) {
+        missions = stakedMissions.length;
+    }
+
+    /// @notice Returns the number of missions staked by the indicated user (length of `userMissions`).
+    function userMissionCount(address user) external view returns (uint256 missions) {
+        missions = userMissions[user].length;
+    }
+
+    /// @notice Returns the status of the mission: owner, mining power, staking status
+    /// and staking period.
+    /// @param user The user who staked this mission
+    /// @param miningPower The mining power of this mission, as of its last audit
+    /// @param staked Is the mission currently staked? Missions cannot be re-staked;
+    ///   once unstaked, the same tokens restaked will be designated as a new mission.
+    /// @param stakeDuration The number of seconds which this mission has been staked.
+    ///   If `staked`, this number continuously increases; otherwise it becomes fixed.
+    function missionStatus(uint256 missionId) external view returns (address user, uint256 miningPower, bool staked, uint256 stakeDuration) {
+        MissionInfo storage mission = missionInfo[missionId];
+
+        user = mission.user;
+        miningPower = mission.miningPower;
+        staked = mission.staked;
+        stakeDuration = (mission.staked ? block.timestamp : mission.unstakedTime) - mission.stakedTime;
+    }
+
+    /**
+     * @notice Evaluate a candidate mission for staking. Returns a tuple giving
+     * whether the specified set of tokens represents a valid mission, and its
+     * mining power if staked. Any component slots beyond the default three are
+     * left empty.
+     */
+    function evaluateMissionCandidate(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads) external view returns (bool valid, uint256 miningPower) {
+        (valid, miningPower) = _evaluateMission(_defaultComponents(landers, landingSites, payloads), _emptyAmounts());
+    }
+
+    /**
+     * @notice Evaluate a candidate mission for staking, as `evaluateMissionCandidate`,
+     * given the tokenIds in each component slot and their amounts (see
+     * `launchMissionComponents`).
+     */
+    function evaluateMission(uint256[][] calldata components, uint256[][] calldata amounts) external view returns (bool valid, uint256 miningPower) {
+        (valid, miningPower) = _evaluateMission(components, amounts);
+    }
+
+    /// @notice Returns the tokenIds comprising the indicated mission in the
+    /// default component slots (see `missionComponents`)
+    /// @param landers tokenIds for lander tokens staked in the mission
+    /// @param landingSites tokenIds for landing site tokens staked in the mission
+    /// @param payloads tokenIds for payload tokens stsaked in the mission
+    function missionTokens(uint256 missionId) external view returns (uint256[] memory landers, uint256[] memory landingSites, uint256[] memory payloads) {
+        (uint256[][] memory components, ) = _missionComponents(missionInfo[missionId]);
+        landers = components[LANDER_SLOT];
+        landingSites = components[LANDING_SITE_SLOT];
+        payloads = components[PAYLOAD_SLOT];
+    }
+
+    /// @notice Returns the tokenIds staked in each component slot of the indicated
+    /// mission, and their amounts (for ERC1155 slots; empty for others).
+    function missionComponents(uint256 missionId) external view returns (uint256[][] memory components, uint256[][] memory amounts) {
+        (components, amounts) = _missionComponents(missionInfo[missionId]);
+    }
+
+    /// @notice Returns the next stake boost tier the mission will reach, beyond
+    /// the tier currently applied to its mining power, and the time at which it
+    /// is (or was) reached. If that time has passed, `promoteMission` will apply it.
+    /// @param tier The next boost tier (1-based), or 0 if the mission is not staked
+    ///   or has no higher tier to reach
+    /// @param time The timestamp at which `tier` is reached
+    function nextBoostTier(uint256 missionId) external view returns (uint256 tier, uint256 time) {
+        MissionInfo storage mission = missionInfo[missionId];
+        if (mission.staked && mission.boostTier < stakeBoosts.length) {
+            tier = mission.boostTier + 1;
+            time = mission.stakedTime + stakeBoosts[mission.boostTier].duration;
+        }
+    }
+
+    /// @notice Returns the lock-up status of the mission.
+    /// @param unlockTime The time at which the mission may be recalled without
+    ///   penalty (if not after its launch time, the mission was never locked)
+    /// @param locked Whether the mission is staked and its unlock time has not passed
+    function missionLock(uint256 missionId) external view returns (uint256 unlockTime, bool locked) {
+        MissionInfo storage mission = missionInfo[missionId];
+        unlockTime = mission.unlockTime;
+        locked = mission.staked && block.timestamp < unlockTime;
+    }
+
+    /**
+     * @notice Returns the mining power the indicated (staked) mission would have
+     * if reappraised now (see `reappraiseMission`), or zero if not staked.
+     */
+    function missionAppraisal(uint256 missionId) external view returns (uint256 appraisal) {
+        MissionInfo storage mission = missionInfo[missionId];
+        if (mission.staked) {
+            appraisal = _getStakedMissionAppraisal(mission, _stakeBoostTier(block.timestamp - mission.stakedTime));
+        }
+    }
+
+    /**
+     * @notice Returns the staked missions in `stakedMissions[offset:offset+limit]`
+     * whose stored mining power differs from a fresh appraisal, i.e. those which
+     * `reappraiseMission` would change, for use with `reappraiseMissions`.
+     * @param missionIds The stale missions
+     * @param miningPowers The stored mining power of each stale mission
+     * @param appraisals The mining power of each stale mission if reappraised now
+     */
+    function staleMissions(uint256 offset, uint256 limit) external view returns (
+        uint256[] memory missionIds,
+        uint256[] memory miningPowers,
+        uint256[] memory appraisals
+    ) {
+        uint256 length = _pageLength(stakedMissions.length, offset, limit);
+
+        missionIds = new uint256[](length);
+        miningPowers = new uint256[](length);
+        appraisals = new uint256[](length);
+
+        uint256 count;
+        for (uint256 i = 0; i < length; i++) {
+            uint256 missionId = stakedMissions[offset + i];
+            MissionInfo storage mission = missionInfo[missionId];
+            uint256 appraisal = _getStakedMissionAppraisal(mission, _stakeBoostTier(block.timestamp - mission.stakedTime));
+            if (appraisal != mission.miningPower) {
+                missionIds[count] = missionId;
+                miningPowers[count] = mission.miningPower;
+                appraisals[count] = appraisal;
+                count++;
+            }
+        }
+
+        // truncate to the stale missions found
+        /// @solidity memory-safe-assembly
+        assembly {
+            mstore(missionIds, count)
+            mstore(miningPowers, count)
+            mstore(appraisals, count)
+        }
+    }
+
+    /// @notice Returns the indicated missions.
+    function getMissions(uint256[] calldata missionIds) external view returns (IMissionMining.MissionView[] memory missions) {
+        missions = new IMissionMining.MissionView[](missionIds.length);
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            missions[i] = _getMission(missionIds[i]);
+        }
+    }
+
+    /// @notice Returns the missions `userMissions[user][offset:offset+limit]`,
+    /// currently staked by the indicated user.
+    function getUserMissions(address user, uint256 offset, uint256 limit) external view returns (IMissionMining.MissionView[] memory missions) {
+        missions = _getMissionPage(userMissions[user], offset, limit);
+    }
+
+    /// @notice Returns the missions `stakedMissions[offset:offset+limit]`.
+    function getStakedMissions(uint256 offset, uint256 limit) external view returns (IMissionMining.MissionView[] memory missions) {
+        missions = _getMissionPage(stakedMissions, offset, limit);
+    }
+
+    /// @notice The mission holding the indicated ERC721 component token, if it
+    /// is staked or awaiting return (`held` is false if none).
+    function componentMission(address token, uint256 tokenId) external view returns (bool held, uint256 missionId) {
+        uint256 missionIdPlusOne = _componentMissions[token][tokenId];
+        held = missionIdPlusOne != 0;
+        missionId = held ? missionIdPlusOne - 1 : 0;
+    }
+
+    /// @notice Time for which the tokens of recalled missions are held before
+    /// being returned (zero if returned at once).
+    function unbondingPeriod() external view returns (uint256) {
+        return _unbondingPeriod;
+    }
+
+    /// @notice The pending return of the indicated recalled mission, if in its
+    /// unbonding period (`returnTime` is zero if not).
+    function missionReturns(uint256 missionId) external view returns (address to, uint256 returnTime) {
+        MissionReturn storage missionReturn = _missionReturns[missionId];
+        (to, returnTime) = (missionReturn.to, missionReturn.returnTime);
+    }
+
+    /// @notice Returns the number of missions recalled by the indicated user and
+    /// awaiting return (see `completeRecall`).
+    function userReturningMissionCount(address user) external view returns (uint256 missions) {
+        missions = _userReturningMissions[user].length;
+    }
+
+    /// @notice Returns the missions recalled by the indicated user and awaiting
+    /// return, `[offset:offset+limit]` (in no particular order).
+    function getUserReturningMissions(address user, uint256 offset, uint256 limit) external view returns (IMissionMining.MissionView[] memory missions) {
+        missions = _getMissionPage(_userReturningMissions[user], offset, limit);
+    }
+
+    /// @notice Returns the number of missions recalled by the indicated user (length of `userRecalledMissions`).
+    function userRecalledMissionCount(address user) external view returns (uint256 missions) {
+        missions = userRecalledMissions[user].length;
+    }
+
+    /// @notice Returns the missions `userRecalledMissions[user][offset:offset+limit]`,
+    /// previously recalled by the indicated user.
+    function getUserRecalledMissions(address user, uint256 offset, uint256 limit) external view returns (IMissionMining.MissionView[] memory missions) {
+        missions = _getMissionPage(userRecalledMissions[user], offset, limit);
+    }
+
+    function _getMissionPage(uint256[] storage missionIds, uint256 offset, uint256 limit) internal view returns (IMissionMining.MissionView[] memory missions) {
+        missions = new IMissionMining.MissionView[](_pageLength(missionIds.length, offset, limit));
+        for (uint256 i = 0; i < missions.length; i++) {
+            missions[i] = _getMission(missionIds[offset + i]);
+        }
+    }
+
+    function _getMission(uint256 missionId) internal view returns (IMissionMining.MissionView memory missionView) {
+        MissionInfo storage mission = missionInfo[missionId];
+
+        missionView.missionId = missionId;
+        missionView.user = mission.user;
+        missionView.miningPower = mission.miningPower;
+        (missionView.components, missionView.amounts) = _missionComponents(mission);
+        missionView.staked = mission.staked;
+        missionView.stakedBlock = mission.stakedBlock;
+        missionView.stakedTime = mission.stakedTime;
+        missionView.unstakedBlock = mission.unstakedBlock;
+        missionView.unstakedTime = mission.unstakedTime;
+        missionView.boostTier = mission.boostTier;
+        missionView.unlockTime = mission.unlockTime;
+        missionView.userReleasable = _unlockedReleasable(mission.user);
+    }
+
+    /**
+     * Returns the number of entries in the page `[offset:offset+limit]` of a
+     * list of length `length`.
+     */
+    function _pageLength(uint256 length, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        uint256 remaining = offset < length ? length - offset : 0;
+        return limit < remaining ? limit : remaining;
+    }
+
+    // *******************************
+    // ERC1155 Receiver
+
+    /**
+     * @notice Accepts ERC1155 tokens transferred by this contract itself, i.e.
+     * the ERC1155 components of missions being launched or amended. Any other
+     * ERC1155 token received is rejected, so tokens cannot become stuck in this
+     * contract.
+     */
+    function onERC1155Received(address operator, address, uint256, uint256, bytes calldata) external view returns (bytes4) {
+        require(operator == address(this), "IMSMM: not a mission transfer");
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+
+    /**
+     * @notice Accepts ERC1155 tokens transferred by this contract itself, as
+     * `onERC1155Received`.
+     */
+    function onERC1155BatchReceived(address operator, address, uint256[] calldata, uint256[] calldata, bytes calldata) external view returns (bytes4) {
+        require(operator == address(this), "IMSMM: not a mission transfer");
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
+
+    function _rewardToken() internal view override returns (address) {
+        return IMissionMining(address(this)).token();
+    }
+}
@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./IMissionReceipt.sol";
+import "./IMissionMining.sol";
+
+/**
+ * @title IMSpaceMissionReceipt
+ * @dev An ERC721 position token for missions staked in an IMSpaceMissionMining
+ * contract. Each receipt's tokenId is its missionId; receipts exist only while
+ * their mission is staked. The receipt holder is the mission controller: transferring
+ * the receipt transfers the ability to recall the mission and to receive its
+ * future mining rewards (rewards mined before the transfer remain with the
+ * previous holder, unless withheld while the mission is locked). Every transfer
+ * is a safe transfer: a contract cannot become a mission controller unless it
+ * implements `IERC721Receiver`.
+ *
+ * Token metadata is generated on-chain from the mining contract's `missionStatus`,
+ * `missionComponents` and `componentSlots` views.
+ */
+contract IMSpaceMissionReceipt is ERC721, IMissionReceipt {
+    using Strings for uint256;
+
+    /// @notice Address of the mining contract issuing these receipts
+    IMissionMining public immutable mining;
+
+    /// @param _name The token name
+    /// @param _symbol The token symbol
+    /// @param _mining The mining contract address
+    constructor(string memory _name, string memory _symbol, IMissionMining _mining) ERC721(_name, _symbol) {
+        mining = _mining;
+    }
+
+    modifier onlyMining() {
+        require(_msgSender() == address(mining), "IMSpaceMissionReceipt: !auth");
+        _;
+    }
+
+    function mint(address to, uint256 missionId) external override onlyMining {
+        _mint(to, missionId);
+    }
+
+    function move(address from, address to, uint256 missionId) external override onlyMining {
+        _safeTransfer(from, to, missionId, "");
+    }
+
+    function burn(uint256 missionId) external override onlyMining {
+        _burn(missionId);
+    }
+
+    /**
+     * @notice Returns a data URI encoding JSON metadata for the indicated mission:
+     * its mining power and stake duration, and the tokenIds (and, for ERC1155
+     * slots, amounts) staked in each of its component slots. The default Lander,
+     * Landing Site and Payload slots are also listed by name.
+     */
+    function tokenURI(uint256 missionId) public view override returns (string memory) {
+        require(_exists(missionId), "IMSpaceMissionReceipt: nonexistent token");
+
+        (, uint256 miningPower, , uint256 stakeDuration) = mining.missionStatus(missionId);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"', name(), ' #', missionId.toString(),
+            '","attributes":[{"trait_type":"Mining Power","value":', miningPower.toString(),
+            '},{"trait_type":"Stake Duration","display_type":"number","value":', stakeDuration.toString(),
+            '}],', _componentsJSON(missionId),
+            '}'
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    function _componentsJSON(uint256 missionId) internal view returns (bytes memory json) {
+        (uint256[][] memory components, uint256[][] memory amounts) = mining.missionComponents(missionId);
+        json = abi.encodePacked(
+            '"landers":', _toJSONArray(components[0]),
+            ',"landingSites":', _toJSONArray(components[1]),
+            ',"payloads":', _toJSONArray(components[2]),
+            ',"components":['
+        );
+        for (uint256 slot = 0; slot < components.length; slot++) {
+            (address token, , , ) = mining.componentSlots(slot);
+            json = abi.encodePacked(
+                json, slot == 0 ? "" : ",",
+                '{"token":"', uint256(uint160(token)).toHexString(20),
+                '","tokenIds":', _toJSONArray(components[slot]),
+                ',"amounts":', _toJSONArray(amounts[slot]),
+                '}'
+            );
+        }
+        json = abi.encodePacked(json, "]");
+    }
+
+    function _toJSONArray(uint256[] memory values) internal pure returns (bytes memory json) {
+        json = "[";
+        for (uint256 i = 0; i < values.length; i++) {
+            json = abi.encodePacked(json, i == 0 ? "" : ",", values[i].toString());
+        }
+        json = abi.encodePacked(json, "]");
+    }
+
+    /**
+     * @dev Transfers are always checked with `onERC721Received`, as mission
+     * control follows the receipt.
+     */
+    function transferFrom(address from, address to, uint256 tokenId) public override {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    /**
+     * @dev Notify the mining contract of holder-initiated transfers, so that
+     * mission control follows the receipt. Mints, burns and moves are initiated
+     * by the mining contract itself and need no notification.
+     */
+    function _afterTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        super._afterTokenTransfer(from, to, tokenId);
+        if (from != address(0) && to != address(0) && _msgSender() != address(mining)) {
+            mining.onMissionReceiptTransfer(from, to, tokenId);
+        }
+    }
+}
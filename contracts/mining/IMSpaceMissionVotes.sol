@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "./IMissionMining.sol";
+
+/**
+ * @title IMSpaceMissionVotes
+ * @dev An IVotes adapter exposing the effective mining power of an
+ * IMSpaceMissionMining contract as voting weight, e.g. for an OpenZeppelin
+ * Governor (see `GovernorVotes`). Each user's votes are their effective mining
+ * power and the total supply of votes is `totalMiningPower`, as checkpointed by
+ * the mining contract (see `getPastMiningPower` and `getPastTotalMiningPower`).
+ *
+ * Mining power cannot be delegated: every user is their own delegate.
+ */
+contract IMSpaceMissionVotes is IVotes {
+    /// @notice Address of the mining contract providing voting weight
+    IMissionMining public immutable mining;
+
+    /// @param _mining The mining contract address
+    constructor(IMissionMining _mining) {
+        mining = _mining;
+    }
+
+    function getVotes(address account) external view override returns (uint256) {
+        (, , , uint256 effectiveMiningPower) = mining.userInfo(account);
+        return effectiveMiningPower;
+    }
+
+    function getPastVotes(address account, uint256 blockNumber) external view override returns (uint256) {
+        return mining.getPastMiningPower(account, blockNumber);
+    }
+
+    function getPastTotalSupply(uint256 blockNumber) external view override returns (uint256) {
+        return mining.getPastTotalMiningPower(blockNumber);
+    }
+
+    function delegates(address account) external pure override returns (address) {
+        return account;
+    }
+
+    function delegate(address) external pure override {
+        revert("IMSpaceMissionVotes: delegation not supported");
+    }
+
+    function delegateBySig(address, uint256, uint256, uint8, bytes32, bytes32) external pure override {
+        revert("IMSpaceMissionVotes: delegation not supported");
+    }
+}
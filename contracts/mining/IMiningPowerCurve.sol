@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.10;
+
+/**
+ * @title A curve mapping each user's total mining power to an effective mining power.
+ * @dev Applied to a user's total whenever it changes; mining rewards are
+ * shared in proportion to effective mining power.
+ */
+interface IMiningPowerCurve {
+
+    /**
+     * Returns the effective mining power of a user whose staked missions have
+     * a total mining power of `miningPower`, according to the Curve's internal
+     * standard, e.g. a cap or diminishing returns above a threshold. Effective
+     * mining power greater than `miningPower` is not applied.
+     */
+    function effectiveMiningPower(uint256 miningPower) external view returns (uint256);
+
+}
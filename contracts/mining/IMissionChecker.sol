@@ -10,16 +10,12 @@ interface IMissionChecker {
 
     /**
      * Check the specified mission according to the Checker's internal standard,
-     * returning whether it passes. The meaning of the return value depends on
-     * the purpose of the Checker, e.g. to evaluate validity, completeness, etc.
+     * returning whether it passes (e.g. whether it is valid, or complete).
+     * `components[i]` are the tokenIds staked from `tokens[i]`.
      */
     function checkMission(
-        address landerToken,
-        uint256[] calldata landers,
-        address landingSiteToken,
-        uint256[] calldata landingSites,
-        address payloadToken,
-        uint256[] calldata payloads
+        address[] calldata tokens,
+        uint256[][] calldata components
     ) external view returns (bool);
 
 }
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.10;
+
+/**
+ * @title A successor mining contract, able to receive missions migrated from its predecessor.
+ * @dev Called by `migrateMission` of the predecessor, once its managers have
+ * set this contract as the `migrationTarget`.
+ */
+interface IMissionMigrationReceiver {
+
+    /**
+     * Stake a mission migrated from the calling contract for `user`, returning
+     * its new missionId. Its tokens have already been sent here (ERC1155s by
+     * `safeBatchTransferFrom`); rewards it mined remain releasable from the
+     * caller. Implementations must verify the caller is a trusted predecessor.
+     * `missionId` and `unlockTime` are its ID and lock-up end in the caller.
+     */
+    function receiveMission(
+        address user,
+        uint256 missionId,
+        address[] calldata tokens,
+        uint256[][] calldata components,
+        uint256[][] calldata amounts,
+        uint256 unlockTime
+    ) external returns (uint256 targetMissionId);
+
+}
@@ -0,0 +1,349 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/access/IAccessControlEnumerable.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import "./IMissionChecker.sol";
+import "./IMissionMigrationReceiver.sol";
+import "./IMiningPowerCurve.sol";
+import "./IMissionReceipt.sol";
+import "./IMissionScorer.sol";
+import "../faucet/IERC20Faucet.sol";
+import "../appraisal/INFTAppraiser.sol";
+
+/**
+ * @title IMissionMining
+ * @dev The complete interface of an IMSpaceMissionMining contract, including
+ * the functions it delegates to its IMSpaceMissionMiningExtension (and those
+ * delegated in turn to IMSpaceMissionMiningManagement and
+ * IMSpaceMissionMiningViews). Integrations should use this interface (rather
+ * than any implementation's ABI) to interact with a mining contract. See those contracts for documentation.
+ */
+interface IMissionMining is IERC20Faucet, IERC721Receiver, IERC1155Receiver, IAccessControlEnumerable {
+    /// @dev A mission and its staking status, as returned by `getMissions` and
+    /// related views. `userReleasable` is the reward currently releasable by
+    /// the mission's user (from all of their missions; see `releasable`).
+    struct MissionView {
+        uint256 missionId;
+        address user;
+        uint256 miningPower;
+        uint256[][] components;
+        uint256[][] amounts;
+        bool staked;
+        uint256 stakedBlock;
+        uint256 stakedTime;
+        uint256 unstakedBlock;
+        uint256 unstakedTime;
+        uint256 boostTier;
+        uint256 unlockTime;
+        uint256 userReleasable;
+    }
+
+    /// @dev A user's standing in a mining season, as returned by
+    /// `getSeasonStandings`.
+    struct SeasonStanding {
+        address user;
+        uint256 powerSeconds;
+        uint256 reward;
+        bool claimed;
+    }
+
+    // Pausable
+    event Paused(address account);
+    event Unpaused(address account);
+
+    // ERC20FaucetOperators
+    event ReleaseOperatorChanged(address indexed from, address indexed operator, bool approved);
+    event ReleaseOperatorDestinationChanged(address indexed from, address indexed operator, address destination);
+
+    // Missions
+    event MissionLaunched(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionRecalled(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionEmergencyRecalled(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionAmended(address user, uint256 indexed missionId, address indexed to, uint256 previousMiningPower, uint256 miningPower);
+    event MissionTransferred(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionAppraised(uint256 indexed missionId, address indexed to, uint256 previousMiningPower, uint256 miningPower);
+    event MissionAppraiserChanged(address indexed previousAppraiser, address indexed appraiser);
+    event MissionCompleteCheckerChanged(address indexed previousChecker, address checker);
+    event MissionCompleteMultiplierUpdated(uint256 numerator, uint256 denominator);
+    event MissionScorerChanged(address indexed previousScorer, address scorer);
+    event MaxMissionScoreUpdated(uint256 numerator, uint256 denominator);
+    event MiningPowerCurveChanged(address indexed previousCurve, address curve);
+    event MissionPromoted(uint256 indexed missionId, address indexed to, uint256 boostTier, uint256 previousMiningPower, uint256 miningPower);
+    event StakeBoostsUpdated(uint256[] durations, uint256[] numerators, uint256 denominator);
+    event MissionLocked(uint256 indexed missionId, address indexed to, uint256 lockPeriod, uint256 unlockTime);
+    event MissionRecallPenalty(uint256 indexed missionId, address indexed user, uint256 forfeited);
+    event LockMultiplierUpdated(uint256 lockPeriod, uint256 numerator, uint256 denominator);
+    event EarlyRecallUpdated(bool allowed, uint256 penaltyNumerator, uint256 penaltyDenominator);
+    event EmergencyModeChanged(bool enabled);
+    event RewardStreamAdded(uint256 indexed streamId, address indexed token, address faucet);
+    event StreamReleased(uint256 indexed streamId, address indexed from, address indexed to, uint256 amount);
+    event ComponentSlotUpdated(uint256 indexed slot, address token, bool erc1155, uint256 minCount, uint256 maxCount);
+    event MigrationTargetChanged(address indexed previousTarget, address target, uint256 migrationTime);
+    event MissionMigrated(address user, uint256 indexed missionId, address indexed target, uint256 targetMissionId, uint256 miningPower);
+    event TrustedForwarderChanged(address indexed previousForwarder, address forwarder);
+    event FaucetChanged(address indexed previousFaucet, address faucet);
+    event FaucetAbandoned(address indexed faucet, uint256 unsettled);
+    event ParameterChangeDelayUpdated(uint256 previousDelay, uint256 delay);
+    event MissionAppraiserChangeProposed(address indexed appraiser, uint256 executableTime);
+    event MissionAppraiserChangeCancelled(address indexed appraiser);
+    event MissionCompleteCheckerChangeProposed(address indexed checker, uint256 executableTime);
+    event MissionCompleteCheckerChangeCancelled(address indexed checker);
+    event MissionCompleteMultiplierUpdateProposed(uint256 numerator, uint256 denominator, uint256 executableTime);
+    event MissionCompleteMultiplierUpdateCancelled(uint256 numerator, uint256 denominator);
+    event TrustedForwarderChangeProposed(address indexed forwarder, uint256 executableTime);
+    event TrustedForwarderChangeCancelled(address indexed forwarder);
+    event MissionScorerChangeProposed(address indexed scorer, uint256 executableTime);
+    event MissionScorerChangeCancelled(address indexed scorer);
+    event MaxMissionScoreUpdateProposed(uint256 numerator, uint256 denominator, uint256 executableTime);
+    event MaxMissionScoreUpdateCancelled(uint256 numerator, uint256 denominator);
+    event MiningPowerCurveChangeProposed(address indexed curve, uint256 executableTime);
+    event MiningPowerCurveChangeCancelled(address indexed curve);
+    event StakeBoostsUpdateProposed(uint256[] durations, uint256[] numerators, uint256 denominator, uint256 executableTime);
+    event StakeBoostsUpdateCancelled(uint256[] durations, uint256[] numerators, uint256 denominator);
+    event LockMultiplierUpdateProposed(uint256 lockPeriod, uint256 numerator, uint256 denominator, uint256 executableTime);
+    event LockMultiplierUpdateCancelled(uint256 lockPeriod, uint256 numerator, uint256 denominator);
+    event SeasonOpened(uint256 indexed seasonId, uint256 startTime, uint256 endTime, uint256 bonusPool);
+    event SeasonPoolReclaimed(uint256 indexed seasonId, uint256 bonusPool);
+    event SeasonRewardClaimed(uint256 indexed seasonId, address indexed from, address indexed to, uint256 amount);
+    event UnbondingPeriodUpdated(uint256 unbondingPeriod);
+    event MissionUnbonding(address user, uint256 indexed missionId, address indexed to, uint256 returnTime);
+    event MissionReturned(address user, uint256 indexed missionId, address indexed to);
+    event ERC20Rescued(address indexed token, address indexed to, uint256 amount);
+    event ERC721Rescued(address indexed token, uint256 indexed tokenId, address indexed to);
+    event MissionReleased(address indexed user, uint256 indexed missionId, address indexed to, uint256 amount);
+
+    // *******************************
+    // Configuration
+
+    function MANAGER_ROLE() external view returns (bytes32);
+    function MAX_PAYLOADS() external view returns (uint256);
+    function MAX_REWARD_STREAMS() external view returns (uint256);
+    function MAX_COMPONENT_SLOTS() external view returns (uint256);
+    function MIGRATION_NOTICE_PERIOD() external view returns (uint256);
+    function MAX_PARAMETER_CHANGE_DELAY() external view returns (uint256);
+    function MAX_UNBONDING_PERIOD() external view returns (uint256);
+
+    function faucet() external view returns (IERC20Faucet);
+    function extension() external view returns (address);
+    function management() external view returns (address);
+    function views() external view returns (address);
+    function landerToken() external view returns (address);
+    function landingSiteToken() external view returns (address);
+    function payloadToken() external view returns (address);
+    function componentSlots(uint256 slot) external view returns (address token, bool erc1155, uint256 minCount, uint256 maxCount);
+    function componentSlotCount() external view returns (uint256 slots);
+    function appraiser() external view returns (INFTAppraiser);
+    function completeMissionChecker() external view returns (IMissionChecker);
+    function missionScorer() external view returns (IMissionScorer);
+    function maxMissionScorePrec() external view returns (uint256);
+    function miningPowerCurve() external view returns (IMiningPowerCurve);
+    function missionReceipt() external view returns (IMissionReceipt);
+    function stakeBoosts(uint256 tier) external view returns (uint256 duration, uint256 multiplierPrec);
+    function stakeBoostCount() external view returns (uint256 tiers);
+    function lockMultiplierPrec(uint256 lockPeriod) external view returns (uint256);
+    function earlyRecallAllowed() external view returns (bool);
+    function earlyRecallPenaltyPrec() external view returns (uint256);
+    function emergencyMode() external view returns (bool);
+    function migrationTarget() external view returns (IMissionMigrationReceiver);
+    function migrationTime() external view returns (uint256);
+    function unbondingPeriod() external view returns (uint256);
+    function trustedForwarder() external view returns (address);
+    function isTrustedForwarder(address forwarder) external view returns (bool);
+    function parameterChangeDelay() external view returns (uint256);
+    function pendingAppraiser() external view returns (INFTAppraiser appraiser, uint256 executableTime);
+    function pendingMissionCompleteChecker() external view returns (IMissionChecker checker, uint256 executableTime);
+    function pendingMissionCompleteMultiplier() external view returns (uint256 numerator, uint256 denominator, uint256 executableTime);
+    function pendingTrustedForwarder() external view returns (address forwarder, uint256 executableTime);
+    function pendingMissionScorer() external view returns (IMissionScorer scorer, uint256 executableTime);
+    function pendingMaxMissionScore() external view returns (uint256 numerator, uint256 denominator, uint256 executableTime);
+    function pendingMiningPowerCurve() external view returns (IMiningPowerCurve curve, uint256 executableTime);
+    function pendingStakeBoosts() external view returns (uint256[] memory durations, uint256[] memory numerators, uint256 denominator, uint256 executableTime);
+    function pendingLockMultiplier(uint256 lockPeriod) external view returns (uint256 numerator, uint256 denominator, uint256 executableTime);
+    function paused() external view returns (bool);
+
+    // *******************************
+    // Manager Controls
+
+    function transferExcess(address to) external;
+    function rescueERC20(address _token, address to, uint256 amount) external;
+    function rescueERC721(address _token, uint256 tokenId, address to) external;
+    function setMissionLanderToken(address _token) external;
+    function setMissionLandingSiteToken(address _token) external;
+    function setMissionPayloadToken(address _token) external;
+    function setComponentSlotToken(uint256 slot, address _token) external;
+    function addComponentSlot(address _token, bool erc1155, uint256 minCount, uint256 maxCount) external returns (uint256 slot);
+    function setComponentSlotCounts(uint256 slot, uint256 minCount, uint256 maxCount) external;
+    function setMissionReceipt(IMissionReceipt _receipt) external;
+    function setAppraiser(INFTAppraiser _appraiser) external;
+    function setMissionCompleteChecker(IMissionChecker _checker) external;
+    function setMissionCompleteMultiplier(uint256 numerator, uint256 denominator) external;
+    function setParameterChangeDelay(uint256 delay) external;
+    function executeAppraiserChange() external;
+    function cancelAppraiserChange() external;
+    function executeMissionCompleteCheckerChange() external;
+    function cancelMissionCompleteCheckerChange() external;
+    function executeMissionCompleteMultiplierUpdate() external;
+    function cancelMissionCompleteMultiplierUpdate() external;
+    function setMissionScorer(IMissionScorer _scorer) external;
+    function executeMissionScorerChange() external;
+    function cancelMissionScorerChange() external;
+    function setMaxMissionScore(uint256 numerator, uint256 denominator) external;
+    function executeMaxMissionScoreUpdate() external;
+    function cancelMaxMissionScoreUpdate() external;
+    function setMiningPowerCurve(IMiningPowerCurve _curve) external;
+    function executeMiningPowerCurveChange() external;
+    function cancelMiningPowerCurveChange() external;
+    function setStakeBoosts(uint256[] calldata durations, uint256[] calldata numerators, uint256 denominator) external;
+    function executeStakeBoostsUpdate() external;
+    function cancelStakeBoostsUpdate() external;
+    function setLockMultiplier(uint256 lockPeriod, uint256 numerator, uint256 denominator) external;
+    function executeLockMultiplierUpdate(uint256 lockPeriod) external;
+    function cancelLockMultiplierUpdate(uint256 lockPeriod) external;
+    function setEarlyRecall(bool allowed, uint256 penaltyNumerator, uint256 penaltyDenominator) external;
+    function setEmergencyMode(bool enabled) external;
+    function setUnbondingPeriod(uint256 period) external;
+    function setMigrationTarget(IMissionMigrationReceiver _target) external;
+    function setTrustedForwarder(address forwarder) external;
+    function executeTrustedForwarderChange() external;
+    function cancelTrustedForwarderChange() external;
+    function setFaucet(IERC20Faucet _faucet) external;
+    function forceSetFaucet(IERC20Faucet _faucet) external;
+    function addRewardStream(IERC20Faucet _faucet) external returns (uint256 streamId);
+    function openSeason(uint256 startTime, uint256 endTime, uint256 bonusPool) external returns (uint256 seasonId);
+    function reclaimSeasonPool(uint256 seasonId) external;
+    function pause() external;
+    function unpause() external;
+
+    // *******************************
+    // Rewards
+
+    function totalMined() external view returns (uint256 amount);
+    function accRewardPerMP() external view returns (uint256);
+    function totalMiningPower() external view returns (uint256);
+    function userInfo(address user) external view returns (uint256 miningPower, uint256 released, int256 rewardDebt, uint256 effectiveMiningPower);
+    function update() external;
+    function getPastMiningPower(address user, uint256 blockNumber) external view returns (uint256 miningPower);
+    function getPastTotalMiningPower(uint256 blockNumber) external view returns (uint256 miningPower);
+
+    function setReleaseOperator(address operator, bool approved) external;
+    function setReleaseOperatorDestination(address operator, address destination) external;
+    function isReleaseOperator(address from, address operator) external view returns (bool);
+    function releaseOperatorDestination(address from, address operator) external view returns (address);
+
+    function missionReleasable(uint256 missionId) external view returns (uint256 amount);
+    function missionEarned(uint256 missionId) external view returns (uint256 amount);
+    function unattributedReleasable(address user) external view returns (uint256 amount);
+    function releaseMission(uint256 missionId, address to) external returns (uint256 amount);
+
+    // *******************************
+    // Reward Streams
+
+    function rewardStreams(uint256 streamId) external view returns (
+        address token,
+        IERC20Faucet faucet,
+        uint256 accRewardPerMP,
+        uint256 totalMined,
+        uint256 totalReleased
+    );
+    function rewardStreamCount() external view returns (uint256 streams);
+    function streamUserInfo(uint256 streamId, address user) external view returns (uint256 released, int256 rewardDebt);
+    function streamReleased(uint256 streamId, address user) external view returns (uint256 amount);
+    function streamReleasable(uint256 streamId, address user) external view returns (uint256 amount);
+    function releaseStream(uint256 streamId, address from, address to) external returns (uint256 amount);
+    function releaseStream(uint256 streamId, address from, address to, uint256 amount) external;
+
+    // *******************************
+    // Seasons
+
+    function seasonCount() external view returns (uint256 count);
+    function seasons(uint256 seasonId) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 bonusPool,
+        uint256 totalPowerSeconds,
+        uint256 claimed
+    );
+    function seasonUserInfo(uint256 seasonId, address user) external view returns (uint256 powerSeconds, uint256 reward, bool claimed);
+    function minerCount() external view returns (uint256 count);
+    function getSeasonStandings(uint256 seasonId, uint256 offset, uint256 limit) external view returns (SeasonStanding[] memory standings);
+    function claimSeasonReward(uint256 seasonId, address from, address to) external returns (uint256 amount);
+
+    // *******************************
+    // Missions
+
+    function missionInfo(uint256 missionId) external view returns (
+        address user,
+        uint256 miningPower,
+        uint256 userMissionsIndex,
+        uint256 stakedMissionsIndex,
+        bool staked,
+        uint256 stakedBlock,
+        uint256 stakedTime,
+        uint256 unstakedBlock,
+        uint256 unstakedTime,
+        uint256 boostTier,
+        uint256 unlockTime,
+        uint256 lockMultiplierPrec
+    );
+    function userMissions(address user, uint256 index) external view returns (uint256 missionId);
+    function stakedMissions(uint256 index) external view returns (uint256 missionId);
+    function userRecalledMissions(address user, uint256 index) external view returns (uint256 missionId);
+    function missionMigrations(uint256 missionId) external view returns (address target, uint256 targetMissionId);
+    function missionCount() external view returns (uint256 missions);
+    function stakedMissionCount() external view returns (uint256 missions);
+    function userMissionCount(address user) external view returns (uint256 missions);
+    function userRecalledMissionCount(address user) external view returns (uint256 missions);
+    function getMissions(uint256[] calldata missionIds) external view returns (MissionView[] memory missions);
+    function getUserMissions(address user, uint256 offset, uint256 limit) external view returns (MissionView[] memory missions);
+    function getStakedMissions(uint256 offset, uint256 limit) external view returns (MissionView[] memory missions);
+    function getUserRecalledMissions(address user, uint256 offset, uint256 limit) external view returns (MissionView[] memory missions);
+    function missionReturns(uint256 missionId) external view returns (address to, uint256 returnTime);
+    function componentMission(address token, uint256 tokenId) external view returns (bool held, uint256 missionId);
+    function userReturningMissionCount(address user) external view returns (uint256 missions);
+    function getUserReturningMissions(address user, uint256 offset, uint256 limit) external view returns (MissionView[] memory missions);
+    function missionStatus(uint256 missionId) external view returns (address user, uint256 miningPower, bool staked, uint256 stakeDuration);
+    function missionTokens(uint256 missionId) external view returns (uint256[] memory landers, uint256[] memory landingSites, uint256[] memory payloads);
+    function missionComponents(uint256 missionId) external view returns (uint256[][] memory components, uint256[][] memory amounts);
+    function nextBoostTier(uint256 missionId) external view returns (uint256 tier, uint256 time);
+    function missionLock(uint256 missionId) external view returns (uint256 unlockTime, bool locked);
+    function missionAppraisal(uint256 missionId) external view returns (uint256 appraisal);
+    function staleMissions(uint256 offset, uint256 limit) external view returns (uint256[] memory missionIds, uint256[] memory miningPowers, uint256[] memory appraisals);
+    function evaluateMissionCandidate(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads) external view returns (bool valid, uint256 miningPower);
+    function evaluateMission(uint256[][] calldata components, uint256[][] calldata amounts) external view returns (bool valid, uint256 miningPower);
+
+    function launchMission(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads, address to) external returns (uint256 missionId);
+    function launchLockedMission(uint256[] calldata landers, uint256[] calldata landingSites, uint256[] calldata payloads, uint256 lockPeriod, address to) external returns (uint256 missionId);
+    function launchMissions(uint256[][] calldata landers, uint256[][] calldata landingSites, uint256[][] calldata payloads, address to) external returns (uint256[] memory missionIds);
+    function launchMissionComponents(uint256[][] calldata components, uint256[][] calldata amounts, uint256 lockPeriod, address to) external returns (uint256 missionId);
+    function recallMission(uint256 missionId, address to) external;
+    function recallMissions(uint256[] calldata missionIds, address to) external;
+    function emergencyRecall(uint256 missionId, address to) external;
+    function completeRecall(uint256 missionId) external;
+    function transferMission(uint256 missionId, address newUser) external;
+    function onMissionReceiptTransfer(address from, address to, uint256 missionId) external;
+    function migrateMission(uint256 missionId) external returns (uint256 targetMissionId);
+    function migrateMissions(uint256[] calldata missionIds) external returns (uint256[] memory targetMissionIds);
+    function amendMission(
+        uint256 missionId,
+        uint256[] calldata addLandingSites,
+        uint256[] calldata addPayloads,
+        uint256[] calldata removeLandingSites,
+        uint256[] calldata removePayloads,
+        address to
+    ) external returns (uint256 appraisal);
+    function amendMissionComponents(
+        uint256 missionId,
+        uint256[][] calldata add,
+        uint256[][] calldata addAmounts,
+        uint256[][] calldata remove,
+        uint256[][] calldata removeAmounts,
+        address to
+    ) external returns (uint256 appraisal);
+    function reappraiseMission(uint256 missionId) external returns (uint256 appraisal);
+    function reappraiseMissions(uint256[] calldata missionIds) external returns (uint256[] memory appraisals);
+    function reappraiseUser(address user) external returns (uint256 miningPower);
+    function promoteMission(uint256 missionId) external returns (uint256 appraisal);
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.10;
+
+/**
+ * @title A transferable receipt token for staked mining missions.
+ * @dev Receipts are minted, moved and burned by the mining contract as missions
+ * are launched, transferred and recalled; the receipt ID is the missionId.
+ * When a receipt is transferred by its holder, the receipt contract notifies the
+ * mining contract so control of the mission follows the receipt.
+ */
+interface IMissionReceipt {
+
+    /**
+     * Mint the receipt for the indicated mission to `to`. Only callable by the
+     * mining contract.
+     */
+    function mint(address to, uint256 missionId) external;
+
+    /**
+     * Move the receipt for the indicated mission from `from` to `to`, without
+     * notifying the mining contract (but checking that a contract `to` accepts
+     * it). Only callable by the mining contract.
+     */
+    function move(address from, address to, uint256 missionId) external;
+
+    /**
+     * Burn the receipt for the indicated mission. Only callable by the mining
+     * contract.
+     */
+    function burn(uint256 missionId) external;
+
+}
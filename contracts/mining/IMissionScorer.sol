@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.10;
+
+/**
+ * @title A scorer for staked or candidate mining missions.
+ * @dev Consulted whenever a mission is appraised; the multiplier applied is
+ * capped by the mining contract's maximum mission score.
+ */
+interface IMissionScorer {
+
+    /**
+     * Score the specified mission, returning the multiplier `numerator / denominator`
+     * applied to its appraised mining power (e.g. `3 / 2` for a 1.5x bonus).
+     * `components[i]` are the tokenIds staked from `tokens[i]`, in `amounts[i]`
+     * if an ERC1155.
+     */
+    function scoreMission(
+        address[] calldata tokens,
+        uint256[][] calldata components,
+        uint256[][] calldata amounts
+    ) external view returns (uint256 numerator, uint256 denominator);
+
+}
@@ -0,0 +1,1194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/utils/Context.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../IMissionChecker.sol";
+import "../IMissionMigrationReceiver.sol";
+import "../IMiningPowerCurve.sol";
+import "../IMissionReceipt.sol";
+import "../IMissionScorer.sol";
+import "../../faucet/IERC20Faucet.sol";
+import "../../faucet/base/ERC20FaucetOperators.sol";
+import "../../appraisal/INFTAppraiser.sol";
+
+interface IERC721Token {
+    function transferFrom(address from, address to, uint256 tokenId) external;
+}
+
+interface IERC1155Token {
+    function safeBatchTransferFrom(address from, address to, uint256[] calldata ids, uint256[] calldata amounts, bytes calldata data) external;
+}
+
+interface IERC20Token {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address owner) external view returns (uint256);
+}
+
+/**
+ * @title BaseIMSpaceMissionMining
+ * @dev Storage, events and shared internal logic of IMSpaceMissionMining.
+ *
+ * IMSpaceMissionMining is deployed as four contracts sharing this storage layout:
+ * IMSpaceMissionMining itself, implementing launch, recall and rewards; an
+ * IMSpaceMissionMiningExtension to which it delegates any other call (maintenance
+ * functions); an IMSpaceMissionMiningManagement to which the extension delegates
+ * in turn (manager controls, and reward stream and season claims); and an IMSpaceMissionMiningViews to which that
+ * delegates (read-only views). Together they implement IMissionMining. All state
+ * must be declared here, so all four agree on its layout.
+ */
+abstract contract BaseIMSpaceMissionMining is Context, AccessControlEnumerable, Pausable, ERC20FaucetOperators {
+    using SafeCast for uint256;
+    using SafeCast for int256;
+    using Checkpoints for Checkpoints.History;
+
+    uint256 internal constant PRECISION = 1e20;
+    // Smallest value of a mission reward share before shares are reset
+    uint256 internal constant MIN_SHARE_SCALE = 1e10;
+
+    // Role capable of withdrawing excess funds and set token addresses
+    bytes32 public constant MANAGER_ROLE = keccak256("MANAGER_ROLE");
+    uint256 public constant MAX_PAYLOADS = 8;
+    uint256 public constant MAX_REWARD_STREAMS = 8;
+    uint256 public constant MAX_COMPONENT_SLOTS = 8;
+    /// @notice Notice given to users before managers may migrate their missions
+    uint256 public constant MIGRATION_NOTICE_PERIOD = 30 days;
+    /// @notice Longest delay the admin may impose on timelocked parameter changes
+    uint256 public constant MAX_PARAMETER_CHANGE_DELAY = 30 days;
+    /// @notice Longest unbonding period managers may impose on recalled missions
+    uint256 public constant MAX_UNBONDING_PERIOD = 30 days;
+    // Time after a season ends before managers may reclaim its unclaimed pool
+    uint256 internal constant SEASON_CLAIM_PERIOD = 90 days;
+
+    // Component slots of the default mission schema
+    uint256 internal constant LANDER_SLOT = 0;
+    uint256 internal constant LANDING_SITE_SLOT = 1;
+    uint256 internal constant PAYLOAD_SLOT = 2;
+
+    /// @notice A mission component slot: the NFT staked in it and the number of
+    /// tokens a valid mission holds there. For ERC1155 slots, each tokenId is
+    /// staked with an amount, and the number of tokens is the sum of amounts.
+    struct ComponentSlot {
+        address token;
+        bool erc1155;
+        uint256 minCount;
+        uint256 maxCount;
+    }
+
+    /// @notice Info of each user who is or has previously staked a mission
+    struct UserInfo {
+        uint256 miningPower;
+        uint256 released;
+        int256 rewardDebt;
+        uint256 effectiveMiningPower;
+    }
+
+    /// @notice Info of mission that is or has been staked
+    struct MissionInfo {
+        // mission details
+        address user;
+        uint256 miningPower;
+        uint256[][] components;     // tokenIds staked in each component slot
+        uint256[][] amounts;        // amount of each tokenId staked (ERC1155 slots only)
+        uint256 userMissionsIndex;
+        uint256 stakedMissionsIndex;
+        // staking status
+        bool staked;
+        uint256 stakedBlock;
+        uint256 stakedTime;
+        uint256 unstakedBlock;
+        uint256 unstakedTime;
+        // stake boost tier applied to mining power (0 for none)
+        uint256 boostTier;
+        // lock-up commitment
+        uint256 unlockTime;
+        uint256 lockMultiplierPrec;
+    }
+
+    /// @notice A mining power boost for missions staked at least `duration` seconds
+    struct StakeBoost {
+        uint256 duration;
+        uint256 multiplierPrec;
+    }
+
+    /// @notice An additional reward token, mined from its own faucet in proportion
+    /// to the same mining power as the primary `token`
+    struct RewardStream {
+        address token;
+        IERC20Faucet faucet;
+        uint256 accRewardPerMP;
+        uint256 totalMined;
+        uint256 totalReleased;
+    }
+
+    /// @notice Info of each user's rewards from a reward stream
+    struct StreamUserInfo {
+        uint256 released;
+        int256 rewardDebt;
+    }
+
+    /// @notice The successor contract a mission was migrated to, and its
+    /// missionId there
+    struct MissionMigration {
+        address target;
+        uint256 targetMissionId;
+    }
+
+    /// @notice A proposed change of an address parameter, executable from
+    /// `executableTime` (zero if none is pending)
+    struct PendingAddressChange {
+        address value;
+        uint256 executableTime;
+    }
+
+    /// @notice A proposed change of a ratio parameter, executable from
+    /// `executableTime` (zero if none is pending)
+    struct PendingRatioChange {
+        uint256 numerator;
+        uint256 denominator;
+        uint256 executableTime;
+    }
+
+    /// @notice A proposed stake boost schedule (see `setStakeBoosts`),
+    /// executable from `executableTime` (zero if none is pending)
+    struct PendingStakeBoosts {
+        uint256[] durations;
+        uint256[] numerators;
+        uint256 denominator;
+        uint256 executableTime;
+    }
+
+    /// @notice A mining season: from `startTime` to `endTime`, users accrue
+    /// power-seconds (effective Mining Power times seconds staked), and once
+    /// it ends may claim a share of `bonusPool` in proportion to them
+    struct Season {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 bonusPool;
+        uint256 powerSeconds;   // total accrued, up to `_totalSeasonUpdateTime`
+        uint256 claimed;
+    }
+
+    /// @notice Info of each user's participation in a season
+    struct SeasonUserInfo {
+        uint256 powerSeconds;   // accrued up to `_seasonUpdateTime[user]`
+        bool claimed;
+    }
+
+    /// @notice A recalled mission whose tokens are held until `returnTime`,
+    /// the end of its unbonding period, then returned `to` the given address
+    struct MissionReturn {
+        address to;
+        uint256 returnTime;
+        uint256 userReturningMissionsIndex;
+    }
+
+    /// @notice Each user's rewards as attributed to their missions, in shares
+    /// worth `scale` / PRECISION reward tokens each. Rewards accrue to staked
+    /// missions in proportion to their Mining Power; those released other than
+    /// by mission reduce the value of every share alike, except the shares of
+    /// locked missions (which are withheld). Shares of an earlier `epoch` are
+    /// worthless.
+    struct UserMissionRewards {
+        uint256 scale;              // zero for PRECISION
+        uint256 epoch;
+        uint256 sharesPerMP;        // accumulated shares per mission Mining Power
+        uint256 epochSharesPerMP;   // `sharesPerMP` when `epoch` began
+        uint256 earnedPerMP;        // accumulated rewards per mission Mining Power
+        uint256 releasable;         // releasable rewards when last settled
+        uint256 unattributedShares; // shares of no current mission
+    }
+
+    /// @notice Rewards attributed to each mission, up to its last checkpoint
+    struct MissionRewards {
+        uint256 epoch;
+        uint256 shares;
+        uint256 sharesPerMPPaid;
+        uint256 earned;
+        uint256 earnedPerMPPaid;
+    }
+
+    uint256 internal _totalMined;       // totalMined() includes to-be-received from faucet
+    uint256 internal _totalReleased;    // see totalReleased()
+
+    /// @notice Address of originating faucet (see `setFaucet`)
+    IERC20Faucet public faucet;
+    /// @notice Accumulated reward per unit of Mining Power
+    uint256 public accRewardPerMP;
+    /// @notice Total effective Mining Power currently staked (see `miningPowerCurve`)
+    uint256 public totalMiningPower;
+
+    /// @notice Mission schema: the component slots of a mission, in order
+    ComponentSlot[] public componentSlots;
+
+    /// @notice Address of mission appraiser and mission tokens
+    INFTAppraiser public appraiser;
+    /// @notice Address of mission completeness checker (if zero, default check used)
+    IMissionChecker public completeMissionChecker;
+    uint256 internal completeMissionMultiplierPrec = PRECISION;
+    /// @notice Address of mission scorer (if set, supersedes the completeness checker)
+    IMissionScorer public missionScorer;
+    /// @notice Maximum multiplier applied to mission scores
+    uint256 public maxMissionScorePrec = PRECISION;
+    /// @notice Address of the curve mapping each user's Mining Power to the effective
+    /// Mining Power that accrues rewards (if zero, the two are equal)
+    IMiningPowerCurve public miningPowerCurve;
+    /// @notice Stake duration boost tiers, in ascending order of duration. Tier `n`
+    /// (1-based) is `stakeBoosts[n - 1]`.
+    StakeBoost[] public stakeBoosts;
+    /// @notice Mining power multiplier for each permitted lock period (zero if not permitted)
+    mapping (uint256 => uint256) public lockMultiplierPrec;
+    /// @notice Whether locked missions may be recalled before their unlock time
+    bool public earlyRecallAllowed;
+    /// @notice Share of a locked mission's withheld rewards forfeited by its early recall
+    uint256 public earlyRecallPenaltyPrec;
+    /// @notice Whether emergency mode is enabled (launches disabled; locks waived)
+    bool public emergencyMode;
+    /// @notice Address of mission receipt token (if zero, no receipts are issued)
+    IMissionReceipt public missionReceipt;
+    /// @notice Address of the successor contract to which missions may be migrated
+    /// (if zero, migration is disabled)
+    IMissionMigrationReceiver public migrationTarget;
+    /// @notice Time after which managers may migrate any user's missions
+    uint256 public migrationTime;
+    /// @notice Address of the ERC2771 forwarder trusted to relay meta-transactions
+    /// (if zero, none is trusted)
+    address public trustedForwarder;
+
+    /// @dev Delay between proposing and executing a timelocked parameter change
+    /// (see `parameterChangeDelay`)
+    uint256 internal _parameterChangeDelay;
+    /// @dev Proposed changes of timelocked parameters (see `pendingAppraiser` etc.)
+    PendingAddressChange internal _pendingAppraiser;
+    PendingAddressChange internal _pendingMissionCompleteChecker;
+    PendingRatioChange internal _pendingMissionCompleteMultiplier;
+    PendingAddressChange internal _pendingTrustedForwarder;
+    PendingAddressChange internal _pendingMissionScorer;
+    PendingRatioChange internal _pendingMaxMissionScore;
+    PendingAddressChange internal _pendingMiningPowerCurve;
+    PendingStakeBoosts internal _pendingStakeBoosts;
+    mapping (uint256 => PendingRatioChange) internal _pendingLockMultipliers;
+
+    /// @dev Mining seasons, in chronological order (see `seasons`)
+    Season[] internal _seasons;
+    /// @dev Info of each user's participation in each season
+    mapping (uint256 => mapping (address => SeasonUserInfo)) internal _seasonUserInfo;
+    /// @dev Time up to which each user's season power-seconds have been accrued
+    mapping (address => uint256) internal _seasonUpdateTime;
+    /// @dev Time up to which each season's total power-seconds have been accrued
+    uint256 internal _totalSeasonUpdateTime;
+    /// @dev Reward tokens reserved for season bonus pools, not yet claimed
+    uint256 internal _seasonPoolsReserved;
+    /// @dev Every account whose Mining Power has been set, in order (season standings)
+    address[] internal _miners;
+
+    /// @dev Time recalled missions are held before their tokens are returned
+    /// (see `unbondingPeriod`)
+    uint256 internal _unbondingPeriod;
+    /// @dev Pending return of each recalled mission in its unbonding period
+    mapping (uint256 => MissionReturn) internal _missionReturns;
+    /// @dev Mission IDs recalled by each user and awaiting return
+    mapping (address => uint256[]) internal _userReturningMissions;
+
+    /// @dev The mission (plus one; zero if none) holding each ERC721 component
+    /// token, by token address and tokenId, while staked or awaiting return
+    mapping (address => mapping (uint256 => uint256)) internal _componentMissions;
+
+    /// @dev Each user's rewards as attributed to their missions
+    mapping (address => UserMissionRewards) internal _userMissionRewards;
+    /// @dev Rewards attributed to each mission (see `missionReleasable`)
+    mapping (uint256 => MissionRewards) internal _missionRewards;
+
+    /// @notice Info of each current and former mission staker
+    mapping (address => UserInfo) public userInfo;
+    /// @notice Mission IDs currently staked by each user
+    mapping (address => uint256[]) public userMissions;
+
+    /// @notice Info of each mission
+    MissionInfo[] public missionInfo;
+    /// @notice Info of each currently staked mission
+    uint256[] public stakedMissions;
+    /// @notice Mission IDs recalled (or migrated) by each user, in order of recall
+    mapping (address => uint256[]) public userRecalledMissions;
+    /// @notice Successor and successor missionId of each migrated mission
+    mapping (uint256 => MissionMigration) public missionMigrations;
+
+    /// @notice Additional reward streams (see `addRewardStream`)
+    RewardStream[] public rewardStreams;
+    /// @notice Info of each user's rewards from each reward stream
+    mapping (uint256 => mapping (address => StreamUserInfo)) public streamUserInfo;
+
+    /// @dev History of each user's effective Mining Power, by block
+    mapping (address => Checkpoints.History) internal _miningPowerCheckpoints;
+    /// @dev History of `totalMiningPower`, by block
+    Checkpoints.History internal _totalMiningPowerCheckpoints;
+
+    event MissionLaunched(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionRecalled(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionEmergencyRecalled(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionAmended(address user, uint256 indexed missionId, address indexed to, uint256 previousMiningPower, uint256 miningPower);
+    event MissionTransferred(address user, uint256 indexed missionId, address indexed to, uint256 miningPower);
+    event MissionAppraised(uint256 indexed missionId, address indexed to, uint256 previousMiningPower, uint256 miningPower);
+    event MissionAppraiserChanged(address indexed previousAppraiser, address indexed appraiser);
+    event MissionCompleteCheckerChanged(address indexed previousChecker, address checker);
+    event MissionCompleteMultiplierUpdated(uint256 numerator, uint256 denominator);
+    event MissionScorerChanged(address indexed previousScorer, address scorer);
+    event MaxMissionScoreUpdated(uint256 numerator, uint256 denominator);
+    event MiningPowerCurveChanged(address indexed previousCurve, address curve);
+    event MissionPromoted(uint256 indexed missionId, address indexed to, uint256 boostTier, uint256 previousMiningPower, uint256 miningPower);
+    event StakeBoostsUpdated(uint256[] durations, uint256[] numerators, uint256 denominator);
+    event MissionLocked(uint256 indexed missionId, address indexed to, uint256 lockPeriod, uint256 unlockTime);
+    event MissionRecallPenalty(uint256 indexed missionId, address indexed user, uint256 forfeited);
+    event LockMultiplierUpdated(uint256 lockPeriod, uint256 numerator, uint256 denominator);
+    event EarlyRecallUpdated(bool allowed, uint256 penaltyNumerator, uint256 penaltyDenominator);
+    event EmergencyModeChanged(bool enabled);
+    event RewardStreamAdded(uint256 indexed streamId, address indexed token, address faucet);
+    event StreamReleased(uint256 indexed streamId, address indexed from, address indexed to, uint256 amount);
+    event ComponentSlotUpdated(uint256 indexed slot, address token, bool erc1155, uint256 minCount, uint256 maxCount);
+    event MigrationTargetChanged(address indexed previousTarget, address target, uint256 migrationTime);
+    event MissionMigrated(address user, uint256 indexed missionId, address indexed target, uint256 targetMissionId, uint256 miningPower);
+    event TrustedForwarderChanged(address indexed previousForwarder, address forwarder);
+    event FaucetChanged(address indexed previousFaucet, address faucet);
+    event FaucetAbandoned(address indexed faucet, uint256 unsettled);
+    event ParameterChangeDelayUpdated(uint256 previousDelay, uint256 delay);
+    event MissionAppraiserChangeProposed(address indexed appraiser, uint256 executableTime);
+    event MissionAppraiserChangeCancelled(address indexed appraiser);
+    event MissionCompleteCheckerChangeProposed(address indexed checker, uint256 executableTime);
+    event MissionCompleteCheckerChangeCancelled(address indexed checker);
+    event MissionCompleteMultiplierUpdateProposed(uint256 numerator, uint256 denominator, uint256 executableTime);
+    event MissionCompleteMultiplierUpdateCancelled(uint256 numerator, uint256 denominator);
+    event TrustedForwarderChangeProposed(address indexed forwarder, uint256 executableTime);
+    event TrustedForwarderChangeCancelled(address indexed forwarder);
+    event MissionScorerChangeProposed(address indexed scorer, uint256 executableTime);
+    event MissionScorerChangeCancelled(address indexed scorer);
+    event MaxMissionScoreUpdateProposed(uint256 numerator, uint256 denominator, uint256 executableTime);
+    event MaxMissionScoreUpdateCancelled(uint256 numerator, uint256 denominator);
+    event MiningPowerCurveChangeProposed(address indexed curve, uint256 executableTime);
+    event MiningPowerCurveChangeCancelled(address indexed curve);
+    event StakeBoostsUpdateProposed(uint256[] durations, uint256[] numerators, uint256 denominator, uint256 executableTime);
+    event StakeBoostsUpdateCancelled(uint256[] durations, uint256[] numerators, uint256 denominator);
+    event LockMultiplierUpdateProposed(uint256 lockPeriod, uint256 numerator, uint256 denominator, uint256 executableTime);
+    event LockMultiplierUpdateCancelled(uint256 lockPeriod, uint256 numerator, uint256 denominator);
+    event SeasonOpened(uint256 indexed seasonId, uint256 startTime, uint256 endTime, uint256 bonusPool);
+    event SeasonPoolReclaimed(uint256 indexed seasonId, uint256 bonusPool);
+    event SeasonRewardClaimed(uint256 indexed seasonId, address indexed from, address indexed to, uint256 amount);
+    event UnbondingPeriodUpdated(uint256 unbondingPeriod);
+    event MissionUnbonding(address user, uint256 indexed missionId, address indexed to, uint256 returnTime);
+    event MissionReturned(address user, uint256 indexed missionId, address indexed to);
+    event ERC20Rescued(address indexed token, address indexed to, uint256 amount);
+    event ERC721Rescued(address indexed token, uint256 indexed tokenId, address indexed to);
+    event MissionReleased(address indexed user, uint256 indexed missionId, address indexed to, uint256 amount);
+
+    constructor() {
+        // default schema: 1 Lander, 0 or 1 Landing Sites, and 0..MAX_PAYLOADS Payloads
+        componentSlots.push(ComponentSlot(address(0), false, 1, 1));
+        componentSlots.push(ComponentSlot(address(0), false, 0, 1));
+        componentSlots.push(ComponentSlot(address(0), false, 0, MAX_PAYLOADS));
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}. ERC1155 mission components are
+     * received as ERC1155 transfers.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /// @dev The reward token address (see IMSpaceMissionMining.token).
+    function _rewardToken() internal view virtual returns (address);
+
+    /**
+     * @notice Whether `forwarder` is trusted to relay meta-transactions (see ERC2771).
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev For calls relayed by the `trustedForwarder`, the sender is the signer
+     * of the meta-transaction, appended by the forwarder to the call data
+     * (see ERC2771).
+     */
+    function _msgSender() internal view virtual override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /**
+     * @dev For calls relayed by the `trustedForwarder`, the call data without
+     * the appended sender (see ERC2771).
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return msg.data;
+        }
+    }
+
+    modifier onlyManager() {
+        _checkManager();
+        _;
+    }
+
+    function _checkManager() internal view {
+        require(hasRole(MANAGER_ROLE, _msgSender()), "IMSMM: !auth");
+    }
+
+    modifier onlyUnset(address addr) {
+        require(addr == address(0), "IMSMM: already set");
+        _;
+    }
+
+    /**
+     * Whether the message sender may release rewards from `from`, sending them `to`.
+     */
+    function _canRelease(address from, address to) internal view returns (bool) {
+        return _msgSender() == from || _isReleaseOperatorFor(_msgSender(), from, to);
+    }
+
+    /**
+     * Calculate and return the reward amount releasable by the indicated user,
+     * including rewards not yet fetched from the faucet.
+     */
+    function _releasable(address _user) internal view returns (uint256 amount) {
+        UserInfo storage user = userInfo[_user];
+        uint256 rewardPerMP = accRewardPerMP;
+
+        uint256 additionalReward = paused() ? 0 : faucet.releasable(address(this));
+        if (additionalReward > 0 && totalMiningPower > 0) {
+            rewardPerMP += (additionalReward * PRECISION) / totalMiningPower;
+        }
+
+        amount = (
+            ((user.effectiveMiningPower * rewardPerMP) / PRECISION).toInt256() - user.rewardDebt
+        ).toUint256();
+    }
+
+    /**
+     * Calculate and return the reward amount releasable by the indicated user
+     * with `release`, including rewards not yet fetched from the faucet: all
+     * but those withheld for their locked missions.
+     */
+    function _unlockedReleasable(address _user) internal view returns (uint256 amount) {
+        amount = _releasable(_user);
+        uint256 locked = _lockedReleasable(_user);
+        amount = amount > locked ? amount - locked : 0;
+    }
+
+    /**
+     * Calculate and return the rewards attributed to the indicated user's
+     * locked missions, including rewards not yet fetched from the faucet. These
+     * are withheld from `release` until each mission unlocks.
+     */
+    function _lockedReleasable(address _user) internal view returns (uint256 amount) {
+        UserMissionRewards storage rewards = _userMissionRewards[_user];
+        (uint256 sharesPerMP, uint256 earnedPerMP, ) = _pendingMissionRewards(_user);
+        uint256[] storage missionIds = userMissions[_user];
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            MissionInfo storage mission = missionInfo[missionIds[i]];
+            if (_isMissionLocked(mission)) {
+                (uint256 shares, ) = _missionRewardShares(mission, _missionRewards[missionIds[i]], rewards, sharesPerMP, earnedPerMP);
+                amount += shares;
+            }
+        }
+        amount = (amount * _shareScale(rewards.scale)) / PRECISION;
+    }
+
+    /**
+     * Returns the rewards accrued by `user` since last settled, including those
+     * not yet fetched from the faucet, as attributed by `_accruedMissionRewards`.
+     */
+    function _pendingMissionRewards(address user) internal view returns (
+        uint256 sharesPerMP,
+        uint256 earnedPerMP,
+        uint256 unattributedShares
+    ) {
+        UserMissionRewards storage rewards = _userMissionRewards[user];
+        uint256 releasable = _releasable(user);
+        if (releasable > rewards.releasable) {
+            (sharesPerMP, earnedPerMP, unattributedShares) = _accruedMissionRewards(
+                rewards.scale,
+                userInfo[user].miningPower,
+                releasable - rewards.releasable
+            );
+        }
+    }
+
+    /**
+     * Whether the indicated mission is locked: staked, before its unlock time,
+     * and not in emergency mode.
+     */
+    function _isMissionLocked(MissionInfo storage mission) internal view returns (bool) {
+        return mission.staked && block.timestamp < mission.unlockTime && !emergencyMode;
+    }
+
+    /**
+     * Calculate and return the reward amount that could be released for this
+     * user at the present moment (without fetching more tokens from the faucet),
+     * including that withheld for their locked missions.
+     */
+    function _releaseAmount(UserInfo storage user) internal view returns (uint256) {
+        return (
+            ((user.effectiveMiningPower * accRewardPerMP)  / PRECISION).toInt256() - user.rewardDebt
+        ).toUint256();
+    }
+
+    /**
+     * Returns the reward tokens held by this contract that are neither owed to
+     * miners nor reserved for season bonus pools.
+     */
+    function _excess() internal view returns (uint256) {
+        uint256 balance = IERC20Token(_rewardToken()).balanceOf(address(this));
+        return (balance + _totalReleased) - _totalMined - _seasonPoolsReserved;
+    }
+
+    function _streamReleaseAmount(uint256 streamId, address user, uint256 rewardPerMP) internal view returns (uint256) {
+        return (
+            ((userInfo[user].effectiveMiningPower * rewardPerMP) / PRECISION).toInt256() - streamUserInfo[streamId][user].rewardDebt
+        ).toUint256();
+    }
+
+    /**
+     * @dev Delegates the current call to `implementation`, returning its result
+     * (this function does not return to its internal call site).
+     *
+     * Modified from OpenZeppelin (Copyright (c) 2016-2022 zOS Global Limited and contributors
+     * under MIT license)'s Proxy implementation.
+     */
+    function _delegate(address implementation) internal {
+        /// @solidity memory-safe-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    function _transferMissionNFTs(MissionInfo storage mission, address from, address to) internal {
+        for (uint256 i = 0; i < mission.components.length; i++) {
+            _transferComponents(i, mission.components[i], mission.amounts[i], from, to);
+        }
+    }
+
+    /**
+     * Transfer the indicated tokens of component slot `slot` (with `amounts`,
+     * if an ERC1155 slot).
+     */
+    function _transferComponents(uint256 slot, uint256[] memory tokenIds, uint256[] memory amounts, address from, address to) internal {
+        ComponentSlot storage componentSlot = componentSlots[slot];
+        if (!componentSlot.erc1155) {
+            _transferNFTs(componentSlot.token, tokenIds, from, to);
+        } else if (tokenIds.length > 0) {
+            IERC1155Token(componentSlot.token).safeBatchTransferFrom(from, to, tokenIds, amounts, "");
+        }
+    }
+
+    /**
+     * Transfer the indicated ERC721 tokens, forgetting the mission holding each
+     * (see `_holdComponents`) if transferred out of this contract.
+     */
+    function _transferNFTs(address nftToken, uint256[] memory tokenIds, address from, address to) internal {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (from == address(this)) {
+                delete _componentMissions[nftToken][tokenIds[i]];
+            }
+            IERC721Token(nftToken).transferFrom(from, to, tokenIds[i]);
+        }
+    }
+
+    /**
+     * Record the indicated tokens of component slot `slot` (if an ERC721 slot)
+     * as held for mission `missionId`, until transferred out of this contract.
+     */
+    function _holdComponents(uint256 slot, uint256[] memory tokenIds, uint256 missionId) internal {
+        ComponentSlot storage componentSlot = componentSlots[slot];
+        for (uint256 i = 0; !componentSlot.erc1155 && i < tokenIds.length; i++) {
+            _componentMissions[componentSlot.token][tokenIds[i]] = missionId + 1;
+        }
+    }
+
+    /// @notice Update internal state, pulling tokens from the faucet (and the
+    /// faucet of each reward stream) if appropriate.
+    function update() public {
+        if (!paused() && faucet.releasable(address(this)) > 0) {
+            uint256 mined = faucet.release(address(this), address(this));
+
+            if (totalMiningPower > 0) {
+                accRewardPerMP += (mined * PRECISION) / totalMiningPower;
+                _totalMined += mined;
+            }
+        }
+
+        // reward streams are left in their faucets while no users are mining
+        if (!paused() && totalMiningPower > 0) {
+            for (uint256 i = 0; i < rewardStreams.length; i++) {
+                RewardStream storage stream = rewardStreams[i];
+                if (stream.faucet.releasable(address(this)) > 0) {
+                    uint256 mined = stream.faucet.release(address(this), address(this));
+                    stream.accRewardPerMP += (mined * PRECISION) / totalMiningPower;
+                    stream.totalMined += mined;
+                }
+            }
+        }
+    }
+
+    /**
+     * Adjust the indicated user's reward debt in each reward stream for a change
+     * in their mining power, so that rewards already mined are unaffected. Callers
+     * are responsible for the same adjustment to `userInfo`.
+     */
+    function _updateStreamDebts(address user, int256 miningPowerChange) internal {
+        for (uint256 i = 0; i < rewardStreams.length; i++) {
+            streamUserInfo[i][user].rewardDebt += (miningPowerChange * rewardStreams[i].accRewardPerMP.toInt256()) / PRECISION.toInt256();
+        }
+    }
+
+    /**
+     * Evaluate a candidate mission for staking, given the tokenIds in each
+     * component slot and, for ERC1155 slots, their amounts. Returns a tuple
+     * giving whether the specified set of tokens represents a valid mission,
+     * and its mining power if staked.
+     */
+    function _evaluateMission(uint256[][] memory components, uint256[][] memory amounts) internal view returns (bool valid, uint256 miningPower) {
+        // valid missions: must provide every component slot, each holding between
+        // its minimum and maximum count of tokens. ERC1155 components must have
+        // a nonzero amount for each tokenId; ERC721 components, no amounts. any
+        // provided components must have a non-zero-address nft token.
+        valid = components.length == componentSlots.length && amounts.length == components.length;
+        for (uint256 i = 0; valid && i < components.length; i++) {
+            ComponentSlot storage slot = componentSlots[i];
+            uint256 count = components[i].length;
+            if (slot.erc1155) {
+                valid = amounts[i].length == count;
+                count = 0;
+                for (uint256 j = 0; valid && j < amounts[i].length; j++) {
+                    valid = amounts[i][j] > 0;
+                    count += amounts[i][j];
+                }
+            } else {
+                valid = amounts[i].length == 0;
+            }
+            valid = valid && count >= slot.minCount && count <= slot.maxCount && (count == 0 || slot.token != address(0));
+        }
+
+        if (valid) {
+            // mining power is the sum of all component tokens, scaled by a multiplier
+            // if complete.
+            miningPower = _getMissionAppraisal(components, amounts);
+        }
+    }
+
+    /**
+     * Returns the components of a mission in the default schema: `landers`,
+     * `landingSites` and `payloads` in their slots, and any other slot empty.
+     */
+    function _defaultComponents(
+        uint256[] memory landers,
+        uint256[] memory landingSites,
+        uint256[] memory payloads
+    ) internal view returns (uint256[][] memory components) {
+        components = new uint256[][](componentSlots.length);
+        components[LANDER_SLOT] = landers;
+        components[LANDING_SITE_SLOT] = landingSites;
+        components[PAYLOAD_SLOT] = payloads;
+    }
+
+    /**
+     * Returns empty component amounts, for missions with no ERC1155 components.
+     */
+    function _emptyAmounts() internal view returns (uint256[][] memory amounts) {
+        amounts = new uint256[][](componentSlots.length);
+    }
+
+    /**
+     * Returns the tokenIds staked in each component slot of the indicated
+     * mission, and their amounts. Slots added since the mission was launched
+     * are empty.
+     */
+    function _missionComponents(MissionInfo storage mission) internal view returns (uint256[][] memory components, uint256[][] memory amounts) {
+        components = new uint256[][](componentSlots.length);
+        amounts = new uint256[][](componentSlots.length);
+        for (uint256 i = 0; i < mission.components.length; i++) {
+            components[i] = mission.components[i];
+            amounts[i] = mission.amounts[i];
+        }
+    }
+
+    /**
+     * Returns the number of stake boost tiers reached after staking for
+     * `stakeDuration` seconds.
+     */
+    function _stakeBoostTier(uint256 stakeDuration) internal view returns (uint256 tier) {
+        while (tier < stakeBoosts.length && stakeBoosts[tier].duration <= stakeDuration) {
+            tier++;
+        }
+    }
+
+    /**
+     * Returns `appraisal` with the indicated stake boost tier's multiplier applied.
+     */
+    function _applyStakeBoost(uint256 appraisal, uint256 tier) internal view returns (uint256) {
+        if (tier == 0 || tier > stakeBoosts.length) {
+            return appraisal;
+        }
+        return (appraisal * stakeBoosts[tier - 1].multiplierPrec) / PRECISION;
+    }
+
+    /**
+     * Returns the current mining power of the indicated mission at stake boost
+     * tier `tier`: its component appraisal with its lock and stake boost
+     * multipliers applied.
+     */
+    function _getStakedMissionAppraisal(MissionInfo storage mission, uint256 tier) internal view returns (uint256) {
+        (uint256[][] memory components, uint256[][] memory amounts) = _missionComponents(mission);
+        return _applyMissionMultipliers(mission, _getMissionAppraisal(components, amounts), tier);
+    }
+
+    /**
+     * Returns `appraisal` with the indicated mission's lock multiplier and
+     * the multiplier of stake boost tier `tier` applied.
+     */
+    function _applyMissionMultipliers(MissionInfo storage mission, uint256 appraisal, uint256 tier) internal view returns (uint256) {
+        return _applyStakeBoost((appraisal * mission.lockMultiplierPrec) / PRECISION, tier);
+    }
+
+    function _getMissionAppraisal(uint256[][] memory components, uint256[][] memory amounts) internal view returns (uint256 miningPower) {
+        // mining power is the sum of all component tokens, scaled by the mission's
+        // score if a scorer is set, or by a multiplier if complete.
+        for (uint256 i = 0; i < components.length; i++) {
+            miningPower += _getComponentAppraisal(i, components[i], amounts[i]);
+        }
+
+        if (address(missionScorer) != address(0)) {
+            miningPower = (miningPower * _scoreMission(components, amounts)) / PRECISION;
+        } else if (_isMissionComplete(components)) {
+            miningPower = (miningPower * completeMissionMultiplierPrec) / PRECISION;
+        }
+    }
+
+    function _applyAppraisal(MissionInfo storage mission, uint256 missionId, uint256 appraisal) internal {
+        _checkpointMissionRewards(mission, missionId);
+        uint256 previousAppraisal = mission.miningPower;
+        mission.miningPower = appraisal;
+
+        if (mission.staked) {
+            _setUserMiningPower(mission.user, (userInfo[mission.user].miningPower + appraisal) - previousAppraisal);
+        }
+    }
+
+    /**
+     * Sets the Mining Power of `account` (the sum of its staked missions' mining
+     * power), updating its effective Mining Power and adjusting its reward debts
+     * and `totalMiningPower` for the change, and checkpointing both. Callers are
+     * responsible for calling `update()` beforehand.
+     */
+    function _setUserMiningPower(address account, uint256 miningPower) internal {
+        _accrueSeasonPower(account, miningPower);
+        _settleMissionRewards(account);
+
+        UserInfo storage user = userInfo[account];
+        uint256 effectiveMiningPower = _effectiveMiningPower(miningPower);
+        int256 change = effectiveMiningPower.toInt256() - user.effectiveMiningPower.toInt256();
+
+        user.miningPower = miningPower;
+        user.effectiveMiningPower = effectiveMiningPower;
+        user.rewardDebt += (change * accRewardPerMP.toInt256()) / PRECISION.toInt256();
+        _updateStreamDebts(account, change);
+        totalMiningPower = (totalMiningPower.toInt256() + change).toUint256();
+
+        _miningPowerCheckpoints[account].push(effectiveMiningPower);
+        _totalMiningPowerCheckpoints.push(totalMiningPower);
+
+        // releasable rewards are unchanged, up to rounding
+        _userMissionRewards[account].releasable = _releaseAmount(user);
+    }
+
+    /**
+     * Attributes the rewards accrued by `account` since last settled to its staked
+     * missions, in proportion to their Mining Power. Called before any change to
+     * its Mining Power or releasable rewards, once `accRewardPerMP` is up to date.
+     */
+    function _settleMissionRewards(address account) internal returns (UserMissionRewards storage rewards) {
+        rewards = _userMissionRewards[account];
+        uint256 releasable = _releaseAmount(userInfo[account]);
+        if (releasable > rewards.releasable) {
+            (uint256 sharesPerMP, uint256 earnedPerMP, uint256 unattributedShares) = _accruedMissionRewards(
+                rewards.scale,
+                userInfo[account].miningPower,
+                releasable - rewards.releasable
+            );
+            rewards.sharesPerMP += sharesPerMP;
+            rewards.earnedPerMP += earnedPerMP;
+            rewards.unattributedShares += unattributedShares;
+        }
+        rewards.releasable = releasable;
+    }
+
+    /**
+     * Returns the shares and rewards per Mining Power attributed by `accrued`
+     * rewards to missions of `miningPower` total Mining Power, or if zero, the
+     * shares attributed to none.
+     */
+    function _accruedMissionRewards(uint256 scale, uint256 miningPower, uint256 accrued) internal pure returns (
+        uint256 sharesPerMP,
+        uint256 earnedPerMP,
+        uint256 unattributedShares
+    ) {
+        uint256 shares = (accrued * PRECISION) / _shareScale(scale);
+        if (miningPower > 0) {
+            sharesPerMP = (shares * PRECISION) / miningPower;
+            earnedPerMP = (accrued * PRECISION) / miningPower;
+        } else {
+            unattributedShares = shares;
+        }
+    }
+
+    /**
+     * Credits the indicated mission with the rewards attributed to it so far,
+     * before a change to its Mining Power, staking status or user.
+     */
+    function _checkpointMissionRewards(MissionInfo storage mission, uint256 missionId) internal {
+        UserMissionRewards storage rewards = _settleMissionRewards(mission.user);
+        MissionRewards storage info = _missionRewards[missionId];
+        (info.shares, info.earned) = _missionRewardShares(mission, info, rewards, 0, 0);
+        info.epoch = rewards.epoch;
+        info.sharesPerMPPaid = rewards.sharesPerMP;
+        info.earnedPerMPPaid = rewards.earnedPerMP;
+    }
+
+    /**
+     * Returns the shares and the total rewards attributed to the indicated
+     * mission, given its user's `rewards` and the shares and rewards per Mining
+     * Power accrued since they were settled (see `_accruedMissionRewards`).
+     */
+    function _missionRewardShares(
+        MissionInfo storage mission,
+        MissionRewards storage info,
+        UserMissionRewards storage rewards,
+        uint256 accruedSharesPerMP,
+        uint256 accruedEarnedPerMP
+    ) internal view returns (uint256 shares, uint256 earned) {
+        uint256 sharesPerMPPaid = rewards.epochSharesPerMP;
+        if (info.epoch == rewards.epoch) {
+            shares = info.shares;
+            sharesPerMPPaid = info.sharesPerMPPaid;
+        }
+        earned = info.earned;
+        if (mission.staked) {
+            shares += (mission.miningPower * (rewards.sharesPerMP + accruedSharesPerMP - sharesPerMPPaid)) / PRECISION;
+            earned += (mission.miningPower * (rewards.earnedPerMP + accruedEarnedPerMP - info.earnedPerMPPaid)) / PRECISION;
+        }
+    }
+
+    /**
+     * Moves the indicated mission's (checkpointed) unreleased rewards from among
+     * the missions of `from` to its unattributed rewards, and begins attributing
+     * rewards to it among those of `to` (which must be settled).
+     */
+    function _moveMissionRewards(uint256 missionId, address from, address to) internal {
+        MissionRewards storage info = _missionRewards[missionId];
+        UserMissionRewards storage rewards = _userMissionRewards[to];
+        _userMissionRewards[from].unattributedShares += info.shares;
+        info.shares = 0;
+        info.epoch = rewards.epoch;
+        info.sharesPerMPPaid = rewards.sharesPerMP;
+        info.earnedPerMPPaid = rewards.earnedPerMP;
+    }
+
+    /**
+     * Reduces the rewards attributed to `account`'s missions before `amount` of
+     * its releasable rewards are released (other than by `releaseMission`), and
+     * returns that amount: if `type(uint256).max`, all that may be released.
+     * Rewards attributed to its locked missions are withheld, keeping their
+     * value; all others are reduced in proportion. Should that leave shares
+     * worth too little to track precisely, starts a new epoch, leaving any
+     * remainder unattributed.
+     */
+    function _reduceMissionRewards(address account, uint256 amount) internal returns (uint256) {
+        UserMissionRewards storage rewards = _settleMissionRewards(account);
+        uint256[] storage missionIds = userMissions[account];
+        uint256 previousScale = _shareScale(rewards.scale);
+
+        uint256 withheld;
+        for (uint256 i = 0; i < missionIds.length; i++) {
+            MissionInfo storage mission = missionInfo[missionIds[i]];
+            if (_isMissionLocked(mission)) {
+                _checkpointMissionRewards(mission, missionIds[i]);
+                withheld += _missionRewards[missionIds[i]].shares;
+            }
+        }
+        withheld = (withheld * previousScale) / PRECISION;
+
+        uint256 unlocked = rewards.releasable > withheld ? rewards.releasable - withheld : 0;
+        if (amount == type(uint256).max) {
+            amount = unlocked;
+        }
+        require(amount <= unlocked, "IMSMM: amount > releasable");
+        if (amount == 0) return 0;
+
+        uint256 scale = (previousScale * (unlocked - amount)) / unlocked;
+        if (scale < MIN_SHARE_SCALE) {
+            rewards.epoch++;
+            rewards.epochSharesPerMP = rewards.sharesPerMP;
+            rewards.unattributedShares = unlocked - amount;
+            scale = PRECISION;
+        }
+
+        // withheld shares are rescaled to keep their value
+        for (uint256 i = 0; withheld > 0 && i < missionIds.length; i++) {
+            if (_isMissionLocked(missionInfo[missionIds[i]])) {
+                MissionRewards storage info = _missionRewards[missionIds[i]];
+                info.shares = (info.shares * previousScale) / scale;
+                info.epoch = rewards.epoch;
+            }
+        }
+        rewards.scale = scale;
+        rewards.releasable -= amount;
+        return amount;
+    }
+
+    /**
+     * Takes `sharePrec` (a share, in PRECISION) of the rewards attributed to the
+     * indicated mission as last checkpointed from those releasable by `account`,
+     * its user, and returns their amount. Callers are responsible for releasing,
+     * forfeiting or moving them, adjusting the user's reward debt.
+     */
+    function _takeMissionRewards(uint256 missionId, address account, uint256 sharePrec) internal returns (uint256 amount) {
+        MissionRewards storage info = _missionRewards[missionId];
+        UserMissionRewards storage rewards = _userMissionRewards[account];
+        uint256 shares = (info.shares * sharePrec) / PRECISION;
+
+        // shares may be worth slightly more than remains, due to rounding
+        amount = (shares * _shareScale(rewards.scale)) / PRECISION;
+        if (amount > rewards.releasable) {
+            amount = rewards.releasable;
+        }
+        info.shares -= shares;
+        rewards.releasable -= amount;
+    }
+
+    /// Returns the value of a mission reward share (in PRECISION), given its
+    /// stored `scale`.
+    function _shareScale(uint256 scale) internal pure returns (uint256) {
+        return scale == 0 ? PRECISION : scale;
+    }
+
+    /**
+     * Accrues the season power-seconds of `account` and of `totalMiningPower`
+     * up to the present, for each season since they were last accrued (during
+     * which both have been constant). Called before either changes, with the
+     * new Mining Power of `account`; accounts are added to `_miners` when first
+     * given Mining Power.
+     */
+    function _accrueSeasonPower(address account, uint256 newMiningPower) internal {
+        uint256 since = _seasonUpdateTime[account];
+        if (since != 0) {
+            uint256 miningPower = userInfo[account].effectiveMiningPower;
+            for (uint256 i = _seasons.length; miningPower > 0 && i > 0 && _seasons[i - 1].endTime > since; i--) {
+                _seasonUserInfo[i - 1][account].powerSeconds += miningPower * _seasonOverlap(_seasons[i - 1], since);
+            }
+            _seasonUpdateTime[account] = block.timestamp;
+        } else if (newMiningPower > 0) {
+            _miners.push(account);
+            _seasonUpdateTime[account] = block.timestamp;
+        }
+
+        since = _totalSeasonUpdateTime;
+        for (uint256 i = _seasons.length; totalMiningPower > 0 && i > 0 && _seasons[i - 1].endTime > since; i--) {
+            _seasons[i - 1].powerSeconds += totalMiningPower * _seasonOverlap(_seasons[i - 1], since);
+        }
+        _totalSeasonUpdateTime = block.timestamp;
+    }
+
+    /**
+     * Returns the power-seconds of `account` in the indicated season so far,
+     * including those not yet accrued.
+     */
+    function _seasonPowerSeconds(uint256 seasonId, address account) internal view returns (uint256) {
+        return _seasonUserInfo[seasonId][account].powerSeconds
+            + userInfo[account].effectiveMiningPower * _seasonOverlap(_seasons[seasonId], _seasonUpdateTime[account]);
+    }
+
+    /**
+     * Returns the total power-seconds of all users in the indicated season so
+     * far, including those not yet accrued.
+     */
+    function _seasonTotalPowerSeconds(uint256 seasonId) internal view returns (uint256) {
+        return _seasons[seasonId].powerSeconds + totalMiningPower * _seasonOverlap(_seasons[seasonId], _totalSeasonUpdateTime);
+    }
+
+    /**
+     * Returns the share of the indicated season's bonus pool earned by
+     * `account` so far (whether or not claimed).
+     */
+    function _seasonReward(uint256 seasonId, address account) internal view returns (uint256) {
+        uint256 totalPowerSeconds = _seasonTotalPowerSeconds(seasonId);
+        if (totalPowerSeconds == 0) {
+            return 0;
+        }
+        return (_seasons[seasonId].bonusPool * _seasonPowerSeconds(seasonId, account)) / totalPowerSeconds;
+    }
+
+    /**
+     * Returns the number of seconds of the indicated season elapsed between
+     * `since` and the present.
+     */
+    function _seasonOverlap(Season storage season, uint256 since) internal view returns (uint256) {
+        uint256 from = since > season.startTime ? since : season.startTime;
+        uint256 to = block.timestamp < season.endTime ? block.timestamp : season.endTime;
+        return to > from ? to - from : 0;
+    }
+
+    function _effectiveMiningPower(uint256 miningPower) internal view returns (uint256 effectiveMiningPower) {
+        // the curve's effective mining power, capped at the user's mining power;
+        // users with no mining power have no effective mining power.
+        if (address(miningPowerCurve) == address(0) || miningPower == 0) {
+            return miningPower;
+        }
+        effectiveMiningPower = miningPowerCurve.effectiveMiningPower(miningPower);
+        if (effectiveMiningPower > miningPower) {
+            effectiveMiningPower = miningPower;
+        }
+    }
+
+    function _getComponentAppraisal(uint256 slot, uint256[] memory _tokenIds, uint256[] memory _amounts) internal view returns (uint256 miningPower) {
+        ComponentSlot storage componentSlot = componentSlots[slot];
+        if (_tokenIds.length == 0) {
+            miningPower = 0;
+        } else if (componentSlot.erc1155) {
+            miningPower = appraiser.totalAppraisalOfAmounts(componentSlot.token, _tokenIds, _amounts);
+        } else {
+            miningPower = appraiser.totalAppraisalOf(componentSlot.token, _tokenIds);
+        }
+    }
+
+    function _scoreMission(uint256[][] memory components, uint256[][] memory amounts) internal view returns (uint256 multiplierPrec) {
+        // the scorer's multiplier, capped at the maximum.
+        (uint256 numerator, uint256 denominator) = missionScorer.scoreMission(_componentTokens(), components, amounts);
+        multiplierPrec = (numerator * PRECISION) / denominator;
+        if (multiplierPrec > maxMissionScorePrec) {
+            multiplierPrec = maxMissionScorePrec;
+        }
+    }
+
+    function _isMissionComplete(uint256[][] memory components) internal view returns (bool complete) {
+        // if a completeness checker is set, defer to it. Otherwise simply
+        // verify that at least one of each token type is provided.
+        if (address(completeMissionChecker) != address(0)) {
+            return completeMissionChecker.checkMission(_componentTokens(), components);
+        } else {
+            for (uint256 i = 0; i < components.length; i++) {
+                if (components[i].length == 0) {
+                    return false;
+                }
+            }
+            return true;
+        }
+    }
+
+    /**
+     * Returns the NFT token of each component slot.
+     */
+    function _componentTokens() internal view returns (address[] memory tokens) {
+        tokens = new address[](componentSlots.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            tokens[i] = componentSlots[i].token;
+        }
+    }
+
+    /**
+     * Unstake the indicated mission, removing its receipt (if any) and moving it
+     * to its user's recalled missions. Does not transfer the mission tokens (and
+     * its user's Mining Power is updated by the caller). Callers are responsible
+     * for calling `update()` beforehand, if appropriate.
+     */
+    function _unstakeMission(MissionInfo storage mission, uint256 missionId) internal {
+        _checkpointMissionRewards(mission, missionId);
+        mission.staked = false;
+        mission.unstakedBlock = block.number;
+        mission.unstakedTime = block.timestamp;
+
+        // cleanup user mission list and mission record
+        _removeUserMission(mission);
+        userRecalledMissions[mission.user].push(missionId);
+
+        // cleanup staked mission list
+        {
+            uint256 replacementMissionId = stakedMissions[stakedMissions.length - 1];
+            MissionInfo storage replacementMission = missionInfo[replacementMissionId];
+            stakedMissions[mission.stakedMissionsIndex] = replacementMissionId;
+            stakedMissions.pop();
+            replacementMission.stakedMissionsIndex = mission.stakedMissionsIndex;
+        }
+
+        if (address(missionReceipt) != address(0)) {
+            missionReceipt.burn(missionId);
+        }
+    }
+
+    /**
+     * Remove the indicated mission from its user's mission list, moving the last
+     * entry into its place.
+     */
+    function _removeUserMission(MissionInfo storage mission) internal {
+        uint256[] storage missions = userMissions[mission.user];
+        uint256 replacementMissionId = missions[missions.length - 1];
+        missions[mission.userMissionsIndex] = replacementMissionId;
+        missions.pop();
+        missionInfo[replacementMissionId].userMissionsIndex = mission.userMissionsIndex;
+    }
+
+    /**
+     * @dev Wrapper around ERC20 `transfer` that throw on failure (when the token
+     * contract returns false). Tokens that return no value (and instead revert or
+     * throw on failure) are also supported, non-reverting calls are assumed to be
+     * successful.
+     *
+     * Modified from OpenZeppelin (Copyright (c) 2016-2022 zOS Global Limited and contributors
+     * under MIT license)'s Address and SafeERC20 implementations; optimized for
+     * size as only one such operation is needed.
+     */
+    function _safeTransfer(address erc20, address to, uint256 amount) internal {
+        // encode transfer function
+        bytes memory data = abi.encodeWithSelector(IERC20Token(erc20).transfer.selector, to, amount);
+
+        // low-level invocation
+        (bool success, bytes memory returndata) = erc20.call{value: 0}(data);
+
+        // if unsuccessful, unpack error message
+        if (!success) {
+            if (returndata.length > 0) {
+                /// @solidity memory-safe-assembly
+                assembly {
+                    let returndata_size := mload(returndata)
+                    revert(add(32, returndata), returndata_size)
+                }
+            } else {
+                revert("SafeERC20: low-level call failed");
+            }
+        }
+
+        if (returndata.length > 0) {
+            // Return data is optional
+            require(abi.decode(returndata, (bool)), "SafeERC20: ERC20 operation did not succeed");
+        }
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.10;
+
+import "../IMiningPowerCurve.sol";
+
+/**
+ * @title MockMiningPowerCurve
+ * @dev An IMiningPowerCurve with piecewise diminishing returns: mining power up
+ * to `threshold` is fully effective, and above it effective at the ratio
+ * `numerator / denominator`. For ease of use there are no access restrictions
+ * on the `setCurve` call.
+ */
+contract MockMiningPowerCurve is IMiningPowerCurve {
+    uint256 threshold;
+    uint256 numerator = 1;
+    uint256 denominator = 1;
+
+    constructor() {
+
+    }
+
+    function setCurve(uint256 _threshold, uint256 _numerator, uint256 _denominator) public {
+        threshold = _threshold;
+        numerator = _numerator;
+        denominator = _denominator;
+    }
+
+    function effectiveMiningPower(uint256 miningPower) external view returns (uint256) {
+        if (miningPower <= threshold) {
+            return miningPower;
+        }
+        return threshold + ((miningPower - threshold) * numerator) / denominator;
+    }
+}
@@ -23,12 +23,8 @@ contract MockMissionChecker is IMissionChecker {
     }
 
     function checkMission(
-        address,
-        uint256[] calldata,
-        address,
-        uint256[] calldata,
-        address,
-        uint256[] calldata
+        address[] calldata,
+        uint256[][] calldata
     ) external view returns (bool) {
         return result;
     }
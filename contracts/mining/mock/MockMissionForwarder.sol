@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * @title MockMissionForwarder
+ * @dev A minimal ERC2771 forwarder (OpenZeppelin's MinimalForwarder, EIP712
+ * domain "MinimalForwarder" version "0.0.1") for relaying signed
+ * meta-transactions to a mining contract that trusts it. Verifies signatures
+ * and nonces; anyone may act as relayer and pay the gas.
+ */
+contract MockMissionForwarder is MinimalForwarder {
+
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "../IMissionMigrationReceiver.sol";
+
+/**
+ * @title MockMissionMigrationReceiver
+ * @dev An IMissionMigrationReceiver that accepts any mission from any caller,
+ * recording it and assigning missionIds from `nextMissionId` upward. For ease
+ * of use there are no access restrictions.
+ */
+contract MockMissionMigrationReceiver is IMissionMigrationReceiver, ERC1155Holder {
+    struct Migration {
+        address predecessor;
+        address user;
+        uint256 missionId;
+        address[] tokens;
+        uint256[][] components;
+        uint256[][] amounts;
+        uint256 unlockTime;
+    }
+
+    uint256 public nextMissionId;
+    mapping (uint256 => Migration) migrations;
+
+    constructor(uint256 _nextMissionId) {
+        nextMissionId = _nextMissionId;
+    }
+
+    function receiveMission(
+        address user,
+        uint256 missionId,
+        address[] calldata tokens,
+        uint256[][] calldata components,
+        uint256[][] calldata amounts,
+        uint256 unlockTime
+    ) external returns (uint256 targetMissionId) {
+        targetMissionId = nextMissionId++;
+        Migration storage migration = migrations[targetMissionId];
+        migration.predecessor = msg.sender;
+        migration.user = user;
+        migration.missionId = missionId;
+        migration.tokens = tokens;
+        for (uint256 i = 0; i < components.length; i++) {
+            migration.components.push(components[i]);
+            migration.amounts.push(amounts[i]);
+        }
+        migration.unlockTime = unlockTime;
+    }
+
+    function getMigration(uint256 targetMissionId) external view returns (Migration memory) {
+        return migrations[targetMissionId];
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.10;
+
+import "../IMissionScorer.sol";
+
+/**
+ * @title MockMissionScorer
+ * @dev An IMissionScorer that allows the multiplier to be set in advance
+ * (the same score will be given until this setting is changed). For ease of
+ * use there are no access restrictions on the `setScore` call.
+ */
+contract MockMissionScorer is IMissionScorer {
+    uint256 numerator = 1;
+    uint256 denominator = 1;
+
+    constructor() {
+
+    }
+
+    function setScore(uint256 _numerator, uint256 _denominator) public {
+        numerator = _numerator;
+        denominator = _denominator;
+    }
+
+    function scoreMission(
+        address[] calldata,
+        uint256[][] calldata,
+        uint256[][] calldata
+    ) external view returns (uint256, uint256) {
+        return (numerator, denominator);
+    }
+}
@@ -0,0 +1,25 @@
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+pragma solidity ^0.8.0;
+contract MockERC1155 is ERC1155 {
+    bool public universalApproval;
+
+    constructor(string memory uri) ERC1155(uri) {
+
+    }
+
+    function mint(address to, uint256 id, uint256 amount) public {
+        _mint(to, id, amount, "");
+    }
+
+    function setUniversalApproval(bool _universalApproval) public {
+        universalApproval = _universalApproval;
+    }
+
+    /**
+     * @dev See {IERC1155-isApprovedForAll}.
+     */
+    function isApprovedForAll(address account, address operator) public view override virtual returns (bool) {
+        return universalApproval || super.isApprovedForAll(account, operator);
+    }
+}
@@ -525,6 +525,42 @@ contract('DripShareERC20Faucet', ([alice, bob, carol, dave, edith, fred, owner])
         );
       });
 
+      it('release operators can release on behalf of recipients', async () => {
+        await this.faucet.setReleaseOperator(dave, true, { from:alice });
+        await this.faucet.setReleaseOperator(edith, true, { from:bob });
+        await this.faucet.setReleaseOperatorDestination(edith, fred, { from:bob });
+        assert.equal(await this.faucet.isReleaseOperator(alice, dave), true);
+        assert.equal(await this.faucet.isReleaseOperator(bob, dave), false);
+        assert.equal(await this.faucet.releaseOperatorDestination(bob, edith), fred);
+        await time.advanceBlockTo(startBlock);
+
+        // operators can't release from others
+        await expectRevert(
+          this.faucet.methods["release(address,address)"](carol, dave, { from:dave }),
+          "BaseERC20Faucet: Not authorized to release"
+        );
+
+        // operators can't release outside their destination
+        await expectRevert(
+          this.faucet.methods["release(address,address,uint256)"](bob, edith, 1, { from:edith }),
+          "BaseERC20Faucet: Not authorized to release"
+        );
+
+        await this.faucet.methods["release(address,address)"](alice, carol, { from:dave });
+        assert.equal(await this.token.balanceOf(carol), (await this.faucet.released(alice)).toString());
+
+        await this.faucet.methods["release(address,address,uint256)"](bob, fred, 10, { from:edith });
+        assert.equal(await this.token.balanceOf(fred), '10');
+        assert.equal(await this.faucet.released(bob), '10');
+
+        // revoked operators can't release
+        await this.faucet.setReleaseOperator(dave, false, { from:alice });
+        await expectRevert(
+          this.faucet.methods["release(address,address)"](alice, carol, { from:dave }),
+          "BaseERC20Faucet: Not authorized to release"
+        );
+      });
+
       it('release(address,address,uint256) reverts amount larger than that owed', async () => {
         await time.advanceBlockTo(startBlock);
 
@@ -0,0 +1,82 @@
+// Helpers for signing and relaying ERC2771 meta-transactions through a
+// MockMissionForwarder (OpenZeppelin's MinimalForwarder).
+
+const EIP712Domain = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+];
+
+const ForwardRequest = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'gas', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'data', type: 'bytes' },
+];
+
+// Build a ForwardRequest for `from` to call `to` with the encoded call `data`,
+// using the forwarder's current nonce for `from`.
+async function buildRequest(forwarder, from, to, data, gas = 3000000) {
+  const nonce = await forwarder.getNonce(from);
+  return { from, to, value: '0', gas: `${gas}`, nonce: nonce.toString(), data };
+}
+
+// Sign `request` as EIP712 typed data with the (unlocked) account `request.from`.
+async function signRequest(forwarder, request) {
+  const chainId = await web3.eth.getChainId();
+  const typedData = {
+    types: { EIP712Domain, ForwardRequest },
+    domain: { name: 'MinimalForwarder', version: '0.0.1', chainId, verifyingContract: forwarder.address },
+    primaryType: 'ForwardRequest',
+    message: request,
+  };
+
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method: 'eth_signTypedData_v4',
+      params: [request.from, typedData],
+    }, (err, res) => {
+      if (err || res.error) reject(err || new Error(res.error.message));
+      else resolve(res.result);
+    });
+  });
+}
+
+// A local relayer stand-in: verifies a signed request and submits it from
+// `relayer` (who pays the gas), reverting with the relayed call's revert
+// reason if it would fail. Returns the forwarder transaction.
+async function relay(forwarder, request, signature, relayer) {
+  if (!(await forwarder.verify(request, signature))) {
+    throw new Error('relay: invalid signature');
+  }
+
+  const result = await forwarder.execute.call(request, signature, { from: relayer });
+  if (!result[0]) {
+    const returndata = result[1];
+    const reason = returndata && returndata.length > 10
+      ? web3.eth.abi.decodeParameter('string', '0x' + returndata.slice(10))
+      : 'relayed call reverted';
+    throw new Error(`relay: ${reason}`);
+  }
+
+  return forwarder.execute(request, signature, { from: relayer });
+}
+
+// Sign and relay the call `data` from `from` to contract `to`.
+async function sendMetaTx(forwarder, from, to, data, relayer) {
+  const request = await buildRequest(forwarder, from, to, data);
+  const signature = await signRequest(forwarder, request);
+  return relay(forwarder, request, signature, relayer);
+}
+
+module.exports = {
+  buildRequest,
+  signRequest,
+  relay,
+  sendMetaTx,
+};
@@ -0,0 +1,379 @@
+const { expectRevert, expectEvent, time } = require('@openzeppelin/test-helpers');
+const { buildRequest, signRequest, relay, sendMetaTx } = require('./helpers/metatx');
+const NFTAppraisalRecord = artifacts.require('NFTAppraisalRecord');
+const IMSpaceMissionMining = artifacts.require('IMSpaceMissionMining');
+const IMSpaceMissionMiningExtension = artifacts.require('IMSpaceMissionMiningExtension');
+const IMSpaceMissionMiningManagement = artifacts.require('IMSpaceMissionMiningManagement');
+const IMSpaceMissionMiningViews = artifacts.require('IMSpaceMissionMiningViews');
+const IMissionMining = artifacts.require('IMissionMining');
+const MockMissionForwarder = artifacts.require('MockMissionForwarder');
+const MockERC20Faucet = artifacts.require('MockERC20Faucet');
+const MockERC20 = artifacts.require('MockERC20');
+const MockERC721 = artifacts.require('MockERC721');
+
+const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000';
+
+contract('IMSpaceMissionMining (meta-transactions)', ([alice, bob, carol, relayer, deployer, manager]) => {
+    const MANAGER_ROLE = web3.utils.soliditySha3('MANAGER_ROLE');
+
+    beforeEach(async () => {
+      this.token = await MockERC20.new("Mock Token", "MT", 0);
+      this.faucet = await MockERC20Faucet.new(this.token.address);
+      this.appraiser = await NFTAppraisalRecord.new({ from:deployer });
+
+      const views = await IMSpaceMissionMiningViews.new({ from:deployer });
+      const management = await IMSpaceMissionMiningManagement.new(views.address, { from:deployer });
+      const extension = await IMSpaceMissionMiningExtension.new(management.address, { from:deployer });
+      const mining = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, extension.address, { from:deployer });
+      this.mining = await IMissionMining.at(mining.address);
+      await this.mining.grantRole(MANAGER_ROLE, manager, { from:deployer });
+
+      this.forwarder = await MockMissionForwarder.new({ from:deployer });
+
+      this.lander = await MockERC721.new("Mission Lander", "ML");
+      this.landingSite = await MockERC721.new("Mission Landing Site", "MLS");
+      this.payload = await MockERC721.new("Mission Payload", "MP");
+
+      await this.mining.setMissionLanderToken(this.lander.address, { from:manager });
+      await this.mining.setMissionLandingSiteToken(this.landingSite.address, { from:manager });
+      await this.mining.setMissionPayloadToken(this.payload.address, { from:manager });
+
+      await this.appraiser.setAppraises(this.lander.address, true, '100', { from:deployer });
+      await this.appraiser.setAppraises(this.landingSite.address, true, '50', { from:deployer });
+      await this.appraiser.setAppraises(this.payload.address, true, '10', { from:deployer });
+
+      for (const nft of [this.lander, this.landingSite, this.payload]) {
+        await nft.mintBatch(alice, 10);
+        await nft.mintBatch(bob, 10);
+        await nft.setUniversalApproval(true);
+      }
+    });
+
+    const launchData = (mining, landers, landingSites, payloads, to) => {
+      return mining.contract.methods['launchMission(uint256[],uint256[],uint256[],address)'](landers, landingSites, payloads, to).encodeABI();
+    }
+
+    it('should set correct state variables', async () => {
+      const { mining, forwarder } = this;
+
+      assert.equal(await mining.trustedForwarder(), ADDRESS_ZERO);
+      assert.equal(await mining.isTrustedForwarder(forwarder.address), false);
+      assert.equal(await mining.isTrustedForwarder(ADDRESS_ZERO), false);
+    });
+
+    context('setTrustedForwarder', () => {
+      it('reverts for non-admin', async () => {
+        const { mining, forwarder } = this;
+
+        await expectRevert(
+          mining.setTrustedForwarder(forwarder.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+
+        await expectRevert(
+          mining.setTrustedForwarder(forwarder.address, { from:manager }),
+          "IMSMM: !auth"
+        );
+      });
+
+      it('reverts for non-contract forwarder', async () => {
+        const { mining } = this;
+
+        await expectRevert(
+          mining.setTrustedForwarder(carol, { from:deployer }),
+          "IMSMM: forwarder not a contract"
+        );
+      });
+
+      it('sets "trustedForwarder"', async () => {
+        const { mining, forwarder } = this;
+
+        await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+        assert.equal(await mining.trustedForwarder(), forwarder.address);
+        assert.equal(await mining.isTrustedForwarder(forwarder.address), true);
+        assert.equal(await mining.isTrustedForwarder(relayer), false);
+
+        await mining.setTrustedForwarder(ADDRESS_ZERO, { from:deployer });
+        assert.equal(await mining.trustedForwarder(), ADDRESS_ZERO);
+        assert.equal(await mining.isTrustedForwarder(forwarder.address), false);
+      });
+
+      it('emits "TrustedForwarderChanged" event', async () => {
+        const { mining, forwarder } = this;
+        let res;
+
+        res = await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "TrustedForwarderChanged", {
+          previousForwarder: ADDRESS_ZERO,
+          forwarder: forwarder.address
+        });
+
+        res = await mining.setTrustedForwarder(ADDRESS_ZERO, { from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "TrustedForwarderChanged", {
+          previousForwarder: forwarder.address,
+          forwarder: ADDRESS_ZERO
+        });
+      });
+    });
+
+    context('timelocked setTrustedForwarder', () => {
+      beforeEach(async () => {
+        const { mining } = this;
+        await mining.setParameterChangeDelay(time.duration.days(2), { from:deployer });
+      });
+
+      it('proposes a change, executable by an admin after the delay', async () => {
+        const { mining, forwarder } = this;
+        let res, pending;
+
+        res = await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "TrustedForwarderChangeProposed", {
+          forwarder: forwarder.address,
+          executableTime
+        });
+        assert.equal(await mining.trustedForwarder(), ADDRESS_ZERO);
+        pending = await mining.pendingTrustedForwarder();
+        assert.equal(pending.forwarder, forwarder.address);
+        assert.equal(pending.executableTime, executableTime.toString());
+
+        await expectRevert(
+          mining.executeTrustedForwarderChange({ from:deployer }),
+          "IMSMM: change timelocked"
+        );
+
+        await time.increaseTo(executableTime);
+        await expectRevert(
+          mining.executeTrustedForwarderChange({ from:manager }),
+          "IMSMM: !auth"
+        );
+
+        res = await mining.executeTrustedForwarderChange({ from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "TrustedForwarderChanged", {
+          previousForwarder: ADDRESS_ZERO,
+          forwarder: forwarder.address
+        });
+        assert.equal(await mining.trustedForwarder(), forwarder.address);
+        assert.equal((await mining.pendingTrustedForwarder()).executableTime, '0');
+
+        await expectRevert(
+          mining.executeTrustedForwarderChange({ from:deployer }),
+          "IMSMM: no pending change"
+        );
+      });
+
+      it('cancelTrustedForwarderChange cancels a pending change', async () => {
+        const { mining, forwarder } = this;
+
+        await expectRevert(
+          mining.cancelTrustedForwarderChange({ from:deployer }),
+          "IMSMM: no pending change"
+        );
+
+        await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+        await expectRevert(
+          mining.cancelTrustedForwarderChange({ from:manager }),
+          "IMSMM: !auth"
+        );
+
+        const res = await mining.cancelTrustedForwarderChange({ from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "TrustedForwarderChangeCancelled", {
+          forwarder: forwarder.address
+        });
+        assert.equal((await mining.pendingTrustedForwarder()).executableTime, '0');
+
+        await time.increase(time.duration.days(3));
+        await expectRevert(
+          mining.executeTrustedForwarderChange({ from:deployer }),
+          "IMSMM: no pending change"
+        );
+        assert.equal(await mining.trustedForwarder(), ADDRESS_ZERO);
+      });
+    });
+
+    context('with trusted forwarder', () => {
+      beforeEach(async () => {
+        const { mining, forwarder } = this;
+        await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+      });
+
+      it('launchMission is relayed on behalf of the signer', async () => {
+        const { mining, forwarder, lander, landingSite, payload } = this;
+
+        const balance = await web3.eth.getBalance(alice);
+        const res = await sendMetaTx(forwarder, alice, mining.address, launchData(mining, [0], [1], [2, 3], alice), relayer);
+        await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+          user: alice,
+          missionId: '0',
+          to: alice,
+          miningPower: '170'
+        });
+
+        assert.equal(await lander.ownerOf(0), mining.address);
+        assert.equal(await landingSite.ownerOf(1), mining.address);
+        assert.equal(await payload.ownerOf(2), mining.address);
+        assert.equal(await payload.ownerOf(3), mining.address);
+        assert.equal((await mining.missionInfo(0)).user, alice);
+        assert.equal((await mining.userInfo(alice)).miningPower, '170');
+        assert.equal((await mining.userInfo(relayer)).miningPower, '0');
+        assert.equal(await web3.eth.getBalance(alice), balance);
+      });
+
+      it('launchMission is relayed with the signer\'s tokens', async () => {
+        const { mining, forwarder } = this;
+
+        await expectRevert(
+          sendMetaTx(forwarder, bob, mining.address, launchData(mining, [0], [], [], bob), relayer),
+          "ERC721: transfer from incorrect owner"
+        );
+      });
+
+      it('recallMission is relayed on behalf of the signer', async () => {
+        const { mining, forwarder, lander, payload } = this;
+
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+
+        const balance = await web3.eth.getBalance(alice);
+        const data = mining.contract.methods.recallMission(0, carol).encodeABI();
+        const res = await sendMetaTx(forwarder, alice, mining.address, data, relayer);
+        await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+          user: alice,
+          missionId: '0',
+          to: carol,
+          miningPower: '110'
+        });
+
+        assert.equal(await lander.ownerOf(0), carol);
+        assert.equal(await payload.ownerOf(2), carol);
+        assert.equal((await mining.userInfo(alice)).miningPower, '0');
+        assert.equal(await web3.eth.getBalance(alice), balance);
+      });
+
+      it('recallMission reverts when relayed for another signer', async () => {
+        const { mining, forwarder } = this;
+
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+
+        const data = mining.contract.methods.recallMission(0, bob).encodeABI();
+        await expectRevert(
+          sendMetaTx(forwarder, bob, mining.address, data, relayer),
+          "IMSMM: not mission controller"
+        );
+      });
+
+      it('reappraiseMission is relayed on behalf of the signer', async () => {
+        const { mining, forwarder, appraiser, lander } = this;
+
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+        await appraiser.setAppraises(lander.address, true, '200', { from:deployer });
+
+        const data = mining.contract.methods.reappraiseMission(0).encodeABI();
+        const res = await sendMetaTx(forwarder, alice, mining.address, data, relayer);
+        await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+          missionId: '0',
+          to: alice,
+          previousMiningPower: '110',
+          miningPower: '210'
+        });
+
+        assert.equal((await mining.userInfo(alice)).miningPower, '210');
+      });
+
+      it('release is relayed on behalf of the signer', async () => {
+        const { mining, forwarder, faucet, token } = this;
+
+        await token.mint(faucet.address, 100000000000);
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+        await faucet.setOwed(mining.address, '220');
+
+        const balance = await web3.eth.getBalance(alice);
+        const data = mining.contract.methods['release(address,address)'](alice, carol).encodeABI();
+        const res = await sendMetaTx(forwarder, alice, mining.address, data, relayer);
+        await expectEvent.inTransaction(res.tx, mining, "Released", {
+          from: alice,
+          to: carol,
+          amount: '220'
+        });
+
+        assert.equal(await token.balanceOf(carol), '220');
+        assert.equal(await mining.released(alice), '220');
+        assert.equal(await web3.eth.getBalance(alice), balance);
+      });
+
+      it('release reverts when relayed for another signer', async () => {
+        const { mining, forwarder, faucet, token } = this;
+
+        await token.mint(faucet.address, 100000000000);
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+        await faucet.setOwed(mining.address, '220');
+
+        const data = mining.contract.methods['release(address,address)'](alice, bob).encodeABI();
+        await expectRevert(
+          sendMetaTx(forwarder, bob, mining.address, data, relayer),
+          "IMSMM: !auth"
+        );
+      });
+
+      it('direct calls are unaffected', async () => {
+        const { mining } = this;
+
+        const res = await mining.launchMission([10], [], [12], bob, { from:bob });
+        await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+          user: bob,
+          missionId: '0',
+          to: bob,
+          miningPower: '110'
+        });
+
+        await expectRevert(
+          mining.recallMission(0, carol, { from:alice }),
+          "IMSMM: not mission controller"
+        );
+      });
+
+      it('rejects replayed and tampered requests', async () => {
+        const { mining, forwarder } = this;
+
+        const request = await buildRequest(forwarder, alice, mining.address, launchData(mining, [0], [], [], alice));
+        const signature = await signRequest(forwarder, request);
+        await relay(forwarder, request, signature, relayer);
+
+        await expectRevert(
+          relay(forwarder, request, signature, relayer),
+          "relay: invalid signature"
+        );
+
+        const tampered = await buildRequest(forwarder, alice, mining.address, launchData(mining, [1], [], [], bob));
+        await expectRevert(
+          relay(forwarder, { ...tampered, from: bob }, signature, relayer),
+          "relay: invalid signature"
+        );
+      });
+    });
+
+    context('without trusted forwarder', () => {
+      it('relayed calls are attributed to the forwarder', async () => {
+        const { mining, forwarder } = this;
+
+        await mining.launchMission([0], [], [2], alice, { from:alice });
+
+        const data = mining.contract.methods.recallMission(0, alice).encodeABI();
+        await expectRevert(
+          sendMetaTx(forwarder, alice, mining.address, data, relayer),
+          "IMSMM: not mission controller"
+        );
+      });
+
+      it('relayed calls are not trusted once the forwarder is unset', async () => {
+        const { mining, forwarder } = this;
+
+        await mining.setTrustedForwarder(forwarder.address, { from:deployer });
+        await mining.setTrustedForwarder(ADDRESS_ZERO, { from:deployer });
+
+        await expectRevert(
+          sendMetaTx(forwarder, alice, mining.address, launchData(mining, [0], [], [], alice), relayer),
+          "ERC721: transfer from incorrect owner"
+        );
+      });
+    });
+});
@@ -1,10 +1,18 @@
 const { expectRevert, expectEvent, time } = require('@openzeppelin/test-helpers');
 const NFTAppraisalRecord = artifacts.require('NFTAppraisalRecord');
 const IMSpaceMissionMining = artifacts.require('IMSpaceMissionMining');
+const IMSpaceMissionMiningExtension = artifacts.require('IMSpaceMissionMiningExtension');
+const IMSpaceMissionMiningManagement = artifacts.require('IMSpaceMissionMiningManagement');
+const IMSpaceMissionMiningViews = artifacts.require('IMSpaceMissionMiningViews');
+const IMissionMining = artifacts.require('IMissionMining');
 const MockMissionChecker = artifacts.require('MockMissionChecker');
+const MockMissionScorer = artifacts.require('MockMissionScorer');
+const MockMiningPowerCurve = artifacts.require('MockMiningPowerCurve');
+const MockMissionMigrationReceiver = artifacts.require('MockMissionMigrationReceiver');
 const MockERC20Faucet = artifacts.require('MockERC20Faucet');
 const MockERC20 = artifacts.require('MockERC20');
 const MockERC721 = artifacts.require('MockERC721');
+const MockERC1155 = artifacts.require('MockERC1155');
 
 const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000';
 
@@ -16,15 +24,22 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
       this.faucet = await MockERC20Faucet.new(this.token.address);
       this.appraiser = await NFTAppraisalRecord.new({ from:deployer });
 
-      this.mining = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, { from:deployer });
+      this.views = await IMSpaceMissionMiningViews.new({ from:deployer });
+      this.management = await IMSpaceMissionMiningManagement.new(this.views.address, { from:deployer });
+      this.extension = await IMSpaceMissionMiningExtension.new(this.management.address, { from:deployer });
+      const mining = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, this.extension.address, { from:deployer });
+      this.mining = await IMissionMining.at(mining.address);
       await this.mining.grantRole(MANAGER_ROLE, manager, { from:deployer });
     });
 
     it('should set correct state variables', async () => {
-      const { token, faucet, appraiser, mining } = this;
+      const { token, faucet, appraiser, extension, management, views, mining } = this;
       assert.equal(await (mining.token()).valueOf(),  token.address);
       assert.equal(await (mining.faucet()).valueOf(),  faucet.address);
       assert.equal(await (mining.appraiser()).valueOf(),  appraiser.address);
+      assert.equal(await (mining.extension()).valueOf(),  extension.address);
+      assert.equal(await (mining.management()).valueOf(),  management.address);
+      assert.equal(await (mining.views()).valueOf(),  views.address);
 
       assert.equal(await mining.totalMined(), '0');
       assert.equal(await mining.totalReleased(), '0');
@@ -34,6 +49,22 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
       assert.equal(await mining.landerToken(), ADDRESS_ZERO);
       assert.equal(await mining.landingSiteToken(), ADDRESS_ZERO);
       assert.equal(await mining.payloadToken(), ADDRESS_ZERO);
+
+      assert.equal(await mining.componentSlotCount(), '3');
+      let slot = await mining.componentSlots(0);
+      assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [ADDRESS_ZERO, false, '1', '1']);
+      slot = await mining.componentSlots(1);
+      assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [ADDRESS_ZERO, false, '0', '1']);
+      slot = await mining.componentSlots(2);
+      assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [ADDRESS_ZERO, false, '0', '8']);
+    });
+
+    it('should deploy each facet within the contract size limit', async () => {
+      const { extension, management, views, mining } = this;
+      for (const address of [mining.address, extension.address, management.address, views.address]) {
+        const code = await web3.eth.getCode(address);
+        assert.isAtMost((code.length - 2) / 2, 24576);
+      }
     });
 
     it('should report correct initial faucet state', async () => {
@@ -169,6 +200,140 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
       });
     });
 
+    context('component slots', () => {
+      let nft;
+
+      beforeEach(async () => {
+        nft = await MockERC721.new("Component", "C");
+      });
+
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
+
+        await expectRevert(
+          mining.addComponentSlot(nft.address, false, 0, 1, { from:alice }),
+          "IMSMM: !auth"
+        );
+
+        await expectRevert(
+          mining.setComponentSlotToken(0, nft.address, { from:bob }),
+          "IMSMM: !auth"
+        );
+
+        await expectRevert(
+          mining.setComponentSlotCounts(2, 0, 4, { from:carol }),
+          "IMSMM: !auth"
+        );
+      });
+
+      it('addComponentSlot reverts for min > max', async () => {
+        const { mining } = this;
+
+        await expectRevert(
+          mining.addComponentSlot(nft.address, false, 2, 1, { from:manager }),
+          "IMSMM: min > max"
+        );
+      });
+
+      it('addComponentSlot reverts beyond MAX_COMPONENT_SLOTS', async () => {
+        const { mining } = this;
+
+        assert.equal(await mining.MAX_COMPONENT_SLOTS(), '8');
+        for (let i = 3; i < 8; i++) {
+          await mining.addComponentSlot(nft.address, false, 0, 1, { from:manager });
+        }
+        assert.equal(await mining.componentSlotCount(), '8');
+
+        await expectRevert(
+          mining.addComponentSlot(nft.address, false, 0, 1, { from:manager }),
+          "IMSMM: too many component slots"
+        );
+      });
+
+      it('addComponentSlot sets state', async () => {
+        const { mining } = this;
+
+        await mining.addComponentSlot(nft.address, false, 1, 3, { from:manager });
+        await mining.addComponentSlot(ADDRESS_ZERO, false, 0, 2, { from:deployer });
+        assert.equal(await mining.componentSlotCount(), '5');
+
+        let slot = await mining.componentSlots(3);
+        assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [nft.address, false, '1', '3']);
+        slot = await mining.componentSlots(4);
+        assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [ADDRESS_ZERO, false, '0', '2']);
+      });
+
+      it('addComponentSlot emits "ComponentSlotUpdated" event', async () => {
+        const { mining } = this;
+
+        const res = await mining.addComponentSlot(nft.address, false, 1, 3, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "ComponentSlotUpdated", {
+          slot: '3',
+          token: nft.address,
+          minCount: '1',
+          maxCount: '3'
+        });
+      });
+
+      it('setComponentSlotToken sets token once per slot', async () => {
+        const { mining } = this;
+
+        await mining.addComponentSlot(ADDRESS_ZERO, false, 0, 2, { from:manager });
+        let res = await mining.setComponentSlotToken(3, nft.address, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "ComponentSlotUpdated", {
+          slot: '3',
+          token: nft.address,
+          minCount: '0',
+          maxCount: '2'
+        });
+        assert.equal((await mining.componentSlots(3)).token, nft.address);
+
+        await expectRevert(
+          mining.setComponentSlotToken(3, alice, { from:manager }),
+          "IMSMM: already set"
+        );
+
+        // default slots are shared with setMission[..]Token
+        await mining.setComponentSlotToken(1, nft.address, { from:deployer });
+        assert.equal(await mining.landingSiteToken(), nft.address);
+        await expectRevert(
+          mining.setMissionLandingSiteToken(alice, { from:manager }),
+          "IMSMM: already set"
+        );
+
+        await mining.setMissionPayloadToken(nft.address, { from:manager });
+        assert.equal((await mining.componentSlots(2)).token, nft.address);
+        await expectRevert(
+          mining.setComponentSlotToken(2, alice, { from:manager }),
+          "IMSMM: already set"
+        );
+
+        await expectRevert.unspecified(mining.setComponentSlotToken(4, nft.address, { from:manager }));
+      });
+
+      it('setComponentSlotCounts sets counts', async () => {
+        const { mining } = this;
+
+        await mining.setMissionPayloadToken(nft.address, { from:manager });
+        const res = await mining.setComponentSlotCounts(2, 1, 4, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "ComponentSlotUpdated", {
+          slot: '2',
+          token: nft.address,
+          minCount: '1',
+          maxCount: '4'
+        });
+
+        const slot = await mining.componentSlots(2);
+        assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [nft.address, false, '1', '4']);
+
+        await expectRevert(
+          mining.setComponentSlotCounts(2, 5, 4, { from:manager }),
+          "IMSMM: min > max"
+        );
+        await expectRevert.unspecified(mining.setComponentSlotCounts(3, 0, 4, { from:manager }));
+      });
+    });
+
     context('setAppraiser', () => {
       let appraiser2;
 
@@ -342,1479 +507,1821 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
       });
     });
 
-    context('pause / unpause', () => {
-      it('reverts for non-manager', async () => {
+    context('setParameterChangeDelay', () => {
+      it('reverts for non-admin', async () => {
         const { mining } = this;
 
         await expectRevert(
-          mining.pause({ from:alice }),
+          mining.setParameterChangeDelay(time.duration.days(2), { from:alice }),
           "IMSMM: !auth"
         );
 
         await expectRevert(
-          mining.pause({ from:bob }),
+          mining.setParameterChangeDelay(time.duration.days(2), { from:manager }),
           "IMSMM: !auth"
         );
+      });
 
-        await mining.pause({ from:manager });
-
-        await expectRevert(
-          mining.unpause({ from:alice }),
-          "IMSMM: !auth"
-        );
+      it('reverts for delay too long', async () => {
+        const { mining } = this;
 
         await expectRevert(
-          mining.unpause({ from:bob }),
-          "IMSMM: !auth"
+          mining.setParameterChangeDelay(time.duration.days(30).addn(1), { from:deployer }),
+          "IMSMM: delay too long"
         );
-
-        await mining.unpause({ from:manager });
       });
 
-      it('toggles "paused" state', async () => {
+      it('updates "parameterChangeDelay"', async () => {
         const { mining } = this;
+        let res;
 
-        assert.equal(await mining.paused(), false);
+        assert.equal(await mining.MAX_PARAMETER_CHANGE_DELAY(), `${30 * 24 * 60 * 60}`);
+        assert.equal(await mining.parameterChangeDelay(), '0');
 
-        await mining.pause({ from:deployer });
-        assert.equal(await mining.paused(), true);
-        await mining.unpause({ from:deployer });
-        assert.equal(await mining.paused(), false);
+        res = await mining.setParameterChangeDelay(time.duration.days(2), { from:deployer });
+        assert.equal(await mining.parameterChangeDelay(), `${2 * 24 * 60 * 60}`);
+        await expectEvent.inTransaction(res.tx, mining, "ParameterChangeDelayUpdated", {
+          previousDelay: '0',
+          delay: `${2 * 24 * 60 * 60}`
+        });
 
-        await mining.pause({ from:manager });
-        assert.equal(await mining.paused(), true);
-        await mining.unpause({ from:manager });
-        assert.equal(await mining.paused(), false);
+        res = await mining.setParameterChangeDelay(0, { from:deployer });
+        assert.equal(await mining.parameterChangeDelay(), '0');
+        await expectEvent.inTransaction(res.tx, mining, "ParameterChangeDelayUpdated", {
+          previousDelay: `${2 * 24 * 60 * 60}`,
+          delay: '0'
+        });
       });
+    });
 
-      it('emits "Paused" / "Unpaused" event', async () => {
-        const { mining } = this;
-        let res;
-
-        res = await mining.pause({ from:deployer });
-        await expectEvent.inTransaction(res.tx, mining, "Paused", { account:deployer });
-        res = await mining.unpause({ from:deployer });
-        await expectEvent.inTransaction(res.tx, mining, "Unpaused", { account:deployer });
+    context('timelocked parameter changes', () => {
+      let appraiser2, checker;
 
-        res = await mining.pause({ from:manager });
-        await expectEvent.inTransaction(res.tx, mining, "Paused", { account:manager });
-        res = await mining.unpause({ from:manager });
-        await expectEvent.inTransaction(res.tx, mining, "Unpaused", { account:manager });
+      beforeEach(async () => {
+        const { mining } = this;
+        appraiser2 = await NFTAppraisalRecord.new();
+        checker = await MockMissionChecker.new();
+        await mining.setParameterChangeDelay(time.duration.days(2), { from:deployer });
       });
-    });
 
-    context('With Lander and Payload tokens', async () => {
-      beforeEach(async () => {
-        const { appraiser, mining } = this;
-        this.lander = await MockERC721.new("Mission Lander", "ML");
-        this.landingSite = await MockERC721.new("Mission Landing Site", "MLS");
-        this.payload = await MockERC721.new("Mission Payload", "MP");
+      it('setAppraiser proposes a change, executable after the delay', async () => {
+        const { mining, appraiser } = this;
+        let res, pending;
 
-        await mining.setMissionLanderToken(this.lander.address, { from:manager });
-        await mining.setMissionPayloadToken(this.payload.address, { from:manager });
+        res = await mining.setAppraiser(appraiser2.address, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MissionAppraiserChangeProposed", {
+          appraiser: appraiser2.address,
+          executableTime
+        });
+        assert.equal(await mining.appraiser(), appraiser.address);
+        pending = await mining.pendingAppraiser();
+        assert.equal(pending.appraiser, appraiser2.address);
+        assert.equal(pending.executableTime, executableTime.toString());
 
-        await appraiser.setAppraises(this.lander.address, true, '100', { from:deployer });
-        await appraiser.setAppraises(this.landingSite.address, true, '50', { from:deployer });
-        await appraiser.setAppraises(this.payload.address, true, '10', { from:deployer });
-      });
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-      context('evaluateMissionCandidate', () => {
-        it('valid, incomplete mission', async () => {
-          const { mining, lander, landingSite, payload, appraiser } = this;
-          let res;
+        await time.increaseTo(executableTime.subn(10));
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-          // note: the appraiser does not actually check for token existence; any tokenId
-          // will provide default appraisal
-          res = await mining.evaluateMissionCandidate([0], [], []);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '100');
+        await time.increaseTo(executableTime);
+        await expectRevert(
+          mining.executeAppraiserChange({ from:alice }),
+          "IMSMM: !auth"
+        );
 
-          res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '130');
+        res = await mining.executeAppraiserChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionAppraiserChanged", {
+          previousAppraiser: appraiser.address,
+          appraiser: appraiser2.address
+        });
+        assert.equal(await mining.appraiser(), appraiser2.address);
+        pending = await mining.pendingAppraiser();
+        assert.equal(pending.appraiser, ADDRESS_ZERO);
+        assert.equal(pending.executableTime, '0');
 
-          // with some non-default values
-          await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-          await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: no pending change"
+        );
+      });
 
-          res = await mining.evaluateMissionCandidate([1], [], []);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '1000');
+      it('cancelAppraiserChange cancels a pending change', async () => {
+        const { mining, appraiser } = this;
+        let res;
 
-          res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '2060');
+        await expectRevert(
+          mining.cancelAppraiserChange({ from:manager }),
+          "IMSMM: no pending change"
+        );
 
-          res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '3120');
+        await mining.setAppraiser(appraiser2.address, { from:manager });
+        await expectRevert(
+          mining.cancelAppraiserChange({ from:alice }),
+          "IMSMM: !auth"
+        );
 
-          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        res = await mining.cancelAppraiserChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionAppraiserChangeCancelled", {
+          appraiser: appraiser2.address
+        });
+        assert.equal((await mining.pendingAppraiser()).executableTime, '0');
 
-          res = await mining.evaluateMissionCandidate([1], [], []);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '1000');
+        await time.increase(time.duration.days(3));
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: no pending change"
+        );
+        assert.equal(await mining.appraiser(), appraiser.address);
+      });
 
-          res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '2060');
+      it('setMissionCompleteChecker proposes a change, executable after the delay', async () => {
+        const { mining } = this;
+        let res, pending;
 
-          res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '3120');
+        res = await mining.setMissionCompleteChecker(checker.address, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteCheckerChangeProposed", {
+          checker: checker.address,
+          executableTime
         });
+        assert.equal(await mining.completeMissionChecker(), ADDRESS_ZERO);
+        pending = await mining.pendingMissionCompleteChecker();
+        assert.equal(pending.checker, checker.address);
+        assert.equal(pending.executableTime, executableTime.toString());
 
-        it('complete mission', async () => {
-          const { mining, lander, landingSite, payload, appraiser } = this;
-          let res;
-
-          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
-          await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
+        await expectRevert(
+          mining.executeMissionCompleteCheckerChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-          res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10) * 1.5
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '240');
+        await time.increaseTo(executableTime);
+        res = await mining.executeMissionCompleteCheckerChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteCheckerChanged", {
+          previousChecker: ADDRESS_ZERO,
+          checker: checker.address
+        });
+        assert.equal(await mining.completeMissionChecker(), checker.address);
+        assert.equal((await mining.pendingMissionCompleteChecker()).executableTime, '0');
 
-          res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40) * 1.5
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '285');
+        await mining.setMissionCompleteChecker(ADDRESS_ZERO, { from:manager });
+        res = await mining.cancelMissionCompleteCheckerChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteCheckerChangeCancelled", {
+          checker: ADDRESS_ZERO
+        });
+        assert.equal((await mining.pendingMissionCompleteChecker()).executableTime, '0');
+        assert.equal(await mining.completeMissionChecker(), checker.address);
+      });
 
-          // with some non-default values
-          await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-          await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
-          await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+      it('setMissionCompleteMultiplier proposes an update, executable after the delay', async () => {
+        const { mining } = this;
+        let res, pending;
 
-          res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60) * 1.5
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '48090');
+        await expectRevert(
+          mining.setMissionCompleteMultiplier(999, 1000, { from:manager }),
+          "IMSMM: ratio not >= 1"
+        );
 
-          await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
-          res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110) * 1.285714
-          assert.equal(res.valid, true);
-          assert.equal(res.miningPower, '16855');
+        res = await mining.setMissionCompleteMultiplier(5, 2, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteMultiplierUpdateProposed", {
+          numerator: '5',
+          denominator: '2',
+          executableTime
         });
+        pending = await mining.pendingMissionCompleteMultiplier();
+        assert.equal(pending.numerator, '5');
+        assert.equal(pending.denominator, '2');
+        assert.equal(pending.executableTime, executableTime.toString());
 
-        context('with completeMissionChecker', () => {
-          let checker;
+        await expectRevert(
+          mining.executeMissionCompleteMultiplierUpdate({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-          beforeEach(async () => {
-            const { mining } = this;
+        await time.increaseTo(executableTime);
+        res = await mining.executeMissionCompleteMultiplierUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteMultiplierUpdated", {
+          numerator: '5',
+          denominator: '2'
+        });
+        assert.equal((await mining.pendingMissionCompleteMultiplier()).executableTime, '0');
 
-            checker = await MockMissionChecker.new();
-            await mining.setMissionCompleteChecker(checker.address, { from:deployer });
-          });
+        await mining.setMissionCompleteMultiplier(7, 1, { from:manager });
+        res = await mining.cancelMissionCompleteMultiplierUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionCompleteMultiplierUpdateCancelled", {
+          numerator: '7',
+          denominator: '1'
+        });
+        assert.equal((await mining.pendingMissionCompleteMultiplier()).executableTime, '0');
+      });
 
-          it('valid, incomplete mission, checked as incomplete', async () => {
-            const { mining, lander, landingSite, payload, appraiser } = this;
-            let res;
+      it('a new proposal replaces the pending one and restarts the delay', async () => {
+        const { mining, appraiser } = this;
 
-            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
+        await mining.setAppraiser(appraiser2.address, { from:manager });
+        await time.increase(time.duration.days(1));
+        await mining.setAppraiser(appraiser.address, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
 
-            // note: the appraiser does not actually check for token existence; any tokenId
-            // will provide default appraisal
-            res = await mining.evaluateMissionCandidate([0], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '100');
+        const pending = await mining.pendingAppraiser();
+        assert.equal(pending.appraiser, appraiser.address);
+        assert.equal(pending.executableTime, executableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '130');
+        await time.increase(time.duration.days(1));
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
+      });
 
-            // with some non-default values
-            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+      it('pending changes keep their delay when the delay is removed', async () => {
+        const { mining, appraiser } = this;
 
-            res = await mining.evaluateMissionCandidate([1], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '1000');
+        await mining.setAppraiser(appraiser2.address, { from:manager });
+        await mining.setParameterChangeDelay(0, { from:deployer });
 
-            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '2060');
+        await expectRevert(
+          mining.executeAppraiserChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '3120');
+        // an immediate change supersedes the pending one
+        await mining.setAppraiser(appraiser.address, { from:manager });
+        assert.equal((await mining.pendingAppraiser()).executableTime, '0');
+        assert.equal(await mining.appraiser(), appraiser.address);
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('setMissionScorer and setMaxMissionScore propose changes, executable after the delay', async () => {
+        const { mining } = this;
+        const scorer = await MockMissionScorer.new();
+        let res, pending;
+
+        res = await mining.setMissionScorer(scorer.address, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChangeProposed", {
+          scorer: scorer.address,
+          executableTime
+        });
+        assert.equal(await mining.missionScorer(), ADDRESS_ZERO);
+        pending = await mining.pendingMissionScorer();
+        assert.equal(pending.scorer, scorer.address);
+        assert.equal(pending.executableTime, executableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([1], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '1000');
+        await expectRevert(
+          mining.setMaxMissionScore(1, 2, { from:manager }),
+          "IMSMM: ratio not >= 1"
+        );
+        res = await mining.setMaxMissionScore(3, 1, { from:manager });
+        const scoreExecutableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MaxMissionScoreUpdateProposed", {
+          numerator: '3',
+          denominator: '1',
+          executableTime: scoreExecutableTime
+        });
+        pending = await mining.pendingMaxMissionScore();
+        assert.equal(pending.numerator, '3');
+        assert.equal(pending.denominator, '1');
+        assert.equal(pending.executableTime, scoreExecutableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '2060');
+        await expectRevert(
+          mining.executeMissionScorerChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
+        await expectRevert(
+          mining.executeMaxMissionScoreUpdate({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '3120');
-          });
+        await time.increaseTo(scoreExecutableTime);
+        await expectRevert(
+          mining.executeMissionScorerChange({ from:alice }),
+          "IMSMM: !auth"
+        );
+        res = await mining.executeMissionScorerChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChanged", {
+          previousScorer: ADDRESS_ZERO,
+          scorer: scorer.address
+        });
+        assert.equal(await mining.missionScorer(), scorer.address);
+        assert.equal((await mining.pendingMissionScorer()).executableTime, '0');
 
-          it('valid, incomplete mission, checked as complete', async () => {
-            const { mining, lander, landingSite, payload, appraiser } = this;
-            let res;
+        res = await mining.executeMaxMissionScoreUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MaxMissionScoreUpdated", {
+          numerator: '3',
+          denominator: '1'
+        });
+        assert.equal(await mining.maxMissionScorePrec(), web3.utils.toWei('300', 'ether'));
+        assert.equal((await mining.pendingMaxMissionScore()).executableTime, '0');
 
-            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
-            await checker.setResult(true);
+        await mining.setMissionScorer(ADDRESS_ZERO, { from:manager });
+        res = await mining.cancelMissionScorerChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChangeCancelled", {
+          scorer: ADDRESS_ZERO
+        });
+        assert.equal(await mining.missionScorer(), scorer.address);
 
-            // note: the appraiser does not actually check for token existence; any tokenId
-            // will provide default appraisal
-            res = await mining.evaluateMissionCandidate([0], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '150');
+        await mining.setMaxMissionScore(5, 1, { from:manager });
+        res = await mining.cancelMaxMissionScoreUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MaxMissionScoreUpdateCancelled", {
+          numerator: '5',
+          denominator: '1'
+        });
+        assert.equal(await mining.maxMissionScorePrec(), web3.utils.toWei('300', 'ether'));
 
-            res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '195');
+        await expectRevert(
+          mining.cancelMissionScorerChange({ from:manager }),
+          "IMSMM: no pending change"
+        );
+        await expectRevert(
+          mining.cancelMaxMissionScoreUpdate({ from:manager }),
+          "IMSMM: no pending change"
+        );
+      });
 
-            // with some non-default values
-            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+      it('setMiningPowerCurve proposes a change, executable after the delay', async () => {
+        const { mining } = this;
+        const curve = await MockMiningPowerCurve.new();
+        let res, pending;
+
+        res = await mining.setMiningPowerCurve(curve.address, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChangeProposed", {
+          curve: curve.address,
+          executableTime
+        });
+        assert.equal(await mining.miningPowerCurve(), ADDRESS_ZERO);
+        pending = await mining.pendingMiningPowerCurve();
+        assert.equal(pending.curve, curve.address);
+        assert.equal(pending.executableTime, executableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([1], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '1500');
+        await expectRevert(
+          mining.executeMiningPowerCurveChange({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '3090');
+        await time.increaseTo(executableTime);
+        res = await mining.executeMiningPowerCurveChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChanged", {
+          previousCurve: ADDRESS_ZERO,
+          curve: curve.address
+        });
+        assert.equal(await mining.miningPowerCurve(), curve.address);
+        assert.equal((await mining.pendingMiningPowerCurve()).executableTime, '0');
 
-            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '4680');
+        await mining.setMiningPowerCurve(ADDRESS_ZERO, { from:manager });
+        await expectRevert(
+          mining.cancelMiningPowerCurveChange({ from:alice }),
+          "IMSMM: !auth"
+        );
+        res = await mining.cancelMiningPowerCurveChange({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChangeCancelled", {
+          curve: ADDRESS_ZERO
+        });
+        assert.equal(await mining.miningPowerCurve(), curve.address);
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('setStakeBoosts proposes a schedule, executable after the delay', async () => {
+        const { mining } = this;
+        let res, pending;
 
-            res = await mining.evaluateMissionCandidate([1], [], []);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '1500');
+        await expectRevert(
+          mining.setStakeBoosts([200, 100], [3, 4], 2, { from:manager }),
+          "IMSMM: durations not ascending"
+        );
 
-            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '3090');
+        res = await mining.setStakeBoosts([100, 200], [3, 4], 2, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "StakeBoostsUpdateProposed", {
+          denominator: '2',
+          executableTime
+        });
+        assert.equal(await mining.stakeBoostCount(), '0');
+        pending = await mining.pendingStakeBoosts();
+        assert.deepEqual(pending.durations.map(String), ['100', '200']);
+        assert.deepEqual(pending.numerators.map(String), ['3', '4']);
+        assert.equal(pending.denominator, '2');
+        assert.equal(pending.executableTime, executableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '4680');
-          });
+        await expectRevert(
+          mining.executeStakeBoostsUpdate({ from:manager }),
+          "IMSMM: change timelocked"
+        );
 
-          it('complete mission, checked as incomplete', async () => {
-            const { mining, lander, landingSite, payload, appraiser } = this;
-            let res;
+        await time.increaseTo(executableTime);
+        res = await mining.executeStakeBoostsUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "StakeBoostsUpdated", {
+          denominator: '2'
+        });
+        assert.equal(await mining.stakeBoostCount(), '2');
+        const boost = await mining.stakeBoosts(1);
+        assert.equal(boost.duration, '200');
+        assert.equal(boost.multiplierPrec, web3.utils.toWei('200', 'ether'));
+        pending = await mining.pendingStakeBoosts();
+        assert.equal(pending.durations.length, 0);
+        assert.equal(pending.executableTime, '0');
+
+        await mining.setStakeBoosts([], [], 1, { from:manager });
+        res = await mining.cancelStakeBoostsUpdate({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "StakeBoostsUpdateCancelled", {
+          denominator: '1'
+        });
+        assert.equal(await mining.stakeBoostCount(), '2');
+        await expectRevert(
+          mining.cancelStakeBoostsUpdate({ from:manager }),
+          "IMSMM: no pending change"
+        );
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
-            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
+      it('setLockMultiplier proposes an update per lock period, executable after the delay', async () => {
+        const { mining } = this;
+        let res, pending;
+
+        res = await mining.setLockMultiplier(100, 3, 2, { from:manager });
+        const executableTime = (await time.latest()).add(time.duration.days(2));
+        await expectEvent.inTransaction(res.tx, mining, "LockMultiplierUpdateProposed", {
+          lockPeriod: '100',
+          numerator: '3',
+          denominator: '2',
+          executableTime
+        });
+        await mining.setLockMultiplier(200, 2, 1, { from:manager });
+        assert.equal(await mining.lockMultiplierPrec(100), '0');
+        pending = await mining.pendingLockMultiplier(100);
+        assert.equal(pending.numerator, '3');
+        assert.equal(pending.denominator, '2');
+        assert.equal(pending.executableTime, executableTime.toString());
 
-            res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10)
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '160');
+        await expectRevert(
+          mining.executeLockMultiplierUpdate(100, { from:manager }),
+          "IMSMM: change timelocked"
+        );
+        await expectRevert(
+          mining.executeLockMultiplierUpdate(300, { from:manager }),
+          "IMSMM: no pending change"
+        );
 
-            res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40)
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '190');
+        await time.increaseTo(executableTime);
+        res = await mining.executeLockMultiplierUpdate(100, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "LockMultiplierUpdated", {
+          lockPeriod: '100',
+          numerator: '3',
+          denominator: '2'
+        });
+        assert.equal(await mining.lockMultiplierPrec(100), web3.utils.toWei('150', 'ether'));
+        assert.equal((await mining.pendingLockMultiplier(100)).executableTime, '0');
+        assert.equal(await mining.lockMultiplierPrec(200), '0');
+
+        res = await mining.cancelLockMultiplierUpdate(200, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "LockMultiplierUpdateCancelled", {
+          lockPeriod: '200',
+          numerator: '2',
+          denominator: '1'
+        });
+        assert.equal((await mining.pendingLockMultiplier(200)).executableTime, '0');
+        await expectRevert(
+          mining.cancelLockMultiplierUpdate(200, { from:manager }),
+          "IMSMM: no pending change"
+        );
+      });
+    });
 
-            // with some non-default values
-            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-            await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
-            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+    context('setMissionScorer', () => {
+      let scorer, scorer2;
 
-            res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60)
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '32060');
+      beforeEach(async () => {
+        scorer = await MockMissionScorer.new();
+        scorer2 = await MockMissionScorer.new();
+      });
 
-            await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
-            res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110)
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '13110');
-          });
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-          it('complete mission, checked as complete', async () => {
-            const { mining, lander, landingSite, payload, appraiser } = this;
-            let res;
+        await expectRevert(
+          mining.setMissionScorer(scorer.address, { from:alice }),
+          "IMSMM: !auth"
+        );
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
-            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
-            await checker.setResult(true);
+        await expectRevert(
+          mining.setMissionScorer(scorer.address, { from:bob }),
+          "IMSMM: !auth"
+        );
+      });
 
-            res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10) * 1.5
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '240');
+      it('updates "missionScorer" and emits "MissionScorerChanged"', async () => {
+        const { mining } = this;
+        let res;
 
-            res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40) * 1.5
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '285');
+        assert.equal(await mining.missionScorer(), ADDRESS_ZERO);
 
-            // with some non-default values
-            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
-            await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
-            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
+        res = await mining.setMissionScorer(scorer.address, { from:manager });
+        assert.equal(await mining.missionScorer(), scorer.address);
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChanged", {
+          previousScorer: ADDRESS_ZERO,
+          scorer: scorer.address
+        });
 
-            res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60) * 1.5
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '48090');
+        res = await mining.setMissionScorer(scorer2.address, { from:deployer });
+        assert.equal(await mining.missionScorer(), scorer2.address);
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChanged", {
+          previousScorer: scorer.address,
+          scorer: scorer2.address
+        });
 
-            await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
-            res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110) * 1.285714
-            assert.equal(res.valid, true);
-            assert.equal(res.miningPower, '16855');
-          });
+        res = await mining.setMissionScorer(ADDRESS_ZERO, { from:manager });
+        assert.equal(await mining.missionScorer(), ADDRESS_ZERO);
+        await expectEvent.inTransaction(res.tx, mining, "MissionScorerChanged", {
+          previousScorer: scorer2.address,
+          scorer: ADDRESS_ZERO
         });
+      });
+    });
 
-        it('invalid mission', async () => {
-          const { mining, lander, landingSite, payload, appraiser } = this;
-          let res;
+    context('setMaxMissionScore', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-          // note: the appraiser does not actually check for token existence; any tokenId
-          // will provide default appraisal
-          res = await mining.evaluateMissionCandidate([], [], []);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+        await expectRevert(
+          mining.setMaxMissionScore(10, 1, { from:alice }),
+          "IMSMM: !auth"
+        );
 
-          res = await mining.evaluateMissionCandidate([1, 2], [], []);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+        await expectRevert(
+          mining.setMaxMissionScore(1, 1, { from:bob }),
+          "IMSMM: !auth"
+        );
+      });
 
-          res = await mining.evaluateMissionCandidate([], [], [1, 2, 3]);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+      it('reverts for ratio < 1', async () => {
+        const { mining } = this;
 
-          res = await mining.evaluateMissionCandidate([1], [], [1, 2, 3, 4, 5, 6, 7, 8, 9]);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+        await expectRevert(
+          mining.setMaxMissionScore(999, 1000, { from:manager }),
+          "IMSMM: ratio not >= 1"
+        );
+      });
 
-          res = await mining.evaluateMissionCandidate([1], [2], [1, 2, 3]);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+      it('updates "maxMissionScorePrec" and emits "MaxMissionScoreUpdated"', async () => {
+        const { mining } = this;
+        let res;
 
-          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        assert.equal(await mining.maxMissionScorePrec(), web3.utils.toWei('100', 'ether'));
 
-          res = await mining.evaluateMissionCandidate([1], [1, 2], []);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+        res = await mining.setMaxMissionScore(5, 2, { from:manager });
+        assert.equal(await mining.maxMissionScorePrec(), web3.utils.toWei('250', 'ether'));
+        await expectEvent.inTransaction(res.tx, mining, "MaxMissionScoreUpdated", {
+          numerator: '5',
+          denominator: '2'
+        });
+      });
+    });
 
-          res = await mining.evaluateMissionCandidate([1], [1, 2], [1, 2, 3]);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+    context('setMiningPowerCurve', () => {
+      let curve, curve2;
 
-          const miningBackup = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, { from:deployer });
-          res = await miningBackup.evaluateMissionCandidate([], [], []);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+      beforeEach(async () => {
+        curve = await MockMiningPowerCurve.new();
+        curve2 = await MockMiningPowerCurve.new();
+      });
 
-          res = await miningBackup.evaluateMissionCandidate([0], [], []);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-          await miningBackup.setMissionLanderToken(lander.address, { from:deployer });
-          res = await miningBackup.evaluateMissionCandidate([1], [], [1, 2, 3]);
-          assert.equal(res.valid, false);
-          assert.equal(res.miningPower, '0');
-        });
+        await expectRevert(
+          mining.setMiningPowerCurve(curve.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+
+        await expectRevert(
+          mining.setMiningPowerCurve(curve.address, { from:bob }),
+          "IMSMM: !auth"
+        );
       });
 
-      context('with tokens', () => {
-        beforeEach(async () => {
-          const { lander, landingSite, payload, mining } = this;
+      it('updates "miningPowerCurve" and emits "MiningPowerCurveChanged"', async () => {
+        const { mining } = this;
+        let res;
 
-          // give each user ten of each token
-          await lander.mintBatch(alice, 10);
-          await lander.mintBatch(bob, 10);
-          await lander.mintBatch(carol, 10);
+        assert.equal(await mining.miningPowerCurve(), ADDRESS_ZERO);
 
-          await landingSite.mintBatch(alice, 10);
-          await landingSite.mintBatch(bob, 10);
-          await landingSite.mintBatch(carol, 10);
+        res = await mining.setMiningPowerCurve(curve.address, { from:manager });
+        assert.equal(await mining.miningPowerCurve(), curve.address);
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChanged", {
+          previousCurve: ADDRESS_ZERO,
+          curve: curve.address
+        });
 
-          await payload.mintBatch(alice, 10);
-          await payload.mintBatch(bob, 10);
-          await payload.mintBatch(carol, 10);
+        res = await mining.setMiningPowerCurve(curve2.address, { from:deployer });
+        assert.equal(await mining.miningPowerCurve(), curve2.address);
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChanged", {
+          previousCurve: curve.address,
+          curve: curve2.address
+        });
 
-          await lander.setUniversalApproval(true);
-          await landingSite.setUniversalApproval(true);
-          await payload.setUniversalApproval(true);
+        res = await mining.setMiningPowerCurve(ADDRESS_ZERO, { from:manager });
+        assert.equal(await mining.miningPowerCurve(), ADDRESS_ZERO);
+        await expectEvent.inTransaction(res.tx, mining, "MiningPowerCurveChanged", {
+          previousCurve: curve2.address,
+          curve: ADDRESS_ZERO
         });
+      });
+    });
 
-        context('launchMission', () => {
-          it('reverts for invalid missions', async () => {
-            const { mining, landingSite } = this;
-            await expectRevert(
-              mining.launchMission([], [], [1], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
+    context('setStakeBoosts', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            await expectRevert(
-              mining.launchMission([1, 2], [], [1], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
+        await expectRevert(
+          mining.setStakeBoosts([100], [110], 100, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await expectRevert(
-              mining.launchMission([1], [0], [], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
+      it('reverts for invalid schedules', async () => {
+        const { mining } = this;
 
-            await expectRevert(
-              mining.launchMission([2], [], [1, 2, 3, 4, 5, 6, 7, 8, 9], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
+        await expectRevert(
+          mining.setStakeBoosts([100, 200], [110], 100, { from:manager }),
+          "IMSMM: array lengths differ"
+        );
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        await expectRevert(
+          mining.setStakeBoosts([0], [110], 100, { from:manager }),
+          "IMSMM: durations not ascending"
+        );
 
-            await expectRevert(
-              mining.launchMission([], [1], [], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
+        await expectRevert(
+          mining.setStakeBoosts([100, 100], [110, 125], 100, { from:manager }),
+          "IMSMM: durations not ascending"
+        );
 
-            await expectRevert(
-              mining.launchMission([2], [1, 2], [], alice, { from:alice }),
-              "IMSMM: invalid mission"
-            );
-          });
+        await expectRevert(
+          mining.setStakeBoosts([100, 200], [110, 99], 100, { from:manager }),
+          "IMSMM: ratio not >= 1"
+        );
+      });
 
-          it('reverts for nonexistent tokens', async () => {
-            const { mining, lander, landingSite, payload } = this;
+      it('updates "stakeBoosts"', async () => {
+        const { mining } = this;
+        let boost;
+
+        await mining.setStakeBoosts([100, 200], [110, 125], 100, { from:manager });
+        assert.equal(await mining.stakeBoostCount(), '2');
+        boost = await mining.stakeBoosts(0);
+        assert.equal(boost.duration, '100');
+        assert.equal(boost.multiplierPrec, web3.utils.toWei('110', 'ether'));
+        boost = await mining.stakeBoosts(1);
+        assert.equal(boost.duration, '200');
+        assert.equal(boost.multiplierPrec, web3.utils.toWei('125', 'ether'));
+
+        await mining.setStakeBoosts([50], [2], 1, { from:deployer });
+        assert.equal(await mining.stakeBoostCount(), '1');
+        boost = await mining.stakeBoosts(0);
+        assert.equal(boost.duration, '50');
+        assert.equal(boost.multiplierPrec, web3.utils.toWei('200', 'ether'));
+
+        await mining.setStakeBoosts([], [], 1, { from:deployer });
+        assert.equal(await mining.stakeBoostCount(), '0');
+      });
 
-            await expectRevert.unspecified(
-              mining.launchMission([30], [], [], alice, { from:alice })
-            );
+      it('emits "StakeBoostsUpdated"', async () => {
+        const { mining } = this;
 
-            await expectRevert.unspecified(
-              mining.launchMission([1], [], [30, 1, 2, 3], alice, { from:alice })
-            );
+        const res = await mining.setStakeBoosts([100, 200], [110, 125], 100, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "StakeBoostsUpdated", {
+          durations: ['100', '200'],
+          numerators: ['110', '125'],
+          denominator: '100'
+        });
+      });
+    });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+    context('setLockMultiplier', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            await expectRevert.unspecified(
-              mining.launchMission([10], [45], [12, 14, 16], carol, { from:bob })
-            );
+        await expectRevert(
+          mining.setLockMultiplier(100, 150, 100, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await expectRevert.unspecified(
-              mining.launchMission([42], [], [], carol, { from:bob })
-            );
-          });
+      it('reverts for invalid parameters', async () => {
+        const { mining } = this;
 
-          it('reverts for unowned tokens', async () => {
-            const { mining, lander, landingSite, payload } = this;
+        await expectRevert(
+          mining.setLockMultiplier(0, 150, 100, { from:manager }),
+          "IMSMM: lock period zero"
+        );
 
-            await expectRevert.unspecified(
-              mining.launchMission([0], [], [], alice, { from:bob })
-            );
+        await expectRevert(
+          mining.setLockMultiplier(100, 99, 100, { from:manager }),
+          "IMSMM: ratio not >= 1"
+        );
+      });
 
-            await expectRevert.unspecified(
-              mining.launchMission([1], [], [0, 1, 2, 3], carol, { from:carol })
-            );
+      it('updates "lockMultiplierPrec"', async () => {
+        const { mining } = this;
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        await mining.setLockMultiplier(100, 150, 100, { from:manager });
+        assert.equal(await mining.lockMultiplierPrec(100), web3.utils.toWei('150', 'ether'));
+        assert.equal(await mining.lockMultiplierPrec(200), '0');
 
-            await expectRevert.unspecified(
-              mining.launchMission([10], [15], [12, 14, 16], carol, { from:carol })
-            );
+        await mining.setLockMultiplier(200, 2, 1, { from:deployer });
+        assert.equal(await mining.lockMultiplierPrec(200), web3.utils.toWei('200', 'ether'));
 
-            await expectRevert.unspecified(
-              mining.launchMission([12], [], [], bob, { from:alice })
-            );
-          });
+        await mining.setLockMultiplier(100, 0, 1, { from:deployer });
+        assert.equal(await mining.lockMultiplierPrec(100), '0');
+      });
 
-          it('reverts for already-staked tokens', async () => {
-            const { mining, lander, landingSite, payload } = this;
+      it('emits "LockMultiplierUpdated"', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            await expectRevert.unspecified(
-              mining.launchMission([0], [], [], alice, { from:alice })
-            );
+        const res = await mining.setLockMultiplier(100, 150, 100, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "LockMultiplierUpdated", {
+          lockPeriod: '100',
+          numerator: '150',
+          denominator: '100'
+        });
+      });
+    });
 
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await expectRevert.unspecified(
-              mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice })
-            );
+    context('setEarlyRecall', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        await expectRevert(
+          mining.setEarlyRecall(true, 1, 2, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await expectRevert.unspecified(
-              mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob })
-            );
+      it('reverts for penalty > 1', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([12], [], [], carol, { from:bob });
-            await expectRevert.unspecified(
-              mining.launchMission([12], [], [], carol, { from:bob })
-            );
-          });
+        await expectRevert(
+          mining.setEarlyRecall(true, 3, 2, { from:manager }),
+          "IMSMM: ratio not <= 1"
+        );
+      });
 
-          it('reverts when paused', async () => {
-            const { mining, lander, landingSite, payload } = this;
+      it('updates early recall state', async () => {
+        const { mining } = this;
 
-            await mining.pause({ from:deployer });
-            await expectRevert(
-              mining.launchMission([0], [], [], alice, { from:alice }),
-              "Pausable: paused"
-            );
-            await mining.unpause({ from:manager });
+        assert.equal(await mining.earlyRecallAllowed(), false);
+        assert.equal(await mining.earlyRecallPenaltyPrec(), '0');
 
-            await mining.pause({ from:manager });
-            await expectRevert(
-              mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice }),
-              "Pausable: paused"
-            );
-            await mining.unpause({ from:manager });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+        await mining.setEarlyRecall(true, 1, 2, { from:manager });
+        assert.equal(await mining.earlyRecallAllowed(), true);
+        assert.equal(await mining.earlyRecallPenaltyPrec(), web3.utils.toWei('50', 'ether'));
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        await mining.setEarlyRecall(false, 0, 1, { from:deployer });
+        assert.equal(await mining.earlyRecallAllowed(), false);
+        assert.equal(await mining.earlyRecallPenaltyPrec(), '0');
+      });
 
-            await mining.pause({ from:deployer });
-            await expectRevert(
-              mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob }),
-              "Pausable: paused"
-            );
-            await mining.unpause({ from:deployer });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+      it('emits "EarlyRecallUpdated"', async () => {
+        const { mining } = this;
 
-            await mining.pause({ from:manager });
-            await expectRevert(
-              mining.launchMission([12], [], [], carol, { from:bob }),
-              "Pausable: paused"
-            );
-            await mining.unpause({ from:deployer });
-            await mining.launchMission([12], [], [], carol, { from:bob });
-          });
+        const res = await mining.setEarlyRecall(true, 1, 2, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "EarlyRecallUpdated", {
+          allowed: true,
+          penaltyNumerator: '1',
+          penaltyDenominator: '2'
+        });
+      });
+    });
 
-          it('transfers indicated tokens into mining contract', async () => {
-            const { mining, lander, landingSite, payload } = this;
+    context('setEmergencyMode', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            assert.equal(await lander.ownerOf(0), mining.address);
-            assert.equal(await lander.ownerOf(1), alice);
+        await expectRevert(
+          mining.setEmergencyMode(true, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            assert.equal(await lander.ownerOf(1), mining.address);
-            assert.equal(await lander.ownerOf(2), alice);
-            assert.equal(await payload.ownerOf(0), mining.address);
-            assert.equal(await payload.ownerOf(1), mining.address);
-            assert.equal(await payload.ownerOf(2), mining.address);
-            assert.equal(await payload.ownerOf(3), mining.address);
-            assert.equal(await payload.ownerOf(4), alice);
+      it('updates "emergencyMode"', async () => {
+        const { mining } = this;
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        assert.equal(await mining.emergencyMode(), false);
+        await mining.setEmergencyMode(true, { from:manager });
+        assert.equal(await mining.emergencyMode(), true);
+        await mining.setEmergencyMode(false, { from:deployer });
+        assert.equal(await mining.emergencyMode(), false);
+      });
 
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            assert.equal(await lander.ownerOf(10), mining.address);
-            assert.equal(await lander.ownerOf(11), bob);
-            assert.equal(await landingSite.ownerOf(15), mining.address);
-            assert.equal(await landingSite.ownerOf(16), bob);
-            assert.equal(await payload.ownerOf(12), mining.address);
-            assert.equal(await payload.ownerOf(13), bob);
-            assert.equal(await payload.ownerOf(14), mining.address);
-            assert.equal(await payload.ownerOf(15), bob);
-            assert.equal(await payload.ownerOf(16), mining.address);
+      it('emits "EmergencyModeChanged"', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([12], [], [], carol, { from:bob });
-            assert.equal(await lander.ownerOf(12), mining.address);
-            assert.equal(await lander.ownerOf(13), bob);
-          });
+        const res = await mining.setEmergencyMode(true, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "EmergencyModeChanged", {
+          enabled: true
+        });
+      });
+    });
 
-          it('records mission details in "missionStatus" response', async () => {
-            const { mining, landingSite } = this;
-            let res;
+    context('setUnbondingPeriod', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            // time-sensitive testing is iffy. Allow 1 second wiggle-room
-            const assertTimeEqual = (real, expected) => {
-                realStr = real.toString();
-                assert.ok(
-                  realStr == `${expected}` || realStr == `${expected + 1}`,
-                  `AssertionError: expected ${real} (as ${realStr}) to ~equal '${expected}'`
-                );
-            }
+        await expectRevert(
+          mining.setUnbondingPeriod(1000, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('reverts for period too long', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            const missionTime0 = await time.latest();
+        assert.equal(await mining.MAX_UNBONDING_PERIOD(), `${30 * 24 * 60 * 60}`);
+        await expectRevert(
+          mining.setUnbondingPeriod(time.duration.days(30).addn(1), { from:manager }),
+          "IMSMM: unbonding period too long"
+        );
+      });
 
-            res = await mining.missionStatus(0);
-            assert.equal(res.user, alice)
-            assert.equal(res.miningPower, '100')
-            assert.equal(res.staked, true)
-            assertTimeEqual(res.stakeDuration, 0)
+      it('updates "unbondingPeriod"', async () => {
+        const { mining } = this;
 
-            // time-sensitive testing is iffy. Allow 1 second wiggle-room
+        assert.equal(await mining.unbondingPeriod(), '0');
+        await mining.setUnbondingPeriod(1000, { from:manager });
+        assert.equal(await mining.unbondingPeriod(), '1000');
+        await mining.setUnbondingPeriod(0, { from:deployer });
+        assert.equal(await mining.unbondingPeriod(), '0');
+      });
 
-            await time.increase(14)
-            res = await mining.missionStatus(0);
-            assert.equal(res.user, alice)
-            assert.equal(res.miningPower, '100')
-            assert.equal(res.staked, true)
-            assertTimeEqual(res.stakeDuration, 14)
+      it('emits "UnbondingPeriodUpdated"', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            const missionTime1 = await time.latest();
+        const res = await mining.setUnbondingPeriod(1000, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "UnbondingPeriodUpdated", {
+          unbondingPeriod: '1000'
+        });
+      });
+    });
 
-            res = await mining.missionStatus(1);
-            assert.equal(res.user, alice)
-            assert.equal(res.miningPower, '140')
-            assert.equal(res.staked, true)
-            assertTimeEqual(res.stakeDuration, 0)
+    context('setFaucet', () => {
+      beforeEach(async () => {
+        this.faucet2 = await MockERC20Faucet.new(this.token.address);
+      });
 
-            await time.increase(8)
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            const missionTime2 = await time.latest();
+      it('reverts for non-manager', async () => {
+        const { mining, faucet2 } = this;
 
-            res = await mining.missionStatus(2);
-            assert.equal(res.user, carol)
-            assert.equal(res.miningPower, '180')
-            assert.equal(res.staked, true)
-            assertTimeEqual(res.stakeDuration, 0)
+        await expectRevert(
+          mining.setFaucet(faucet2.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            await time.increase(20)
-            await mining.launchMission([12], [], [], carol, { from:bob });
-            const missionTime3 = await time.latest();
+      it('reverts for a faucet of another token', async () => {
+        const { mining } = this;
 
-            res = await mining.missionStatus(3);
-            assert.equal(res.user, carol)
-            assert.equal(res.miningPower, '100')
-            assert.equal(res.staked, true)
-            assertTimeEqual(res.stakeDuration, 0)
+        const token2 = await MockERC20.new("Mock Token 2", "MT2", 0);
+        const faucet3 = await MockERC20Faucet.new(token2.address);
+        await expectRevert(
+          mining.setFaucet(faucet3.address, { from:manager }),
+          "IMSMM: faucet token mismatch"
+        );
+      });
 
-            await time.increase(2)
-            const t = await time.latest()
-            assertTimeEqual((await mining.missionStatus(0)).stakeDuration, t - missionTime0);
-            assertTimeEqual((await mining.missionStatus(1)).stakeDuration, t - missionTime1);
-            assertTimeEqual((await mining.missionStatus(2)).stakeDuration, t - missionTime2);
-            assertTimeEqual((await mining.missionStatus(3)).stakeDuration, t - missionTime3);
-          });
+      it('reverts while paused', async () => {
+        const { mining, faucet2 } = this;
 
-          it('records transferred tokens in "missionTokens" response', async () => {
-            const { mining, lander, landingSite, payload } = this;
-            let res;
+        await mining.pause({ from:manager });
+        await expectRevert(
+          mining.setFaucet(faucet2.address, { from:manager }),
+          "Pausable: paused"
+        );
+      });
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            res = await mining.missionTokens(0);
-            assert.deepEqual(res.landers.map(a => a.toString()), ["0"]);
-            assert.deepEqual(res.landingSites, []);
-            assert.deepEqual(res.payloads, []);
+      it('updates "faucet"', async () => {
+        const { mining, faucet, faucet2 } = this;
 
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            res = await mining.missionTokens(1);
-            assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
-            assert.deepEqual(res.landingSites, []);
-            assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1", "2", "3"]);
+        await mining.setFaucet(faucet2.address, { from:manager });
+        assert.equal(await mining.faucet(), faucet2.address);
+        await mining.setFaucet(faucet.address, { from:deployer });
+        assert.equal(await mining.faucet(), faucet.address);
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('emits "FaucetChanged"', async () => {
+        const { mining, faucet, faucet2 } = this;
 
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            res = await mining.missionTokens(2);
-            assert.deepEqual(res.landers.map(a => a.toString()), ["10"]);
-            assert.deepEqual(res.landingSites.map(a => a.toString()), ["15"]);
-            assert.deepEqual(res.payloads.map(a => a.toString()), ["12", "14", "16"]);
+        const res = await mining.setFaucet(faucet2.address, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "FaucetChanged", {
+          previousFaucet: faucet.address,
+          faucet: faucet2.address
+        });
+      });
 
-            await mining.launchMission([12], [], [], carol, { from:bob });
-            res = await mining.missionTokens(3);
-            assert.deepEqual(res.landers.map(a => a.toString()), ["12"]);
-            assert.deepEqual(res.landingSites, []);
-            assert.deepEqual(res.payloads, []);
-          });
+      it('reverts if the previous faucet cannot be settled', async () => {
+        const { mining, faucet, faucet2 } = this;
 
-          it('emits "MissionLaunched" event', async () => {
-            const { mining, lander, landingSite, payload } = this;
-            let res;
+        // owed more than it holds
+        await faucet.setOwed(mining.address, '280');
+        await expectRevert.unspecified(
+          mining.setFaucet(faucet2.address, { from:manager })
+        );
+        assert.equal(await mining.faucet(), faucet.address);
+      });
+    });
 
-            res = await mining.launchMission([0], [], [], alice, { from:alice });
-            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-              user: alice,
-              missionId: '0',
-              to: alice,
-              miningPower: '100'
-            });
+    context('forceSetFaucet', () => {
+      beforeEach(async () => {
+        this.faucet2 = await MockERC20Faucet.new(this.token.address);
+      });
 
-            res = await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-              user: alice,
-              missionId: '1',
-              to: alice,
-              miningPower: '140'
-            });
+      it('reverts for non-manager', async () => {
+        const { mining, faucet2 } = this;
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        await expectRevert(
+          mining.forceSetFaucet(faucet2.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            res = await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-              user: bob,
-              missionId: '2',
-              to: carol,
-              miningPower: '180'
-            });
+      it('reverts for a faucet of another token', async () => {
+        const { mining } = this;
 
-            res = await mining.launchMission([12], [], [], carol, { from:bob });
-            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-              user: bob,
-              missionId: '3',
-              to: carol,
-              miningPower: '100'
-            });
-          });
+        const token2 = await MockERC20.new("Mock Token 2", "MT2", 0);
+        const faucet3 = await MockERC20Faucet.new(token2.address);
+        await expectRevert(
+          mining.forceSetFaucet(faucet3.address, { from:manager }),
+          "IMSMM: faucet token mismatch"
+        );
+      });
 
-          it('updates internal records as expected', async () => {
-            const { mining, lander, landingSite, payload } = this;
+      it('settles the previous faucet if it can', async () => {
+        const { mining, token, faucet, faucet2 } = this;
 
-            let user, mission;
+        await token.mint(faucet.address, 1000);
+        await faucet.setOwed(mining.address, '280');
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            assert.equal(await mining.totalMiningPower(), '100');
-            assert.equal(await mining.missionCount(), '1');
-            assert.equal(await mining.stakedMissionCount(), '1');
-            assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.userMissionCount(alice), '1');
-            assert.equal(await mining.userMissions(alice, 0), '0');
+        const res = await mining.forceSetFaucet(faucet2.address, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "FaucetChanged", {
+          previousFaucet: faucet.address,
+          faucet: faucet2.address
+        });
+        await expectEvent.notEmitted.inTransaction(res.tx, mining, "FaucetAbandoned");
+        assert.equal(await faucet.releasable(mining.address), '0');
+        assert.equal(await token.balanceOf(mining.address), '280');
+      });
 
-            user = await mining.userInfo(alice);
-            assert.equal(user.miningPower, '100');
-            assert.equal(user.released, '0');
+      it('replaces a faucet that reverts when settled', async () => {
+        const { mining, token, faucet, faucet2 } = this;
 
-            mission = await mining.missionInfo(0);
-            assert.equal(mission.staked, true);
-            assert.equal(mission.user, alice);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '100');
+        // owed more than it holds
+        await faucet.setOwed(mining.address, '280');
+        await expectRevert.unspecified(mining.update());
 
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            // test mission 1, power 140
-            assert.equal(await mining.totalMiningPower(), '240');
-            assert.equal(await mining.missionCount(), '2');
-            assert.equal(await mining.stakedMissionCount(), '2');
-            assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissions(alice, 0), '0');
-            assert.equal(await mining.userMissions(alice, 1), '1');
+        const res = await mining.forceSetFaucet(faucet2.address, { from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "FaucetAbandoned", {
+          faucet: faucet.address,
+          unsettled: '280'
+        });
+        await expectEvent.inTransaction(res.tx, mining, "FaucetChanged", {
+          previousFaucet: faucet.address,
+          faucet: faucet2.address
+        });
+        assert.equal(await mining.faucet(), faucet2.address);
+        assert.equal(await faucet.releasable(mining.address), '280');
+        assert.equal(await mining.totalMined(), '0');
+
+        await token.mint(faucet2.address, 1000);
+        await faucet2.setOwed(mining.address, '100');
+        await mining.update();
+        assert.equal(await token.balanceOf(mining.address), '100');
+      });
+    });
 
-            user = await mining.userInfo(alice);
-            assert.equal(user.miningPower, '240');
-            assert.equal(user.released, '0');
+    context('setMigrationTarget', () => {
+      let target;
 
-            mission = await mining.missionInfo(1);
-            assert.equal(mission.staked, true);
-            assert.equal(mission.user, alice);
-            assert.equal(mission.userMissionsIndex, '1');
-            assert.equal(mission.miningPower, '140');
+      beforeEach(async () => {
+        target = await MockMissionMigrationReceiver.new(0);
+      });
 
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            // test mission 2, power 180
-            assert.equal(await mining.totalMiningPower(), '420');
-            assert.equal(await mining.missionCount(), '3');
-            assert.equal(await mining.stakedMissionCount(), '3');
-            assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.stakedMissions(2), '2');
-            assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '1');
-            assert.equal(await mining.userMissions(alice, 0), '0');
-            assert.equal(await mining.userMissions(alice, 1), '1');
-            assert.equal(await mining.userMissions(carol, 0), '2');
+        await expectRevert(
+          mining.setMigrationTarget(target.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
 
-            user = await mining.userInfo(carol);
-            assert.equal(user.miningPower, '180');
-            assert.equal(user.released, '0');
+      it('reverts for non-contract target', async () => {
+        const { mining } = this;
 
-            mission = await mining.missionInfo(2);
-            assert.equal(mission.staked, true);
-            assert.equal(mission.user, carol);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '180');
+        await expectRevert(
+          mining.setMigrationTarget(alice, { from:manager }),
+          "IMSMM: target not a contract"
+        );
+      });
 
-            await mining.launchMission([12], [], [], carol, { from:bob });
-            // test mission 3, power 100
-            assert.equal(await mining.totalMiningPower(), '520');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '4');
-            assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.stakedMissions(2), '2');
-            assert.equal(await mining.stakedMissions(3), '3');
-            assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '2');
-            assert.equal(await mining.userMissions(alice, 0), '0');
-            assert.equal(await mining.userMissions(alice, 1), '1');
-            assert.equal(await mining.userMissions(carol, 0), '2');
-            assert.equal(await mining.userMissions(carol, 1), '3');
-
-            user = await mining.userInfo(carol);
-            assert.equal(user.miningPower, '280');
-            assert.equal(user.released, '0');
+      it('updates "migrationTarget" and "migrationTime"', async () => {
+        const { mining } = this;
+        let res, migrationTime;
+
+        assert.equal(await mining.MIGRATION_NOTICE_PERIOD(), `${30 * 24 * 60 * 60}`);
+        assert.equal(await mining.migrationTarget(), ADDRESS_ZERO);
+
+        res = await mining.setMigrationTarget(target.address, { from:manager });
+        migrationTime = (await time.latest()).add(time.duration.days(30));
+        assert.equal(await mining.migrationTarget(), target.address);
+        assert.equal(await mining.migrationTime(), migrationTime.toString());
+        await expectEvent.inTransaction(res.tx, mining, "MigrationTargetChanged", {
+          previousTarget: ADDRESS_ZERO,
+          target: target.address,
+          migrationTime
+        });
 
-            mission = await mining.missionInfo(3);
-            assert.equal(mission.staked, true);
-            assert.equal(mission.user, carol);
-            assert.equal(mission.userMissionsIndex, '1');
-            assert.equal(mission.miningPower, '100');
-          });
+        res = await mining.setMigrationTarget(ADDRESS_ZERO, { from:deployer });
+        migrationTime = (await time.latest()).add(time.duration.days(30));
+        assert.equal(await mining.migrationTarget(), ADDRESS_ZERO);
+        await expectEvent.inTransaction(res.tx, mining, "MigrationTargetChanged", {
+          previousTarget: target.address,
+          target: ADDRESS_ZERO,
+          migrationTime
+        });
+      });
+    });
 
-          context('with complete checker evaluating missions', () => {
-            let checker;
+    context('pause / unpause', () => {
+      it('reverts for non-manager', async () => {
+        const { mining } = this;
 
-            beforeEach(async () => {
-              const { mining } = this;
-              checker = await MockMissionChecker.new();
-              await mining.setMissionCompleteChecker(checker.address, { from:manager });
-              await mining.setMissionCompleteMultiplier(3, 2, { from:manager });  // 150%
-            });
+        await expectRevert(
+          mining.pause({ from:alice }),
+          "IMSMM: !auth"
+        );
 
-            it('reverts for invalid missions', async () => {
-              const { mining, landingSite } = this;
-              await expectRevert(
-                mining.launchMission([], [], [1], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
+        await expectRevert(
+          mining.pause({ from:bob }),
+          "IMSMM: !auth"
+        );
 
-              await expectRevert(
-                mining.launchMission([1, 2], [], [1], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
+        await mining.pause({ from:manager });
 
-              await expectRevert(
-                mining.launchMission([1], [0], [], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
+        await expectRevert(
+          mining.unpause({ from:alice }),
+          "IMSMM: !auth"
+        );
 
-              await checker.setResult(true);
+        await expectRevert(
+          mining.unpause({ from:bob }),
+          "IMSMM: !auth"
+        );
 
-              await expectRevert(
-                mining.launchMission([2], [], [1, 2, 3, 4, 5, 6, 7, 8, 9], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
+        await mining.unpause({ from:manager });
+      });
 
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+      it('toggles "paused" state', async () => {
+        const { mining } = this;
 
-              await expectRevert(
-                mining.launchMission([], [1], [], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
+        assert.equal(await mining.paused(), false);
 
-              await expectRevert(
-                mining.launchMission([2], [1, 2], [], alice, { from:alice }),
-                "IMSMM: invalid mission"
-              );
-            });
+        await mining.pause({ from:deployer });
+        assert.equal(await mining.paused(), true);
+        await mining.unpause({ from:deployer });
+        assert.equal(await mining.paused(), false);
 
-            it('reverts for nonexistent tokens', async () => {
-              const { mining, lander, landingSite, payload } = this;
+        await mining.pause({ from:manager });
+        assert.equal(await mining.paused(), true);
+        await mining.unpause({ from:manager });
+        assert.equal(await mining.paused(), false);
+      });
 
-              await expectRevert.unspecified(
-                mining.launchMission([30], [], [], alice, { from:alice })
-              );
+      it('emits "Paused" / "Unpaused" event', async () => {
+        const { mining } = this;
+        let res;
 
-              await expectRevert.unspecified(
-                mining.launchMission([1], [], [30, 1, 2, 3], alice, { from:alice })
-              );
+        res = await mining.pause({ from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "Paused", { account:deployer });
+        res = await mining.unpause({ from:deployer });
+        await expectEvent.inTransaction(res.tx, mining, "Unpaused", { account:deployer });
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+        res = await mining.pause({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "Paused", { account:manager });
+        res = await mining.unpause({ from:manager });
+        await expectEvent.inTransaction(res.tx, mining, "Unpaused", { account:manager });
+      });
+    });
 
-              await expectRevert.unspecified(
-                mining.launchMission([10], [45], [12, 14, 16], carol, { from:bob })
-              );
+    context('With Lander and Payload tokens', async () => {
+      beforeEach(async () => {
+        const { appraiser, mining } = this;
+        this.lander = await MockERC721.new("Mission Lander", "ML");
+        this.landingSite = await MockERC721.new("Mission Landing Site", "MLS");
+        this.payload = await MockERC721.new("Mission Payload", "MP");
 
-              await expectRevert.unspecified(
-                mining.launchMission([42], [], [], carol, { from:bob })
-              );
-            });
+        await mining.setMissionLanderToken(this.lander.address, { from:manager });
+        await mining.setMissionPayloadToken(this.payload.address, { from:manager });
 
-            it('reverts for unowned tokens', async () => {
-              const { mining, lander, landingSite, payload } = this;
+        await appraiser.setAppraises(this.lander.address, true, '100', { from:deployer });
+        await appraiser.setAppraises(this.landingSite.address, true, '50', { from:deployer });
+        await appraiser.setAppraises(this.payload.address, true, '10', { from:deployer });
+      });
 
-              await expectRevert.unspecified(
-                mining.launchMission([0], [], [], alice, { from:bob })
-              );
+      context('evaluateMissionCandidate', () => {
+        it('valid, incomplete mission', async () => {
+          const { mining, lander, landingSite, payload, appraiser } = this;
+          let res;
 
-              await expectRevert.unspecified(
-                mining.launchMission([1], [], [0, 1, 2, 3], carol, { from:carol })
-              );
+          // note: the appraiser does not actually check for token existence; any tokenId
+          // will provide default appraisal
+          res = await mining.evaluateMissionCandidate([0], [], []);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '100');
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '130');
 
-              await expectRevert.unspecified(
-                mining.launchMission([10], [15], [12, 14, 16], carol, { from:carol })
-              );
+          // with some non-default values
+          await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+          await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              await expectRevert.unspecified(
-                mining.launchMission([12], [], [], bob, { from:alice })
-              );
-            });
+          res = await mining.evaluateMissionCandidate([1], [], []);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '1000');
 
-            it('reverts for already-staked tokens', async () => {
-              const { mining, lander, landingSite, payload } = this;
+          res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '2060');
 
-              await mining.launchMission([0], [], [], alice, { from:alice });
-              await expectRevert.unspecified(
-                mining.launchMission([0], [], [], alice, { from:alice })
-              );
+          res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '3120');
 
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              await expectRevert.unspecified(
-                mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice })
-              );
+          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          res = await mining.evaluateMissionCandidate([1], [], []);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '1000');
 
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              await expectRevert.unspecified(
-                mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob })
-              );
+          res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '2060');
 
-              await mining.launchMission([12], [], [], carol, { from:bob });
-              await expectRevert.unspecified(
-                mining.launchMission([12], [], [], carol, { from:bob })
-              );
-            });
+          res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '3120');
+        });
 
-            it('reverts when paused', async () => {
-              const { mining, lander, landingSite, payload } = this;
+        it('complete mission', async () => {
+          const { mining, lander, landingSite, payload, appraiser } = this;
+          let res;
 
-              await mining.pause({ from:deployer });
-              await expectRevert(
-                mining.launchMission([0], [], [], alice, { from:alice }),
-                "Pausable: paused"
-              );
-              await mining.unpause({ from:manager });
+          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
 
-              await mining.pause({ from:manager });
-              await expectRevert(
-                mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice }),
-                "Pausable: paused"
-              );
-              await mining.unpause({ from:manager });
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+          res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10) * 1.5
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '240');
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40) * 1.5
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '285');
 
-              await mining.pause({ from:deployer });
-              await expectRevert(
-                mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob }),
-                "Pausable: paused"
-              );
-              await mining.unpause({ from:deployer });
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          // with some non-default values
+          await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+          await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
+          await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              await mining.pause({ from:manager });
-              await expectRevert(
-                mining.launchMission([12], [], [], carol, { from:bob }),
-                "Pausable: paused"
-              );
-              await mining.unpause({ from:deployer });
-              await mining.launchMission([12], [], [], carol, { from:bob });
-            });
+          res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60) * 1.5
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '48090');
 
-            it('transfers indicated tokens into mining contract', async () => {
-              const { mining, lander, landingSite, payload } = this;
+          await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
+          res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110) * 1.285714
+          assert.equal(res.valid, true);
+          assert.equal(res.miningPower, '16855');
+        });
 
-              await mining.launchMission([0], [], [], alice, { from:alice });
-              assert.equal(await lander.ownerOf(0), mining.address);
-              assert.equal(await lander.ownerOf(1), alice);
+        context('with completeMissionChecker', () => {
+          let checker;
 
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              assert.equal(await lander.ownerOf(1), mining.address);
-              assert.equal(await lander.ownerOf(2), alice);
-              assert.equal(await payload.ownerOf(0), mining.address);
-              assert.equal(await payload.ownerOf(1), mining.address);
-              assert.equal(await payload.ownerOf(2), mining.address);
-              assert.equal(await payload.ownerOf(3), mining.address);
-              assert.equal(await payload.ownerOf(4), alice);
+          beforeEach(async () => {
+            const { mining } = this;
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            checker = await MockMissionChecker.new();
+            await mining.setMissionCompleteChecker(checker.address, { from:deployer });
+          });
 
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              assert.equal(await lander.ownerOf(10), mining.address);
-              assert.equal(await lander.ownerOf(11), bob);
-              assert.equal(await landingSite.ownerOf(15), mining.address);
-              assert.equal(await landingSite.ownerOf(16), bob);
-              assert.equal(await payload.ownerOf(12), mining.address);
-              assert.equal(await payload.ownerOf(13), bob);
-              assert.equal(await payload.ownerOf(14), mining.address);
-              assert.equal(await payload.ownerOf(15), bob);
-              assert.equal(await payload.ownerOf(16), mining.address);
+          it('valid, incomplete mission, checked as incomplete', async () => {
+            const { mining, lander, landingSite, payload, appraiser } = this;
+            let res;
 
-              await mining.launchMission([12], [], [], carol, { from:bob });
-              assert.equal(await lander.ownerOf(12), mining.address);
-              assert.equal(await lander.ownerOf(13), bob);
-            });
+            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
 
-            it('records mission details in "missionStatus" response', async () => {
-              const { mining, landingSite } = this;
-              let res;
+            // note: the appraiser does not actually check for token existence; any tokenId
+            // will provide default appraisal
+            res = await mining.evaluateMissionCandidate([0], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '100');
 
-              // time-sensitive testing is iffy. Allow 1 second wiggle-room
-              const assertTimeEqual = (real, expected) => {
-                  realStr = real.toString();
-                  assert.ok(
-                    realStr == `${expected}` || realStr == `${expected + 1}`,
-                    `AssertionError: expected ${real} (as ${realStr}) to ~equal '${expected}'`
-                  );
-              }
+            res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '130');
 
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            // with some non-default values
+            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              await checker.setResult(true);
-              await mining.launchMission([0], [], [], alice, { from:alice });
-              const missionTime0 = await time.latest();
+            res = await mining.evaluateMissionCandidate([1], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '1000');
 
-              res = await mining.missionStatus(0);
-              assert.equal(res.user, alice)
-              assert.equal(res.miningPower, '150')
-              assert.equal(res.staked, true)
-              assertTimeEqual(res.stakeDuration, 0)
+            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '2060');
 
-              // time-sensitive testing is iffy. Allow 1 second wiggle-room
+            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '3120');
 
-              await time.increase(14)
-              res = await mining.missionStatus(0);
-              assert.equal(res.user, alice)
-              assert.equal(res.miningPower, '150')
-              assert.equal(res.staked, true)
-              assertTimeEqual(res.stakeDuration, 14)
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              const missionTime1 = await time.latest();
+            res = await mining.evaluateMissionCandidate([1], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '1000');
 
-              res = await mining.missionStatus(1);
-              assert.equal(res.user, alice)
-              assert.equal(res.miningPower, '210')
-              assert.equal(res.staked, true)
-              assertTimeEqual(res.stakeDuration, 0)
+            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '2060');
 
-              await time.increase(8)
-              await checker.setResult(false);
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              const missionTime2 = await time.latest();
+            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '3120');
+          });
 
-              res = await mining.missionStatus(2);
-              assert.equal(res.user, carol)
-              assert.equal(res.miningPower, '180')
-              assert.equal(res.staked, true)
-              assertTimeEqual(res.stakeDuration, 0)
+          it('valid, incomplete mission, checked as complete', async () => {
+            const { mining, lander, landingSite, payload, appraiser } = this;
+            let res;
 
-              await time.increase(20)
-              await mining.launchMission([12], [], [], carol, { from:bob });
-              const missionTime3 = await time.latest();
+            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
+            await checker.setResult(true);
 
-              res = await mining.missionStatus(3);
-              assert.equal(res.user, carol)
-              assert.equal(res.miningPower, '100')
-              assert.equal(res.staked, true)
-              assertTimeEqual(res.stakeDuration, 0)
+            // note: the appraiser does not actually check for token existence; any tokenId
+            // will provide default appraisal
+            res = await mining.evaluateMissionCandidate([0], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '150');
 
-              await time.increase(2)
-              const t = await time.latest()
-              assertTimeEqual((await mining.missionStatus(0)).stakeDuration, t - missionTime0);
-              assertTimeEqual((await mining.missionStatus(1)).stakeDuration, t - missionTime1);
-              assertTimeEqual((await mining.missionStatus(2)).stakeDuration, t - missionTime2);
-              assertTimeEqual((await mining.missionStatus(3)).stakeDuration, t - missionTime3);
-            });
+            res = await mining.evaluateMissionCandidate([10], [], [1, 2, 3]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '195');
 
-            it('records transferred tokens in "missionTokens" response', async () => {
-              const { mining, lander, landingSite, payload } = this;
-              let res;
+            // with some non-default values
+            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              await mining.launchMission([0], [], [], alice, { from:alice });
-              res = await mining.missionTokens(0);
-              assert.deepEqual(res.landers.map(a => a.toString()), ["0"]);
-              assert.deepEqual(res.landingSites, []);
-              assert.deepEqual(res.payloads, []);
+            res = await mining.evaluateMissionCandidate([1], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '1500');
 
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              res = await mining.missionTokens(1);
-              assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
-              assert.deepEqual(res.landingSites, []);
-              assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1", "2", "3"]);
+            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '3090');
 
-              await checker.setResult(true);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '4680');
 
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              res = await mining.missionTokens(2);
-              assert.deepEqual(res.landers.map(a => a.toString()), ["10"]);
-              assert.deepEqual(res.landingSites.map(a => a.toString()), ["15"]);
-              assert.deepEqual(res.payloads.map(a => a.toString()), ["12", "14", "16"]);
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-              await mining.launchMission([12], [], [], carol, { from:bob });
-              res = await mining.missionTokens(3);
-              assert.deepEqual(res.landers.map(a => a.toString()), ["12"]);
-              assert.deepEqual(res.landingSites, []);
-              assert.deepEqual(res.payloads, []);
-            });
+            res = await mining.evaluateMissionCandidate([1], [], []);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '1500');
 
-            it('emits "MissionLaunched" event', async () => {
-              const { mining, lander, landingSite, payload } = this;
-              let res;
+            res = await mining.evaluateMissionCandidate([2], [], [2, 4]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '3090');
 
-              await checker.setResult(true);
-              res = await mining.launchMission([0], [], [], alice, { from:alice });
-              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-                user: alice,
-                missionId: '0',
-                to: alice,
-                miningPower: '150'
-              });
+            res = await mining.evaluateMissionCandidate([3], [], [1, 2, 3, 5, 6]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '4680');
+          });
 
-              res = await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-                user: alice,
-                missionId: '1',
-                to: alice,
-                miningPower: '210'
-              });
+          it('complete mission, checked as incomplete', async () => {
+            const { mining, lander, landingSite, payload, appraiser } = this;
+            let res;
 
-              await checker.setResult(false);
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
 
-              res = await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-                user: bob,
-                missionId: '2',
-                to: carol,
-                miningPower: '180'
-              });
+            res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10)
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '160');
 
-              res = await mining.launchMission([12], [], [], carol, { from:bob });
-              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
-                user: bob,
-                missionId: '3',
-                to: carol,
-                miningPower: '100'
-              });
-            });
+            res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40)
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '190');
 
-            it('updates internal records as expected', async () => {
-              const { mining, lander, landingSite, payload } = this;
+            // with some non-default values
+            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+            await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
+            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              let user, mission;
+            res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60)
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '32060');
 
-              await checker.setResult(true);
-              await mining.launchMission([0], [], [], alice, { from:alice });
-              assert.equal(await mining.totalMiningPower(), '150');
-              assert.equal(await mining.missionCount(), '1');
-              assert.equal(await mining.stakedMissionCount(), '1');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.userMissionCount(alice), '1');
-              assert.equal(await mining.userMissions(alice, 0), '0');
+            await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
+            res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110)
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '13110');
+          });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '150');
-              assert.equal(user.released, '0');
+          it('complete mission, checked as complete', async () => {
+            const { mining, lander, landingSite, payload, appraiser } = this;
+            let res;
 
-              mission = await mining.missionInfo(0);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '150');
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setMissionCompleteMultiplier(3, 2, { from:deployer });   // 150%
+            await checker.setResult(true);
 
-              await checker.setResult(false);
-              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-              // test mission 1, power 140
-              assert.equal(await mining.totalMiningPower(), '290');
-              assert.equal(await mining.missionCount(), '2');
-              assert.equal(await mining.stakedMissionCount(), '2');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
+            res = await mining.evaluateMissionCandidate([0], [0], [0]); // (100 + 50 + 10) * 1.5
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '240');
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '290');
-              assert.equal(user.released, '0');
+            res = await mining.evaluateMissionCandidate([10], [20], [1, 2, 3, 4]); // (100 + 50 + 40) * 1.5
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '285');
 
-              mission = await mining.missionInfo(1);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '140');
+            // with some non-default values
+            await appraiser.setAppraisals(lander.address, [1, 2, 3], [1000, 2000, 3000], { from:deployer });
+            await appraiser.setAppraisals(landingSite.address, [1, 2, 3], [10000, 20000, 30000], { from:deployer });
+            await appraiser.setAppraisals(payload.address, [1, 2, 3, 4, 5], [10, 20, 30, 40, 50], { from:deployer });
 
-              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            res = await mining.evaluateMissionCandidate([2], [3], [1, 2, 3]); // (2000 + 30000 + 60) * 1.5
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '48090');
 
-              await checker.setResult(true);
-              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-              // test mission 2, power 180 * 1.5 = 270
-              assert.equal(await mining.totalMiningPower(), '560');
-              assert.equal(await mining.missionCount(), '3');
-              assert.equal(await mining.stakedMissionCount(), '3');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '1');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
+            await mining.setMissionCompleteMultiplier(9, 7, { from:deployer });   // 128.5714%
+            res = await mining.evaluateMissionCandidate([3], [1], [1, 4, 5, 10]); // (3000 + 10000 + 110) * 1.285714
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '16855');
+          });
+        });
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '270');
-              assert.equal(user.released, '0');
+        context('with missionScorer', () => {
+          let scorer;
 
-              mission = await mining.missionInfo(2);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '270');
+          beforeEach(async () => {
+            const { mining } = this;
 
-              await checker.setResult(false);
-              await mining.launchMission([12], [], [], carol, { from:bob });
-              // test mission 3, power 100
-              assert.equal(await mining.totalMiningPower(), '660');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            scorer = await MockMissionScorer.new();
+            await mining.setMissionScorer(scorer.address, { from:deployer });
+          });
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '370');
-              assert.equal(user.released, '0');
+          it('applies the mission score, capped at the maximum', async () => {
+            const { mining } = this;
+            let res;
 
-              mission = await mining.missionInfo(3);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '100');
-            });
+            // default maximum 1x
+            await scorer.setScore(3, 2);
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '120');
+
+            await mining.setMaxMissionScore(2, 1, { from:manager });
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '180');
+
+            await scorer.setScore(3, 1);
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '240');
+
+            await scorer.setScore(1, 2);
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '60');
+
+            // invalid missions are not scored
+            res = await mining.evaluateMissionCandidate([], [], [1, 2]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
           });
-        });
 
-        context('recallMission', () => {
-          beforeEach(async () => {
-            const { mining, lander, landingSite, payload } = this;
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          it('supersedes the complete mission multiplier until unset', async () => {
+            const { mining } = this;
+            let res;
+
+            const checker = await MockMissionChecker.new();
+            await checker.setResult(true);
+            await mining.setMissionCompleteChecker(checker.address, { from:manager });
+            await mining.setMissionCompleteMultiplier(5, 1, { from:manager });
+
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '120');
+
+            await mining.setMissionScorer(ADDRESS_ZERO, { from:manager });
+            res = await mining.evaluateMissionCandidate([0], [], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '600');
           });
+        });
 
-          it('revert for unstaked mission IDs', async () => {
-            const { mining, lander, landingSite, payload } = this;
+        it('invalid mission', async () => {
+          const { mining, lander, landingSite, payload, appraiser } = this;
+          let res;
 
-            await expectRevert(
-              mining.recallMission(0, alice, { from:alice }),
-              "Panic: Index out of bounds."
-            );
+          // note: the appraiser does not actually check for token existence; any tokenId
+          // will provide default appraisal
+          res = await mining.evaluateMissionCandidate([], [], []);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await expectRevert(
-              mining.recallMission(3, bob, { from:carol }),
-              "Panic: Index out of bounds."
-            );
+          res = await mining.evaluateMissionCandidate([1, 2], [], []);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await mining.launchMission([12], [], [], carol, { from:bob });
+          res = await mining.evaluateMissionCandidate([], [], [1, 2, 3]);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await expectRevert(
-              mining.recallMission(4, alice, { from:alice }),
-              "Panic: Index out of bounds."
-            );
+          res = await mining.evaluateMissionCandidate([1], [], [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await expectRevert(
-              mining.recallMission(5, bob, { from:carol }),
-              "Panic: Index out of bounds."
-            );
+          res = await mining.evaluateMissionCandidate([1], [2], [1, 2, 3]);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await mining.recallMission(0, alice, { from:alice });
-            await expectRevert(
-              mining.recallMission(0, alice, { from:alice }),
-              "IMSMM: mission not staked"
-            );
-          });
+          await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-          it('revert for unowned mission IDs', async () => {
-            const { mining, lander, landingSite, payload } = this;
+          res = await mining.evaluateMissionCandidate([1], [1, 2], []);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await mining.launchMission([12], [], [], carol, { from:bob });
+          res = await mining.evaluateMissionCandidate([1], [1, 2], [1, 2, 3]);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
+
+          const miningBackup = await IMissionMining.at((await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, this.extension.address, { from:deployer })).address);
+          res = await miningBackup.evaluateMissionCandidate([], [], []);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
+
+          res = await miningBackup.evaluateMissionCandidate([0], [], []);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
+
+          await miningBackup.setMissionLanderToken(lander.address, { from:deployer });
+          res = await miningBackup.evaluateMissionCandidate([1], [], [1, 2, 3]);
+          assert.equal(res.valid, false);
+          assert.equal(res.miningPower, '0');
+        });
+      });
+
+      context('with tokens', () => {
+        beforeEach(async () => {
+          const { lander, landingSite, payload, mining } = this;
+
+          // give each user ten of each token
+          await lander.mintBatch(alice, 10);
+          await lander.mintBatch(bob, 10);
+          await lander.mintBatch(carol, 10);
+
+          await landingSite.mintBatch(alice, 10);
+          await landingSite.mintBatch(bob, 10);
+          await landingSite.mintBatch(carol, 10);
 
+          await payload.mintBatch(alice, 10);
+          await payload.mintBatch(bob, 10);
+          await payload.mintBatch(carol, 10);
+
+          await lander.setUniversalApproval(true);
+          await landingSite.setUniversalApproval(true);
+          await payload.setUniversalApproval(true);
+        });
+
+        context('launchMission', () => {
+          it('reverts for invalid missions', async () => {
+            const { mining, landingSite } = this;
             await expectRevert(
-              mining.recallMission(0, alice, { from:bob }),
-              "IMSMM: not mission controller"
+              mining.launchMission([], [], [1], alice, { from:alice }),
+              "IMSMM: invalid mission"
             );
 
             await expectRevert(
-              mining.recallMission(1, bob, { from:bob }),
-              "IMSMM: not mission controller"
+              mining.launchMission([1, 2], [], [1], alice, { from:alice }),
+              "IMSMM: invalid mission"
             );
 
             await expectRevert(
-              mining.recallMission(2, carol, { from:bob }),
-              "IMSMM: not mission controller"
+              mining.launchMission([1], [0], [], alice, { from:alice }),
+              "IMSMM: invalid mission"
             );
 
             await expectRevert(
-              mining.recallMission(3, carol, { from:deployer }),
-              "IMSMM: not mission controller"
+              mining.launchMission([2], [], [1, 2, 3, 4, 5, 6, 7, 8, 9], alice, { from:alice }),
+              "IMSMM: invalid mission"
             );
-          });
 
-          it('transfers mission tokens from the mining contract', async () => {
-            const { mining, lander, landingSite, payload } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await expectRevert(
+              mining.launchMission([], [1], [], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+
+            await expectRevert(
+              mining.launchMission([2], [1, 2], [], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+          });
+
+          it('reverts for nonexistent tokens', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await expectRevert.unspecified(
+              mining.launchMission([30], [], [], alice, { from:alice })
+            );
+
+            await expectRevert.unspecified(
+              mining.launchMission([1], [], [30, 1, 2, 3], alice, { from:alice })
+            );
+
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await expectRevert.unspecified(
+              mining.launchMission([10], [45], [12, 14, 16], carol, { from:bob })
+            );
+
+            await expectRevert.unspecified(
+              mining.launchMission([42], [], [], carol, { from:bob })
+            );
+          });
+
+          it('reverts for unowned tokens', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await expectRevert.unspecified(
+              mining.launchMission([0], [], [], alice, { from:bob })
+            );
+
+            await expectRevert.unspecified(
+              mining.launchMission([1], [], [0, 1, 2, 3], carol, { from:carol })
+            );
+
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await expectRevert.unspecified(
+              mining.launchMission([10], [15], [12, 14, 16], carol, { from:carol })
+            );
+
+            await expectRevert.unspecified(
+              mining.launchMission([12], [], [], bob, { from:alice })
+            );
+          });
+
+          it('reverts for already-staked tokens', async () => {
+            const { mining, lander, landingSite, payload } = this;
 
             await mining.launchMission([0], [], [], alice, { from:alice });
+            await expectRevert.unspecified(
+              mining.launchMission([0], [], [], alice, { from:alice })
+            );
+
             await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await expectRevert.unspecified(
+              mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice })
+            );
+
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
             await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await expectRevert.unspecified(
+              mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob })
+            );
+
             await mining.launchMission([12], [], [], carol, { from:bob });
+            await expectRevert.unspecified(
+              mining.launchMission([12], [], [], carol, { from:bob })
+            );
+          });
 
-            await mining.recallMission(2, carol, { from:carol });
-            assert.equal(await lander.ownerOf(0), mining.address);
-            assert.equal(await lander.ownerOf(1), mining.address);
-            assert.equal(await lander.ownerOf(10), carol);
-            assert.equal(await lander.ownerOf(12), mining.address);
-            assert.equal(await landingSite.ownerOf(15), carol);
-            assert.equal(await payload.ownerOf(12), carol);
-            assert.equal(await payload.ownerOf(13), bob);
-            assert.equal(await payload.ownerOf(14), carol);
-            assert.equal(await payload.ownerOf(15), bob);
-            assert.equal(await payload.ownerOf(16), carol);
+          it('reverts when paused', async () => {
+            const { mining, lander, landingSite, payload } = this;
 
-            await mining.recallMission(0, dave, { from:alice });
-            assert.equal(await lander.ownerOf(0), dave);
-            assert.equal(await lander.ownerOf(1), mining.address);
-            assert.equal(await lander.ownerOf(10), carol);
-            assert.equal(await lander.ownerOf(12), mining.address);
+            await mining.pause({ from:deployer });
+            await expectRevert(
+              mining.launchMission([0], [], [], alice, { from:alice }),
+              "Pausable: paused"
+            );
+            await mining.unpause({ from:manager });
 
-            await mining.recallMission(1, dave, { from:alice });
-            assert.equal(await lander.ownerOf(0), dave);
-            assert.equal(await lander.ownerOf(1), dave);
-            assert.equal(await lander.ownerOf(10), carol);
-            assert.equal(await lander.ownerOf(12), mining.address);
-            assert.equal(await payload.ownerOf(0), dave);
-            assert.equal(await payload.ownerOf(1), dave);
-            assert.equal(await payload.ownerOf(2), dave);
-            assert.equal(await payload.ownerOf(3), dave);
-            assert.equal(await payload.ownerOf(4), alice);
+            await mining.pause({ from:manager });
+            await expectRevert(
+              mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice }),
+              "Pausable: paused"
+            );
+            await mining.unpause({ from:manager });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
 
-            await mining.recallMission(3, alice, { from:carol });
-            assert.equal(await lander.ownerOf(0), dave);
-            assert.equal(await lander.ownerOf(1), dave);
-            assert.equal(await lander.ownerOf(10), carol);
-            assert.equal(await lander.ownerOf(12), alice);
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.pause({ from:deployer });
+            await expectRevert(
+              mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob }),
+              "Pausable: paused"
+            );
+            await mining.unpause({ from:deployer });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+            await mining.pause({ from:manager });
+            await expectRevert(
+              mining.launchMission([12], [], [], carol, { from:bob }),
+              "Pausable: paused"
+            );
+            await mining.unpause({ from:deployer });
+            await mining.launchMission([12], [], [], carol, { from:bob });
           });
 
-          it('updates "missionStatus" response', async () => {
+          it('transfers indicated tokens into mining contract', async () => {
             const { mining, lander, landingSite, payload } = this;
-            let res, t;
 
-            // launch times: 0, 12, 17, 28
             await mining.launchMission([0], [], [], alice, { from:alice });
-            const missionTime0 = await time.latest();
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await lander.ownerOf(1), alice);
 
-            await time.increase(12);
             await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            const missionTime1 = await time.latest();
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await lander.ownerOf(2), alice);
+            assert.equal(await payload.ownerOf(0), mining.address);
+            assert.equal(await payload.ownerOf(1), mining.address);
+            assert.equal(await payload.ownerOf(2), mining.address);
+            assert.equal(await payload.ownerOf(3), mining.address);
+            assert.equal(await payload.ownerOf(4), alice);
+
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-            await time.increase(5);
             await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            const missionTime2 = await time.latest();
+            assert.equal(await lander.ownerOf(10), mining.address);
+            assert.equal(await lander.ownerOf(11), bob);
+            assert.equal(await landingSite.ownerOf(15), mining.address);
+            assert.equal(await landingSite.ownerOf(16), bob);
+            assert.equal(await payload.ownerOf(12), mining.address);
+            assert.equal(await payload.ownerOf(13), bob);
+            assert.equal(await payload.ownerOf(14), mining.address);
+            assert.equal(await payload.ownerOf(15), bob);
+            assert.equal(await payload.ownerOf(16), mining.address);
 
-            await time.increase(11);
             await mining.launchMission([12], [], [], carol, { from:bob });
-            const missionTime3 = await time.latest();
+            assert.equal(await lander.ownerOf(12), mining.address);
+            assert.equal(await lander.ownerOf(13), bob);
+          });
 
-            // verify staked durations times at 30
-            await time.increase(2)
-            t = await time.latest();
-            assert.equal((await mining.missionStatus(0)).stakeDuration, `${t - missionTime0}`)
-            assert.equal((await mining.missionStatus(1)).stakeDuration, `${t - missionTime1}`)
-            assert.equal((await mining.missionStatus(2)).stakeDuration, `${t - missionTime2}`)
-            assert.equal((await mining.missionStatus(3)).stakeDuration, `${t - missionTime3}`)
+          it('records mission details in "missionStatus" response', async () => {
+            const { mining, landingSite } = this;
+            let res;
 
-            // recall times: 43, 48, 33, 54
-            await time.increase(3);
-            await mining.recallMission(2, carol, { from:carol });
-            const recallTime2 = await time.latest()
+            // time-sensitive testing is iffy. Allow 1 second wiggle-room
+            const assertTimeEqual = (real, expected) => {
+                realStr = real.toString();
+                assert.ok(
+                  realStr == `${expected}` || realStr == `${expected + 1}`,
+                  `AssertionError: expected ${real} (as ${realStr}) to ~equal '${expected}'`
+                );
+            }
 
-            await time.increase(10);
-            await mining.recallMission(0, dave, { from:alice });
-            const recallTime0 = await time.latest()
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-            await time.increase(5);
-            await mining.recallMission(1, dave, { from:alice });
-            const recallTime1 = await time.latest()
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            const missionTime0 = await time.latest();
 
-            await time.increase(6);
-            await mining.recallMission(3, alice, { from:carol });
-            const recallTime3 = await time.latest()
+            res = await mining.missionStatus(0);
+            assert.equal(res.user, alice)
+            assert.equal(res.miningPower, '100')
+            assert.equal(res.staked, true)
+            assertTimeEqual(res.stakeDuration, 0)
 
-            // verify staked durations, et al., at 60
-            await time.increase(6);
+            // time-sensitive testing is iffy. Allow 1 second wiggle-room
 
+            await time.increase(14)
             res = await mining.missionStatus(0);
             assert.equal(res.user, alice)
             assert.equal(res.miningPower, '100')
-            assert.equal(res.staked, false)
-            assert.equal(res.stakeDuration, `${recallTime0 - missionTime0}`)
+            assert.equal(res.staked, true)
+            assertTimeEqual(res.stakeDuration, 14)
+
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            const missionTime1 = await time.latest();
 
             res = await mining.missionStatus(1);
             assert.equal(res.user, alice)
             assert.equal(res.miningPower, '140')
-            assert.equal(res.staked, false)
-            assert.equal(res.stakeDuration, `${recallTime1 - missionTime1}`)
+            assert.equal(res.staked, true)
+            assertTimeEqual(res.stakeDuration, 0)
+
+            await time.increase(8)
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            const missionTime2 = await time.latest();
 
             res = await mining.missionStatus(2);
             assert.equal(res.user, carol)
             assert.equal(res.miningPower, '180')
-            assert.equal(res.staked, false)
-            assert.equal(res.stakeDuration, `${recallTime2 - missionTime2}`)
+            assert.equal(res.staked, true)
+            assertTimeEqual(res.stakeDuration, 0)
+
+            await time.increase(20)
+            await mining.launchMission([12], [], [], carol, { from:bob });
+            const missionTime3 = await time.latest();
 
             res = await mining.missionStatus(3);
             assert.equal(res.user, carol)
             assert.equal(res.miningPower, '100')
-            assert.equal(res.staked, false)
-            assert.equal(res.stakeDuration, `${recallTime3 - missionTime3}`)
+            assert.equal(res.staked, true)
+            assertTimeEqual(res.stakeDuration, 0)
+
+            await time.increase(2)
+            const t = await time.latest()
+            assertTimeEqual((await mining.missionStatus(0)).stakeDuration, t - missionTime0);
+            assertTimeEqual((await mining.missionStatus(1)).stakeDuration, t - missionTime1);
+            assertTimeEqual((await mining.missionStatus(2)).stakeDuration, t - missionTime2);
+            assertTimeEqual((await mining.missionStatus(3)).stakeDuration, t - missionTime3);
           });
 
-          it('emits "MissionRecalled" event', async () => {
+          it('records transferred tokens in "missionTokens" response', async () => {
             const { mining, lander, landingSite, payload } = this;
             let res;
 
             await mining.launchMission([0], [], [], alice, { from:alice });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await mining.launchMission([12], [], [], carol, { from:bob });
-
-            res = await mining.recallMission(2, carol, { from:carol });
-            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
-              user: carol,
-              missionId: '2',
-              to: carol,
-              miningPower: '180'
-            });
+            res = await mining.missionTokens(0);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["0"]);
+            assert.deepEqual(res.landingSites, []);
+            assert.deepEqual(res.payloads, []);
 
-            res = await mining.recallMission(0, dave, { from:alice });
-            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            res = await mining.missionTokens(1);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
+            assert.deepEqual(res.landingSites, []);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1", "2", "3"]);
+
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            res = await mining.missionTokens(2);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["10"]);
+            assert.deepEqual(res.landingSites.map(a => a.toString()), ["15"]);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["12", "14", "16"]);
+
+            await mining.launchMission([12], [], [], carol, { from:bob });
+            res = await mining.missionTokens(3);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["12"]);
+            assert.deepEqual(res.landingSites, []);
+            assert.deepEqual(res.payloads, []);
+          });
+
+          it('emits "MissionLaunched" event', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            let res;
+
+            res = await mining.launchMission([0], [], [], alice, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
               user: alice,
               missionId: '0',
-              to: dave,
+              to: alice,
               miningPower: '100'
             });
 
-            res = await mining.recallMission(1, dave, { from:alice });
-            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+            res = await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
               user: alice,
               missionId: '1',
-              to: dave,
+              to: alice,
               miningPower: '140'
             });
 
-            res = await mining.recallMission(3, alice, { from:carol });
-            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
-              user: carol,
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            res = await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: bob,
+              missionId: '2',
+              to: carol,
+              miningPower: '180'
+            });
+
+            res = await mining.launchMission([12], [], [], carol, { from:bob });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: bob,
               missionId: '3',
-              to: alice,
+              to: carol,
               miningPower: '100'
             });
           });
@@ -1822,157 +2329,18 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
           it('updates internal records as expected', async () => {
             const { mining, lander, landingSite, payload } = this;
 
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await mining.launchMission([12], [], [], carol, { from:bob });
-
-            // at this point:
-            // 4 missions, all staked.
-            // 2 for alice, 2 for carol
-            // total mining power 520: 100, 140, 180, 100
-            // alice power: 240
-            // carol power: 280
-
-            await mining.recallMission(2, carol, { from:carol });
-            assert.equal(await mining.totalMiningPower(), '340');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '3');
-            assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.stakedMissions(2), '3');
-            assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '1');
-            assert.equal(await mining.userMissions(alice, 0), '0');
-            assert.equal(await mining.userMissions(alice, 1), '1');
-            assert.equal(await mining.userMissions(carol, 0), '3');
-
-            user = await mining.userInfo(carol);
-            assert.equal(user.miningPower, '100');
-            assert.equal(user.released, '0');
-
-            mission = await mining.missionInfo(2);
-            assert.equal(mission.staked, false);
-            assert.equal(mission.user, carol);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '180');
-
-            await mining.recallMission(0, dave, { from:alice });
-            assert.equal(await mining.totalMiningPower(), '240');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '2');
-            assert.equal(await mining.stakedMissions(0), '3');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.userMissionCount(alice), '1');
-            assert.equal(await mining.userMissionCount(carol), '1');
-            assert.equal(await mining.userMissions(alice, 0), '1');
-            assert.equal(await mining.userMissions(carol, 0), '3');
-
-            user = await mining.userInfo(alice);
-            assert.equal(user.miningPower, '140');
-            assert.equal(user.released, '0');
-
-            mission = await mining.missionInfo(0);
-            assert.equal(mission.staked, false);
-            assert.equal(mission.user, alice);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '100');
+            let user, mission;
 
-            await mining.recallMission(1, dave, { from:alice });
+            await mining.launchMission([0], [], [], alice, { from:alice });
             assert.equal(await mining.totalMiningPower(), '100');
-            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.missionCount(), '1');
             assert.equal(await mining.stakedMissionCount(), '1');
-            assert.equal(await mining.stakedMissions(0), '3');
-            assert.equal(await mining.userMissionCount(alice), '0');
-            assert.equal(await mining.userMissionCount(carol), '1');
-            assert.equal(await mining.userMissions(carol, 0), '3');
-
-            user = await mining.userInfo(alice);
-            assert.equal(user.miningPower, '0');
-            assert.equal(user.released, '0');
-
-            mission = await mining.missionInfo(1);
-            assert.equal(mission.staked, false);
-            assert.equal(mission.user, alice);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '140');
-
-            await mining.recallMission(3, alice, { from:carol });
-            assert.equal(await mining.totalMiningPower(), '0');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '0');
-            assert.equal(await mining.userMissionCount(alice), '0');
-            assert.equal(await mining.userMissionCount(carol), '0');
-
-            user = await mining.userInfo(carol);
-            assert.equal(user.miningPower, '0');
-            assert.equal(user.released, '0');
-
-            mission = await mining.missionInfo(3);
-            assert.equal(mission.staked, false);
-            assert.equal(mission.user, carol);
-            assert.equal(mission.userMissionsIndex, '0');
-            assert.equal(mission.miningPower, '100');
-          });
-        });
-
-        context('reappraiseMission', () => {
-          beforeEach(async () => {
-            const { mining, lander, landingSite, payload } = this;
-            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
-
-            await mining.launchMission([0], [], [], alice, { from:alice });
-            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
-            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
-            await mining.launchMission([12], [], [], carol, { from:bob });
-          });
-
-          it('reverts for unstaked mission', async () => {
-            const { mining, lander, landingSite, payload } = this;
-            await expectRevert(
-              mining.reappraiseMission(4, { from:dave }),
-              "Panic: Index out of bounds."
-            );
-
-            await expectRevert(
-              mining.reappraiseMission(10, { from:deployer }),
-              "Panic: Index out of bounds."
-            );
-
-            await mining.recallMission(0, alice, { from:alice });
-            await mining.recallMission(2, carol, { from:carol });
-
-            await expectRevert(
-              mining.reappraiseMission(0, { from:alice }),
-              "IMSMM: mission not staked"
-            );
-
-            await expectRevert(
-              mining.reappraiseMission(2, { from:carol }),
-              "IMSMM: mission not staked"
-            );
-          });
-
-          it('keeps current internal state', async () => {
-            const { mining, lander, landingSite, payload } = this;
-
-            await mining.reappraiseMission(0, { from:alice });
-            assert.equal(await mining.totalMiningPower(), '520');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '4');
             assert.equal(await mining.stakedMissions(0), '0');
-            assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.stakedMissions(2), '2');
-            assert.equal(await mining.stakedMissions(3), '3');
-            assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissionCount(alice), '1');
             assert.equal(await mining.userMissions(alice, 0), '0');
-            assert.equal(await mining.userMissions(alice, 1), '1');
-            assert.equal(await mining.userMissions(carol, 0), '2');
-            assert.equal(await mining.userMissions(carol, 1), '3');
 
             user = await mining.userInfo(alice);
-            assert.equal(user.miningPower, '240');
+            assert.equal(user.miningPower, '100');
             assert.equal(user.released, '0');
 
             mission = await mining.missionInfo(0);
@@ -1981,20 +2349,16 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
             assert.equal(mission.userMissionsIndex, '0');
             assert.equal(mission.miningPower, '100');
 
-            await mining.reappraiseMission(1, { from:dave });
-            assert.equal(await mining.totalMiningPower(), '520');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '4');
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            // test mission 1, power 140
+            assert.equal(await mining.totalMiningPower(), '240');
+            assert.equal(await mining.missionCount(), '2');
+            assert.equal(await mining.stakedMissionCount(), '2');
             assert.equal(await mining.stakedMissions(0), '0');
             assert.equal(await mining.stakedMissions(1), '1');
-            assert.equal(await mining.stakedMissions(2), '2');
-            assert.equal(await mining.stakedMissions(3), '3');
             assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '2');
             assert.equal(await mining.userMissions(alice, 0), '0');
             assert.equal(await mining.userMissions(alice, 1), '1');
-            assert.equal(await mining.userMissions(carol, 0), '2');
-            assert.equal(await mining.userMissions(carol, 1), '3');
 
             user = await mining.userInfo(alice);
             assert.equal(user.miningPower, '240');
@@ -2006,23 +2370,24 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
             assert.equal(mission.userMissionsIndex, '1');
             assert.equal(mission.miningPower, '140');
 
-            await mining.reappraiseMission(2, { from:carol });
-            assert.equal(await mining.totalMiningPower(), '520');
-            assert.equal(await mining.missionCount(), '4');
-            assert.equal(await mining.stakedMissionCount(), '4');
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            // test mission 2, power 180
+            assert.equal(await mining.totalMiningPower(), '420');
+            assert.equal(await mining.missionCount(), '3');
+            assert.equal(await mining.stakedMissionCount(), '3');
             assert.equal(await mining.stakedMissions(0), '0');
             assert.equal(await mining.stakedMissions(1), '1');
             assert.equal(await mining.stakedMissions(2), '2');
-            assert.equal(await mining.stakedMissions(3), '3');
             assert.equal(await mining.userMissionCount(alice), '2');
-            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissionCount(carol), '1');
             assert.equal(await mining.userMissions(alice, 0), '0');
             assert.equal(await mining.userMissions(alice, 1), '1');
             assert.equal(await mining.userMissions(carol, 0), '2');
-            assert.equal(await mining.userMissions(carol, 1), '3');
 
             user = await mining.userInfo(carol);
-            assert.equal(user.miningPower, '280');
+            assert.equal(user.miningPower, '180');
             assert.equal(user.released, '0');
 
             mission = await mining.missionInfo(2);
@@ -2031,7 +2396,8 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
             assert.equal(mission.userMissionsIndex, '0');
             assert.equal(mission.miningPower, '180');
 
-            await mining.reappraiseMission(3, { from:carol });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+            // test mission 3, power 100
             assert.equal(await mining.totalMiningPower(), '520');
             assert.equal(await mining.missionCount(), '4');
             assert.equal(await mining.stakedMissionCount(), '4');
@@ -2057,47 +2423,3882 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
             assert.equal(mission.miningPower, '100');
           });
 
-          it('emits "MissionAppraised" event', async () => {
-            const { mining, lander, landingSite, payload } = this;
-            let res;
+          context('with complete checker evaluating missions', () => {
+            let checker;
+
+            beforeEach(async () => {
+              const { mining } = this;
+              checker = await MockMissionChecker.new();
+              await mining.setMissionCompleteChecker(checker.address, { from:manager });
+              await mining.setMissionCompleteMultiplier(3, 2, { from:manager });  // 150%
+            });
+
+            it('reverts for invalid missions', async () => {
+              const { mining, landingSite } = this;
+              await expectRevert(
+                mining.launchMission([], [], [1], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+
+              await expectRevert(
+                mining.launchMission([1, 2], [], [1], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+
+              await expectRevert(
+                mining.launchMission([1], [0], [], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+
+              await checker.setResult(true);
+
+              await expectRevert(
+                mining.launchMission([2], [], [1, 2, 3, 4, 5, 6, 7, 8, 9], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await expectRevert(
+                mining.launchMission([], [1], [], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+
+              await expectRevert(
+                mining.launchMission([2], [1, 2], [], alice, { from:alice }),
+                "IMSMM: invalid mission"
+              );
+            });
+
+            it('reverts for nonexistent tokens', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              await expectRevert.unspecified(
+                mining.launchMission([30], [], [], alice, { from:alice })
+              );
+
+              await expectRevert.unspecified(
+                mining.launchMission([1], [], [30, 1, 2, 3], alice, { from:alice })
+              );
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await expectRevert.unspecified(
+                mining.launchMission([10], [45], [12, 14, 16], carol, { from:bob })
+              );
+
+              await expectRevert.unspecified(
+                mining.launchMission([42], [], [], carol, { from:bob })
+              );
+            });
+
+            it('reverts for unowned tokens', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              await expectRevert.unspecified(
+                mining.launchMission([0], [], [], alice, { from:bob })
+              );
+
+              await expectRevert.unspecified(
+                mining.launchMission([1], [], [0, 1, 2, 3], carol, { from:carol })
+              );
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await expectRevert.unspecified(
+                mining.launchMission([10], [15], [12, 14, 16], carol, { from:carol })
+              );
+
+              await expectRevert.unspecified(
+                mining.launchMission([12], [], [], bob, { from:alice })
+              );
+            });
+
+            it('reverts for already-staked tokens', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await expectRevert.unspecified(
+                mining.launchMission([0], [], [], alice, { from:alice })
+              );
+
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              await expectRevert.unspecified(
+                mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice })
+              );
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await expectRevert.unspecified(
+                mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob })
+              );
+
+              await mining.launchMission([12], [], [], carol, { from:bob });
+              await expectRevert.unspecified(
+                mining.launchMission([12], [], [], carol, { from:bob })
+              );
+            });
+
+            it('reverts when paused', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              await mining.pause({ from:deployer });
+              await expectRevert(
+                mining.launchMission([0], [], [], alice, { from:alice }),
+                "Pausable: paused"
+              );
+              await mining.unpause({ from:manager });
+
+              await mining.pause({ from:manager });
+              await expectRevert(
+                mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice }),
+                "Pausable: paused"
+              );
+              await mining.unpause({ from:manager });
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await mining.pause({ from:deployer });
+              await expectRevert(
+                mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob }),
+                "Pausable: paused"
+              );
+              await mining.unpause({ from:deployer });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+              await mining.pause({ from:manager });
+              await expectRevert(
+                mining.launchMission([12], [], [], carol, { from:bob }),
+                "Pausable: paused"
+              );
+              await mining.unpause({ from:deployer });
+              await mining.launchMission([12], [], [], carol, { from:bob });
+            });
+
+            it('transfers indicated tokens into mining contract', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              assert.equal(await lander.ownerOf(0), mining.address);
+              assert.equal(await lander.ownerOf(1), alice);
+
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              assert.equal(await lander.ownerOf(1), mining.address);
+              assert.equal(await lander.ownerOf(2), alice);
+              assert.equal(await payload.ownerOf(0), mining.address);
+              assert.equal(await payload.ownerOf(1), mining.address);
+              assert.equal(await payload.ownerOf(2), mining.address);
+              assert.equal(await payload.ownerOf(3), mining.address);
+              assert.equal(await payload.ownerOf(4), alice);
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              assert.equal(await lander.ownerOf(10), mining.address);
+              assert.equal(await lander.ownerOf(11), bob);
+              assert.equal(await landingSite.ownerOf(15), mining.address);
+              assert.equal(await landingSite.ownerOf(16), bob);
+              assert.equal(await payload.ownerOf(12), mining.address);
+              assert.equal(await payload.ownerOf(13), bob);
+              assert.equal(await payload.ownerOf(14), mining.address);
+              assert.equal(await payload.ownerOf(15), bob);
+              assert.equal(await payload.ownerOf(16), mining.address);
+
+              await mining.launchMission([12], [], [], carol, { from:bob });
+              assert.equal(await lander.ownerOf(12), mining.address);
+              assert.equal(await lander.ownerOf(13), bob);
+            });
+
+            it('records mission details in "missionStatus" response', async () => {
+              const { mining, landingSite } = this;
+              let res;
+
+              // time-sensitive testing is iffy. Allow 1 second wiggle-room
+              const assertTimeEqual = (real, expected) => {
+                  realStr = real.toString();
+                  assert.ok(
+                    realStr == `${expected}` || realStr == `${expected + 1}`,
+                    `AssertionError: expected ${real} (as ${realStr}) to ~equal '${expected}'`
+                  );
+              }
+
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await checker.setResult(true);
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              const missionTime0 = await time.latest();
+
+              res = await mining.missionStatus(0);
+              assert.equal(res.user, alice)
+              assert.equal(res.miningPower, '150')
+              assert.equal(res.staked, true)
+              assertTimeEqual(res.stakeDuration, 0)
+
+              // time-sensitive testing is iffy. Allow 1 second wiggle-room
+
+              await time.increase(14)
+              res = await mining.missionStatus(0);
+              assert.equal(res.user, alice)
+              assert.equal(res.miningPower, '150')
+              assert.equal(res.staked, true)
+              assertTimeEqual(res.stakeDuration, 14)
+
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              const missionTime1 = await time.latest();
+
+              res = await mining.missionStatus(1);
+              assert.equal(res.user, alice)
+              assert.equal(res.miningPower, '210')
+              assert.equal(res.staked, true)
+              assertTimeEqual(res.stakeDuration, 0)
+
+              await time.increase(8)
+              await checker.setResult(false);
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              const missionTime2 = await time.latest();
+
+              res = await mining.missionStatus(2);
+              assert.equal(res.user, carol)
+              assert.equal(res.miningPower, '180')
+              assert.equal(res.staked, true)
+              assertTimeEqual(res.stakeDuration, 0)
+
+              await time.increase(20)
+              await mining.launchMission([12], [], [], carol, { from:bob });
+              const missionTime3 = await time.latest();
+
+              res = await mining.missionStatus(3);
+              assert.equal(res.user, carol)
+              assert.equal(res.miningPower, '100')
+              assert.equal(res.staked, true)
+              assertTimeEqual(res.stakeDuration, 0)
+
+              await time.increase(2)
+              const t = await time.latest()
+              assertTimeEqual((await mining.missionStatus(0)).stakeDuration, t - missionTime0);
+              assertTimeEqual((await mining.missionStatus(1)).stakeDuration, t - missionTime1);
+              assertTimeEqual((await mining.missionStatus(2)).stakeDuration, t - missionTime2);
+              assertTimeEqual((await mining.missionStatus(3)).stakeDuration, t - missionTime3);
+            });
+
+            it('records transferred tokens in "missionTokens" response', async () => {
+              const { mining, lander, landingSite, payload } = this;
+              let res;
+
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              res = await mining.missionTokens(0);
+              assert.deepEqual(res.landers.map(a => a.toString()), ["0"]);
+              assert.deepEqual(res.landingSites, []);
+              assert.deepEqual(res.payloads, []);
+
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              res = await mining.missionTokens(1);
+              assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
+              assert.deepEqual(res.landingSites, []);
+              assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1", "2", "3"]);
+
+              await checker.setResult(true);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              res = await mining.missionTokens(2);
+              assert.deepEqual(res.landers.map(a => a.toString()), ["10"]);
+              assert.deepEqual(res.landingSites.map(a => a.toString()), ["15"]);
+              assert.deepEqual(res.payloads.map(a => a.toString()), ["12", "14", "16"]);
+
+              await mining.launchMission([12], [], [], carol, { from:bob });
+              res = await mining.missionTokens(3);
+              assert.deepEqual(res.landers.map(a => a.toString()), ["12"]);
+              assert.deepEqual(res.landingSites, []);
+              assert.deepEqual(res.payloads, []);
+            });
+
+            it('emits "MissionLaunched" event', async () => {
+              const { mining, lander, landingSite, payload } = this;
+              let res;
+
+              await checker.setResult(true);
+              res = await mining.launchMission([0], [], [], alice, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+                user: alice,
+                missionId: '0',
+                to: alice,
+                miningPower: '150'
+              });
+
+              res = await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+                user: alice,
+                missionId: '1',
+                to: alice,
+                miningPower: '210'
+              });
+
+              await checker.setResult(false);
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              res = await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+                user: bob,
+                missionId: '2',
+                to: carol,
+                miningPower: '180'
+              });
+
+              res = await mining.launchMission([12], [], [], carol, { from:bob });
+              await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+                user: bob,
+                missionId: '3',
+                to: carol,
+                miningPower: '100'
+              });
+            });
+
+            it('updates internal records as expected', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              let user, mission;
+
+              await checker.setResult(true);
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              assert.equal(await mining.totalMiningPower(), '150');
+              assert.equal(await mining.missionCount(), '1');
+              assert.equal(await mining.stakedMissionCount(), '1');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.userMissionCount(alice), '1');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '150');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(0);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '150');
+
+              await checker.setResult(false);
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              // test mission 1, power 140
+              assert.equal(await mining.totalMiningPower(), '290');
+              assert.equal(await mining.missionCount(), '2');
+              assert.equal(await mining.stakedMissionCount(), '2');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '290');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(1);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '140');
+
+              await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+              await checker.setResult(true);
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              // test mission 2, power 180 * 1.5 = 270
+              assert.equal(await mining.totalMiningPower(), '560');
+              assert.equal(await mining.missionCount(), '3');
+              assert.equal(await mining.stakedMissionCount(), '3');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '1');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '270');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(2);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '270');
+
+              await checker.setResult(false);
+              await mining.launchMission([12], [], [], carol, { from:bob });
+              // test mission 3, power 100
+              assert.equal(await mining.totalMiningPower(), '660');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '370');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(3);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '100');
+            });
+          });
+        });
+
+        context('onERC721Received', () => {
+          const encodeMission = (landingSites, payloads, to) => web3.eth.abi.encodeParameters(
+            ['uint256[]', 'uint256[]', 'address'],
+            [landingSites, payloads, to]
+          );
+
+          const safeTransfer = (nft, from, to, tokenId, data) => nft.methods['safeTransferFrom(address,address,uint256,bytes)'](
+            from, to, tokenId, data, { from }
+          );
+
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          });
+
+          it('reverts for non-lander tokens', async () => {
+            const { mining, landingSite, payload } = this;
+
+            await expectRevert(
+              safeTransfer(payload, alice, mining.address, 0, encodeMission([], [], alice)),
+              "IMSMM: not a lander"
+            );
+
+            await expectRevert(
+              safeTransfer(landingSite, bob, mining.address, 10, encodeMission([], [], bob)),
+              "IMSMM: not a lander"
+            );
+          });
+
+          it('reverts for landers sent without mission data', async () => {
+            const { mining, lander } = this;
+
+            await expectRevert(
+              lander.methods['safeTransferFrom(address,address,uint256)'](alice, mining.address, 0, { from:alice }),
+              "IMSMM: no mission data"
+            );
+
+            await expectRevert(
+              safeTransfer(lander, bob, mining.address, 10, '0x'),
+              "IMSMM: no mission data"
+            );
+
+            assert.equal(await lander.ownerOf(0), alice);
+            assert.equal(await lander.ownerOf(10), bob);
+          });
+
+          it('reverts for landers sent by an approved operator', async () => {
+            const { mining, lander, payload } = this;
+
+            await lander.setApprovalForAll(bob, true, { from:alice });
+
+            await expectRevert(
+              lander.methods['safeTransferFrom(address,address,uint256,bytes)'](
+                alice, mining.address, 0, encodeMission([], [1, 2], bob), { from:bob }
+              ),
+              "IMSMM: not sent by owner"
+            );
+
+            assert.equal(await lander.ownerOf(0), alice);
+            assert.equal(await payload.ownerOf(1), alice);
+            assert.equal(await payload.ownerOf(2), alice);
+          });
+
+          it('reverts for invalid missions', async () => {
+            const { mining, lander } = this;
+
+            await expectRevert(
+              safeTransfer(lander, alice, mining.address, 0, encodeMission([0, 1], [], alice)),
+              "IMSMM: invalid mission"
+            );
+
+            await expectRevert(
+              safeTransfer(lander, alice, mining.address, 0, encodeMission([], [1, 2, 3, 4, 5, 6, 7, 8, 9], alice)),
+              "IMSMM: invalid mission"
+            );
+          });
+
+          it('reverts for unowned components', async () => {
+            const { mining, lander } = this;
+
+            await expectRevert.unspecified(
+              safeTransfer(lander, alice, mining.address, 0, encodeMission([10], [], alice))
+            );
+
+            await expectRevert.unspecified(
+              safeTransfer(lander, bob, mining.address, 10, encodeMission([], [1, 2], bob))
+            );
+
+            assert.equal(await lander.ownerOf(0), alice);
+            assert.equal(await lander.ownerOf(10), bob);
+          });
+
+          it('reverts when paused', async () => {
+            const { mining, lander } = this;
+
+            await mining.pause({ from:manager });
+            await expectRevert(
+              safeTransfer(lander, alice, mining.address, 0, encodeMission([], [], alice)),
+              "Pausable: paused"
+            );
+            await mining.unpause({ from:manager });
+            await safeTransfer(lander, alice, mining.address, 0, encodeMission([], [], alice));
+          });
+
+          it('transfers indicated tokens into mining contract', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await safeTransfer(lander, alice, mining.address, 0, encodeMission([], [], alice));
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await lander.ownerOf(1), alice);
+
+            await safeTransfer(lander, bob, mining.address, 10, encodeMission([15], [12, 14, 16], carol));
+            assert.equal(await lander.ownerOf(10), mining.address);
+            assert.equal(await lander.ownerOf(11), bob);
+            assert.equal(await landingSite.ownerOf(15), mining.address);
+            assert.equal(await landingSite.ownerOf(16), bob);
+            assert.equal(await payload.ownerOf(12), mining.address);
+            assert.equal(await payload.ownerOf(13), bob);
+            assert.equal(await payload.ownerOf(14), mining.address);
+            assert.equal(await payload.ownerOf(16), mining.address);
+          });
+
+          it('records mission details and tokens', async () => {
+            const { mining } = this;
+            let res;
+
+            await safeTransfer(this.lander, alice, mining.address, 1, encodeMission([], [0, 1, 2, 3], ADDRESS_ZERO));
+            res = await mining.missionStatus(0);
+            assert.equal(res.user, alice);
+            assert.equal(res.miningPower, '140');
+            assert.equal(res.staked, true);
+            res = await mining.missionTokens(0);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
+            assert.deepEqual(res.landingSites, []);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1", "2", "3"]);
+
+            await safeTransfer(this.lander, bob, mining.address, 10, encodeMission([15], [12, 14, 16], carol));
+            res = await mining.missionStatus(1);
+            assert.equal(res.user, carol);
+            assert.equal(res.miningPower, '180');
+            assert.equal(res.staked, true);
+            res = await mining.missionTokens(1);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["10"]);
+            assert.deepEqual(res.landingSites.map(a => a.toString()), ["15"]);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["12", "14", "16"]);
+
+            assert.equal(await mining.missionCount(), '2');
+            assert.equal(await mining.userMissionCount(alice), '1');
+            assert.equal(await mining.userMissionCount(carol), '1');
+            assert.equal(await mining.totalMiningPower(), '320');
+          });
+
+          it('emits "MissionLaunched" event', async () => {
+            const { mining, lander } = this;
+            let res;
+
+            res = await safeTransfer(lander, alice, mining.address, 0, encodeMission([], [], ADDRESS_ZERO));
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '0',
+              to: alice,
+              miningPower: '100'
+            });
+
+            res = await safeTransfer(lander, bob, mining.address, 10, encodeMission([15], [12, 14, 16], carol));
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: bob,
+              missionId: '1',
+              to: carol,
+              miningPower: '180'
+            });
+          });
+
+          it('missions can be recalled as usual', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await safeTransfer(lander, bob, mining.address, 10, encodeMission([15], [12, 14, 16], carol));
+            await mining.recallMission(0, dave, { from:carol });
+            assert.equal(await lander.ownerOf(10), dave);
+            assert.equal(await landingSite.ownerOf(15), dave);
+            assert.equal(await payload.ownerOf(12), dave);
+            assert.equal(await payload.ownerOf(14), dave);
+            assert.equal(await payload.ownerOf(16), dave);
+            assert.equal(await mining.totalMiningPower(), '0');
+          });
+        });
+
+        context('recallMission', () => {
+          beforeEach(async () => {
+            const { mining, lander, landingSite, payload } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          });
+
+          it('revert for unstaked mission IDs', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await expectRevert(
+              mining.recallMission(0, alice, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await expectRevert(
+              mining.recallMission(3, bob, { from:carol }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            await expectRevert(
+              mining.recallMission(4, alice, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await expectRevert(
+              mining.recallMission(5, bob, { from:carol }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.recallMission(0, alice, { from:alice });
+            await expectRevert(
+              mining.recallMission(0, alice, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('revert for unowned mission IDs', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            await expectRevert(
+              mining.recallMission(0, alice, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.recallMission(1, bob, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.recallMission(2, carol, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.recallMission(3, carol, { from:deployer }),
+              "IMSMM: not mission controller"
+            );
+          });
+
+          it('transfers mission tokens from the mining contract', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            await mining.recallMission(2, carol, { from:carol });
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await lander.ownerOf(10), carol);
+            assert.equal(await lander.ownerOf(12), mining.address);
+            assert.equal(await landingSite.ownerOf(15), carol);
+            assert.equal(await payload.ownerOf(12), carol);
+            assert.equal(await payload.ownerOf(13), bob);
+            assert.equal(await payload.ownerOf(14), carol);
+            assert.equal(await payload.ownerOf(15), bob);
+            assert.equal(await payload.ownerOf(16), carol);
+
+            await mining.recallMission(0, dave, { from:alice });
+            assert.equal(await lander.ownerOf(0), dave);
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await lander.ownerOf(10), carol);
+            assert.equal(await lander.ownerOf(12), mining.address);
+
+            await mining.recallMission(1, dave, { from:alice });
+            assert.equal(await lander.ownerOf(0), dave);
+            assert.equal(await lander.ownerOf(1), dave);
+            assert.equal(await lander.ownerOf(10), carol);
+            assert.equal(await lander.ownerOf(12), mining.address);
+            assert.equal(await payload.ownerOf(0), dave);
+            assert.equal(await payload.ownerOf(1), dave);
+            assert.equal(await payload.ownerOf(2), dave);
+            assert.equal(await payload.ownerOf(3), dave);
+            assert.equal(await payload.ownerOf(4), alice);
+
+            await mining.recallMission(3, alice, { from:carol });
+            assert.equal(await lander.ownerOf(0), dave);
+            assert.equal(await lander.ownerOf(1), dave);
+            assert.equal(await lander.ownerOf(10), carol);
+            assert.equal(await lander.ownerOf(12), alice);
+          });
+
+          it('updates "missionStatus" response', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            let res, t;
+
+            // launch times: 0, 12, 17, 28
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            const missionTime0 = await time.latest();
+
+            await time.increase(12);
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            const missionTime1 = await time.latest();
+
+            await time.increase(5);
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            const missionTime2 = await time.latest();
+
+            await time.increase(11);
+            await mining.launchMission([12], [], [], carol, { from:bob });
+            const missionTime3 = await time.latest();
+
+            // verify staked durations times at 30
+            await time.increase(2)
+            t = await time.latest();
+            assert.equal((await mining.missionStatus(0)).stakeDuration, `${t - missionTime0}`)
+            assert.equal((await mining.missionStatus(1)).stakeDuration, `${t - missionTime1}`)
+            assert.equal((await mining.missionStatus(2)).stakeDuration, `${t - missionTime2}`)
+            assert.equal((await mining.missionStatus(3)).stakeDuration, `${t - missionTime3}`)
+
+            // recall times: 43, 48, 33, 54
+            await time.increase(3);
+            await mining.recallMission(2, carol, { from:carol });
+            const recallTime2 = await time.latest()
+
+            await time.increase(10);
+            await mining.recallMission(0, dave, { from:alice });
+            const recallTime0 = await time.latest()
+
+            await time.increase(5);
+            await mining.recallMission(1, dave, { from:alice });
+            const recallTime1 = await time.latest()
+
+            await time.increase(6);
+            await mining.recallMission(3, alice, { from:carol });
+            const recallTime3 = await time.latest()
+
+            // verify staked durations, et al., at 60
+            await time.increase(6);
+
+            res = await mining.missionStatus(0);
+            assert.equal(res.user, alice)
+            assert.equal(res.miningPower, '100')
+            assert.equal(res.staked, false)
+            assert.equal(res.stakeDuration, `${recallTime0 - missionTime0}`)
+
+            res = await mining.missionStatus(1);
+            assert.equal(res.user, alice)
+            assert.equal(res.miningPower, '140')
+            assert.equal(res.staked, false)
+            assert.equal(res.stakeDuration, `${recallTime1 - missionTime1}`)
+
+            res = await mining.missionStatus(2);
+            assert.equal(res.user, carol)
+            assert.equal(res.miningPower, '180')
+            assert.equal(res.staked, false)
+            assert.equal(res.stakeDuration, `${recallTime2 - missionTime2}`)
+
+            res = await mining.missionStatus(3);
+            assert.equal(res.user, carol)
+            assert.equal(res.miningPower, '100')
+            assert.equal(res.staked, false)
+            assert.equal(res.stakeDuration, `${recallTime3 - missionTime3}`)
+          });
+
+          it('emits "MissionRecalled" event', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            let res;
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            res = await mining.recallMission(2, carol, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: carol,
+              missionId: '2',
+              to: carol,
+              miningPower: '180'
+            });
+
+            res = await mining.recallMission(0, dave, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: alice,
+              missionId: '0',
+              to: dave,
+              miningPower: '100'
+            });
+
+            res = await mining.recallMission(1, dave, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: alice,
+              missionId: '1',
+              to: dave,
+              miningPower: '140'
+            });
+
+            res = await mining.recallMission(3, alice, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: carol,
+              missionId: '3',
+              to: alice,
+              miningPower: '100'
+            });
+          });
+
+          it('updates internal records as expected', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            // at this point:
+            // 4 missions, all staked.
+            // 2 for alice, 2 for carol
+            // total mining power 520: 100, 140, 180, 100
+            // alice power: 240
+            // carol power: 280
+
+            await mining.recallMission(2, carol, { from:carol });
+            assert.equal(await mining.totalMiningPower(), '340');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '3');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.stakedMissions(2), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+            assert.equal(await mining.userMissionCount(carol), '1');
+            assert.equal(await mining.userMissions(alice, 0), '0');
+            assert.equal(await mining.userMissions(alice, 1), '1');
+            assert.equal(await mining.userMissions(carol, 0), '3');
+
+            user = await mining.userInfo(carol);
+            assert.equal(user.miningPower, '100');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(2);
+            assert.equal(mission.staked, false);
+            assert.equal(mission.user, carol);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '180');
+
+            await mining.recallMission(0, dave, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '240');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '2');
+            assert.equal(await mining.stakedMissions(0), '3');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.userMissionCount(alice), '1');
+            assert.equal(await mining.userMissionCount(carol), '1');
+            assert.equal(await mining.userMissions(alice, 0), '1');
+            assert.equal(await mining.userMissions(carol, 0), '3');
+
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '140');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(0);
+            assert.equal(mission.staked, false);
+            assert.equal(mission.user, alice);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '100');
+
+            await mining.recallMission(1, dave, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '100');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '1');
+            assert.equal(await mining.stakedMissions(0), '3');
+            assert.equal(await mining.userMissionCount(alice), '0');
+            assert.equal(await mining.userMissionCount(carol), '1');
+            assert.equal(await mining.userMissions(carol, 0), '3');
+
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '0');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(1);
+            assert.equal(mission.staked, false);
+            assert.equal(mission.user, alice);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '140');
+
+            await mining.recallMission(3, alice, { from:carol });
+            assert.equal(await mining.totalMiningPower(), '0');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '0');
+            assert.equal(await mining.userMissionCount(alice), '0');
+            assert.equal(await mining.userMissionCount(carol), '0');
+
+            user = await mining.userInfo(carol);
+            assert.equal(user.miningPower, '0');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(3);
+            assert.equal(mission.staked, false);
+            assert.equal(mission.user, carol);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '100');
+          });
+        });
+
+        context('amendMission', () => {
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('reverts for unstaked mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.amendMission(3, [], [4], [], [], alice, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.recallMission(0, alice, { from:alice });
+            await expectRevert(
+              mining.amendMission(0, [], [4], [], [], alice, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('reverts for unowned mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.amendMission(0, [], [4], [], [], alice, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.amendMission(2, [], [], [], [12], bob, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+          });
+
+          it('reverts when paused', async () => {
+            const { mining } = this;
+
+            await mining.pause({ from:manager });
+            await expectRevert(
+              mining.amendMission(0, [], [4], [], [], alice, { from:alice }),
+              "Pausable: paused"
+            );
+          });
+
+          it('reverts for tokens not in the mission', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.amendMission(0, [], [], [], [0], alice, { from:alice }),
+              "IMSMM: token not in mission"
+            );
+
+            await expectRevert(
+              mining.amendMission(1, [], [], [], [0, 0], alice, { from:alice }),
+              "IMSMM: token not in mission"
+            );
+
+            await expectRevert(
+              mining.amendMission(2, [], [], [16], [], carol, { from:carol }),
+              "IMSMM: token not in mission"
+            );
+          });
+
+          it('reverts for invalid resulting missions', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.amendMission(2, [16], [], [], [], carol, { from:carol }),
+              "IMSMM: invalid mission"
+            );
+
+            await expectRevert(
+              mining.amendMission(1, [], [4, 5, 6, 7, 8], [], [], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+          });
+
+          it('reverts for unowned or already-staked tokens', async () => {
+            const { mining } = this;
+
+            await expectRevert.unspecified(
+              mining.amendMission(0, [], [12], [], [], alice, { from:alice })
+            );
+
+            await expectRevert.unspecified(
+              mining.amendMission(0, [], [1], [], [], alice, { from:alice })
+            );
+          });
+
+          it('transfers only the changed tokens', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.amendMission(0, [0], [4, 5], [], [], alice, { from:alice });
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await landingSite.ownerOf(0), mining.address);
+            assert.equal(await payload.ownerOf(4), mining.address);
+            assert.equal(await payload.ownerOf(5), mining.address);
+
+            await mining.amendMission(1, [], [6], [], [1, 3], dave, { from:alice });
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await payload.ownerOf(0), mining.address);
+            assert.equal(await payload.ownerOf(1), dave);
+            assert.equal(await payload.ownerOf(2), mining.address);
+            assert.equal(await payload.ownerOf(3), dave);
+            assert.equal(await payload.ownerOf(6), mining.address);
+
+            await mining.amendMission(2, [], [], [15], [12, 14, 16], carol, { from:carol });
+            assert.equal(await lander.ownerOf(10), mining.address);
+            assert.equal(await landingSite.ownerOf(15), carol);
+            assert.equal(await payload.ownerOf(12), carol);
+            assert.equal(await payload.ownerOf(14), carol);
+            assert.equal(await payload.ownerOf(16), carol);
+          });
+
+          it('updates mission tokens, keeping mission ID and staking time', async () => {
+            const { mining } = this;
+            let res;
+
+            const stakedTime = (await mining.missionInfo(1)).stakedTime;
+            await time.increase(20);
+
+            await mining.amendMission(1, [5], [6], [], [1, 3], alice, { from:alice });
+            res = await mining.missionTokens(1);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
+            assert.deepEqual(res.landingSites.map(a => a.toString()), ["5"]);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "2", "6"]);
+
+            res = await mining.missionInfo(1);
+            assert.equal(res.staked, true);
+            assert.equal(res.stakedTime.toString(), stakedTime.toString());
+            assert.equal(await mining.missionCount(), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+          });
+
+          it('updates mining power as expected', async () => {
+            const { mining } = this;
+
+            // 100 + 140 + 180
+            assert.equal(await mining.totalMiningPower(), '420');
+
+            // no longer complete: 100 + 10
+            await mining.setMissionCompleteMultiplier(2, 1, { from:manager });
+            await mining.amendMission(2, [], [], [15], [12, 16], carol, { from:carol });
+            assert.equal((await mining.missionInfo(2)).miningPower, '110');
+            assert.equal((await mining.userInfo(carol)).miningPower, '110');
+            assert.equal(await mining.totalMiningPower(), '350');
+
+            // complete: (100 + 50 + 10) * 2
+            await mining.amendMission(0, [0], [4], [], [], alice, { from:alice });
+            assert.equal((await mining.missionInfo(0)).miningPower, '320');
+            assert.equal((await mining.userInfo(alice)).miningPower, '460');
+            assert.equal(await mining.totalMiningPower(), '570');
+          });
+
+          it('preserves already-mined rewards', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.recallMission(1, alice, { from:alice });
+
+            // alice 100, carol 180
+            await faucet.setOwed(mining.address, '560');
+            await mining.amendMission(0, [], [4, 5, 6, 7, 8, 9], [], [], alice, { from:alice });
+            assert.equal(await mining.releasable(alice), '200');
+            assert.equal(await mining.releasable(carol), '360');
+
+            // alice 160, carol 180
+            await faucet.setOwed(mining.address, '680');
+            await mining.amendMission(2, [], [], [], [12, 14, 16], carol, { from:carol });
+            assert.equal(await mining.releasable(alice), '520');
+            assert.equal(await mining.releasable(carol), '720');
+
+            // alice 160, carol 150
+            await faucet.setOwed(mining.address, '310');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '680');
+            assert.equal(await mining.releasable(carol), '870');
+          });
+
+          it('emits "MissionAmended" event', async () => {
+            const { mining } = this;
+            let res;
+
+            res = await mining.amendMission(0, [], [4, 5], [], [], dave, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAmended", {
+              user: alice,
+              missionId: '0',
+              to: dave,
+              previousMiningPower: '100',
+              miningPower: '120'
+            });
+
+            res = await mining.amendMission(2, [], [], [15], [], carol, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAmended", {
+              user: carol,
+              missionId: '2',
+              to: carol,
+              previousMiningPower: '180',
+              miningPower: '130'
+            });
+          });
+        });
+
+        context('transferMission', () => {
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('reverts for unstaked mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.transferMission(3, bob, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.recallMission(0, alice, { from:alice });
+            await expectRevert(
+              mining.transferMission(0, bob, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('reverts for unowned mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.transferMission(0, bob, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.transferMission(2, bob, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+          });
+
+          it('reverts for the zero address', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.transferMission(0, ADDRESS_ZERO, { from:alice }),
+              "IMSMM: transfer to the zero address"
+            );
+          });
+
+          it('updates internal records as expected', async () => {
+            const { mining, lander } = this;
+            let user, mission;
+
+            await mining.transferMission(0, carol, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '420');
+            assert.equal(await mining.userMissionCount(alice), '1');
+            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissions(alice, 0), '1');
+            assert.equal(await mining.userMissions(carol, 0), '2');
+            assert.equal(await mining.userMissions(carol, 1), '0');
+
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '140');
+            user = await mining.userInfo(carol);
+            assert.equal(user.miningPower, '280');
+
+            mission = await mining.missionInfo(0);
+            assert.equal(mission.staked, true);
+            assert.equal(mission.user, carol);
+            assert.equal(mission.userMissionsIndex, '1');
+            assert.equal(mission.miningPower, '100');
+            assert.equal((await mining.missionInfo(1)).userMissionsIndex, '0');
+
+            await mining.transferMission(2, dave, { from:carol });
+            assert.equal(await mining.userMissionCount(carol), '1');
+            assert.equal(await mining.userMissionCount(dave), '1');
+            assert.equal(await mining.userMissions(carol, 0), '0');
+            assert.equal(await mining.userMissions(dave, 0), '2');
+            assert.equal((await mining.missionInfo(0)).userMissionsIndex, '0');
+            assert.equal((await mining.userInfo(carol)).miningPower, '100');
+            assert.equal((await mining.userInfo(dave)).miningPower, '180');
+
+            // new controller may recall; previous may not
+            await expectRevert(
+              mining.recallMission(0, alice, { from:alice }),
+              "IMSMM: not mission controller"
+            );
+            await mining.recallMission(0, dave, { from:carol });
+            assert.equal(await lander.ownerOf(0), dave);
+            assert.equal(await mining.totalMiningPower(), '320');
+            assert.equal(await mining.userMissionCount(carol), '0');
+          });
+
+          it('settles rewards mined before transfer with the previous controller', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, 100000000000);
+
+            // alice 240, carol 180
+            await faucet.setOwed(mining.address, '840');
+            await mining.transferMission(1, bob, { from:alice });
+            assert.equal(await mining.releasable(alice), '480');
+            assert.equal(await mining.releasable(bob), '0');
+            assert.equal(await mining.releasable(carol), '360');
+
+            // alice 100, bob 140, carol 180
+            await faucet.setOwed(mining.address, '420');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '580');
+            assert.equal(await mining.releasable(bob), '140');
+            assert.equal(await mining.releasable(carol), '540');
+
+            await mining.release(bob, bob, { from:bob });
+            assert.equal(await token.balanceOf(bob), '140');
+            await mining.release(alice, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '580');
+          });
+
+          it('emits "MissionTransferred" event', async () => {
+            const { mining } = this;
+            let res;
+
+            res = await mining.transferMission(1, bob, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionTransferred", {
+              user: alice,
+              missionId: '1',
+              to: bob,
+              miningPower: '140'
+            });
+
+            res = await mining.transferMission(2, dave, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionTransferred", {
+              user: carol,
+              missionId: '2',
+              to: dave,
+              miningPower: '180'
+            });
+          });
+        });
+
+        context('launchMissions', () => {
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+          });
+
+          it('reverts for mismatched array lengths', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.launchMissions([[0], [1]], [[]], [[], []], alice, { from:alice }),
+              "IMSMM: array lengths differ"
+            );
+
+            await expectRevert(
+              mining.launchMissions([[0], [1]], [[], []], [[]], alice, { from:alice }),
+              "IMSMM: array lengths differ"
+            );
+          });
+
+          it('reverts when paused', async () => {
+            const { mining } = this;
+
+            await mining.pause({ from:manager });
+            await expectRevert(
+              mining.launchMissions([[0], [1]], [[], []], [[], []], alice, { from:alice }),
+              "Pausable: paused"
+            );
+          });
+
+          it('reverts entirely if any mission is invalid', async () => {
+            const { mining, lander } = this;
+
+            await expectRevert(
+              mining.launchMissions([[0], [1, 2]], [[], []], [[], []], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+
+            await expectRevert.unspecified(
+              mining.launchMissions([[0], [10]], [[], []], [[], []], alice, { from:alice })
+            );
+
+            assert.equal(await lander.ownerOf(0), alice);
+            assert.equal(await mining.missionCount(), '0');
+          });
+
+          it('launches each mission', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            let res;
+
+            await mining.launchMissions([[0], [1], [2]], [[], [1], []], [[], [0, 1], [2, 3, 4]], carol, { from:alice });
+            assert.equal(await mining.missionCount(), '3');
+            assert.equal(await mining.stakedMissionCount(), '3');
+            assert.equal(await mining.userMissionCount(carol), '3');
+            assert.equal(await mining.totalMiningPower(), '400');
+
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await lander.ownerOf(2), mining.address);
+            assert.equal(await landingSite.ownerOf(1), mining.address);
+            for (let i = 0; i < 5; i++) {
+              assert.equal(await payload.ownerOf(i), mining.address);
+            }
+
+            res = await mining.missionTokens(1);
+            assert.deepEqual(res.landers.map(a => a.toString()), ["1"]);
+            assert.deepEqual(res.landingSites.map(a => a.toString()), ["1"]);
+            assert.deepEqual(res.payloads.map(a => a.toString()), ["0", "1"]);
+
+            res = await mining.missionStatus(2);
+            assert.equal(res.user, carol);
+            assert.equal(res.miningPower, '130');
+            assert.equal(res.staked, true);
+          });
+
+          it('emits "MissionLaunched" event for each mission', async () => {
+            const { mining } = this;
+
+            const res = await mining.launchMissions([[0], [1]], [[], [1]], [[], [0, 1]], carol, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '0',
+              to: carol,
+              miningPower: '100'
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '1',
+              to: carol,
+              miningPower: '170'
+            });
+          });
+
+          it('credits rewards mined before launch to existing miners only', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.launchMission([10], [], [], bob, { from:bob });
+
+            await faucet.setOwed(mining.address, '300');
+            await mining.launchMissions([[0], [1]], [[], []], [[], []], alice, { from:alice });
+            assert.equal(await mining.releasable(bob), '300');
+            assert.equal(await mining.releasable(alice), '0');
+
+            await faucet.setOwed(mining.address, '300');
+            await mining.update();
+            assert.equal(await mining.releasable(bob), '400');
+            assert.equal(await mining.releasable(alice), '200');
+          });
+        });
+
+        context('recallMissions', () => {
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([2], [], [], alice, { from:alice });
+          });
+
+          it('reverts entirely if any mission cannot be recalled', async () => {
+            const { mining, lander } = this;
+
+            await expectRevert(
+              mining.recallMissions([0, 2], alice, { from:alice }),
+              "IMSMM: not mission controller"
+            );
+
+            await expectRevert(
+              mining.recallMissions([0, 0], alice, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+
+            await expectRevert(
+              mining.recallMissions([1, 4], alice, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await mining.stakedMissionCount(), '4');
+          });
+
+          it('recalls each mission', async () => {
+            const { mining, lander, payload } = this;
+
+            await mining.recallMissions([3, 0, 1], dave, { from:alice });
+            assert.equal(await lander.ownerOf(0), dave);
+            assert.equal(await lander.ownerOf(1), dave);
+            assert.equal(await lander.ownerOf(2), dave);
+            assert.equal(await lander.ownerOf(10), mining.address);
+            for (let i = 0; i < 4; i++) {
+              assert.equal(await payload.ownerOf(i), dave);
+            }
+
+            assert.equal(await mining.totalMiningPower(), '180');
+            assert.equal(await mining.stakedMissionCount(), '1');
+            assert.equal(await mining.stakedMissions(0), '2');
+            assert.equal(await mining.userMissionCount(alice), '0');
+            assert.equal((await mining.userInfo(alice)).miningPower, '0');
+            assert.equal((await mining.missionInfo(3)).staked, false);
+          });
+
+          it('emits "MissionRecalled" event for each mission', async () => {
+            const { mining } = this;
+
+            const res = await mining.recallMissions([1, 3], dave, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: alice,
+              missionId: '1',
+              to: dave,
+              miningPower: '140'
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: alice,
+              missionId: '3',
+              to: dave,
+              miningPower: '100'
+            });
+          });
+
+          it('preserves already-mined rewards', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, 100000000000);
+
+            // alice 340, carol 180
+            await faucet.setOwed(mining.address, '1040');
+            await mining.recallMissions([0, 1, 3], alice, { from:alice });
+            assert.equal(await mining.releasable(alice), '680');
+            assert.equal(await mining.releasable(carol), '360');
+
+            await faucet.setOwed(mining.address, '180');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '680');
+            assert.equal(await mining.releasable(carol), '540');
+          });
+        });
+
+        context('promoteMission', () => {
+          const DAY = 60 * 60 * 24;
+
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setStakeBoosts([30 * DAY, 90 * DAY], [110, 125], 100, { from:manager });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('reverts for unstaked mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.promoteMission(2, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await time.increase(30 * DAY);
+            await mining.recallMission(0, alice, { from:alice });
+            await expectRevert(
+              mining.promoteMission(0, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('reverts when no new tier is reached', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.promoteMission(0, { from:alice }),
+              "IMSMM: no new boost tier"
+            );
+
+            await time.increase(30 * DAY);
+            await mining.promoteMission(0, { from:dave });
+            await expectRevert(
+              mining.promoteMission(0, { from:dave }),
+              "IMSMM: no new boost tier"
+            );
+          });
+
+          it('"nextBoostTier" reports upcoming tiers', async () => {
+            const { mining } = this;
+            let res;
+
+            const stakedTime = Number((await mining.missionInfo(0)).stakedTime);
+
+            res = await mining.nextBoostTier(0);
+            assert.equal(res.tier, '1');
+            assert.equal(res.time, `${stakedTime + 30 * DAY}`);
+
+            await time.increase(31 * DAY);
+            res = await mining.nextBoostTier(0);
+            assert.equal(res.tier, '1');
+            assert.equal(res.time, `${stakedTime + 30 * DAY}`);
+
+            await mining.promoteMission(0, { from:bob });
+            res = await mining.nextBoostTier(0);
+            assert.equal(res.tier, '2');
+            assert.equal(res.time, `${stakedTime + 90 * DAY}`);
+
+            await time.increase(60 * DAY);
+            await mining.promoteMission(0, { from:bob });
+            res = await mining.nextBoostTier(0);
+            assert.equal(res.tier, '0');
+            assert.equal(res.time, '0');
+
+            await mining.recallMission(1, carol, { from:carol });
+            res = await mining.nextBoostTier(1);
+            assert.equal(res.tier, '0');
+            assert.equal(res.time, '0');
+          });
+
+          it('applies boost to mining power', async () => {
+            const { mining } = this;
+
+            await time.increase(30 * DAY);
+            await mining.promoteMission(0, { from:dave });
+            assert.equal((await mining.missionInfo(0)).miningPower, '110');
+            assert.equal((await mining.missionInfo(0)).boostTier, '1');
+            assert.equal((await mining.userInfo(alice)).miningPower, '110');
+            assert.equal(await mining.totalMiningPower(), '290');
+
+            // skipping a tier applies the highest reached
+            await time.increase(60 * DAY);
+            await mining.promoteMission(1, { from:dave });
+            assert.equal((await mining.missionInfo(1)).miningPower, '225');
+            assert.equal((await mining.missionInfo(1)).boostTier, '2');
+            assert.equal((await mining.userInfo(carol)).miningPower, '225');
+            assert.equal(await mining.totalMiningPower(), '335');
+          });
+
+          it('boost is retained by reappraisal and amendment', async () => {
+            const { mining, appraiser, lander } = this;
+
+            await time.increase(30 * DAY);
+            await mining.promoteMission(0, { from:dave });
+
+            await appraiser.setAppraisals(lander.address, [0], [200], { from:deployer });
+            await mining.reappraiseMission(0);
+            assert.equal((await mining.missionInfo(0)).miningPower, '220');
+
+            await mining.amendMission(0, [], [0, 1], [], [], alice, { from:alice });
+            assert.equal((await mining.missionInfo(0)).miningPower, '242');
+            assert.equal(await mining.totalMiningPower(), '422');
+          });
+
+          it('reappraiseMission applies reached tiers', async () => {
+            const { mining } = this;
+
+            await time.increase(90 * DAY);
+            await mining.reappraiseMission(1);
+            assert.equal((await mining.missionInfo(1)).miningPower, '225');
+            assert.equal((await mining.missionInfo(1)).boostTier, '2');
+          });
+
+          it('affects only rewards mined after promotion', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, 100000000000);
+            await time.increase(30 * DAY);
+
+            // alice 100, carol 180
+            await faucet.setOwed(mining.address, '560');
+            await mining.promoteMission(1, { from:dave });
+            assert.equal(await mining.releasable(alice), '200');
+            assert.equal(await mining.releasable(carol), '360');
+
+            // alice 100, carol 198
+            await faucet.setOwed(mining.address, '596');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '400');
+            assert.equal(await mining.releasable(carol), '756');
+          });
+
+          it('emits "MissionPromoted" event', async () => {
+            const { mining } = this;
+
+            await time.increase(90 * DAY);
+            const res = await mining.promoteMission(1, { from:dave });
+            await expectEvent.inTransaction(res.tx, mining, "MissionPromoted", {
+              missionId: '1',
+              to: carol,
+              boostTier: '2',
+              previousMiningPower: '180',
+              miningPower: '225'
+            });
+          });
+        });
+
+        context('launchLockedMission', () => {
+          const DAY = 60 * 60 * 24;
+
+          beforeEach(async () => {
+            const { mining, landingSite } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setLockMultiplier(30 * DAY, 150, 100, { from:manager });
+          });
+
+          it('reverts for unpermitted lock periods', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.launchLockedMission([0], [], [], 0, alice, { from:alice }),
+              "IMSMM: lock period zero"
+            );
+
+            await expectRevert(
+              mining.launchLockedMission([0], [], [], 10 * DAY, alice, { from:alice }),
+              "IMSMM: invalid lock period"
+            );
+          });
+
+          it('reverts when paused', async () => {
+            const { mining } = this;
+
+            await mining.pause({ from:manager });
+            await expectRevert(
+              mining.launchLockedMission([0], [], [], 30 * DAY, alice, { from:alice }),
+              "Pausable: paused"
+            );
+          });
+
+          it('applies lock multiplier to mining power', async () => {
+            const { mining, lander } = this;
+
+            await mining.launchLockedMission([0], [], [], 30 * DAY, alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal((await mining.missionInfo(0)).miningPower, '150');
+            assert.equal((await mining.missionInfo(1)).miningPower, '180');
+            assert.equal((await mining.userInfo(alice)).miningPower, '150');
+            assert.equal(await mining.totalMiningPower(), '330');
+
+            // retained by amendment
+            await mining.amendMission(0, [], [0, 1], [], [], alice, { from:alice });
+            assert.equal((await mining.missionInfo(0)).miningPower, '180');
+            assert.equal(await mining.totalMiningPower(), '360');
+          });
+
+          it('"missionLock" reports lock status', async () => {
+            const { mining } = this;
+            let res;
+
+            await mining.launchLockedMission([0], [], [], 30 * DAY, alice, { from:alice });
+            await mining.launchMission([10], [], [], carol, { from:bob });
+            const stakedTime = Number((await mining.missionInfo(0)).stakedTime);
+
+            res = await mining.missionLock(0);
+            assert.equal(res.unlockTime, `${stakedTime + 30 * DAY}`);
+            assert.equal(res.locked, true);
+
+            res = await mining.missionLock(1);
+            assert.equal(res.locked, false);
+
+            await time.increase(30 * DAY);
+            res = await mining.missionLock(0);
+            assert.equal(res.locked, false);
+          });
+
+          it('emits "MissionLocked" and "MissionLaunched" events', async () => {
+            const { mining } = this;
+
+            const res = await mining.launchLockedMission([0], [], [], 30 * DAY, bob, { from:alice });
+            const unlockTime = (await mining.missionInfo(0)).unlockTime;
+            await expectEvent.inTransaction(res.tx, mining, "MissionLocked", {
+              missionId: '0',
+              to: bob,
+              lockPeriod: `${30 * DAY}`,
+              unlockTime
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '0',
+              to: bob,
+              miningPower: '150'
+            });
+          });
+
+          context('recall', () => {
+            beforeEach(async () => {
+              const { mining } = this;
+
+              await mining.launchLockedMission([0], [], [], 30 * DAY, alice, { from:alice });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            });
+
+            it('reverts before unlock time if early recall not allowed', async () => {
+              const { mining } = this;
+
+              await expectRevert(
+                mining.recallMission(0, alice, { from:alice }),
+                "IMSMM: mission locked"
+              );
+
+              await expectRevert(
+                mining.recallMissions([0], alice, { from:alice }),
+                "IMSMM: mission locked"
+              );
+            });
+
+            it('permits amendment that adds tokens before unlock time', async () => {
+              const { mining } = this;
+
+              await mining.amendMission(0, [0], [0], [], [], alice, { from:alice });
+              await expectRevert(
+                mining.amendMission(0, [], [], [], [0], alice, { from:alice }),
+                "IMSMM: mission locked"
+              );
+            });
+
+            it('allows recall after unlock time with no penalty', async () => {
+              const { mining, lander, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await time.increase(30 * DAY);
+
+              // alice 150, carol 180
+              await faucet.setOwed(mining.address, '660');
+              const res = await mining.recallMission(0, alice, { from:alice });
+              assert.equal(await lander.ownerOf(0), alice);
+              assert.equal(await mining.releasable(alice), '300');
+              assert.equal(await mining.releasable(carol), '360');
+              assert.equal(await mining.totalMiningPower(), '180');
+              await expectEvent.notEmitted.inTransaction(res.tx, mining, "MissionRecallPenalty");
+            });
+
+            it('early recall forfeits share of the mission\'s withheld rewards to other miners', async () => {
+              const { mining, lander, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 2, { from:manager });
+
+              // alice 150, carol 180
+              await faucet.setOwed(mining.address, '792');
+              const res = await mining.recallMission(0, dave, { from:alice });
+              assert.equal(await lander.ownerOf(0), dave);
+              assert.equal(await mining.releasable(alice), '180');
+              assert.equal(await mining.releasable(carol), '612');
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '0',
+                user: alice,
+                forfeited: '180'
+              });
+
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await token.balanceOf(alice), '180');
+              assert.equal(await token.balanceOf(carol), '612');
+            });
+
+            it('release withholds locked mission rewards until unlock time', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+
+              // alice 150, carol 180
+              await faucet.setOwed(mining.address, '660');
+              assert.equal(await mining.missionReleasable(0), '300');
+              assert.equal(await mining.releasable(alice), '0');
+
+              await mining.release(alice, alice, { from:alice });
+              assert.equal(await token.balanceOf(alice), '0');
+              await expectRevert(
+                mining.methods["release(address,address,uint256)"](alice, alice, 1, { from:alice }),
+                "IMSMM: amount > releasable"
+              );
+              await expectRevert(
+                mining.releaseMission(0, alice, { from:alice }),
+                "IMSMM: mission locked"
+              );
+
+              await time.increase(30 * DAY);
+              assert.equal(await mining.releasable(alice), '300');
+              await mining.releaseMission(0, alice, { from:alice });
+              assert.equal(await token.balanceOf(alice), '300');
+            });
+
+            it('early recall after release still forfeits share of the withheld rewards', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 2, { from:manager });
+
+              // alice 150, carol 180
+              await faucet.setOwed(mining.address, '792');
+              await mining.release(alice, alice, { from:alice });
+              assert.equal(await token.balanceOf(alice), '0');
+
+              const res = await mining.recallMission(0, alice, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '0',
+                user: alice,
+                forfeited: '180'
+              });
+              assert.equal(await mining.releasable(alice), '180');
+              assert.equal(await mining.releasable(carol), '612');
+            });
+
+            it('early recall forfeits nothing from the user\'s unlocked missions', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 2, { from:manager });
+              await mining.launchMission([1], [], [], alice, { from:alice });
+
+              // mission 0: 150, mission 1: 180, mission 2: 100
+              await faucet.setOwed(mining.address, '6020');
+              assert.equal(await mining.missionReleasable(0), '2100');
+              assert.equal(await mining.missionReleasable(2), '1400');
+              assert.equal(await mining.releasable(alice), '1400');
+
+              await mining.release(alice, alice, { from:alice });
+              assert.equal(await token.balanceOf(alice), '1400');
+
+              // half of mission 0's rewards are forfeited, shared by missions 1 and 2
+              const res = await mining.recallMission(0, alice, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '0',
+                user: alice,
+                forfeited: '1050'
+              });
+              assert.equal(await mining.missionReleasable(0), '1050');
+              assert.equal(await mining.missionReleasable(2), '375');
+              assert.equal(await mining.releasable(alice), `${1050 + 375}`);
+              assert.equal(await mining.releasable(carol), `${2520 + 675}`);
+
+              await mining.release(alice, alice, { from:alice });
+              assert.equal(await token.balanceOf(alice), `${1400 + 1425}`);
+            });
+
+            it('transferMission moves locked mission rewards to the new controller', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 2, { from:manager });
+
+              // alice 150, carol 180
+              await faucet.setOwed(mining.address, '792');
+              await mining.transferMission(0, dave, { from:alice });
+              assert.equal(await mining.missionReleasable(0), '360');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(dave), '0');
+
+              const res = await mining.recallMission(0, dave, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '0',
+                user: dave,
+                forfeited: '180'
+              });
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(dave), '180');
+              assert.equal(await mining.releasable(carol), '612');
+            });
+
+            it('recallMissions shares early recall penalties among the Mining Power remaining', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 2, { from:manager });
+              await mining.launchLockedMission([1], [], [], 30 * DAY, alice, { from:alice });
+
+              // mission 0: 150, mission 1: 180, mission 2: 150
+              await faucet.setOwed(mining.address, '2880');
+              const res = await mining.recallMissions([0, 2], alice, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '0',
+                user: alice,
+                forfeited: '450'
+              });
+              await expectEvent.inTransaction(res.tx, mining, "MissionRecallPenalty", {
+                missionId: '2',
+                user: alice,
+                forfeited: '450'
+              });
+
+              // both forfeits go to carol, none to alice's other recalled mission
+              assert.equal(await mining.missionReleasable(0), '450');
+              assert.equal(await mining.missionReleasable(2), '450');
+              assert.equal(await mining.releasable(alice), '900');
+              assert.equal(await mining.releasable(carol), `${1080 + 900}`);
+              assert.equal((await mining.userInfo(alice)).miningPower, '0');
+              assert.equal(await mining.totalMiningPower(), '180');
+            });
+
+            it('early recall by the last miner returns forfeited rewards to excess', async () => {
+              const { mining, faucet, token } = this;
+
+              await token.mint(faucet.address, 100000000000);
+              await mining.setEarlyRecall(true, 1, 1, { from:manager });
+              await mining.recallMission(1, carol, { from:carol });
+
+              // alice 150
+              await faucet.setOwed(mining.address, '300');
+              await mining.recallMission(0, alice, { from:alice });
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.totalMined(), '0');
+
+              await mining.transferExcess(dave, { from:manager });
+              assert.equal(await token.balanceOf(dave), '300');
+            });
+          });
+        });
+
+        context('emergencyRecall', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+            // alice 100, carol 180
+            await faucet.setOwed(mining.address, '560');
+            await mining.update();
+          });
+
+          it('reverts for unstaked or unowned mission IDs', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.emergencyRecall(2, alice, { from:alice }),
+              "Panic: Index out of bounds."
+            );
+
+            await expectRevert(
+              mining.emergencyRecall(1, bob, { from:bob }),
+              "IMSMM: not mission controller"
+            );
+
+            await mining.emergencyRecall(0, alice, { from:alice });
+            await expectRevert(
+              mining.emergencyRecall(0, alice, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('recalls missions when the faucet cannot release', async () => {
+            const { mining, lander, landingSite, payload, faucet } = this;
+
+            // owed funds the faucet does not hold
+            await faucet.setOwed(mining.address, '100000000000000');
+            await expectRevert.unspecified(mining.recallMission(1, carol, { from:carol }));
+
+            await mining.emergencyRecall(1, dave, { from:carol });
+            assert.equal(await lander.ownerOf(10), dave);
+            assert.equal(await landingSite.ownerOf(15), dave);
+            assert.equal(await payload.ownerOf(12), dave);
+            assert.equal(await payload.ownerOf(14), dave);
+            assert.equal(await payload.ownerOf(16), dave);
+
+            assert.equal(await mining.totalMiningPower(), '100');
+            assert.equal((await mining.userInfo(carol)).miningPower, '0');
+            assert.equal(await mining.stakedMissionCount(), '1');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.userMissionCount(carol), '0');
+            assert.equal((await mining.missionInfo(1)).staked, false);
+          });
+
+          it('forfeits only unsettled rewards', async () => {
+            const { mining, token, faucet } = this;
+
+            // alice 100, carol 180; not yet settled
+            await faucet.setOwed(mining.address, '280');
+            await mining.emergencyRecall(1, carol, { from:carol });
+            assert.equal(await mining.releasable(alice), '480');
+            assert.equal(await mining.releasable(carol), '360');
+
+            await mining.release(carol, carol, { from:carol });
+            assert.equal(await token.balanceOf(carol), '360');
+          });
+
+          it('emits "MissionEmergencyRecalled" event', async () => {
+            const { mining } = this;
+
+            const res = await mining.emergencyRecall(1, dave, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionEmergencyRecalled", {
+              user: carol,
+              missionId: '1',
+              to: dave,
+              miningPower: '180'
+            });
+            await expectEvent.notEmitted.inTransaction(res.tx, mining, "MissionRecalled");
+          });
+
+          context('in emergency mode', () => {
+            beforeEach(async () => {
+              const { mining } = this;
+              await mining.setEmergencyMode(true, { from:manager });
+            });
+
+            it('launches revert', async () => {
+              const { mining, lander } = this;
+
+              await expectRevert(
+                mining.launchMission([1], [], [], alice, { from:alice }),
+                "IMSMM: emergency mode"
+              );
+
+              await expectRevert(
+                mining.launchMissions([[1], [2]], [[], []], [[], []], alice, { from:alice }),
+                "IMSMM: emergency mode"
+              );
+
+              await expectRevert(
+                lander.methods['safeTransferFrom(address,address,uint256,bytes)'](
+                  alice, mining.address, 1, web3.eth.abi.encodeParameters(['uint256[]', 'uint256[]', 'address'], [[], [], alice]), { from:alice }
+                ),
+                "IMSMM: emergency mode"
+              );
+            });
+
+            it('locked missions may be recalled without penalty', async () => {
+              const { mining, lander } = this;
+
+              await mining.setEmergencyMode(false, { from:manager });
+              await mining.setLockMultiplier(1000, 2, 1, { from:manager });
+              await mining.launchLockedMission([1], [], [], 1000, alice, { from:alice });
+              await mining.setEmergencyMode(true, { from:manager });
+
+              await mining.emergencyRecall(2, alice, { from:alice });
+              assert.equal(await lander.ownerOf(1), alice);
+              assert.equal(await mining.releasable(alice), '200');
+            });
+
+            it('missions may be recalled normally', async () => {
+              const { mining, lander } = this;
+
+              await mining.recallMission(0, alice, { from:alice });
+              assert.equal(await lander.ownerOf(0), alice);
+              assert.equal(await mining.releasable(alice), '200');
+            });
+          });
+        });
+
+        context('with an unbonding period', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await mining.setUnbondingPeriod(1000, { from:manager });
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('recallMission stops mining but holds the mission tokens', async () => {
+            const { mining, lander, landingSite, payload, faucet } = this;
+
+            const res = await mining.recallMission(1, dave, { from:carol });
+            const returnTime = (await time.latest()).addn(1000);
+            await expectEvent.inTransaction(res.tx, mining, "MissionRecalled", {
+              user: carol,
+              missionId: '1',
+              to: dave,
+              miningPower: '180'
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionUnbonding", {
+              user: carol,
+              missionId: '1',
+              to: dave,
+              returnTime
+            });
+
+            assert.equal(await lander.ownerOf(10), mining.address);
+            assert.equal(await landingSite.ownerOf(15), mining.address);
+            assert.equal(await payload.ownerOf(12), mining.address);
+            assert.equal((await mining.missionInfo(1)).staked, false);
+            assert.equal((await mining.userInfo(carol)).miningPower, '0');
+            assert.equal(await mining.totalMiningPower(), '100');
+
+            const missionReturn = await mining.missionReturns(1);
+            assert.equal(missionReturn.to, dave);
+            assert.equal(missionReturn.returnTime, returnTime.toString());
+            assert.equal(await mining.userReturningMissionCount(carol), '1');
+            const missions = await mining.getUserReturningMissions(carol, 0, 10);
+            assert.equal(missions.length, 1);
+            assert.equal(missions[0].missionId, '1');
+
+            // no longer mining
+            await faucet.setOwed(mining.address, '100');
+            assert.equal(await mining.releasable(alice), '100');
+            assert.equal(await mining.releasable(carol), '0');
+          });
+
+          it('completeRecall reverts during the unbonding period', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.completeRecall(1, { from:carol }),
+              "IMSMM: mission not returning"
+            );
+
+            await mining.recallMission(1, dave, { from:carol });
+            await expectRevert(
+              mining.completeRecall(1, { from:carol }),
+              "IMSMM: mission unbonding"
+            );
+
+            await time.increase(990);
+            await expectRevert(
+              mining.completeRecall(1, { from:carol }),
+              "IMSMM: mission unbonding"
+            );
+          });
+
+          it('completeRecall returns the mission tokens after the unbonding period', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.recallMission(0, alice, { from:alice });
+            await mining.recallMission(1, dave, { from:carol });
+            await time.increase(1000);
+
+            const res = await mining.completeRecall(1, { from:bob });
+            await expectEvent.inTransaction(res.tx, mining, "MissionReturned", {
+              user: carol,
+              missionId: '1',
+              to: dave
+            });
+            assert.equal(await lander.ownerOf(10), dave);
+            assert.equal(await landingSite.ownerOf(15), dave);
+            assert.equal(await payload.ownerOf(12), dave);
+            assert.equal(await payload.ownerOf(14), dave);
+            assert.equal(await payload.ownerOf(16), dave);
+
+            assert.equal((await mining.missionReturns(1)).returnTime, '0');
+            assert.equal(await mining.userReturningMissionCount(carol), '0');
+            assert.equal(await mining.userReturningMissionCount(alice), '1');
+            assert.equal(await lander.ownerOf(0), mining.address);
+
+            await expectRevert(
+              mining.completeRecall(1, { from:carol }),
+              "IMSMM: mission not returning"
+            );
+          });
+
+          it('recallMissions holds each mission', async () => {
+            const { mining, lander } = this;
+
+            await mining.launchMission([1], [], [], alice, { from:alice });
+            await mining.launchMission([2], [], [], alice, { from:alice });
+            await mining.recallMissions([0, 2, 3], alice, { from:alice });
+            assert.equal(await mining.userReturningMissionCount(alice), '3');
+            assert.equal(await lander.ownerOf(0), mining.address);
+
+            await time.increase(1000);
+            await mining.completeRecall(0, { from:alice });
+            assert.equal(await mining.userReturningMissionCount(alice), '2');
+            let missions = (await mining.getUserReturningMissions(alice, 0, 10)).map(m => m.missionId.toString());
+            assert.sameMembers(missions, ['2', '3']);
+
+            await mining.completeRecall(3, { from:alice });
+            missions = (await mining.getUserReturningMissions(alice, 0, 10)).map(m => m.missionId.toString());
+            assert.sameMembers(missions, ['2']);
+            assert.equal(await lander.ownerOf(0), alice);
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await lander.ownerOf(2), alice);
+          });
+
+          it('missions recalled before the period was set are unaffected', async () => {
+            const { mining, lander } = this;
+
+            await mining.setUnbondingPeriod(0, { from:manager });
+            await mining.recallMission(0, alice, { from:alice });
+            assert.equal(await lander.ownerOf(0), alice);
+
+            await mining.recallMission(1, carol, { from:carol });
+            await mining.setUnbondingPeriod(1000, { from:manager });
+            assert.equal(await lander.ownerOf(10), carol);
+            assert.equal(await mining.userReturningMissionCount(carol), '0');
+          });
+
+          it('emergencyRecall holds the mission tokens', async () => {
+            const { mining, lander } = this;
+
+            const res = await mining.emergencyRecall(0, alice, { from:alice });
+            const returnTime = (await time.latest()).addn(1000);
+            await expectEvent.inTransaction(res.tx, mining, "MissionEmergencyRecalled", {
+              user: alice,
+              missionId: '0',
+              to: alice
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionUnbonding", {
+              user: alice,
+              missionId: '0',
+              to: alice,
+              returnTime
+            });
+            assert.equal(await lander.ownerOf(0), mining.address);
+            assert.equal(await mining.userReturningMissionCount(alice), '1');
+
+            await expectRevert(
+              mining.completeRecall(0, { from:alice }),
+              "IMSMM: mission unbonding"
+            );
+            await time.increase(1000);
+            await mining.completeRecall(0, { from:alice });
+            assert.equal(await lander.ownerOf(0), alice);
+          });
+
+          it('emergencyRecall returns the mission tokens at once in emergency mode', async () => {
+            const { mining, lander } = this;
+
+            await mining.setEmergencyMode(true, { from:manager });
+            const res = await mining.emergencyRecall(0, alice, { from:alice });
+            await expectEvent.notEmitted.inTransaction(res.tx, mining, "MissionUnbonding");
+            assert.equal(await lander.ownerOf(0), alice);
+          });
+
+          it('emergency mode waives the unbonding period', async () => {
+            const { mining, lander } = this;
+
+            await mining.recallMission(1, carol, { from:carol });
+            await mining.setEmergencyMode(true, { from:manager });
+
+            await mining.recallMission(0, alice, { from:alice });
+            assert.equal(await lander.ownerOf(0), alice);
+
+            await mining.completeRecall(1, { from:carol });
+            assert.equal(await lander.ownerOf(10), carol);
+          });
+        });
+
+        context('rescueERC20 / rescueERC721', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('reverts for non-manager', async () => {
+            const { mining, token, lander } = this;
+
+            await expectRevert(
+              mining.rescueERC20(token.address, alice, 0, { from:alice }),
+              "IMSMM: !auth"
+            );
+
+            await expectRevert(
+              mining.rescueERC721(lander.address, 5, bob, { from:carol }),
+              "IMSMM: !auth"
+            );
+          });
+
+          it('rescueERC20 transfers stray tokens', async () => {
+            const { mining } = this;
+
+            const stray = await MockERC20.new("Stray Token", "ST", 0);
+            await stray.mint(mining.address, 1000);
+
+            await expectRevert(
+              mining.rescueERC20(stray.address, dave, 1001, { from:manager }),
+              "IMSMM: amount > rescuable"
+            );
+
+            const res = await mining.rescueERC20(stray.address, dave, 600, { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "ERC20Rescued", {
+              token: stray.address,
+              to: dave,
+              amount: '600'
+            });
+            await mining.rescueERC20(stray.address, bob, 400, { from:deployer });
+            assert.equal(await stray.balanceOf(dave), '600');
+            assert.equal(await stray.balanceOf(bob), '400');
+          });
+
+          it('rescueERC20 does not transfer mined reward tokens', async () => {
+            const { mining, token, faucet } = this;
+
+            await faucet.setOwed(mining.address, '280');
+            await token.mint(mining.address, 50);
+
+            await expectRevert(
+              mining.rescueERC20(token.address, dave, 51, { from:manager }),
+              "IMSMM: amount > rescuable"
+            );
+
+            await mining.rescueERC20(token.address, dave, 50, { from:manager });
+            assert.equal(await token.balanceOf(dave), '50');
+            assert.equal(await mining.releasable(alice), '100');
+            assert.equal(await mining.releasable(carol), '180');
+
+            await mining.release(carol, carol, { from:carol });
+            assert.equal(await token.balanceOf(carol), '180');
+          });
+
+          it('rescueERC20 does not transfer mined reward stream tokens', async () => {
+            const { mining } = this;
+
+            const token2 = await MockERC20.new("Mock Token 2", "MT2", 0);
+            const faucet2 = await MockERC20Faucet.new(token2.address);
+            await token2.mint(faucet2.address, 100000000000);
+            await mining.addRewardStream(faucet2.address, { from:manager });
+
+            await faucet2.setOwed(mining.address, '560');
+            await token2.mint(mining.address, 70);
+
+            await expectRevert(
+              mining.rescueERC20(token2.address, dave, 71, { from:manager }),
+              "IMSMM: amount > rescuable"
+            );
+
+            await mining.rescueERC20(token2.address, dave, 70, { from:manager });
+            assert.equal(await token2.balanceOf(dave), '70');
+            assert.equal(await mining.streamReleasable(0, carol), '360');
+
+            await mining.methods['releaseStream(uint256,address,address)'](0, carol, carol, { from:carol });
+            assert.equal(await token2.balanceOf(carol), '360');
+          });
+
+          it('rescueERC20 reverts if a reward stream holds less than it owes', async () => {
+            const { mining } = this;
+
+            const token2 = await MockERC20.new("Mock Token 2", "MT2", 0);
+            const faucet2 = await MockERC20Faucet.new(token2.address);
+            await token2.mint(faucet2.address, 100000000000);
+            await mining.addRewardStream(faucet2.address, { from:manager });
+
+            // e.g. a rebasing stream token
+            await faucet2.setOwed(mining.address, '560');
+            await mining.update();
+            await token2.burn(mining.address, 60);
+
+            await expectRevert(
+              mining.rescueERC20(token2.address, dave, 0, { from:manager }),
+              "IMSMM: stream balance < owed"
+            );
+          });
+
+          it('rescueERC721 transfers stray tokens', async () => {
+            const { mining, lander } = this;
+
+            await lander.transferFrom(alice, mining.address, 5, { from:alice });
+            const held = await mining.componentMission(lander.address, 5);
+            assert.equal(held.held, false);
+
+            const res = await mining.rescueERC721(lander.address, 5, alice, { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "ERC721Rescued", {
+              token: lander.address,
+              tokenId: '5',
+              to: alice
+            });
+            assert.equal(await lander.ownerOf(5), alice);
+          });
+
+          it('rescueERC721 reverts for the components of staked or returning missions', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            let held = await mining.componentMission(payload.address, 14);
+            assert.equal(held.held, true);
+            assert.equal(held.missionId, '1');
+
+            await expectRevert(
+              mining.rescueERC721(lander.address, 0, dave, { from:manager }),
+              "IMSMM: token in mission"
+            );
+
+            await expectRevert(
+              mining.rescueERC721(payload.address, 14, dave, { from:manager }),
+              "IMSMM: token in mission"
+            );
+
+            await mining.setUnbondingPeriod(1000, { from:manager });
+            await mining.recallMission(1, carol, { from:carol });
+            held = await mining.componentMission(landingSite.address, 15);
+            assert.equal(held.held, true);
+            assert.equal(held.missionId, '1');
+
+            await expectRevert(
+              mining.rescueERC721(landingSite.address, 15, dave, { from:manager }),
+              "IMSMM: token in mission"
+            );
+
+            await time.increase(1000);
+            await mining.completeRecall(1);
+            held = await mining.componentMission(landingSite.address, 15);
+            assert.equal(held.held, false);
+            assert.equal(await landingSite.ownerOf(15), carol);
+          });
+        });
+
+        context('with a replaced faucet', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            this.faucet2 = await MockERC20Faucet.new(token.address);
+            await token.mint(faucet.address, 100000000000);
+            await token.mint(this.faucet2.address, 100000000000);
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('settles rewards owed by the previous faucet', async () => {
+            const { mining, token, faucet, faucet2 } = this;
+
+            // alice 100, carol 180
+            await faucet.setOwed(mining.address, '280');
+            await mining.setFaucet(faucet2.address, { from:manager });
+            assert.equal(await faucet.releasable(mining.address), '0');
+            assert.equal(await token.balanceOf(mining.address), '280');
+            assert.equal(await mining.totalMined(), '280');
+            assert.equal(await mining.releasable(alice), '100');
+            assert.equal(await mining.releasable(carol), '180');
+
+            // no longer mined
+            await faucet.setOwed(mining.address, '280');
+            assert.equal(await mining.totalMined(), '280');
+            assert.equal(await mining.releasable(alice), '100');
+          });
+
+          it('mines rewards from the new faucet', async () => {
+            const { mining, token, faucet, faucet2 } = this;
+
+            await faucet.setOwed(mining.address, '280');
+            await mining.setFaucet(faucet2.address, { from:manager });
+
+            // alice 100, carol 180
+            await faucet2.setOwed(mining.address, '560');
+            assert.equal(await mining.totalMined(), '840');
+            assert.equal(await mining.releasable(alice), '300');
+            assert.equal(await mining.releasable(carol), '540');
+
+            await mining.release(carol, carol, { from:carol });
+            assert.equal(await token.balanceOf(carol), '540');
+            assert.equal(await faucet2.releasable(mining.address), '0');
+
+            await mining.recallMission(0, alice, { from:alice });
+            await mining.release(alice, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '300');
+            assert.equal(await mining.totalReleased(), '840');
+          });
+        });
+
+        context('mission rewards', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await token.mint(faucet.address, 100000000000);
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+          });
+
+          it('attributes rewards to missions in proportion to mining power', async () => {
+            const { mining, faucet } = this;
+
+            // mission 0: 100, mission 1: 140, mission 2: 180
+            await faucet.setOwed(mining.address, '840');
+            assert.equal(await mining.missionReleasable(0), '200');
+            assert.equal(await mining.missionReleasable(1), '280');
+            assert.equal(await mining.missionReleasable(2), '360');
+            assert.equal(await mining.missionEarned(0), '200');
+            assert.equal(await mining.missionEarned(1), '280');
+            assert.equal(await mining.missionEarned(2), '360');
+            assert.equal(await mining.releasable(alice), '480');
+            assert.equal(await mining.releasable(carol), '360');
+            assert.equal(await mining.unattributedReleasable(alice), '0');
+          });
+
+          it('releaseMission releases only the indicated mission\'s rewards', async () => {
+            const { mining, faucet, token } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            await mining.releaseMission(1, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '280');
+            assert.equal(await mining.missionReleasable(0), '200');
+            assert.equal(await mining.missionReleasable(1), '0');
+            assert.equal(await mining.missionEarned(1), '280');
+            assert.equal(await mining.releasable(alice), '200');
+            assert.equal(await mining.released(alice), '280');
+          });
+
+          it('releaseMission releases a recalled mission\'s rewards', async () => {
+            const { mining, faucet, token } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            await mining.recallMission(0, alice, { from:alice });
+
+            // mission 1: 140, mission 2: 180
+            await faucet.setOwed(mining.address, '320');
+            assert.equal(await mining.missionReleasable(0), '200');
+            assert.equal(await mining.missionReleasable(1), '420');
+            assert.equal(await mining.releasable(alice), '620');
+
+            await mining.releaseMission(0, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '200');
+            assert.equal(await mining.missionReleasable(0), '0');
+            assert.equal(await mining.missionReleasable(1), '420');
+            assert.equal(await mining.releasable(alice), '420');
+          });
+
+          it('release releases from each mission in proportion', async () => {
+            const { mining, faucet, token } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            await mining.methods["release(address,address,uint256)"](alice, alice, 240, { from:alice });
+            assert.equal(await mining.missionReleasable(0), '100');
+            assert.equal(await mining.missionReleasable(1), '140');
+
+            await faucet.setOwed(mining.address, '420');
+            assert.equal(await mining.missionReleasable(0), '200');
+            assert.equal(await mining.missionReleasable(1), '280');
+            assert.equal(await mining.missionEarned(0), '300');
+            assert.equal(await mining.missionEarned(1), '420');
+            assert.equal(await mining.releasable(alice), '480');
+
+            await mining.release(alice, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '720');
+            assert.equal(await mining.missionReleasable(0), '0');
+            assert.equal(await mining.missionReleasable(1), '0');
+
+            await faucet.setOwed(mining.address, '420');
+            assert.equal(await mining.missionReleasable(0), '100');
+            assert.equal(await mining.missionReleasable(1), '140');
+
+            await mining.releaseMission(0, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '820');
+            assert.equal(await mining.releasable(alice), '140');
+          });
+
+          it('release leaving shares too small to track starts a new epoch', async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address, '10000000000000');
+            await faucet.setOwed(mining.address, '8400000000000');
+            assert.equal(await mining.releasable(alice), '4800000000000');
+
+            // the one remaining token is orphaned from alice's missions
+            await mining.methods["release(address,address,uint256)"](alice, alice, '4799999999999', { from:alice });
+            assert.equal(await mining.missionReleasable(0), '0');
+            assert.equal(await mining.missionReleasable(1), '0');
+            assert.equal(await mining.unattributedReleasable(alice), '1');
+            assert.equal(await mining.releasable(alice), '1');
+
+            // mission 0: 100, mission 1: 140, mission 2: 180
+            await faucet.setOwed(mining.address, '420');
+            assert.equal(await mining.missionReleasable(0), '100');
+            assert.equal(await mining.missionReleasable(1), '140');
+            assert.equal(await mining.missionEarned(0), '2000000000100');
+            assert.equal(await mining.unattributedReleasable(alice), '1');
+            assert.equal(await mining.releasable(alice), '241');
+
+            await mining.releaseMission(1, alice, { from:alice });
+            assert.equal(await mining.missionReleasable(0), '100');
+            assert.equal(await mining.releasable(alice), '101');
+          });
+
+          it('early recall penalty takes only the recalled mission\'s rewards, then accrues to those remaining', async () => {
+            const { mining, faucet } = this;
+
+            await mining.setLockMultiplier(1000, 1, 1, { from:manager });
+            await mining.setEarlyRecall(true, 1, 2, { from:manager });
+            await mining.launchLockedMission([2], [], [], 1000, alice, { from:alice });
+
+            // mission 0: 100, mission 1: 140, mission 2: 180, mission 3: 100
+            await faucet.setOwed(mining.address, '21840');
+            assert.equal(await mining.missionReleasable(0), '4200');
+            assert.equal(await mining.missionReleasable(1), '5880');
+            assert.equal(await mining.missionReleasable(3), '4200');
+            assert.equal(await mining.releasable(alice), `${4200 + 5880}`);
+
+            // half of mission 3's rewards (2100) are forfeited, leaving alice's
+            // other missions alone, then shared by mining power without mission 3
+            await mining.recallMission(3, alice, { from:alice });
+            assert.equal(await mining.missionReleasable(0), `${4200 + 500}`);
+            assert.equal(await mining.missionReleasable(1), `${5880 + 700}`);
+            assert.equal(await mining.missionReleasable(3), '2100');
+            assert.equal(await mining.missionEarned(3), '4200');
+            assert.equal(await mining.missionReleasable(2), `${7560 + 900}`);
+            assert.equal(await mining.unattributedReleasable(alice), '0');
+            assert.equal(await mining.releasable(alice), '13380');
+          });
+
+          it('transferMission leaves rewards mined so far unattributed', async () => {
+            const { mining, faucet } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            await mining.transferMission(1, dave, { from:alice });
+            assert.equal(await mining.missionReleasable(0), '200');
+            assert.equal(await mining.missionReleasable(1), '0');
+            assert.equal(await mining.missionEarned(1), '280');
+            assert.equal(await mining.unattributedReleasable(alice), '280');
+            assert.equal(await mining.releasable(alice), '480');
+
+            // mission 0: 100, mission 1: 140, mission 2: 180
+            await faucet.setOwed(mining.address, '420');
+            assert.equal(await mining.missionReleasable(1), '140');
+            assert.equal(await mining.missionEarned(1), '420');
+            assert.equal(await mining.unattributedReleasable(dave), '0');
+            assert.equal(await mining.releasable(dave), '140');
+          });
+
+          it('releaseMission reverts for non-controller', async () => {
+            const { mining, faucet } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            await expectRevert(
+              mining.releaseMission(0, bob, { from:bob }),
+              "IMSMM: !auth"
+            );
+
+            await mining.setReleaseOperator(bob, true, { from:alice });
+            await mining.releaseMission(0, bob, { from:bob });
+            assert.equal(await mining.missionReleasable(0), '0');
+          });
+
+          it('releaseMission emits "MissionReleased" and "Released" events', async () => {
+            const { mining, faucet } = this;
+
+            await faucet.setOwed(mining.address, '840');
+            const res = await mining.releaseMission(2, dave, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionReleased", {
+              user: carol,
+              missionId: '2',
+              to: dave,
+              amount: '360'
+            });
+            await expectEvent.inTransaction(res.tx, mining, "Released", {
+              from: carol,
+              to: dave,
+              amount: '360'
+            });
+          });
+        });
+
+        context('reappraiseMission', () => {
+          beforeEach(async () => {
+            const { mining, lander, landingSite, payload } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+          });
+
+          it('reverts for unstaked mission', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            await expectRevert(
+              mining.reappraiseMission(4, { from:dave }),
+              "Panic: Index out of bounds."
+            );
+
+            await expectRevert(
+              mining.reappraiseMission(10, { from:deployer }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.recallMission(0, alice, { from:alice });
+            await mining.recallMission(2, carol, { from:carol });
+
+            await expectRevert(
+              mining.reappraiseMission(0, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+
+            await expectRevert(
+              mining.reappraiseMission(2, { from:carol }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          it('keeps current internal state', async () => {
+            const { mining, lander, landingSite, payload } = this;
+
+            await mining.reappraiseMission(0, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '520');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '4');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.stakedMissions(2), '2');
+            assert.equal(await mining.stakedMissions(3), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissions(alice, 0), '0');
+            assert.equal(await mining.userMissions(alice, 1), '1');
+            assert.equal(await mining.userMissions(carol, 0), '2');
+            assert.equal(await mining.userMissions(carol, 1), '3');
+
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '240');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(0);
+            assert.equal(mission.staked, true);
+            assert.equal(mission.user, alice);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '100');
+
+            await mining.reappraiseMission(1, { from:dave });
+            assert.equal(await mining.totalMiningPower(), '520');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '4');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.stakedMissions(2), '2');
+            assert.equal(await mining.stakedMissions(3), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissions(alice, 0), '0');
+            assert.equal(await mining.userMissions(alice, 1), '1');
+            assert.equal(await mining.userMissions(carol, 0), '2');
+            assert.equal(await mining.userMissions(carol, 1), '3');
+
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '240');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(1);
+            assert.equal(mission.staked, true);
+            assert.equal(mission.user, alice);
+            assert.equal(mission.userMissionsIndex, '1');
+            assert.equal(mission.miningPower, '140');
+
+            await mining.reappraiseMission(2, { from:carol });
+            assert.equal(await mining.totalMiningPower(), '520');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '4');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.stakedMissions(2), '2');
+            assert.equal(await mining.stakedMissions(3), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissions(alice, 0), '0');
+            assert.equal(await mining.userMissions(alice, 1), '1');
+            assert.equal(await mining.userMissions(carol, 0), '2');
+            assert.equal(await mining.userMissions(carol, 1), '3');
+
+            user = await mining.userInfo(carol);
+            assert.equal(user.miningPower, '280');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(2);
+            assert.equal(mission.staked, true);
+            assert.equal(mission.user, carol);
+            assert.equal(mission.userMissionsIndex, '0');
+            assert.equal(mission.miningPower, '180');
+
+            await mining.reappraiseMission(3, { from:carol });
+            assert.equal(await mining.totalMiningPower(), '520');
+            assert.equal(await mining.missionCount(), '4');
+            assert.equal(await mining.stakedMissionCount(), '4');
+            assert.equal(await mining.stakedMissions(0), '0');
+            assert.equal(await mining.stakedMissions(1), '1');
+            assert.equal(await mining.stakedMissions(2), '2');
+            assert.equal(await mining.stakedMissions(3), '3');
+            assert.equal(await mining.userMissionCount(alice), '2');
+            assert.equal(await mining.userMissionCount(carol), '2');
+            assert.equal(await mining.userMissions(alice, 0), '0');
+            assert.equal(await mining.userMissions(alice, 1), '1');
+            assert.equal(await mining.userMissions(carol, 0), '2');
+            assert.equal(await mining.userMissions(carol, 1), '3');
+
+            user = await mining.userInfo(carol);
+            assert.equal(user.miningPower, '280');
+            assert.equal(user.released, '0');
+
+            mission = await mining.missionInfo(3);
+            assert.equal(mission.staked, true);
+            assert.equal(mission.user, carol);
+            assert.equal(mission.userMissionsIndex, '1');
+            assert.equal(mission.miningPower, '100');
+          });
+
+          it('emits "MissionAppraised" event', async () => {
+            const { mining, lander, landingSite, payload } = this;
+            let res;
+
+            res = await mining.reappraiseMission(0, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+              missionId: '0',
+              to: alice,
+              previousMiningPower: '100',
+              miningPower: '100'
+            });
+
+            res = await mining.reappraiseMission(1, { from:dave });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+              missionId: '1',
+              to: alice,
+              previousMiningPower: '140',
+              miningPower: '140'
+            });
+
+            res = await mining.reappraiseMission(2, { from:carol });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+              missionId: '2',
+              to: carol,
+              previousMiningPower: '180',
+              miningPower: '180'
+            });
+
+            res = await mining.reappraiseMission(3, { from:deployer });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+              missionId: '3',
+              to: carol,
+              previousMiningPower: '100',
+              miningPower: '100'
+            });
+          });
+
+          context('with updated token appraisals', () => {
+            beforeEach(async () => {
+              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
+
+              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
+              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
+              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+
+              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
+              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
+              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+
+              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+
+              await token.mint(faucet.address, 100000000000);
+
+              // mission 0: power 100 -> 150
+              // await mining.launchMission([0], [], [], alice, { from:alice });
+
+              // mission 1: power 140 -> 250
+              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+
+              // mission 2: power 180 -> 1377
+              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+              // mission 3:  power 100 -> 80
+              // await mining.launchMission([12], [], [], carol, { from:bob });
+            });
+
+            it('updates internal state', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              // 100 -> 150
+              await mining.reappraiseMission(0, { from:alice });
+              assert.equal(await mining.totalMiningPower(), '570');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '290');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(0);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '150');
+
+              // 140 -> 250
+              await mining.reappraiseMission(1, { from:dave });
+              assert.equal(await mining.totalMiningPower(), '680');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '400');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(1);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '250');
+
+              // 180 -> 1377
+              await mining.reappraiseMission(2, { from:carol });
+              assert.equal(await mining.totalMiningPower(), '1877');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1477');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(2);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '1377');
+
+              // 100 -> 80
+              await mining.reappraiseMission(3, { from:carol });
+              assert.equal(await mining.totalMiningPower(), '1857');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1457');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(3);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '80');
+            });
+
+            it('does not affect already-mined rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
+            });
+
+            it('affects rewards mined after reappraisal', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await faucet.addOwed(mining.address, 1857);
+              assert.equal(await mining.totalMined(), '2897');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '2017');
+            });
+
+            it('affects rewards accumulating during "pause" after pause ends', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.pause({ from:manager });
+              await faucet.addOwed(mining.address, 1857);
+              // no effect on reported mining
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.unpause({ from:manager });
+              assert.equal(await mining.totalMined(), '2897');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '2017');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 250, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
+            });
+
+            it('emits "MissionAppraised" event', async () => {
+              const { mining, lander, landingSite, payload } = this;
+              let res;
+
+              // 100 -> 150
+              res = await mining.reappraiseMission(0, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '0',
+                to: alice,
+                previousMiningPower: '100',
+                miningPower: '150'
+              });
+
+              // 140 -> 250
+              res = await mining.reappraiseMission(1, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '1',
+                to: alice,
+                previousMiningPower: '140',
+                miningPower: '250'
+              });
+
+              // 180 -> 1377
+              res = await mining.reappraiseMission(2, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '2',
+                to: carol,
+                previousMiningPower: '180',
+                miningPower: '1377'
+              });
+
+              // 100 -> 80
+              res = await mining.reappraiseMission(3, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '3',
+                to: carol,
+                previousMiningPower: '100',
+                miningPower: '80'
+              });
+            });
+          });
+
+          context('with updated token appraisals and complete checker reporting accurately', () => {
+            let checker;
+
+            beforeEach(async () => {
+              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
+
+              checker = await MockMissionChecker.new();
+
+              await mining.setMissionCompleteChecker(checker.address, { from:manager });
+
+              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
+              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
+              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+
+              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
+              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
+              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+
+              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+
+              await token.mint(faucet.address, 100000000000);
+
+              // mission 0: power 100 -> 150
+              // await mining.launchMission([0], [], [], alice, { from:alice });
+
+              // mission 1: power 140 -> 250
+              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+
+              // mission 2: power 180 -> 1377
+              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+              // mission 3:  power 100 -> 80
+              // await mining.launchMission([12], [], [], carol, { from:bob });
+            });
+
+            it('updates internal state', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              // 100 -> 150
+              await mining.reappraiseMission(0, { from:alice });
+              assert.equal(await mining.totalMiningPower(), '570');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '290');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(0);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '150');
+
+              // 140 -> 250
+              await mining.reappraiseMission(1, { from:dave });
+              assert.equal(await mining.totalMiningPower(), '680');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '400');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(1);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '250');
+
+              // 180 -> 1377
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              assert.equal(await mining.totalMiningPower(), '1877');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1477');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(2);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '1377');
+
+              // 100 -> 80
+              await mining.reappraiseMission(3, { from:carol });
+              assert.equal(await mining.totalMiningPower(), '1857');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1457');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(3);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '80');
+            });
+
+            it('does not affect already-mined rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
+            });
+
+            it('affects rewards mined after reappraisal', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 400, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await faucet.addOwed(mining.address, 1857);
+              assert.equal(await mining.totalMined(), '2897');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '2017');
+            });
+
+            it('affects rewards accumulating during "pause" after pause ends', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.pause({ from:manager });
+              await faucet.addOwed(mining.address, 1857);
+              // no effect on reported mining
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await mining.reappraiseMission(3, { from:carol });
+
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.unpause({ from:manager });
+              assert.equal(await mining.totalMined(), '2897');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '2017');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await checker.setResult(true);
+              await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1857, alice: 250, carol: 1457
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
+            });
+
+            it('emits "MissionAppraised" event', async () => {
+              const { mining, lander, landingSite, payload } = this;
+              let res;
+
+              // 100 -> 150
+              res = await mining.reappraiseMission(0, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '0',
+                to: alice,
+                previousMiningPower: '100',
+                miningPower: '150'
+              });
+
+              // 140 -> 250
+              res = await mining.reappraiseMission(1, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '1',
+                to: alice,
+                previousMiningPower: '140',
+                miningPower: '250'
+              });
+
+              // 180 -> 1377
+              await checker.setResult(true);
+              res = await mining.reappraiseMission(2, { from:carol });
+              await checker.setResult(false);
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '2',
+                to: carol,
+                previousMiningPower: '180',
+                miningPower: '1377'
+              });
+
+              // 100 -> 80
+              res = await mining.reappraiseMission(3, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '3',
+                to: carol,
+                previousMiningPower: '100',
+                miningPower: '80'
+              });
+            });
+          });
+
+          context('with updated token appraisals and complete checker reporting "no"', () => {
+            let checker;
+
+            beforeEach(async () => {
+              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
+
+              checker = await MockMissionChecker.new();
+
+              await mining.setMissionCompleteChecker(checker.address, { from:manager });
+
+              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
+              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
+              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+
+              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
+              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
+              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+
+              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+
+              await token.mint(faucet.address, 100000000000);
+
+              // mission 0: power 100 -> 150
+              // await mining.launchMission([0], [], [], alice, { from:alice });
+
+              // mission 1: power 140 -> 250
+              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+
+              // mission 2: power 180 -> 1240
+              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+
+              // mission 3:  power 100 -> 80
+              // await mining.launchMission([12], [], [], carol, { from:bob });
+            });
+
+            it('updates internal state', async () => {
+              const { mining, lander, landingSite, payload } = this;
+
+              // 100 -> 150
+              await mining.reappraiseMission(0, { from:alice });
+              assert.equal(await mining.totalMiningPower(), '570');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '290');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(0);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '150');
+
+              // 140 -> 250
+              await mining.reappraiseMission(1, { from:dave });
+              assert.equal(await mining.totalMiningPower(), '680');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(alice);
+              assert.equal(user.miningPower, '400');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(1);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, alice);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '250');
+
+              // 180 -> 1240
+              await mining.reappraiseMission(2, { from:carol });
+              assert.equal(await mining.totalMiningPower(), '1740');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1340');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(2);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '0');
+              assert.equal(mission.miningPower, '1240');
+
+              // 100 -> 80
+              await mining.reappraiseMission(3, { from:carol });
+              assert.equal(await mining.totalMiningPower(), '1720');
+              assert.equal(await mining.missionCount(), '4');
+              assert.equal(await mining.stakedMissionCount(), '4');
+              assert.equal(await mining.stakedMissions(0), '0');
+              assert.equal(await mining.stakedMissions(1), '1');
+              assert.equal(await mining.stakedMissions(2), '2');
+              assert.equal(await mining.stakedMissions(3), '3');
+              assert.equal(await mining.userMissionCount(alice), '2');
+              assert.equal(await mining.userMissionCount(carol), '2');
+              assert.equal(await mining.userMissions(alice, 0), '0');
+              assert.equal(await mining.userMissions(alice, 1), '1');
+              assert.equal(await mining.userMissions(carol, 0), '2');
+              assert.equal(await mining.userMissions(carol, 1), '3');
+
+              user = await mining.userInfo(carol);
+              assert.equal(user.miningPower, '1320');
+              assert.equal(user.released, '0');
+
+              mission = await mining.missionInfo(3);
+              assert.equal(mission.staked, true);
+              assert.equal(mission.user, carol);
+              assert.equal(mission.userMissionsIndex, '1');
+              assert.equal(mission.miningPower, '80');
+            });
+
+            it('does not affect already-mined rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1720, alice: 400, carol: 1320
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1720, alice: 400, carol: 1320
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
+            });
+
+            it('affects rewards mined after reappraisal', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              // total: 1720, alice: 400, carol: 1320
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await faucet.addOwed(mining.address, 1720);
+              assert.equal(await mining.totalMined(), '2760');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '1880');
+            });
+
+            it('affects rewards accumulating during "pause" after pause ends', async () => {
+              const { mining, lander, landingSite, payload, faucet } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.pause({ from:manager });
+              await faucet.addOwed(mining.address, 1720);
+              // no effect on reported mining
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
+
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '480');
+              assert.equal(await mining.releasable(carol), '560');
+
+              await mining.unpause({ from:manager });
+              assert.equal(await mining.totalMined(), '2760');
+              assert.equal(await mining.releasable(alice), '880');
+              assert.equal(await mining.releasable(carol), '1880');
+            });
+
+            it('does not affect already-released rewards', async () => {
+              const { mining, lander, landingSite, payload, faucet, token } = this;
+
+              // total: 520, alice: 240, carol; 280
+              await faucet.setOwed(mining.address, 1040);
+              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
+              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              assert.equal(await token.balanceOf(alice), '400');
+              assert.equal(await token.balanceOf(carol), '500');
+
+              // reappraise
+              await mining.reappraiseMission(0, { from:alice });
+              await mining.reappraiseMission(1, { from:dave });
+              await mining.reappraiseMission(2, { from:carol });
+              await mining.reappraiseMission(3, { from:carol });
 
-            res = await mining.reappraiseMission(0, { from:alice });
-            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-              missionId: '0',
-              to: alice,
-              previousMiningPower: '100',
-              miningPower: '100'
+              // total: 1720, alice: 250, carol: 1320
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '80');
+              assert.equal(await mining.releasable(carol), '60');
+              await mining.release(alice, alice, { from:alice });
+              await mining.release(carol, carol, { from:carol });
+              assert.equal(await mining.totalMined(), '1040');
+              assert.equal(await mining.releasable(alice), '0');
+              assert.equal(await mining.releasable(carol), '0');
+              assert.equal(await token.balanceOf(alice), '480');
+              assert.equal(await token.balanceOf(carol), '560');
             });
 
-            res = await mining.reappraiseMission(1, { from:dave });
-            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-              missionId: '1',
-              to: alice,
-              previousMiningPower: '140',
-              miningPower: '140'
-            });
+            it('emits "MissionAppraised" event', async () => {
+              const { mining, lander, landingSite, payload } = this;
+              let res;
 
-            res = await mining.reappraiseMission(2, { from:carol });
-            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-              missionId: '2',
-              to: carol,
-              previousMiningPower: '180',
-              miningPower: '180'
-            });
+              // 100 -> 150
+              res = await mining.reappraiseMission(0, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '0',
+                to: alice,
+                previousMiningPower: '100',
+                miningPower: '150'
+              });
 
-            res = await mining.reappraiseMission(3, { from:deployer });
-            await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-              missionId: '3',
-              to: carol,
-              previousMiningPower: '100',
-              miningPower: '100'
+              // 140 -> 250
+              res = await mining.reappraiseMission(1, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '1',
+                to: alice,
+                previousMiningPower: '140',
+                miningPower: '250'
+              });
+
+              // 180 -> 1240
+              res = await mining.reappraiseMission(2, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '2',
+                to: carol,
+                previousMiningPower: '180',
+                miningPower: '1240'
+              });
+
+              // 100 -> 80
+              res = await mining.reappraiseMission(3, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '3',
+                to: carol,
+                previousMiningPower: '100',
+                miningPower: '80'
+              });
             });
           });
 
-          context('with updated token appraisals', () => {
+          context('with updated token appraisals and complete checker reporting "yes"', () => {
+            let checker;
+
             beforeEach(async () => {
               const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
 
+              checker = await MockMissionChecker.new();
+
+              await mining.setMissionCompleteChecker(checker.address, { from:manager });
+              await checker.setResult(true);
+
               await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
               await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
               await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
@@ -2110,25 +6311,25 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
 
               await token.mint(faucet.address, 100000000000);
 
-              // mission 0: power 100 -> 150
+              // mission 0: power 100 -> 166 (150)
               // await mining.launchMission([0], [], [], alice, { from:alice });
 
-              // mission 1: power 140 -> 250
+              // mission 1: power 140 -> 277 (250)
               // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
 
-              // mission 2: power 180 -> 1377
+              // mission 2: power 180 -> 1377 (1377)
               // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
 
-              // mission 3:  power 100 -> 80
+              // mission 3:  power 100 -> 88 (80)
               // await mining.launchMission([12], [], [], carol, { from:bob });
             });
 
             it('updates internal state', async () => {
               const { mining, lander, landingSite, payload } = this;
 
-              // 100 -> 150
+              // 100 -> 166 (150)
               await mining.reappraiseMission(0, { from:alice });
-              assert.equal(await mining.totalMiningPower(), '570');
+              assert.equal(await mining.totalMiningPower(), '586');
               assert.equal(await mining.missionCount(), '4');
               assert.equal(await mining.stakedMissionCount(), '4');
               assert.equal(await mining.stakedMissions(0), '0');
@@ -2143,18 +6344,18 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               assert.equal(await mining.userMissions(carol, 1), '3');
 
               user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '290');
+              assert.equal(user.miningPower, '306');
               assert.equal(user.released, '0');
 
               mission = await mining.missionInfo(0);
               assert.equal(mission.staked, true);
               assert.equal(mission.user, alice);
               assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '150');
+              assert.equal(mission.miningPower, '166');
 
-              // 140 -> 250
+              // 140 -> 277 (250)
               await mining.reappraiseMission(1, { from:dave });
-              assert.equal(await mining.totalMiningPower(), '680');
+              assert.equal(await mining.totalMiningPower(), '723');
               assert.equal(await mining.missionCount(), '4');
               assert.equal(await mining.stakedMissionCount(), '4');
               assert.equal(await mining.stakedMissions(0), '0');
@@ -2169,18 +6370,18 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               assert.equal(await mining.userMissions(carol, 1), '3');
 
               user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '400');
+              assert.equal(user.miningPower, '443');
               assert.equal(user.released, '0');
 
               mission = await mining.missionInfo(1);
               assert.equal(mission.staked, true);
               assert.equal(mission.user, alice);
               assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '250');
+              assert.equal(mission.miningPower, '277');
 
               // 180 -> 1377
               await mining.reappraiseMission(2, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1877');
+              assert.equal(await mining.totalMiningPower(), '1920');
               assert.equal(await mining.missionCount(), '4');
               assert.equal(await mining.stakedMissionCount(), '4');
               assert.equal(await mining.stakedMissions(0), '0');
@@ -2204,9 +6405,9 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               assert.equal(mission.userMissionsIndex, '0');
               assert.equal(mission.miningPower, '1377');
 
-              // 100 -> 80
+              // 100 -> 88 (80)
               await mining.reappraiseMission(3, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1857');
+              assert.equal(await mining.totalMiningPower(), '1908');
               assert.equal(await mining.missionCount(), '4');
               assert.equal(await mining.stakedMissionCount(), '4');
               assert.equal(await mining.stakedMissions(0), '0');
@@ -2221,14 +6422,14 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               assert.equal(await mining.userMissions(carol, 1), '3');
 
               user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1457');
+              assert.equal(user.miningPower, '1465');
               assert.equal(user.released, '0');
 
               mission = await mining.missionInfo(3);
               assert.equal(mission.staked, true);
               assert.equal(mission.user, carol);
               assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '80');
+              assert.equal(mission.miningPower, '88');
             });
 
             it('does not affect already-mined rewards', async () => {
@@ -2246,7 +6447,7 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               await mining.reappraiseMission(2, { from:carol });
               await mining.reappraiseMission(3, { from:carol });
 
-              // total: 1857, alice: 400, carol: 1457
+              // total: 1720, alice: 400, carol: 1320
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '480');
               assert.equal(await mining.releasable(carol), '560');
@@ -2271,7 +6472,7 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               await mining.reappraiseMission(2, { from:carol });
               await mining.reappraiseMission(3, { from:carol });
 
-              // total: 1857, alice: 400, carol: 1457
+              // total: 1720, alice: 400, carol: 1320
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '80');
               assert.equal(await mining.releasable(carol), '60');
@@ -2299,15 +6500,15 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               await mining.reappraiseMission(2, { from:carol });
               await mining.reappraiseMission(3, { from:carol });
 
-              // total: 1857, alice: 400, carol: 1457
+              // total: 1908, alice: 443, carol: 1465
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '480');
               assert.equal(await mining.releasable(carol), '560');
 
-              await faucet.addOwed(mining.address, 1857);
-              assert.equal(await mining.totalMined(), '2897');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '2017');
+              await faucet.addOwed(mining.address, 1908);
+              assert.equal(await mining.totalMined(), '2948');
+              assert.equal(await mining.releasable(alice), '923');
+              assert.equal(await mining.releasable(carol), '2025');
             });
 
             it('affects rewards accumulating during "pause" after pause ends', async () => {
@@ -2320,7 +6521,7 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               assert.equal(await mining.releasable(carol), '560');
 
               await mining.pause({ from:manager });
-              await faucet.addOwed(mining.address, 1857);
+              await faucet.addOwed(mining.address, 1908);
               // no effect on reported mining
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '480');
@@ -2332,14 +6533,15 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               await mining.reappraiseMission(2, { from:carol });
               await mining.reappraiseMission(3, { from:carol });
 
+              // total: 1908, alice: 443, carol: 1465
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '480');
               assert.equal(await mining.releasable(carol), '560');
 
               await mining.unpause({ from:manager });
-              assert.equal(await mining.totalMined(), '2897');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '2017');
+              assert.equal(await mining.totalMined(), '2948');
+              assert.equal(await mining.releasable(alice), '923');
+              assert.equal(await mining.releasable(carol), '2025');
             });
 
             it('does not affect already-released rewards', async () => {
@@ -2361,7 +6563,7 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               await mining.reappraiseMission(2, { from:carol });
               await mining.reappraiseMission(3, { from:carol });
 
-              // total: 1857, alice: 250, carol: 1457
+              // total: 1908, alice: 443, carol: 1465
               assert.equal(await mining.totalMined(), '1040');
               assert.equal(await mining.releasable(alice), '80');
               assert.equal(await mining.releasable(carol), '60');
@@ -2380,33 +6582,202 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
 
               // 100 -> 150
               res = await mining.reappraiseMission(0, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '0',
+                to: alice,
+                previousMiningPower: '100',
+                miningPower: '166'
+              });
+
+              // 140 -> 250
+              res = await mining.reappraiseMission(1, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '1',
+                to: alice,
+                previousMiningPower: '140',
+                miningPower: '277'
+              });
+
+              // 180 -> 1240
+              res = await mining.reappraiseMission(2, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '2',
+                to: carol,
+                previousMiningPower: '180',
+                miningPower: '1377'
+              });
+
+              // 100 -> 80
+              res = await mining.reappraiseMission(3, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
+                missionId: '3',
+                to: carol,
+                previousMiningPower: '100',
+                miningPower: '88'
+              });
+            });
+          });
+        });
+
+        context('reappraiseMissions / reappraiseUser / staleMissions', () => {
+          beforeEach(async () => {
+            const { mining, lander, landingSite, payload } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+          });
+
+          it('reports no stale missions when appraisals are unchanged', async () => {
+            const { mining } = this;
+
+            res = await mining.staleMissions(0, 10);
+            assert.equal(res.missionIds.length, 0);
+            assert.equal(res.miningPowers.length, 0);
+            assert.equal(res.appraisals.length, 0);
+
+            assert.equal(await mining.missionAppraisal(0), '100');
+            assert.equal(await mining.missionAppraisal(2), '180');
+          });
+
+          it('reappraiseMissions reverts for unstaked mission', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.reappraiseMissions([0, 4], { from:dave }),
+              "Panic: Index out of bounds."
+            );
+
+            await mining.recallMission(0, alice, { from:alice });
+            await expectRevert(
+              mining.reappraiseMissions([1, 0], { from:dave }),
+              "IMSMM: mission not staked"
+            );
+          });
+
+          context('with updated token appraisals', () => {
+            beforeEach(async () => {
+              const { lander, landingSite, payload, appraiser, mining } = this;
+
+              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
+              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
+              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+
+              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
+              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
+              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+
+              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+
+              // mission 0: power 100 -> 150
+              // mission 1: power 140 -> 250
+              // mission 2: power 180 -> 1377
+              // mission 3: power 100 -> 80
+            });
+
+            it('missionAppraisal reports fresh appraisals', async () => {
+              const { mining } = this;
+
+              assert.equal(await mining.missionAppraisal(0), '150');
+              assert.equal(await mining.missionAppraisal(1), '250');
+              assert.equal(await mining.missionAppraisal(2), '1377');
+              assert.equal(await mining.missionAppraisal(3), '80');
+
+              await mining.recallMission(0, alice, { from:alice });
+              assert.equal(await mining.missionAppraisal(0), '0');
+            });
+
+            it('staleMissions reports stale missions', async () => {
+              const { mining } = this;
+
+              res = await mining.staleMissions(0, 10);
+              assert.deepEqual(res.missionIds.map(String), ['0', '1', '2', '3']);
+              assert.deepEqual(res.miningPowers.map(String), ['100', '140', '180', '100']);
+              assert.deepEqual(res.appraisals.map(String), ['150', '250', '1377', '80']);
+
+              res = await mining.staleMissions(1, 2);
+              assert.deepEqual(res.missionIds.map(String), ['1', '2']);
+              assert.deepEqual(res.miningPowers.map(String), ['140', '180']);
+              assert.deepEqual(res.appraisals.map(String), ['250', '1377']);
+
+              res = await mining.staleMissions(3, 10);
+              assert.deepEqual(res.missionIds.map(String), ['3']);
+
+              res = await mining.staleMissions(4, 10);
+              assert.equal(res.missionIds.length, 0);
+            });
+
+            it('reappraiseMissions updates internal state', async () => {
+              const { mining } = this;
+
+              res = await mining.reappraiseMissions.call([0, 2], { from:dave });
+              assert.deepEqual(res.map(String), ['150', '1377']);
+
+              await mining.reappraiseMissions([0, 2], { from:dave });
+              assert.equal(await mining.totalMiningPower(), '1767');
+              assert.equal((await mining.userInfo(alice)).miningPower, '290');
+              assert.equal((await mining.userInfo(carol)).miningPower, '1477');
+              assert.equal((await mining.missionInfo(0)).miningPower, '150');
+              assert.equal((await mining.missionInfo(1)).miningPower, '140');
+              assert.equal((await mining.missionInfo(2)).miningPower, '1377');
+              assert.equal((await mining.missionInfo(3)).miningPower, '100');
+
+              res = await mining.staleMissions(0, 10);
+              assert.deepEqual(res.missionIds.map(String), ['1', '3']);
+            });
+
+            it('reappraiseMissions emits "MissionAppraised" events', async () => {
+              const { mining } = this;
+
+              res = await mining.reappraiseMissions([0, 2], { from:dave });
               await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
                 missionId: '0',
                 to: alice,
                 previousMiningPower: '100',
                 miningPower: '150'
               });
-
-              // 140 -> 250
-              res = await mining.reappraiseMission(1, { from:dave });
               await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '1',
-                to: alice,
-                previousMiningPower: '140',
-                miningPower: '250'
+                missionId: '2',
+                to: carol,
+                previousMiningPower: '180',
+                miningPower: '1377'
               });
+            });
 
-              // 180 -> 1377
-              res = await mining.reappraiseMission(2, { from:carol });
+            it('reappraiseUser updates internal state', async () => {
+              const { mining } = this;
+
+              assert.equal(await mining.reappraiseUser.call(carol, { from:dave }), '1457');
+              assert.equal(await mining.reappraiseUser.call(bob, { from:dave }), '0');
+
+              await mining.reappraiseUser(carol, { from:dave });
+              assert.equal(await mining.totalMiningPower(), '1697');
+              assert.equal((await mining.userInfo(alice)).miningPower, '240');
+              assert.equal((await mining.userInfo(carol)).miningPower, '1457');
+              assert.equal((await mining.missionInfo(2)).miningPower, '1377');
+              assert.equal((await mining.missionInfo(3)).miningPower, '80');
+
+              res = await mining.staleMissions(0, 10);
+              assert.deepEqual(res.missionIds.map(String), ['0', '1']);
+
+              await mining.reappraiseUser(alice, { from:alice });
+              res = await mining.staleMissions(0, 10);
+              assert.equal(res.missionIds.length, 0);
+              assert.equal(await mining.totalMiningPower(), '1857');
+            });
+
+            it('reappraiseUser emits "MissionAppraised" events', async () => {
+              const { mining } = this;
+
+              res = await mining.reappraiseUser(carol, { from:dave });
               await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
                 missionId: '2',
                 to: carol,
                 previousMiningPower: '180',
                 miningPower: '1377'
               });
-
-              // 100 -> 80
-              res = await mining.reappraiseMission(3, { from:carol });
               await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
                 missionId: '3',
                 to: carol,
@@ -2415,1005 +6786,1309 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
               });
             });
           });
+        });
 
-          context('with updated token appraisals and complete checker reporting accurately', () => {
-            let checker;
+        context('getMissions / getUserMissions / getStakedMissions', () => {
+          const MAX_UINT256 = web3.utils.toTwosComplement('-1');
+
+          beforeEach(async () => {
+            const { mining, landingSite, faucet, token } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            await mining.launchMission([12], [], [], carol, { from:bob });
+
+            // alice 240, carol 280
+            await token.mint(faucet.address, 100000000000);
+            await faucet.setOwed(mining.address, '520');
+          });
+
+          it('getMissions reports full mission state', async () => {
+            const { mining } = this;
+
+            const info = await mining.missionInfo(2);
+            const missions = await mining.getMissions([2, 0]);
+            assert.equal(missions.length, 2);
+
+            assert.equal(missions[0].missionId, '2');
+            assert.equal(missions[0].user, carol);
+            assert.equal(missions[0].miningPower, '180');
+            assert.deepEqual(missions[0].components, [['10'], ['15'], ['12', '14', '16']]);
+            assert.deepEqual(missions[0].amounts, [[], [], []]);
+            assert.equal(missions[0].staked, true);
+            assert.equal(missions[0].stakedBlock, info.stakedBlock.toString());
+            assert.equal(missions[0].stakedTime, info.stakedTime.toString());
+            assert.equal(missions[0].unstakedBlock, '0');
+            assert.equal(missions[0].unstakedTime, '0');
+            assert.equal(missions[0].boostTier, '0');
+            assert.equal(missions[0].unlockTime, info.stakedTime.toString());
+            assert.equal(missions[0].userReleasable, '280');
+
+            assert.equal(missions[1].missionId, '0');
+            assert.equal(missions[1].user, alice);
+            assert.equal(missions[1].miningPower, '100');
+            assert.deepEqual(missions[1].components, [['0'], [], []]);
+            assert.equal(missions[1].userReleasable, '240');
+
+            await expectRevert.unspecified(mining.getMissions([4]));
+          });
+
+          it('getUserMissions reports pages of user missions', async () => {
+            const { mining } = this;
+
+            let missions = await mining.getUserMissions(alice, 0, 10);
+            assert.deepEqual(missions.map(m => m.missionId), ['0', '1']);
+            assert.deepEqual(missions.map(m => m.userReleasable), ['240', '240']);
+
+            missions = await mining.getUserMissions(carol, 1, 1);
+            assert.deepEqual(missions.map(m => m.missionId), ['3']);
+
+            missions = await mining.getUserMissions(carol, 0, MAX_UINT256);
+            assert.deepEqual(missions.map(m => m.missionId), ['2', '3']);
+
+            assert.equal((await mining.getUserMissions(carol, 2, 10)).length, 0);
+            assert.equal((await mining.getUserMissions(carol, 0, 0)).length, 0);
+            assert.equal((await mining.getUserMissions(bob, 0, 10)).length, 0);
+          });
+
+          it('getStakedMissions reports pages of staked missions', async () => {
+            const { mining } = this;
+
+            let missions = await mining.getStakedMissions(0, 10);
+            assert.deepEqual(missions.map(m => m.missionId), ['0', '1', '2', '3']);
+
+            missions = await mining.getStakedMissions(1, 2);
+            assert.deepEqual(missions.map(m => m.missionId), ['1', '2']);
+            assert.deepEqual(missions.map(m => m.miningPower), ['140', '180']);
+
+            missions = await mining.getStakedMissions(3, MAX_UINT256);
+            assert.deepEqual(missions.map(m => m.missionId), ['3']);
+
+            assert.equal((await mining.getStakedMissions(4, 10)).length, 0);
+          });
+
+          it('records recalled mission history', async () => {
+            const { mining } = this;
+
+            assert.equal(await mining.userRecalledMissionCount(alice), '0');
+            assert.equal((await mining.getUserRecalledMissions(alice, 0, 10)).length, 0);
+
+            await mining.recallMission(2, carol, { from:carol });
+            await mining.recallMission(0, alice, { from:alice });
+            await mining.recallMission(3, dave, { from:carol });
+
+            assert.equal(await mining.userRecalledMissionCount(alice), '1');
+            assert.equal(await mining.userRecalledMissionCount(carol), '2');
+            assert.equal(await mining.userRecalledMissionCount(dave), '0');
+            assert.equal(await mining.userRecalledMissions(alice, 0), '0');
+            assert.equal(await mining.userRecalledMissions(carol, 0), '2');
+            assert.equal(await mining.userRecalledMissions(carol, 1), '3');
+
+            let missions = await mining.getUserRecalledMissions(carol, 0, 10);
+            assert.deepEqual(missions.map(m => m.missionId), ['2', '3']);
+            assert.deepEqual(missions.map(m => m.staked), [false, false]);
+            assert.deepEqual(missions.map(m => m.miningPower), ['180', '100']);
+            assert.deepEqual(missions[0].components[2], ['12', '14', '16']);
+            assert.notEqual(missions[0].unstakedTime, '0');
+            assert.notEqual(missions[1].unstakedBlock, '0');
+
+            missions = await mining.getUserRecalledMissions(carol, 1, 10);
+            assert.deepEqual(missions.map(m => m.missionId), ['3']);
+
+            assert.equal((await mining.getUserMissions(carol, 0, 10)).length, 0);
+            assert.deepEqual((await mining.getStakedMissions(0, 10)).map(m => m.missionId), ['1']);
+          });
+        });
+
+        context('reward streams', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, token, faucet } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+
+            this.token2 = await MockERC20.new("Mock Token 2", "MT2", 0);
+            this.faucet2 = await MockERC20Faucet.new(this.token2.address);
+            await this.token2.mint(this.faucet2.address, 100000000000);
+            await token.mint(faucet.address, 100000000000);
+          });
+
+          it('addRewardStream reverts for non-manager', async () => {
+            const { mining, faucet2 } = this;
+
+            await expectRevert(
+              mining.addRewardStream(faucet2.address, { from:alice }),
+              "IMSMM: !auth"
+            );
+          });
+
+          it('addRewardStream reverts for primary token', async () => {
+            const { mining, token } = this;
+
+            const faucet3 = await MockERC20Faucet.new(token.address);
+            await expectRevert(
+              mining.addRewardStream(faucet3.address, { from:manager }),
+              "IMSMM: primary token"
+            );
+          });
+
+          it('addRewardStream reverts beyond MAX_REWARD_STREAMS', async () => {
+            const { mining, faucet2 } = this;
+
+            assert.equal(await mining.MAX_REWARD_STREAMS(), '8');
+            for (let i = 0; i < 8; i++) {
+              await mining.addRewardStream(faucet2.address, { from:manager });
+            }
+            assert.equal(await mining.rewardStreamCount(), '8');
+
+            await expectRevert(
+              mining.addRewardStream(faucet2.address, { from:manager }),
+              "IMSMM: too many reward streams"
+            );
+          });
+
+          it('addRewardStream sets state', async () => {
+            const { mining, token2, faucet2 } = this;
+
+            assert.equal(await mining.rewardStreamCount(), '0');
+            await mining.addRewardStream(faucet2.address, { from:manager });
+            assert.equal(await mining.rewardStreamCount(), '1');
+
+            const stream = await mining.rewardStreams(0);
+            assert.equal(stream.token, token2.address);
+            assert.equal(stream.faucet, faucet2.address);
+            assert.equal(stream.accRewardPerMP, '0');
+            assert.equal(stream.totalMined, '0');
+            assert.equal(stream.totalReleased, '0');
+          });
+
+          it('addRewardStream emits "RewardStreamAdded" event', async () => {
+            const { mining, token2, faucet2 } = this;
+
+            const res = await mining.addRewardStream(faucet2.address, { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "RewardStreamAdded", {
+              streamId: '0',
+              token: token2.address,
+              faucet: faucet2.address
+            });
+          });
 
+          context('with a reward stream', () => {
             beforeEach(async () => {
-              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
+              const { mining, faucet2 } = this;
 
-              checker = await MockMissionChecker.new();
+              await mining.addRewardStream(faucet2.address, { from:manager });
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            });
 
-              await mining.setMissionCompleteChecker(checker.address, { from:manager });
+            it('mines stream rewards in proportion to mining power', async () => {
+              const { mining, faucet2 } = this;
 
-              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
-              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
-              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+              // alice 100, carol 180
+              await faucet2.setOwed(mining.address, '280');
+              assert.equal(await mining.streamReleasable(0, alice), '100');
+              assert.equal(await mining.streamReleasable(0, carol), '180');
+              assert.equal(await mining.releasable(alice), '0');
 
-              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
-              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
-              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+              // alice 240, carol 180
+              await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              await faucet2.setOwed(mining.address, '420');
+              assert.equal(await mining.streamReleasable(0, alice), '340');
+              assert.equal(await mining.streamReleasable(0, carol), '360');
+
+              // alice 240
+              await mining.recallMission(1, carol, { from:carol });
+              await faucet2.setOwed(mining.address, '480');
+              assert.equal(await mining.streamReleasable(0, alice), '820');
+              assert.equal(await mining.streamReleasable(0, carol), '360');
+
+              // alice 140, dave 100
+              await mining.transferMission(0, dave, { from:alice });
+              await faucet2.setOwed(mining.address, '240');
+              assert.equal(await mining.streamReleasable(0, alice), '960');
+              assert.equal(await mining.streamReleasable(0, carol), '360');
+              assert.equal(await mining.streamReleasable(0, dave), '100');
+
+              await mining.update();
+              assert.equal(await mining.streamReleasable(0, alice), '960');
+              assert.equal(await mining.streamReleasable(0, dave), '100');
+              assert.equal((await mining.rewardStreams(0)).totalMined, '1420');
+              assert.equal(await mining.releasable(alice), '0');
+            });
 
-              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+            it('adjusts stream rewards for reappraisal', async () => {
+              const { mining, faucet2, appraiser, lander } = this;
 
-              await token.mint(faucet.address, 100000000000);
+              await faucet2.setOwed(mining.address, '280');
+              await appraiser.setAppraisals(lander.address, [0], [150], { from:deployer });
 
-              // mission 0: power 100 -> 150
-              // await mining.launchMission([0], [], [], alice, { from:alice });
+              // alice 150, carol 180
+              await mining.reappraiseMission(0, { from:dave });
+              await faucet2.setOwed(mining.address, '330');
+              assert.equal(await mining.streamReleasable(0, alice), '250');
+              assert.equal(await mining.streamReleasable(0, carol), '360');
+            });
 
-              // mission 1: power 140 -> 250
-              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            it('does not mine stream rewards while paused', async () => {
+              const { mining, faucet2 } = this;
 
-              // mission 2: power 180 -> 1377
-              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await mining.pause({ from:manager });
+              await faucet2.setOwed(mining.address, '280');
+              assert.equal(await mining.streamReleasable(0, alice), '0');
+              await mining.update();
+              assert.equal((await mining.rewardStreams(0)).totalMined, '0');
 
-              // mission 3:  power 100 -> 80
-              // await mining.launchMission([12], [], [], carol, { from:bob });
+              await mining.unpause({ from:manager });
+              assert.equal(await mining.streamReleasable(0, alice), '100');
+              assert.equal(await mining.streamReleasable(0, carol), '180');
             });
 
-            it('updates internal state', async () => {
-              const { mining, lander, landingSite, payload } = this;
+            it('does not mine stream rewards without miners', async () => {
+              const { mining, faucet2 } = this;
 
-              // 100 -> 150
-              await mining.reappraiseMission(0, { from:alice });
-              assert.equal(await mining.totalMiningPower(), '570');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+              await mining.recallMission(0, alice, { from:alice });
+              await mining.recallMission(1, carol, { from:carol });
+              await faucet2.setOwed(mining.address, '280');
+              await mining.update();
+              assert.equal((await mining.rewardStreams(0)).totalMined, '0');
+              assert.equal(await faucet2.releasable(mining.address), '280');
+            });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '290');
-              assert.equal(user.released, '0');
+            it('releaseStream transfers stream rewards', async () => {
+              const { mining, faucet2, token, token2 } = this;
 
-              mission = await mining.missionInfo(0);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '150');
+              await faucet2.setOwed(mining.address, '280');
+              await mining.methods['releaseStream(uint256,address,address)'](0, alice, bob, { from:alice });
+              assert.equal(await token2.balanceOf(bob), '100');
+              assert.equal(await token.balanceOf(bob), '0');
+              assert.equal(await mining.streamReleased(0, alice), '100');
+              assert.equal(await mining.streamReleasable(0, alice), '0');
+              assert.equal(await mining.streamReleasable(0, carol), '180');
 
-              // 140 -> 250
-              await mining.reappraiseMission(1, { from:dave });
-              assert.equal(await mining.totalMiningPower(), '680');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+              const stream = await mining.rewardStreams(0);
+              assert.equal(stream.totalMined, '280');
+              assert.equal(stream.totalReleased, '100');
+            });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '400');
-              assert.equal(user.released, '0');
+            it('releaseStream emits "StreamReleased" event', async () => {
+              const { mining, faucet2 } = this;
 
-              mission = await mining.missionInfo(1);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '250');
+              await faucet2.setOwed(mining.address, '280');
+              const res = await mining.methods['releaseStream(uint256,address,address)'](0, carol, dave, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "StreamReleased", {
+                streamId: '0',
+                from: carol,
+                to: dave,
+                amount: '180'
+              });
+            });
 
-              // 180 -> 1377
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              assert.equal(await mining.totalMiningPower(), '1877');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            it('releaseStream releases partial amounts', async () => {
+              const { mining, faucet2, token2 } = this;
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1477');
-              assert.equal(user.released, '0');
+              await faucet2.setOwed(mining.address, '280');
+              await mining.methods['releaseStream(uint256,address,address,uint256)'](0, alice, bob, 60, { from:alice });
+              assert.equal(await token2.balanceOf(bob), '60');
+              assert.equal(await mining.streamReleasable(0, alice), '40');
 
-              mission = await mining.missionInfo(2);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '1377');
+              await expectRevert(
+                mining.methods['releaseStream(uint256,address,address,uint256)'](0, alice, bob, 41, { from:alice }),
+                "IMSMM: amount > releasable"
+              );
+            });
 
-              // 100 -> 80
-              await mining.reappraiseMission(3, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1857');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            it('releaseStream respects release operators', async () => {
+              const { mining, faucet2, token2 } = this;
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1457');
-              assert.equal(user.released, '0');
+              await faucet2.setOwed(mining.address, '280');
+              await expectRevert(
+                mining.methods['releaseStream(uint256,address,address)'](0, alice, bob, { from:bob }),
+                "IMSMM: !auth"
+              );
 
-              mission = await mining.missionInfo(3);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '80');
+              await mining.setReleaseOperator(bob, true, { from:alice });
+              await mining.methods['releaseStream(uint256,address,address)'](0, alice, bob, { from:bob });
+              assert.equal(await token2.balanceOf(bob), '100');
             });
+          });
+        });
 
-            it('does not affect already-mined rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+        context('seasons', () => {
+          const blockTime = async (res) => {
+            return (await web3.eth.getBlock(res.receipt.blockNumber)).timestamp;
+          }
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+          beforeEach(async () => {
+            const { mining, landingSite, token } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
+            await token.mint(mining.address, 10000);
+          });
+
+          it('openSeason reverts for non-manager', async () => {
+            const { mining } = this;
+            const start = (await time.latest()).addn(100);
+
+            await expectRevert(
+              mining.openSeason(start, start.addn(1000), 1000, { from:alice }),
+              "IMSMM: !auth"
+            );
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await mining.reappraiseMission(3, { from:carol });
+          it('openSeason reverts for invalid schedule', async () => {
+            const { mining } = this;
+            const now = await time.latest();
+            const start = now.addn(100);
 
-              // total: 1857, alice: 400, carol: 1457
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
-            });
+            await expectRevert(
+              mining.openSeason(now.subn(1), start, 1000, { from:manager }),
+              "IMSMM: season starts in past"
+            );
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+            await expectRevert(
+              mining.openSeason(start, start, 1000, { from:manager }),
+              "IMSMM: season ends before start"
+            );
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+            await mining.openSeason(start, start.addn(1000), 1000, { from:manager });
+            await expectRevert(
+              mining.openSeason(start.addn(999), start.addn(2000), 1000, { from:manager }),
+              "IMSMM: seasons overlap"
+            );
+            await mining.openSeason(start.addn(1000), start.addn(2000), 1000, { from:manager });
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await mining.reappraiseMission(3, { from:carol });
+          it('openSeason reverts for bonus pool > excess', async () => {
+            const { mining } = this;
+            const start = (await time.latest()).addn(100);
 
-              // total: 1857, alice: 400, carol: 1457
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
-            });
+            await expectRevert(
+              mining.openSeason(start, start.addn(1000), 10001, { from:manager }),
+              "IMSMM: bonus pool > excess"
+            );
 
-            it('affects rewards mined after reappraisal', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            await mining.openSeason(start, start.addn(1000), 6000, { from:manager });
+            await expectRevert(
+              mining.openSeason(start.addn(1000), start.addn(2000), 4001, { from:manager }),
+              "IMSMM: bonus pool > excess"
+            );
+          });
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+          it('openSeason sets state and reserves the bonus pool', async () => {
+            const { mining, token } = this;
+            const start = (await time.latest()).addn(100);
+
+            assert.equal(await mining.seasonCount(), '0');
+            const res = await mining.openSeason(start, start.addn(1000), 6000, { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "SeasonOpened", {
+              seasonId: '0',
+              startTime: start,
+              endTime: start.addn(1000),
+              bonusPool: '6000'
+            });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await mining.reappraiseMission(3, { from:carol });
+            assert.equal(await mining.seasonCount(), '1');
+            const season = await mining.seasons(0);
+            assert.equal(season.startTime, start.toString());
+            assert.equal(season.endTime, start.addn(1000).toString());
+            assert.equal(season.bonusPool, '6000');
+            assert.equal(season.totalPowerSeconds, '0');
+            assert.equal(season.claimed, '0');
 
-              // total: 1857, alice: 400, carol: 1457
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.transferExcess(dave, { from:manager });
+            assert.equal(await token.balanceOf(dave), '4000');
+            assert.equal(await token.balanceOf(mining.address), '6000');
+          });
 
-              await faucet.addOwed(mining.address, 1857);
-              assert.equal(await mining.totalMined(), '2897');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '2017');
+          context('with a season', () => {
+            let start, end;
+
+            beforeEach(async () => {
+              const { mining } = this;
+              start = (await time.latest()).addn(100);
+              end = start.addn(1000);
+              await mining.openSeason(start, end, 6000, { from:manager });
             });
 
-            it('affects rewards accumulating during "pause" after pause ends', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            it('accrues power-seconds only during the season', async () => {
+              const { mining } = this;
+              let res, launched, recalled;
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+              // alice 100 throughout
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              assert.equal((await mining.seasonUserInfo(0, alice)).powerSeconds, '0');
 
-              await mining.pause({ from:manager });
-              await faucet.addOwed(mining.address, 1857);
-              // no effect on reported mining
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+              // carol 180 from launch
+              await time.increaseTo(start.addn(400));
+              res = await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              launched = await blockTime(res);
+
+              // bob 110 from launch to recall
+              res = await mining.launchMission([11], [], [13], bob, { from:bob });
+              const bobLaunched = await blockTime(res);
+              await time.increaseTo(start.addn(700));
+              res = await mining.recallMission(2, bob, { from:bob });
+              recalled = await blockTime(res);
+
+              await time.increaseTo(end.addn(100));
+              await mining.launchMission([1], [], [], alice, { from:alice });
+
+              const alicePS = 100 * 1000;
+              const carolPS = 180 * (end.toNumber() - launched);
+              const bobPS = 110 * (recalled - bobLaunched);
+              const totalPS = alicePS + carolPS + bobPS;
+
+              let info = await mining.seasonUserInfo(0, alice);
+              assert.equal(info.powerSeconds, `${alicePS}`);
+              assert.equal(info.reward, `${Math.floor(6000 * alicePS / totalPS)}`);
+              assert.equal(info.claimed, false);
+              info = await mining.seasonUserInfo(0, carol);
+              assert.equal(info.powerSeconds, `${carolPS}`);
+              assert.equal(info.reward, `${Math.floor(6000 * carolPS / totalPS)}`);
+              info = await mining.seasonUserInfo(0, bob);
+              assert.equal(info.powerSeconds, `${bobPS}`);
+              assert.equal(info.reward, `${Math.floor(6000 * bobPS / totalPS)}`);
+              assert.equal((await mining.seasonUserInfo(0, dave)).powerSeconds, '0');
+              assert.equal((await mining.seasons(0)).totalPowerSeconds, `${totalPS}`);
+            });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await mining.reappraiseMission(3, { from:carol });
+            it('getSeasonStandings reports users in order of first launch', async () => {
+              const { mining } = this;
 
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await time.increaseTo(end);
+              await mining.recallMission(0, alice, { from:alice });
 
-              await mining.unpause({ from:manager });
-              assert.equal(await mining.totalMined(), '2897');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '2017');
+              assert.equal(await mining.minerCount(), '2');
+              let standings = await mining.getSeasonStandings(0, 0, 10);
+              assert.equal(standings.length, 2);
+              assert.equal(standings[0].user, alice);
+              assert.equal(standings[0].powerSeconds, `${100 * 1000}`);
+              assert.equal(standings[0].reward, `${Math.floor(6000 * 100 / 280)}`);
+              assert.equal(standings[0].claimed, false);
+              assert.equal(standings[1].user, carol);
+              assert.equal(standings[1].powerSeconds, `${180 * 1000}`);
+              assert.equal(standings[1].reward, `${Math.floor(6000 * 180 / 280)}`);
+
+              standings = await mining.getSeasonStandings(0, 1, 10);
+              assert.equal(standings.length, 1);
+              assert.equal(standings[0].user, carol);
+              assert.equal((await mining.getSeasonStandings(0, 2, 10)).length, 0);
             });
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+            it('claimSeasonReward reverts before the season ends', async () => {
+              const { mining } = this;
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await time.increaseTo(start.addn(500));
+              await expectRevert(
+                mining.claimSeasonReward(0, alice, alice, { from:alice }),
+                "IMSMM: season not ended"
+              );
+            });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await checker.setResult(true);
-              await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await mining.reappraiseMission(3, { from:carol });
+            it('claimSeasonReward reverts for non-user', async () => {
+              const { mining } = this;
 
-              // total: 1857, alice: 250, carol: 1457
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await time.increaseTo(end);
+              await expectRevert(
+                mining.claimSeasonReward(0, alice, bob, { from:bob }),
+                "IMSMM: !auth"
+              );
             });
 
-            it('emits "MissionAppraised" event', async () => {
-              const { mining, lander, landingSite, payload } = this;
+            it('claimSeasonReward transfers each user\'s share once', async () => {
+              const { mining, token } = this;
               let res;
 
-              // 100 -> 150
-              res = await mining.reappraiseMission(0, { from:alice });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '0',
-                to: alice,
-                previousMiningPower: '100',
-                miningPower: '150'
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await time.increaseTo(end.addn(10));
+
+              res = await mining.claimSeasonReward(0, alice, dave, { from:alice });
+              await expectEvent.inTransaction(res.tx, mining, "SeasonRewardClaimed", {
+                seasonId: '0',
+                from: alice,
+                to: dave,
+                amount: '2142'
               });
+              assert.equal(await token.balanceOf(dave), '2142');
+              assert.equal((await mining.seasonUserInfo(0, alice)).claimed, true);
 
-              // 140 -> 250
-              res = await mining.reappraiseMission(1, { from:dave });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '1',
-                to: alice,
-                previousMiningPower: '140',
-                miningPower: '250'
-              });
+              await expectRevert(
+                mining.claimSeasonReward(0, alice, alice, { from:alice }),
+                "IMSMM: season reward claimed"
+              );
 
-              // 180 -> 1377
-              await checker.setResult(true);
-              res = await mining.reappraiseMission(2, { from:carol });
-              await checker.setResult(false);
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '2',
+              // mining power changes after the season do not affect it
+              await mining.launchMission([20], [], [], carol, { from:carol });
+              res = await mining.claimSeasonReward(0, carol, carol, { from:carol });
+              await expectEvent.inTransaction(res.tx, mining, "SeasonRewardClaimed", {
+                seasonId: '0',
+                from: carol,
                 to: carol,
-                previousMiningPower: '180',
-                miningPower: '1377'
+                amount: '3857'
               });
-
-              // 100 -> 80
-              res = await mining.reappraiseMission(3, { from:carol });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '3',
-                to: carol,
-                previousMiningPower: '100',
-                miningPower: '80'
+              assert.equal(await token.balanceOf(carol), '3857');
+              assert.equal((await mining.seasons(0)).claimed, '5999');
+
+              // a user who did not mine claims nothing
+              res = await mining.claimSeasonReward(0, dave, dave, { from:dave });
+              await expectEvent.inTransaction(res.tx, mining, "SeasonRewardClaimed", {
+                seasonId: '0',
+                from: dave,
+                to: dave,
+                amount: '0'
               });
-            });
-          });
-
-          context('with updated token appraisals and complete checker reporting "no"', () => {
-            let checker;
-
-            beforeEach(async () => {
-              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
-
-              checker = await MockMissionChecker.new();
-
-              await mining.setMissionCompleteChecker(checker.address, { from:manager });
 
-              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
-              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
-              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+              // rounding remainder stays reserved
+              await mining.transferExcess(bob, { from:manager });
+              assert.equal(await token.balanceOf(bob), '4000');
+            });
 
-              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
-              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
-              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+            it('accrues separately across consecutive seasons', async () => {
+              const { mining } = this;
 
-              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+              await mining.openSeason(end, end.addn(500), 1000, { from:manager });
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await time.increaseTo(end.addn(250));
+              await mining.launchMission([10], [], [], carol, { from:bob });
+              await time.increaseTo(end.addn(600));
+
+              assert.equal((await mining.seasonUserInfo(0, alice)).powerSeconds, `${100 * 1000}`);
+              assert.equal((await mining.seasonUserInfo(0, carol)).powerSeconds, '0');
+              assert.equal((await mining.seasonUserInfo(1, alice)).powerSeconds, `${100 * 500}`);
+              assert.equal((await mining.seasons(0)).totalPowerSeconds, `${100 * 1000}`);
+              assert.equal((await mining.seasonUserInfo(0, alice)).reward, '6000');
+            });
 
-              await token.mint(faucet.address, 100000000000);
+            it('reclaimSeasonPool returns an unmined pool to excess', async () => {
+              const { mining, token } = this;
 
-              // mission 0: power 100 -> 150
-              // await mining.launchMission([0], [], [], alice, { from:alice });
+              await expectRevert(
+                mining.reclaimSeasonPool(0, { from:alice }),
+                "IMSMM: !auth"
+              );
 
-              // mission 1: power 140 -> 250
-              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+              await expectRevert(
+                mining.reclaimSeasonPool(0, { from:manager }),
+                "IMSMM: season not ended"
+              );
 
-              // mission 2: power 180 -> 1240
-              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await time.increaseTo(end);
+              const res = await mining.reclaimSeasonPool(0, { from:manager });
+              await expectEvent.inTransaction(res.tx, mining, "SeasonPoolReclaimed", {
+                seasonId: '0',
+                bonusPool: '6000'
+              });
+              assert.equal((await mining.seasons(0)).bonusPool, '0');
 
-              // mission 3:  power 100 -> 80
-              // await mining.launchMission([12], [], [], carol, { from:bob });
+              await mining.transferExcess(dave, { from:manager });
+              assert.equal(await token.balanceOf(dave), '10000');
             });
 
-            it('updates internal state', async () => {
-              const { mining, lander, landingSite, payload } = this;
+            it('reclaimSeasonPool reverts for a claimable pool', async () => {
+              const { mining } = this;
 
-              // 100 -> 150
-              await mining.reappraiseMission(0, { from:alice });
-              assert.equal(await mining.totalMiningPower(), '570');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await time.increaseTo(end);
+              await expectRevert(
+                mining.reclaimSeasonPool(0, { from:manager }),
+                "IMSMM: season pool claimable"
+              );
+
+              await time.increaseTo(end.add(time.duration.days(90)).subn(10));
+              await expectRevert(
+                mining.reclaimSeasonPool(0, { from:manager }),
+                "IMSMM: season pool claimable"
+              );
+            });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '290');
-              assert.equal(user.released, '0');
+            it('reclaimSeasonPool returns unclaimed shares to excess after the claim period', async () => {
+              const { mining, token } = this;
 
-              mission = await mining.missionInfo(0);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '150');
+              await mining.launchMission([0], [], [], alice, { from:alice });
+              await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+              await time.increaseTo(end.addn(10));
+              await mining.claimSeasonReward(0, alice, alice, { from:alice });
+
+              await time.increaseTo(end.add(time.duration.days(90)));
+              const res = await mining.reclaimSeasonPool(0, { from:manager });
+              await expectEvent.inTransaction(res.tx, mining, "SeasonPoolReclaimed", {
+                seasonId: '0',
+                bonusPool: `${6000 - 2142}`
+              });
+              assert.equal((await mining.seasons(0)).bonusPool, '0');
 
-              // 140 -> 250
-              await mining.reappraiseMission(1, { from:dave });
-              assert.equal(await mining.totalMiningPower(), '680');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+              await expectRevert(
+                mining.reclaimSeasonPool(0, { from:manager }),
+                "IMSMM: season pool claimed"
+              );
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '400');
-              assert.equal(user.released, '0');
+              // later claims receive nothing
+              await mining.claimSeasonReward(0, carol, carol, { from:carol });
+              assert.equal(await token.balanceOf(carol), '0');
 
-              mission = await mining.missionInfo(1);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '250');
+              await mining.transferExcess(dave, { from:manager });
+              assert.equal(await token.balanceOf(dave), `${4000 + 6000 - 2142}`);
+            });
+          });
+        });
 
-              // 180 -> 1240
-              await mining.reappraiseMission(2, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1740');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+        context('launchMissionComponents / amendMissionComponents', () => {
+          beforeEach(async () => {
+            const { mining, landingSite, appraiser } = this;
+            await mining.setMissionLandingSiteToken(landingSite.address, { from:deployer });
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1340');
-              assert.equal(user.released, '0');
+            this.crew = await MockERC721.new("Mission Crew", "MC");
+            await this.crew.mintBatch(alice, 10);
+            await this.crew.mintBatch(bob, 10);
+            await this.crew.setUniversalApproval(true);
+            await appraiser.setAppraises(this.crew.address, true, '20', { from:deployer });
+          });
 
-              mission = await mining.missionInfo(2);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '1240');
+          it('evaluateMission appraises every component slot', async () => {
+            const { mining, crew } = this;
+            let res;
 
-              // 100 -> 80
-              await mining.reappraiseMission(3, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1720');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            res = await mining.evaluateMission([[0], [], [1, 2]], [[], [], []]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '120');
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1320');
-              assert.equal(user.released, '0');
+            await mining.addComponentSlot(crew.address, false, 0, 2, { from:manager });
 
-              mission = await mining.missionInfo(3);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '80');
-            });
+            res = await mining.evaluateMission([[0], [], [1, 2]], [[], [], []]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-            it('does not affect already-mined rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            res = await mining.evaluateMission([[0], [], [1, 2], []], [[], [], [], []]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '120');
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            res = await mining.evaluateMission([[0], [1], [1, 2], [3, 4]], [[], [], [], []]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '210');
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+            res = await mining.evaluateMission([[0], [], [], [3, 4, 5]], [[], [], [], []]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-              // total: 1720, alice: 400, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
-            });
+            res = await mining.evaluateMission([[], [], [], [3]], [[], [], [], []]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+            // default-schema candidates leave the new slot empty
+            res = await mining.evaluateMissionCandidate([0], [1], [1, 2]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '170');
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+            await mining.setComponentSlotCounts(3, 1, 2, { from:manager });
+            res = await mining.evaluateMissionCandidate([0], [1], [1, 2]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+            res = await mining.evaluateMission([[0], [1], [1, 2], [3]], [[], [], [], []]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '190');
+          });
 
-              // total: 1720, alice: 400, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
-            });
+          it('evaluateMission requires a token for non-empty slots', async () => {
+            const { mining, crew } = this;
+            let res;
 
-            it('affects rewards mined after reappraisal', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            await mining.addComponentSlot(ADDRESS_ZERO, false, 0, 2, { from:manager });
+            res = await mining.evaluateMission([[0], [], [], [3]], [[], [], [], []]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.setComponentSlotToken(3, crew.address, { from:manager });
+            res = await mining.evaluateMission([[0], [], [], [3]], [[], [], [], []]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '120');
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+          it('launchMissionComponents stakes every component slot', async () => {
+            const { mining, lander, landingSite, payload, crew } = this;
 
-              // total: 1720, alice: 400, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.addComponentSlot(crew.address, false, 0, 2, { from:manager });
+            await expectRevert(
+              mining.launchMissionComponents([[1], [1], [1, 2]], [[], [], []], 0, alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
 
-              await faucet.addOwed(mining.address, 1720);
-              assert.equal(await mining.totalMined(), '2760');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '1880');
+            const res = await mining.launchMissionComponents([[1], [1], [1, 2], [3, 4]], [[], [], [], []], 0, bob, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '0',
+              to: bob,
+              miningPower: '210'
             });
 
-            it('affects rewards accumulating during "pause" after pause ends', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
-
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await landingSite.ownerOf(1), mining.address);
+            assert.equal(await payload.ownerOf(2), mining.address);
+            assert.equal(await crew.ownerOf(3), mining.address);
+            assert.equal(await crew.ownerOf(4), mining.address);
+            assert.equal(await mining.totalMiningPower(), '210');
+            assert.equal((await mining.userInfo(bob)).miningPower, '210');
+
+            assert.deepEqual(
+              (await mining.missionComponents(0)).components.map(c => c.map(id => id.toString())),
+              [['1'], ['1'], ['1', '2'], ['3', '4']]
+            );
+            const tokens = await mining.missionTokens(0);
+            assert.deepEqual(tokens.landers.map(id => id.toString()), ['1']);
+            assert.deepEqual(tokens.landingSites.map(id => id.toString()), ['1']);
+            assert.deepEqual(tokens.payloads.map(id => id.toString()), ['1', '2']);
 
-              await mining.pause({ from:manager });
-              await faucet.addOwed(mining.address, 1720);
-              // no effect on reported mining
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.recallMission(0, carol, { from:bob });
+            assert.equal(await lander.ownerOf(1), carol);
+            assert.equal(await crew.ownerOf(3), carol);
+            assert.equal(await crew.ownerOf(4), carol);
+            assert.equal(await mining.totalMiningPower(), '0');
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+          it('launchMissionComponents locks missions for nonzero lock periods', async () => {
+            const { mining } = this;
 
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await expectRevert(
+              mining.launchMissionComponents([[1], [], []], [[], [], []], 1000, alice, { from:alice }),
+              "IMSMM: invalid lock period"
+            );
 
-              await mining.unpause({ from:manager });
-              assert.equal(await mining.totalMined(), '2760');
-              assert.equal(await mining.releasable(alice), '880');
-              assert.equal(await mining.releasable(carol), '1880');
+            await mining.setLockMultiplier(1000, 2, 1, { from:manager });
+            const res = await mining.launchMissionComponents([[1], [], []], [[], [], []], 1000, alice, { from:alice });
+            const unlockTime = (await mining.missionInfo(0)).unlockTime;
+            await expectEvent.inTransaction(res.tx, mining, "MissionLocked", {
+              missionId: '0',
+              to: alice,
+              lockPeriod: '1000',
+              unlockTime
             });
+            assert.equal(await mining.totalMiningPower(), '200');
+            assert.equal((await mining.missionLock(0)).locked, true);
+          });
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+          it('amendMissionComponents adds and removes components in any slot', async () => {
+            const { mining, crew } = this;
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+            await mining.addComponentSlot(crew.address, false, 0, 2, { from:manager });
+            await mining.launchMissionComponents([[1], [], [], [3]], [[], [], [], []], 0, alice, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '120');
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], [4, 5]], [[], [], [], []], [[], [], [], []], [[], [], [], []], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [4]], [[], [], []], [[], [], []], [[], [], []], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], []], [[], [], [], []], [[], [], [], [4]], [[], [], [], []], alice, { from:alice }),
+              "IMSMM: token not in mission"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], [4]], [[], [], [], []], [[], [], [], []], [[], [], [], []], alice, { from:bob }),
+              "IMSMM: not mission controller"
+            );
 
-              // total: 1720, alice: 250, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
+            const res = await mining.amendMissionComponents(0, [[], [1], [], [4]], [[], [], [], []], [[], [], [], [3]], [[], [], [], []], bob, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAmended", {
+              user: alice,
+              missionId: '0',
+              to: bob,
+              previousMiningPower: '120',
+              miningPower: '170'
             });
+            assert.equal(await crew.ownerOf(3), bob);
+            assert.equal(await crew.ownerOf(4), mining.address);
+            assert.equal(await mining.totalMiningPower(), '170');
+            assert.deepEqual(
+              (await mining.missionComponents(0)).components.map(c => c.map(id => id.toString())),
+              [['1'], ['1'], [], ['4']]
+            );
+
+            // amendMission amends the default slots
+            await mining.amendMission(0, [], [2], [1], [], alice, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '130');
+            assert.deepEqual(
+              (await mining.missionComponents(0)).components.map(c => c.map(id => id.toString())),
+              [['1'], [], ['2'], ['4']]
+            );
+          });
 
-            it('emits "MissionAppraised" event', async () => {
-              const { mining, lander, landingSite, payload } = this;
-              let res;
+          it('missions launched before a component slot is added may fill it', async () => {
+            const { mining, crew } = this;
 
-              // 100 -> 150
-              res = await mining.reappraiseMission(0, { from:alice });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '0',
-                to: alice,
-                previousMiningPower: '100',
-                miningPower: '150'
-              });
+            await mining.setMissionCompleteMultiplier(2, 1, { from:manager });
+            await mining.launchMission([1], [1], [1], alice, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '320');
 
-              // 140 -> 250
-              res = await mining.reappraiseMission(1, { from:dave });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '1',
-                to: alice,
-                previousMiningPower: '140',
-                miningPower: '250'
-              });
+            await mining.addComponentSlot(crew.address, false, 0, 2, { from:manager });
+            assert.deepEqual(
+              (await mining.missionComponents(0)).components.map(c => c.map(id => id.toString())),
+              [['1'], ['1'], ['1'], []]
+            );
+            assert.deepEqual(
+              (await mining.getMissions([0]))[0].components,
+              [['1'], ['1'], ['1'], []]
+            );
 
-              // 180 -> 1240
-              res = await mining.reappraiseMission(2, { from:carol });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '2',
-                to: carol,
-                previousMiningPower: '180',
-                miningPower: '1240'
-              });
+            // no longer complete without a crew
+            assert.equal(await mining.missionAppraisal(0), '160');
 
-              // 100 -> 80
-              res = await mining.reappraiseMission(3, { from:carol });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '3',
-                to: carol,
-                previousMiningPower: '100',
-                miningPower: '80'
-              });
+            await mining.amendMissionComponents(0, [[], [], [], [3]], [[], [], [], []], [[], [], [], []], [[], [], [], []], alice, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '360');
+            assert.equal(await crew.ownerOf(3), mining.address);
+
+            await mining.recallMission(0, alice, { from:alice });
+            assert.equal(await crew.ownerOf(3), alice);
+          });
+        });
+
+        context('ERC1155 component slots', () => {
+          beforeEach(async () => {
+            const { mining, appraiser } = this;
+
+            this.fuel = await MockERC1155.new("https://fuel.test/{id}.json");
+            await this.fuel.mint(alice, 1, 10);
+            await this.fuel.mint(alice, 2, 10);
+            await this.fuel.setUniversalApproval(true);
+            await appraiser.setAppraises(this.fuel.address, true, '5', { from:deployer });
+
+            const res = await mining.addComponentSlot(this.fuel.address, true, 0, 5, { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "ComponentSlotUpdated", {
+              slot: '3',
+              token: this.fuel.address,
+              erc1155: true,
+              minCount: '0',
+              maxCount: '5'
             });
           });
 
-          context('with updated token appraisals and complete checker reporting "yes"', () => {
-            let checker;
+          it('supports the ERC1155Receiver interface', async () => {
+            const { mining } = this;
+            assert.equal(await mining.supportsInterface('0x4e2312e0'), true);
 
-            beforeEach(async () => {
-              const { lander, landingSite, payload, appraiser, mining, token, faucet } = this;
+            const slot = await mining.componentSlots(3);
+            assert.deepEqual([slot.token, slot.erc1155, slot.minCount.toString(), slot.maxCount.toString()], [this.fuel.address, true, '0', '5']);
+          });
 
-              checker = await MockMissionChecker.new();
+          it('evaluateMission counts and appraises ERC1155 amounts', async () => {
+            const { mining } = this;
+            let res;
 
-              await mining.setMissionCompleteChecker(checker.address, { from:manager });
-              await checker.setResult(true);
+            res = await mining.evaluateMission([[1], [], [], [1, 2]], [[], [], [], [2, 3]]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '125');
 
-              await appraiser.setAppraises(lander.address, true, '80', { from:deployer });
-              await appraiser.setAppraises(landingSite.address, true, '40', { from:deployer });
-              await appraiser.setAppraises(payload.address,  true, '20', { from:deployer  });
+            // too many units
+            res = await mining.evaluateMission([[1], [], [], [1, 2]], [[], [], [], [3, 3]]);
+            assert.equal(res.valid, false);
+            assert.equal(res.miningPower, '0');
 
-              await appraiser.setAppraisals(lander.address, [0, 1, 2], [150, 200, 250], { from:deployer });
-              await appraiser.setAppraisals(landingSite.address, [15], [1000], { from:deployer });
-              await appraiser.setAppraisals(payload.address, [0, 1, 12, 13], [0, 10, 120, 130], { from:deployer });
+            // zero amount
+            res = await mining.evaluateMission([[1], [], [], [1, 2]], [[], [], [], [2, 0]]);
+            assert.equal(res.valid, false);
 
-              await mining.setMissionCompleteMultiplier(10, 9, { from:deployer });
+            // missing amounts
+            res = await mining.evaluateMission([[1], [], [], [1]], [[], [], [], []]);
+            assert.equal(res.valid, false);
 
-              await token.mint(faucet.address, 100000000000);
+            // amounts for an ERC721 slot
+            res = await mining.evaluateMission([[1], [], [], [1]], [[1], [], [], [1]]);
+            assert.equal(res.valid, false);
 
-              // mission 0: power 100 -> 166 (150)
-              // await mining.launchMission([0], [], [], alice, { from:alice });
+            await mining.setComponentSlotCounts(3, 2, 5, { from:manager });
+            res = await mining.evaluateMission([[1], [], [], [1]], [[], [], [], [1]]);
+            assert.equal(res.valid, false);
+            res = await mining.evaluateMission([[1], [], [], [1]], [[], [], [], [2]]);
+            assert.equal(res.valid, true);
+            assert.equal(res.miningPower, '110');
+          });
 
-              // mission 1: power 140 -> 277 (250)
-              // await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+          it('launchMissionComponents stakes ERC1155 amounts', async () => {
+            const { mining, fuel, lander } = this;
 
-              // mission 2: power 180 -> 1377 (1377)
-              // await mining.launchMission([10], [15], [12, 14, 16], carol, { from:bob });
+            const res = await mining.launchMissionComponents([[1], [], [], [1, 2]], [[], [], [], [4, 1]], 0, alice, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionLaunched", {
+              user: alice,
+              missionId: '0',
+              to: alice,
+              miningPower: '125'
+            });
 
-              // mission 3:  power 100 -> 88 (80)
-              // await mining.launchMission([12], [], [], carol, { from:bob });
+            assert.equal(await lander.ownerOf(1), mining.address);
+            assert.equal(await fuel.balanceOf(mining.address, 1), '4');
+            assert.equal(await fuel.balanceOf(mining.address, 2), '1');
+            assert.equal(await fuel.balanceOf(alice, 1), '6');
+            assert.equal(await mining.totalMiningPower(), '125');
+
+            const components = await mining.missionComponents(0);
+            assert.deepEqual(components.components.map(c => c.map(id => id.toString())), [['1'], [], [], ['1', '2']]);
+            assert.deepEqual(components.amounts.map(c => c.map(id => id.toString())), [[], [], [], ['4', '1']]);
+            assert.deepEqual((await mining.getMissions([0]))[0].amounts, [[], [], [], ['4', '1']]);
+
+            await mining.recallMission(0, bob, { from:alice });
+            assert.equal(await lander.ownerOf(1), bob);
+            assert.equal(await fuel.balanceOf(bob, 1), '4');
+            assert.equal(await fuel.balanceOf(bob, 2), '1');
+            assert.equal(await fuel.balanceOf(mining.address, 1), '0');
+          });
+
+          it('amendMissionComponents adds and removes ERC1155 amounts', async () => {
+            const { mining, fuel } = this;
+
+            await mining.launchMissionComponents([[1], [], [], [1]], [[], [], [], [2]], 0, alice, { from:alice });
+            assert.equal(await mining.totalMiningPower(), '110');
+
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], [1]], [[], [], [], []], [[], [], [], []], [[], [], [], []], alice, { from:alice }),
+              "IMSMM: array lengths differ"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], []], [[], [], [], []], [[], [], [], [1]], [[], [], [], [3]], alice, { from:alice }),
+              "IMSMM: token not in mission"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], []], [[], [], [], []], [[], [], [], [2]], [[], [], [], [1]], alice, { from:alice }),
+              "IMSMM: token not in mission"
+            );
+            await expectRevert(
+              mining.amendMissionComponents(0, [[], [], [], [2]], [[], [], [], [4]], [[], [], [], []], [[], [], [], []], alice, { from:alice }),
+              "IMSMM: invalid mission"
+            );
+
+            // duplicate tokenIds are merged
+            const res = await mining.amendMissionComponents(0, [[], [], [], [1, 2, 1]], [[], [], [], [1, 1, 1]], [[], [], [], []], [[], [], [], []], alice, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionAmended", {
+              user: alice,
+              missionId: '0',
+              to: alice,
+              previousMiningPower: '110',
+              miningPower: '125'
             });
+            let components = await mining.missionComponents(0);
+            assert.deepEqual(components.components[3].map(id => id.toString()), ['1', '2']);
+            assert.deepEqual(components.amounts[3].map(id => id.toString()), ['4', '1']);
+            assert.equal(await fuel.balanceOf(mining.address, 1), '4');
+            assert.equal(await fuel.balanceOf(mining.address, 2), '1');
+
+            // removing a tokenId's full amount drops it
+            await mining.amendMissionComponents(0, [[], [], [], []], [[], [], [], []], [[], [], [], [1, 2]], [[], [], [], [1, 1]], bob, { from:alice });
+            components = await mining.missionComponents(0);
+            assert.deepEqual(components.components[3].map(id => id.toString()), ['1']);
+            assert.deepEqual(components.amounts[3].map(id => id.toString()), ['3']);
+            assert.equal(await fuel.balanceOf(bob, 1), '1');
+            assert.equal(await fuel.balanceOf(bob, 2), '1');
+            assert.equal(await mining.totalMiningPower(), '115');
+          });
 
-            it('updates internal state', async () => {
-              const { mining, lander, landingSite, payload } = this;
+          it('rejects ERC1155 tokens not transferred by a mission', async () => {
+            const { mining, fuel } = this;
 
-              // 100 -> 166 (150)
-              await mining.reappraiseMission(0, { from:alice });
-              assert.equal(await mining.totalMiningPower(), '586');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            await expectRevert(
+              fuel.safeTransferFrom(alice, mining.address, 1, 1, "0x", { from:alice }),
+              "IMSMM: not a mission transfer"
+            );
+            await expectRevert(
+              fuel.safeBatchTransferFrom(alice, mining.address, [1, 2], [1, 1], "0x", { from:alice }),
+              "IMSMM: not a mission transfer"
+            );
+          });
+        });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '306');
-              assert.equal(user.released, '0');
+        context('with a mining power curve', () => {
+          beforeEach(async () => {
+            const { faucet, token, mining } = this;
 
-              mission = await mining.missionInfo(0);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '166');
+            await token.mint(faucet.address,  100000000000);
 
-              // 140 -> 277 (250)
-              await mining.reappraiseMission(1, { from:dave });
-              assert.equal(await mining.totalMiningPower(), '723');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            // full mining power up to 200, half above
+            this.curve = await MockMiningPowerCurve.new();
+            await this.curve.setCurve(200, 1, 2);
+            await mining.setMiningPowerCurve(this.curve.address, { from:manager });
+          });
 
-              user = await mining.userInfo(alice);
-              assert.equal(user.miningPower, '443');
-              assert.equal(user.released, '0');
+          it('accrues rewards by effective mining power through launch, transfer and recall', async () => {
+            const { faucet, mining } = this;
+            let user;
 
-              mission = await mining.missionInfo(1);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, alice);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '277');
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '100');
+            assert.equal(user.effectiveMiningPower, '100');
 
-              // 180 -> 1377
-              await mining.reappraiseMission(2, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1920');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([10], [], [], bob, { from:bob });
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '240');
+            assert.equal(user.effectiveMiningPower, '220');
+            user = await mining.userInfo(bob);
+            assert.equal(user.miningPower, '100');
+            assert.equal(user.effectiveMiningPower, '100');
+            assert.equal(await mining.totalMiningPower(), '320');
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1477');
-              assert.equal(user.released, '0');
+            await faucet.setOwed(mining.address, '320');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '220');
+            assert.equal(await mining.releasable(bob), '100');
 
-              mission = await mining.missionInfo(2);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '0');
-              assert.equal(mission.miningPower, '1377');
+            await mining.recallMission(1, alice, { from:alice });
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '100');
+            assert.equal(user.effectiveMiningPower, '100');
+            assert.equal(await mining.totalMiningPower(), '200');
 
-              // 100 -> 88 (80)
-              await mining.reappraiseMission(3, { from:carol });
-              assert.equal(await mining.totalMiningPower(), '1908');
-              assert.equal(await mining.missionCount(), '4');
-              assert.equal(await mining.stakedMissionCount(), '4');
-              assert.equal(await mining.stakedMissions(0), '0');
-              assert.equal(await mining.stakedMissions(1), '1');
-              assert.equal(await mining.stakedMissions(2), '2');
-              assert.equal(await mining.stakedMissions(3), '3');
-              assert.equal(await mining.userMissionCount(alice), '2');
-              assert.equal(await mining.userMissionCount(carol), '2');
-              assert.equal(await mining.userMissions(alice, 0), '0');
-              assert.equal(await mining.userMissions(alice, 1), '1');
-              assert.equal(await mining.userMissions(carol, 0), '2');
-              assert.equal(await mining.userMissions(carol, 1), '3');
+            await mining.launchMission([1], [], [0, 1, 2, 3], bob, { from:alice });
+            await mining.transferMission(0, bob, { from:alice });
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '0');
+            assert.equal(user.effectiveMiningPower, '0');
+            user = await mining.userInfo(bob);
+            assert.equal(user.miningPower, '340');
+            assert.equal(user.effectiveMiningPower, '270');
+            assert.equal(await mining.totalMiningPower(), '270');
 
-              user = await mining.userInfo(carol);
-              assert.equal(user.miningPower, '1465');
-              assert.equal(user.released, '0');
+            await faucet.setOwed(mining.address, '540');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '220');
+            assert.equal(await mining.releasable(bob), '640');
+          });
 
-              mission = await mining.missionInfo(3);
-              assert.equal(mission.staked, true);
-              assert.equal(mission.user, carol);
-              assert.equal(mission.userMissionsIndex, '1');
-              assert.equal(mission.miningPower, '88');
-            });
+          it('reappraiseUser applies an updated curve', async () => {
+            const { faucet, mining, curve } = this;
+            let user;
 
-            it('does not affect already-mined rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice });
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await faucet.setOwed(mining.address, '220');
+            await mining.update();
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            // full mining power up to 100, a quarter above
+            await curve.setCurve(100, 1, 4);
+            assert.equal((await mining.userInfo(alice)).effectiveMiningPower, '220');
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+            assert.equal(await mining.reappraiseUser.call(alice), '240');
+            await mining.reappraiseUser(alice);
+            user = await mining.userInfo(alice);
+            assert.equal(user.miningPower, '240');
+            assert.equal(user.effectiveMiningPower, '135');
+            assert.equal(await mining.totalMiningPower(), '135');
+            assert.equal(await mining.releasable(alice), '220');
+
+            // effective mining power is capped at mining power
+            await curve.setCurve(0, 2, 1);
+            await mining.reappraiseUser(alice);
+            assert.equal((await mining.userInfo(alice)).effectiveMiningPower, '240');
+
+            await curve.setCurve(0, 0, 1);
+            await mining.reappraiseUser(alice);
+            assert.equal((await mining.userInfo(alice)).effectiveMiningPower, '0');
+            assert.equal(await mining.totalMiningPower(), '0');
 
-              // total: 1720, alice: 400, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
-            });
+            await mining.setMiningPowerCurve(ADDRESS_ZERO, { from:manager });
+            await mining.reappraiseUser(alice);
+            assert.equal((await mining.userInfo(alice)).effectiveMiningPower, '240');
+            assert.equal(await mining.totalMiningPower(), '240');
+            assert.equal(await mining.releasable(alice), '220');
+          });
+        });
+
+        context('mining power history', () => {
+          it('checkpoints user and total mining power on every change', async () => {
+            const { mining, appraiser, lander } = this;
+
+            const block0 = (await web3.eth.getBlock('latest')).number;
+            const block1 = (await mining.launchMission([0], [], [], alice, { from:alice })).receipt.blockNumber;
+            const block2 = (await mining.launchMission([10], [], [11, 12], bob, { from:bob })).receipt.blockNumber;
+            await appraiser.setAppraisal(lander.address, 0, true, 300, { from:deployer });
+            const block3 = (await mining.reappraiseMission(0)).receipt.blockNumber;
+            const block4 = (await mining.transferMission(1, alice, { from:bob })).receipt.blockNumber;
+            const block5 = (await mining.recallMission(0, alice, { from:alice })).receipt.blockNumber;
+            await time.advanceBlock();
+
+            const past = async (user, blockNumber) => (await mining.getPastMiningPower(user, blockNumber)).toString();
+            const pastTotal = async (blockNumber) => (await mining.getPastTotalMiningPower(blockNumber)).toString();
+
+            assert.deepEqual(
+              [await past(alice, block0), await past(alice, block1), await past(alice, block2), await past(alice, block3), await past(alice, block4), await past(alice, block5)],
+              ['0', '100', '100', '300', '420', '120']
+            );
+            assert.deepEqual(
+              [await past(bob, block0), await past(bob, block1), await past(bob, block2), await past(bob, block3), await past(bob, block4), await past(bob, block5)],
+              ['0', '0', '120', '120', '0', '0']
+            );
+            assert.deepEqual(
+              [await pastTotal(block0), await pastTotal(block1), await pastTotal(block2), await pastTotal(block3), await pastTotal(block4), await pastTotal(block5)],
+              ['0', '100', '220', '420', '420', '120']
+            );
+
+            const current = await web3.eth.getBlockNumber();
+            await expectRevert(mining.getPastMiningPower(alice, current + 1), "Checkpoints: block not yet mined");
+            await expectRevert(mining.getPastTotalMiningPower(current + 1), "Checkpoints: block not yet mined");
+          });
+
+          it('checkpoints effective mining power', async () => {
+            const { mining } = this;
+
+            const curve = await MockMiningPowerCurve.new();
+            await curve.setCurve(200, 1, 2);
+            await mining.setMiningPowerCurve(curve.address, { from:manager });
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            const block = (await mining.launchMission([1], [], [0, 1, 2, 3], alice, { from:alice })).receipt.blockNumber;
+            await time.advanceBlock();
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+            assert.equal(await mining.getPastMiningPower(alice, block), '220');
+            assert.equal(await mining.getPastTotalMiningPower(block), '220');
+          });
+        });
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+        context('migrateMission', () => {
+          beforeEach(async () => {
+            const { faucet, token, mining } = this;
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+            await token.mint(faucet.address,  100000000000);
+            this.target = await MockMissionMigrationReceiver.new(1000);
 
-              // total: 1720, alice: 400, carol: 1320
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
-            });
+            await mining.launchMission([0], [], [0, 1], alice, { from:alice });
+            await mining.launchMission([10], [], [], bob, { from:bob });
+          });
 
-            it('affects rewards mined after reappraisal', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+          it('reverts while migration is disabled', async () => {
+            const { mining } = this;
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await expectRevert(
+              mining.migrateMission(0, { from:alice }),
+              "IMSMM: migration disabled"
+            );
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+          it('migrates missions of the mission controller', async () => {
+            const { mining, faucet, target, lander, payload } = this;
 
-              // total: 1908, alice: 443, carol: 1465
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.setMigrationTarget(target.address, { from:manager });
+            await faucet.setOwed(mining.address, '220');
 
-              await faucet.addOwed(mining.address, 1908);
-              assert.equal(await mining.totalMined(), '2948');
-              assert.equal(await mining.releasable(alice), '923');
-              assert.equal(await mining.releasable(carol), '2025');
-            });
+            await expectRevert(
+              mining.migrateMission(1, { from:alice }),
+              "IMSMM: !auth"
+            );
 
-            it('affects rewards accumulating during "pause" after pause ends', async () => {
-              const { mining, lander, landingSite, payload, faucet } = this;
+            assert.equal(await mining.migrateMission.call(0, { from:alice }), '1000');
+            const res = await mining.migrateMission(0, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "MissionMigrated", {
+              user: alice,
+              missionId: '0',
+              target: target.address,
+              targetMissionId: '1000',
+              miningPower: '120'
+            });
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            assert.equal(await lander.ownerOf(0), target.address);
+            assert.equal(await payload.ownerOf(0), target.address);
+            assert.equal(await payload.ownerOf(1), target.address);
+
+            const migration = await mining.missionMigrations(0);
+            assert.equal(migration.target, target.address);
+            assert.equal(migration.targetMissionId, '1000');
+
+            const received = await target.getMigration(1000);
+            assert.equal(received.predecessor, mining.address);
+            assert.equal(received.user, alice);
+            assert.equal(received.missionId, '0');
+            assert.deepEqual(received.tokens, [lander.address, ADDRESS_ZERO, payload.address]);
+            assert.deepEqual(received.components, [['0'], [], ['0', '1']]);
+            assert.deepEqual(received.amounts, [[], [], []]);
+            assert.equal(received.unlockTime, (await mining.missionInfo(0)).unlockTime.toString());
+
+            // unstaked, with rewards mined so far still releasable
+            assert.equal((await mining.missionInfo(0)).staked, false);
+            assert.equal(await mining.userMissionCount(alice), '0');
+            assert.equal(await mining.userRecalledMissionCount(alice), '1');
+            assert.equal(await mining.stakedMissionCount(), '1');
+            assert.equal(await mining.totalMiningPower(), '100');
+            assert.equal(await mining.releasable(alice), '120');
+            assert.equal(await mining.releasable(bob), '100');
 
-              await mining.pause({ from:manager });
-              await faucet.addOwed(mining.address, 1908);
-              // no effect on reported mining
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await expectRevert(
+              mining.migrateMission(0, { from:alice }),
+              "IMSMM: mission not staked"
+            );
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+          it('leaves rewards mined before migration releasable here', async () => {
+            const { mining, faucet, token, target } = this;
 
-              // total: 1908, alice: 443, carol: 1465
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '480');
-              assert.equal(await mining.releasable(carol), '560');
+            await mining.setMigrationTarget(target.address, { from:manager });
+            await faucet.setOwed(mining.address, '220');
+            await time.increase(time.duration.days(30));
+            await mining.migrateMissions([0, 1], { from:manager });
 
-              await mining.unpause({ from:manager });
-              assert.equal(await mining.totalMined(), '2948');
-              assert.equal(await mining.releasable(alice), '923');
-              assert.equal(await mining.releasable(carol), '2025');
-            });
+            // nothing more is mined for migrated missions
+            await faucet.setOwed(mining.address, '440');
+            await mining.update();
+            assert.equal(await mining.releasable(alice), '120');
+            assert.equal(await mining.missionReleasable(0), '120');
+            assert.equal(await mining.releasable(bob), '100');
 
-            it('does not affect already-released rewards', async () => {
-              const { mining, lander, landingSite, payload, faucet, token } = this;
+            await mining.releaseMission(0, alice, { from:alice });
+            assert.equal(await token.balanceOf(alice), '120');
+            assert.equal(await mining.releasable(alice), '0');
 
-              // total: 520, alice: 240, carol; 280
-              await faucet.setOwed(mining.address, 1040);
-              await mining.methods["release(address,address,uint256)"](alice, alice, 400, { from:alice });
-              await mining.methods["release(address,address,uint256)"](carol, carol, 500, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              assert.equal(await token.balanceOf(alice), '400');
-              assert.equal(await token.balanceOf(carol), '500');
+            await mining.release(bob, bob, { from:bob });
+            assert.equal(await token.balanceOf(bob), '100');
+            assert.equal(await mining.missionReleasable(1), '0');
+          });
 
-              // reappraise
-              await mining.reappraiseMission(0, { from:alice });
-              await mining.reappraiseMission(1, { from:dave });
-              await mining.reappraiseMission(2, { from:carol });
-              await mining.reappraiseMission(3, { from:carol });
+          it('migrates locked missions', async () => {
+            const { mining, target } = this;
 
-              // total: 1908, alice: 443, carol: 1465
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '80');
-              assert.equal(await mining.releasable(carol), '60');
-              await mining.release(alice, alice, { from:alice });
-              await mining.release(carol, carol, { from:carol });
-              assert.equal(await mining.totalMined(), '1040');
-              assert.equal(await mining.releasable(alice), '0');
-              assert.equal(await mining.releasable(carol), '0');
-              assert.equal(await token.balanceOf(alice), '480');
-              assert.equal(await token.balanceOf(carol), '560');
-            });
+            await mining.setLockMultiplier(1000, 2, 1, { from:manager });
+            await mining.launchLockedMission([1], [], [], 1000, alice, { from:alice });
+            const unlockTime = (await mining.missionInfo(2)).unlockTime;
 
-            it('emits "MissionAppraised" event', async () => {
-              const { mining, lander, landingSite, payload } = this;
-              let res;
+            await mining.setMigrationTarget(target.address, { from:manager });
+            await mining.migrateMission(2, { from:alice });
+            assert.equal((await target.getMigration(1000)).unlockTime, unlockTime.toString());
+          });
 
-              // 100 -> 150
-              res = await mining.reappraiseMission(0, { from:alice });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '0',
-                to: alice,
-                previousMiningPower: '100',
-                miningPower: '166'
-              });
+          it('allows managers to migrate any mission after the notice period', async () => {
+            const { mining, target, lander } = this;
 
-              // 140 -> 250
-              res = await mining.reappraiseMission(1, { from:dave });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '1',
-                to: alice,
-                previousMiningPower: '140',
-                miningPower: '277'
-              });
+            await mining.setMigrationTarget(target.address, { from:manager });
+            await expectRevert(
+              mining.migrateMissions([0, 1], { from:manager }),
+              "IMSMM: !auth"
+            );
 
-              // 180 -> 1240
-              res = await mining.reappraiseMission(2, { from:carol });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '2',
-                to: carol,
-                previousMiningPower: '180',
-                miningPower: '1377'
-              });
+            await time.increase(time.duration.days(30));
+            const ids = await mining.migrateMissions.call([1, 0], { from:manager });
+            assert.deepEqual(ids.map(id => id.toString()), ['1000', '1001']);
 
-              // 100 -> 80
-              res = await mining.reappraiseMission(3, { from:carol });
-              await expectEvent.inTransaction(res.tx, mining, "MissionAppraised", {
-                missionId: '3',
-                to: carol,
-                previousMiningPower: '100',
-                miningPower: '88'
-              });
+            const res = await mining.migrateMissions([1, 0], { from:manager });
+            await expectEvent.inTransaction(res.tx, mining, "MissionMigrated", {
+              user: bob,
+              missionId: '1',
+              target: target.address,
+              targetMissionId: '1000',
+              miningPower: '100'
+            });
+            await expectEvent.inTransaction(res.tx, mining, "MissionMigrated", {
+              user: alice,
+              missionId: '0',
+              target: target.address,
+              targetMissionId: '1001',
+              miningPower: '120'
             });
+            assert.equal(await lander.ownerOf(10), target.address);
+            assert.equal((await target.getMigration(1000)).user, bob);
+            assert.equal(await mining.totalMiningPower(), '0');
+            assert.equal(await mining.stakedMissionCount(), '0');
           });
         });
 
@@ -5559,6 +10234,123 @@ contract('IMSpaceMissionMining', ([alice, bob, carol, dave, deployer, manager])
             });
           });
         });
+
+        context('release operators', () => {
+          beforeEach(async () => {
+            const { mining, faucet, token } = this;
+
+            await token.mint(faucet.address,  100000000000);
+
+            await mining.launchMission([0], [], [], alice, { from:alice });
+            await faucet.setOwed(mining.address, 1000);
+            await mining.recallMission(0, alice, { from:alice });
+
+            await mining.launchMission([10], [], [], bob, { from:bob });
+            await faucet.setOwed(mining.address, 3000);
+            await mining.recallMission(1, bob, { from:bob });
+
+            // now owed:
+            // 1000 to alice
+            // 3000 to bob
+          });
+
+          it('setReleaseOperator reverts for self-approval', async () => {
+            const { mining } = this;
+
+            await expectRevert(
+              mining.setReleaseOperator(alice, true, { from:alice }),
+              "ERC20FaucetOperators: approve to caller"
+            );
+          });
+
+          it('setReleaseOperator updates approval', async () => {
+            const { mining } = this;
+
+            assert.equal(await mining.isReleaseOperator(alice, dave), false);
+            await mining.setReleaseOperator(dave, true, { from:alice });
+            assert.equal(await mining.isReleaseOperator(alice, dave), true);
+            assert.equal(await mining.isReleaseOperator(bob, dave), false);
+            assert.equal(await mining.isReleaseOperator(dave, alice), false);
+
+            await mining.setReleaseOperator(dave, false, { from:alice });
+            assert.equal(await mining.isReleaseOperator(alice, dave), false);
+          });
+
+          it('setReleaseOperator / setReleaseOperatorDestination emit events', async () => {
+            const { mining } = this;
+            let res;
+
+            res = await mining.setReleaseOperator(dave, true, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "ReleaseOperatorChanged", {
+              from: alice,
+              operator: dave,
+              approved: true
+            });
+
+            res = await mining.setReleaseOperatorDestination(dave, carol, { from:alice });
+            await expectEvent.inTransaction(res.tx, mining, "ReleaseOperatorDestinationChanged", {
+              from: alice,
+              operator: dave,
+              destination: carol
+            });
+            assert.equal(await mining.releaseOperatorDestination(alice, dave), carol);
+          });
+
+          it('approved operator may release to any destination', async () => {
+            const { mining, token } = this;
+
+            await mining.setReleaseOperator(dave, true, { from:alice });
+
+            await expectRevert(
+              mining.methods["release(address,address)"](bob, dave, { from:dave }),
+              "IMSMM: !auth"
+            );
+
+            await mining.methods["release(address,address,uint256)"](alice, dave, 300, { from:dave });
+            assert.equal(await token.balanceOf(dave), '300');
+            await mining.methods["release(address,address)"](alice, carol, { from:dave });
+            assert.equal(await token.balanceOf(carol), '700');
+            assert.equal(await mining.released(alice), '1000');
+            assert.equal(await mining.releasable(alice), '0');
+
+            await mining.setReleaseOperator(dave, false, { from:alice });
+            await expectRevert(
+              mining.methods["release(address,address)"](alice, dave, { from:dave }),
+              "IMSMM: !auth"
+            );
+          });
+
+          it('approved operator restricted to destination', async () => {
+            const { mining, token } = this;
+
+            await mining.setReleaseOperator(dave, true, { from:bob });
+            await mining.setReleaseOperatorDestination(dave, carol, { from:bob });
+
+            await expectRevert(
+              mining.methods["release(address,address)"](bob, dave, { from:dave }),
+              "IMSMM: !auth"
+            );
+            await expectRevert(
+              mining.methods["release(address,address,uint256)"](bob, bob, 100, { from:dave }),
+              "IMSMM: !auth"
+            );
+
+            const res = await mining.methods["release(address,address)"](bob, carol, { from:dave });
+            await expectEvent.inTransaction(res.tx, mining, "Released", {
+              from: bob,
+              to: carol,
+              amount: '3000'
+            });
+            assert.equal(await token.balanceOf(carol), '3000');
+
+            // destination alone grants nothing
+            await mining.setReleaseOperatorDestination(carol, carol, { from:alice });
+            await expectRevert(
+              mining.methods["release(address,address)"](alice, carol, { from:carol }),
+              "IMSMM: !auth"
+            );
+          });
+        });
       });
     });
   });
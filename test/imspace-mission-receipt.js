@@ -0,0 +1,317 @@
+const { expectRevert, expectEvent, time } = require('@openzeppelin/test-helpers');
+const NFTAppraisalRecord = artifacts.require('NFTAppraisalRecord');
+const IMSpaceMissionMining = artifacts.require('IMSpaceMissionMining');
+const IMSpaceMissionMiningExtension = artifacts.require('IMSpaceMissionMiningExtension');
+const IMSpaceMissionMiningManagement = artifacts.require('IMSpaceMissionMiningManagement');
+const IMSpaceMissionMiningViews = artifacts.require('IMSpaceMissionMiningViews');
+const IMissionMining = artifacts.require('IMissionMining');
+const IMSpaceMissionReceipt = artifacts.require('IMSpaceMissionReceipt');
+const MockERC20Faucet = artifacts.require('MockERC20Faucet');
+const MockERC20 = artifacts.require('MockERC20');
+const MockERC721 = artifacts.require('MockERC721');
+const MockERC1155 = artifacts.require('MockERC1155');
+const MockMissionMigrationReceiver = artifacts.require('MockMissionMigrationReceiver');
+
+const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000';
+
+contract('IMSpaceMissionReceipt', ([alice, bob, carol, dave, deployer, manager]) => {
+    const MANAGER_ROLE = web3.utils.soliditySha3('MANAGER_ROLE');
+
+    beforeEach(async () => {
+      this.token = await MockERC20.new("Mock Token", "MT", 0);
+      this.faucet = await MockERC20Faucet.new(this.token.address);
+      this.appraiser = await NFTAppraisalRecord.new({ from:deployer });
+
+      const views = await IMSpaceMissionMiningViews.new({ from:deployer });
+      const management = await IMSpaceMissionMiningManagement.new(views.address, { from:deployer });
+      const extension = await IMSpaceMissionMiningExtension.new(management.address, { from:deployer });
+      const mining = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, extension.address, { from:deployer });
+      this.mining = await IMissionMining.at(mining.address);
+      await this.mining.grantRole(MANAGER_ROLE, manager, { from:deployer });
+
+      this.receipt = await IMSpaceMissionReceipt.new("IMSpace Mission", "IMSM", this.mining.address, { from:deployer });
+
+      this.lander = await MockERC721.new("Mission Lander", "ML");
+      this.landingSite = await MockERC721.new("Mission Landing Site", "MLS");
+      this.payload = await MockERC721.new("Mission Payload", "MP");
+
+      await this.mining.setMissionLanderToken(this.lander.address, { from:manager });
+      await this.mining.setMissionLandingSiteToken(this.landingSite.address, { from:manager });
+      await this.mining.setMissionPayloadToken(this.payload.address, { from:manager });
+
+      await this.appraiser.setAppraises(this.lander.address, true, '100', { from:deployer });
+      await this.appraiser.setAppraises(this.landingSite.address, true, '50', { from:deployer });
+      await this.appraiser.setAppraises(this.payload.address, true, '10', { from:deployer });
+
+      for (const nft of [this.lander, this.landingSite, this.payload]) {
+        await nft.mintBatch(alice, 10);
+        await nft.mintBatch(bob, 10);
+        await nft.setUniversalApproval(true);
+      }
+    });
+
+    it('should set correct state variables', async () => {
+      const { mining, receipt } = this;
+
+      assert.equal(await receipt.mining(), mining.address);
+      assert.equal(await receipt.name(), "IMSpace Mission");
+      assert.equal(await receipt.symbol(), "IMSM");
+      assert.equal(await mining.missionReceipt(), ADDRESS_ZERO);
+    });
+
+    context('setMissionReceipt', () => {
+      it('reverts for non-manager', async () => {
+        const { mining, receipt } = this;
+
+        await expectRevert(
+          mining.setMissionReceipt(receipt.address, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
+
+      it('sets "missionReceipt"', async () => {
+        const { mining, receipt } = this;
+
+        await mining.setMissionReceipt(receipt.address, { from:manager });
+        assert.equal(await mining.missionReceipt(), receipt.address);
+      });
+
+      it('only settable once', async () => {
+        const { mining, receipt } = this;
+
+        await mining.setMissionReceipt(receipt.address, { from:manager });
+        await expectRevert(
+          mining.setMissionReceipt(alice, { from:deployer }),
+          "IMSMM: already set"
+        );
+      });
+
+      it('reverts after missions are launched', async () => {
+        const { mining, receipt } = this;
+
+        await mining.launchMission([0], [], [], alice, { from:alice });
+        await expectRevert(
+          mining.setMissionReceipt(receipt.address, { from:manager }),
+          "IMSMM: missions already launched"
+        );
+      });
+    });
+
+    context('with receipts', () => {
+      beforeEach(async () => {
+        const { mining, receipt } = this;
+        await mining.setMissionReceipt(receipt.address, { from:manager });
+
+        await mining.launchMission([0], [], [], alice, { from:alice });
+        await mining.launchMission([1], [1], [0, 1, 2], bob, { from:alice });
+        await mining.launchMission([10], [], [10], carol, { from:bob });
+      });
+
+      it('mint, move and burn revert for non-mining caller', async () => {
+        const { receipt } = this;
+
+        await expectRevert(
+          receipt.mint(alice, 10, { from:alice }),
+          "IMSpaceMissionReceipt: !auth"
+        );
+
+        await expectRevert(
+          receipt.move(alice, bob, 0, { from:alice }),
+          "IMSpaceMissionReceipt: !auth"
+        );
+
+        await expectRevert(
+          receipt.burn(0, { from:alice }),
+          "IMSpaceMissionReceipt: !auth"
+        );
+      });
+
+      it('onMissionReceiptTransfer reverts for non-receipt caller', async () => {
+        const { mining } = this;
+
+        await expectRevert(
+          mining.onMissionReceiptTransfer(alice, bob, 0, { from:alice }),
+          "IMSMM: !auth"
+        );
+      });
+
+      it('launchMission mints a receipt to the mission controller', async () => {
+        const { receipt } = this;
+
+        assert.equal(await receipt.balanceOf(alice), '1');
+        assert.equal(await receipt.balanceOf(bob), '1');
+        assert.equal(await receipt.balanceOf(carol), '1');
+        assert.equal(await receipt.ownerOf(0), alice);
+        assert.equal(await receipt.ownerOf(1), bob);
+        assert.equal(await receipt.ownerOf(2), carol);
+      });
+
+      it('recallMission burns the receipt', async () => {
+        const { mining, receipt } = this;
+
+        await mining.recallMission(1, bob, { from:bob });
+        assert.equal(await receipt.balanceOf(bob), '0');
+        await expectRevert(
+          receipt.ownerOf(1),
+          "ERC721: invalid token ID"
+        );
+      });
+
+      it('migrateMission burns the receipt', async () => {
+        const { mining, receipt } = this;
+
+        const target = await MockMissionMigrationReceiver.new(0);
+        await mining.setMigrationTarget(target.address, { from:manager });
+        await mining.migrateMission(1, { from:bob });
+        assert.equal(await receipt.balanceOf(bob), '0');
+        await expectRevert(
+          receipt.ownerOf(1),
+          "ERC721: invalid token ID"
+        );
+      });
+
+      it('transferMission moves the receipt', async () => {
+        const { mining, receipt } = this;
+
+        const res = await mining.transferMission(0, dave, { from:alice });
+        assert.equal(await receipt.ownerOf(0), dave);
+        assert.equal(await receipt.balanceOf(alice), '0');
+        await expectEvent.inTransaction(res.tx, receipt, "Transfer", {
+          from: alice,
+          to: dave,
+          tokenId: '0'
+        });
+      });
+
+      it('receipt transfer moves mission control', async () => {
+        const { mining, receipt, lander } = this;
+        let res;
+
+        res = await receipt.transferFrom(bob, dave, 1, { from:bob });
+        await expectEvent.inTransaction(res.tx, mining, "MissionTransferred", {
+          user: bob,
+          missionId: '1',
+          to: dave,
+          miningPower: '180'
+        });
+
+        assert.equal((await mining.missionInfo(1)).user, dave);
+        assert.equal((await mining.userInfo(bob)).miningPower, '0');
+        assert.equal((await mining.userInfo(dave)).miningPower, '180');
+        assert.equal(await mining.userMissionCount(bob), '0');
+        assert.equal(await mining.userMissions(dave, 0), '1');
+
+        await expectRevert(
+          mining.recallMission(1, bob, { from:bob }),
+          "IMSMM: not mission controller"
+        );
+        await mining.recallMission(1, dave, { from:dave });
+        assert.equal(await lander.ownerOf(1), dave);
+      });
+
+      it('receipt holder receives future mining rewards', async () => {
+        const { mining, receipt, faucet, token } = this;
+
+        await token.mint(faucet.address, 100000000000);
+
+        // alice 100, bob 180, carol 110
+        await faucet.setOwed(mining.address, '780');
+        await receipt.methods['safeTransferFrom(address,address,uint256)'](carol, dave, 2, { from:carol });
+        assert.equal(await mining.releasable(carol), '220');
+        assert.equal(await mining.releasable(dave), '0');
+
+        await faucet.setOwed(mining.address, '390');
+        await mining.update();
+        assert.equal(await mining.releasable(carol), '220');
+        assert.equal(await mining.releasable(dave), '110');
+      });
+
+      it('receipt transfer to a contract requires it to accept ERC721 tokens', async () => {
+        const { mining, receipt, token } = this;
+
+        await expectRevert(
+          receipt.transferFrom(bob, token.address, 1, { from:bob }),
+          "ERC721: transfer to non ERC721Receiver implementer"
+        );
+        await expectRevert(
+          receipt.methods['safeTransferFrom(address,address,uint256)'](bob, token.address, 1, { from:bob }),
+          "ERC721: transfer to non ERC721Receiver implementer"
+        );
+        await expectRevert(
+          mining.transferMission(1, token.address, { from:bob }),
+          "ERC721: transfer to non ERC721Receiver implementer"
+        );
+        assert.equal((await mining.missionInfo(1)).user, bob);
+      });
+
+      it('receipt transfer succeeds while the faucet reverts', async () => {
+        const { mining, receipt, faucet, token } = this;
+
+        // owed more than it holds
+        await faucet.setOwed(mining.address, '780');
+        await expectRevert.unspecified(mining.update());
+        await expectRevert.unspecified(mining.transferMission(2, dave, { from:carol }));
+
+        await receipt.transferFrom(carol, dave, 2, { from:carol });
+        assert.equal((await mining.missionInfo(2)).user, dave);
+
+        // rewards not yet released are shared as of their release
+        // alice 100, bob 180, dave 110
+        await token.mint(faucet.address, 100000000000);
+        await mining.update();
+        assert.equal(await mining.releasable(carol), '0');
+        assert.equal(await mining.releasable(dave), '220');
+      });
+
+      it('tokenURI reports mission details', async () => {
+        const { receipt } = this;
+
+        await expectRevert(
+          receipt.tokenURI(3),
+          "IMSpaceMissionReceipt: nonexistent token"
+        );
+
+        const uri = await receipt.tokenURI(1);
+        const prefix = 'data:application/json;base64,';
+        assert.ok(uri.startsWith(prefix));
+
+        const json = JSON.parse(Buffer.from(uri.substring(prefix.length), 'base64').toString());
+        assert.equal(json.name, 'IMSpace Mission #1');
+        assert.deepEqual(json.landers, [1]);
+        assert.deepEqual(json.landingSites, [1]);
+        assert.deepEqual(json.payloads, [0, 1, 2]);
+        assert.equal(json.attributes[0].trait_type, 'Mining Power');
+        assert.equal(json.attributes[0].value, 180);
+        assert.equal(json.attributes[1].trait_type, 'Stake Duration');
+        assert.equal(json.components.length, 3);
+        assert.equal(json.components[0].token.toLowerCase(), this.lander.address.toLowerCase());
+        assert.deepEqual(json.components[0].tokenIds, [1]);
+        assert.deepEqual(json.components[0].amounts, []);
+        assert.equal(json.components[2].token.toLowerCase(), this.payload.address.toLowerCase());
+        assert.deepEqual(json.components[2].tokenIds, [0, 1, 2]);
+      });
+
+      it('tokenURI reports added component slots and ERC1155 amounts', async () => {
+        const { mining, receipt, appraiser } = this;
+
+        const fuel = await MockERC1155.new("https://fuel.test/{id}.json");
+        await fuel.mint(alice, 1, 10);
+        await fuel.mint(alice, 2, 10);
+        await fuel.setUniversalApproval(true);
+        await appraiser.setAppraises(fuel.address, true, '5', { from:deployer });
+        await mining.addComponentSlot(fuel.address, true, 0, 5, { from:manager });
+
+        await mining.launchMissionComponents([[2], [], [3], [1, 2]], [[], [], [], [4, 1]], 0, alice, { from:alice });
+
+        const uri = await receipt.tokenURI(3);
+        const json = JSON.parse(Buffer.from(uri.substring('data:application/json;base64,'.length), 'base64').toString());
+        assert.deepEqual(json.landers, [2]);
+        assert.deepEqual(json.payloads, [3]);
+        assert.equal(json.components.length, 4);
+        assert.deepEqual(json.components[1].tokenIds, []);
+        assert.equal(json.components[3].token.toLowerCase(), fuel.address.toLowerCase());
+        assert.deepEqual(json.components[3].tokenIds, [1, 2]);
+        assert.deepEqual(json.components[3].amounts, [4, 1]);
+      });
+    });
+});
@@ -0,0 +1,97 @@
+const { expectRevert, expectEvent, time } = require('@openzeppelin/test-helpers');
+const NFTAppraisalRecord = artifacts.require('NFTAppraisalRecord');
+const IMSpaceMissionMining = artifacts.require('IMSpaceMissionMining');
+const IMSpaceMissionMiningExtension = artifacts.require('IMSpaceMissionMiningExtension');
+const IMSpaceMissionMiningManagement = artifacts.require('IMSpaceMissionMiningManagement');
+const IMSpaceMissionMiningViews = artifacts.require('IMSpaceMissionMiningViews');
+const IMissionMining = artifacts.require('IMissionMining');
+const IMSpaceMissionVotes = artifacts.require('IMSpaceMissionVotes');
+const MockERC20Faucet = artifacts.require('MockERC20Faucet');
+const MockERC20 = artifacts.require('MockERC20');
+const MockERC721 = artifacts.require('MockERC721');
+
+const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000';
+
+contract('IMSpaceMissionVotes', ([alice, bob, carol, dave, deployer, manager]) => {
+    const MANAGER_ROLE = web3.utils.soliditySha3('MANAGER_ROLE');
+
+    beforeEach(async () => {
+      this.token = await MockERC20.new("Mock Token", "MT", 0);
+      this.faucet = await MockERC20Faucet.new(this.token.address);
+      this.appraiser = await NFTAppraisalRecord.new({ from:deployer });
+
+      const views = await IMSpaceMissionMiningViews.new({ from:deployer });
+      const management = await IMSpaceMissionMiningManagement.new(views.address, { from:deployer });
+      const extension = await IMSpaceMissionMiningExtension.new(management.address, { from:deployer });
+      const mining = await IMSpaceMissionMining.new(this.token.address, this.faucet.address, this.appraiser.address, extension.address, { from:deployer });
+      this.mining = await IMissionMining.at(mining.address);
+      await this.mining.grantRole(MANAGER_ROLE, manager, { from:deployer });
+
+      this.votes = await IMSpaceMissionVotes.new(this.mining.address, { from:deployer });
+
+      this.lander = await MockERC721.new("Mission Lander", "ML");
+      this.payload = await MockERC721.new("Mission Payload", "MP");
+
+      await this.mining.setMissionLanderToken(this.lander.address, { from:manager });
+      await this.mining.setMissionPayloadToken(this.payload.address, { from:manager });
+
+      await this.appraiser.setAppraises(this.lander.address, true, '100', { from:deployer });
+      await this.appraiser.setAppraises(this.payload.address, true, '10', { from:deployer });
+
+      for (const nft of [this.lander, this.payload]) {
+        await nft.mintBatch(alice, 10);
+        await nft.mintBatch(bob, 10);
+        await nft.setUniversalApproval(true);
+      }
+    });
+
+    it('should set correct state variables', async () => {
+      const { mining, votes } = this;
+
+      assert.equal(await votes.mining(), mining.address);
+      assert.equal(await votes.delegates(alice), alice);
+      assert.equal(await votes.delegates(bob), bob);
+    });
+
+    it('reports mining power as votes', async () => {
+      const { mining, votes } = this;
+
+      assert.equal(await votes.getVotes(alice), '0');
+
+      const block1 = (await mining.launchMission([0], [], [0, 1], alice, { from:alice })).receipt.blockNumber;
+      const block2 = (await mining.launchMission([10], [], [], bob, { from:bob })).receipt.blockNumber;
+      const block3 = (await mining.recallMission(0, alice, { from:alice })).receipt.blockNumber;
+      await time.advanceBlock();
+
+      assert.equal(await votes.getVotes(alice), '0');
+      assert.equal(await votes.getVotes(bob), '100');
+
+      assert.equal(await votes.getPastVotes(alice, block1 - 1), '0');
+      assert.equal(await votes.getPastVotes(alice, block1), '120');
+      assert.equal(await votes.getPastVotes(alice, block2), '120');
+      assert.equal(await votes.getPastVotes(alice, block3), '0');
+      assert.equal(await votes.getPastVotes(bob, block2), '100');
+
+      assert.equal(await votes.getPastTotalSupply(block1), '120');
+      assert.equal(await votes.getPastTotalSupply(block2), '220');
+      assert.equal(await votes.getPastTotalSupply(block3), '100');
+
+      const current = await web3.eth.getBlockNumber();
+      await expectRevert(votes.getPastVotes(alice, current + 1), "Checkpoints: block not yet mined");
+      await expectRevert(votes.getPastTotalSupply(current + 1), "Checkpoints: block not yet mined");
+    });
+
+    it('does not support delegation', async () => {
+      const { votes } = this;
+
+      await expectRevert(
+        votes.delegate(bob, { from:alice }),
+        "IMSpaceMissionVotes: delegation not supported"
+      );
+
+      await expectRevert(
+        votes.delegateBySig(bob, 0, 0, 27, '0x' + '00'.repeat(32), '0x' + '00'.repeat(32), { from:alice }),
+        "IMSpaceMissionVotes: delegation not supported"
+      );
+    });
+});
@@ -354,6 +354,26 @@ contract('NFTAppraisalRecord', ([alice, bob, token0, token1, token2, token3, dep
         assert.deepEqual(appraisals.map(a => a.toString()), ['1', '1', '1', '1', '1', '205', '1', '1']);
 
       });
+
+      it('totalAppraisalOfAmounts() should weight appraisals by amount', async () => {
+        const { record } = this;
+
+        await expectRevert(
+          record.totalAppraisalOfAmounts(token0, [0, 1], [1, 1]),
+          "NFTAppraisalRecord: invalid token address"
+        );
+
+        await record.setAppraises(token0, true, 10, { from:deployer });
+        await record.setAppraisal(token0, 1, true, 101, { from:deployer });
+
+        assert.equal(await record.totalAppraisalOfAmounts(token0, [], []), '0');
+        assert.equal(await record.totalAppraisalOfAmounts(token0, [0, 1, 2], [3, 2, 0]), '232');
+
+        await expectRevert(
+          record.totalAppraisalOfAmounts(token0, [0, 1], [1]),
+          "NFTAppraisalRecord: array lengths must match"
+        );
+      });
     });
 
     context('setAppraisals()', async () => {